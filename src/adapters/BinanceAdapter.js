@@ -0,0 +1,315 @@
+const MarketDataAdapter = require('./MarketDataAdapter');
+const LocalOrderBook = require('./LocalOrderBook');
+const logger = require('../utils/logger');
+const { createTicker, createTrade, createOrderBook, createCandle } = require('./ticks');
+
+/**
+ * 바이낸스 현물 (USDT 마켓)
+ * 호가는 증분 스트림(depth@100ms)을 REST 스냅샷 위에 쌓고, 업데이트 ID가 건너뛰면 스냅샷부터 다시 맞춘다.
+ */
+class BinanceAdapter extends MarketDataAdapter {
+  constructor(options = {}) {
+    super('binance', {
+      quote: 'USDT',
+      restUrl: 'https://api.binance.com/api/v3',
+      wsUrl: 'wss://stream.binance.com:9443/stream',
+      ...options
+    });
+
+    this.intervals = { '1m': '1m', '5m': '5m', '15m': '15m', '30m': '30m', '1h': '1h', '4h': '4h', '1d': '1d' };
+    this.streamIntervals = this.intervals;
+    this.pageSize = 1000; // klines 최대 조회 수
+    this.depthLimit = options.depthLimit || 20; // 발행하는 호가 단계 수
+    this.snapshotLimit = 1000; // 로컬 호가창 초기화 스냅샷 단계 수
+
+    this.books = new Map(); // 심볼 → LocalOrderBook
+    this.bookBuffers = new Map(); // 심볼 → 스냅샷 대기 중 받은 증분 업데이트
+    this.requestId = 0;
+  }
+
+  toMarket(symbol) {
+    return `${symbol.toUpperCase()}${this.quote}`;
+  }
+
+  fromMarket(market) {
+    return market.endsWith(this.quote) ? market.slice(0, -this.quote.length) : market;
+  }
+
+  // ===== REST =====
+
+  async getTicker(symbol) {
+    return this.normalizeTicker(await this.request('/ticker/24hr', { symbol: this.toMarket(symbol) }), symbol);
+  }
+
+  // 심볼 없이 조회하면 전체 마켓 (USDT 마켓만 사용)
+  async getTickers() {
+    const rows = await this.request('/ticker/24hr');
+
+    return new Map((rows || [])
+      .filter(row => row.symbol.endsWith(this.quote))
+      .map(row => {
+        const symbol = this.fromMarket(row.symbol);
+        return [symbol, this.normalizeTicker(row, symbol)];
+      }));
+  }
+
+  normalizeTicker(data, symbol) {
+    return createTicker({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      price: data.lastPrice,
+      bid: data.bidPrice,
+      ask: data.askPrice,
+      high24h: data.highPrice,
+      low24h: data.lowPrice,
+      volume24h: data.volume,
+      quoteVolume24h: data.quoteVolume,
+      changeRate24h: data.priceChangePercent,
+      timestamp: data.closeTime
+    });
+  }
+
+  async getTrades(symbol, { limit = 100 } = {}) {
+    const rows = await this.request('/trades', { symbol: this.toMarket(symbol), limit: Math.min(limit, 1000) });
+
+    return (rows || []).map(row => createTrade({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      id: row.id,
+      price: row.price,
+      quantity: row.qty,
+      side: row.isBuyerMaker ? 'sell' : 'buy',
+      sequence: row.id,
+      timestamp: row.time
+    }));
+  }
+
+  async getCandles(symbol, interval, { startTime, endTime, limit } = {}) {
+    const params = {
+      symbol: this.toMarket(symbol),
+      interval: this.intervals[interval],
+      limit: Math.min(limit || this.pageSize, this.pageSize)
+    };
+    if (startTime) params.startTime = new Date(startTime).getTime();
+    if (endTime) params.endTime = new Date(endTime).getTime();
+
+    return this.normalizeKlines(await this.request('/klines', params), symbol, interval);
+  }
+
+  normalizeKlines(rows, symbol, interval) {
+    return (rows || []).map(row => createCandle({
+      symbol,
+      exchange: this.exchange,
+      interval,
+      quote: this.quote,
+      openTime: row[0],
+      closeTime: row[6],
+      open: row[1],
+      high: row[2],
+      low: row[3],
+      close: row[4],
+      volume: row[5],
+      quoteVolume: row[7]
+    }));
+  }
+
+  async getOrderBook(symbol, { limit = 100 } = {}) {
+    const data = await this.request('/depth', { symbol: this.toMarket(symbol), limit });
+
+    return createOrderBook({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      bids: data.bids,
+      asks: data.asks,
+      sequence: data.lastUpdateId,
+      timestamp: Date.now()
+    });
+  }
+
+  // ===== WebSocket =====
+
+  getStreamName({ channel, symbol, interval }) {
+    const market = this.toMarket(symbol).toLowerCase();
+
+    switch (channel) {
+      case 'ticker':
+        return `${market}@ticker`;
+      case 'trade':
+        return `${market}@trade`;
+      case 'candle':
+        return `${market}@kline_${this.streamIntervals[interval]}`;
+      case 'orderbook':
+        return `${market}@depth@100ms`;
+      default:
+        return null;
+    }
+  }
+
+  buildSubscribeMessages(subscriptions) {
+    return [{ method: 'SUBSCRIBE', params: subscriptions.map(s => this.getStreamName(s)), id: ++this.requestId }];
+  }
+
+  buildUnsubscribeMessages(subscriptions) {
+    subscriptions
+      .filter(s => s.channel === 'orderbook')
+      .forEach(s => {
+        this.books.delete(s.symbol);
+        this.bookBuffers.delete(s.symbol);
+      });
+
+    return [{ method: 'UNSUBSCRIBE', params: subscriptions.map(s => this.getStreamName(s)), id: ++this.requestId }];
+  }
+
+  onConnected() {
+    // 재연결 중 놓친 증분 업데이트가 있으므로 호가창은 스냅샷부터 다시 만든다
+    this.books.clear();
+    this.bookBuffers.clear();
+  }
+
+  // 결합 스트림 메시지: { stream, data } (구독 응답은 { result, id })
+  handlePayload(payload) {
+    const data = payload.data;
+    if (!data) return;
+
+    switch (data.e) {
+      case '24hrTicker':
+        this.publish('ticker', createTicker({
+          exchange: this.exchange,
+          symbol: this.fromMarket(data.s),
+          quote: this.quote,
+          price: data.c,
+          bid: data.b,
+          ask: data.a,
+          high24h: data.h,
+          low24h: data.l,
+          volume24h: data.v,
+          quoteVolume24h: data.q,
+          changeRate24h: data.P,
+          timestamp: data.E
+        }));
+        break;
+
+      case 'trade': {
+        const symbol = this.fromMarket(data.s);
+        if (this.checkSequence(`trade:${symbol}`, data.t) === 'stale') return;
+
+        this.publish('trade', createTrade({
+          exchange: this.exchange,
+          symbol,
+          quote: this.quote,
+          id: data.t,
+          price: data.p,
+          quantity: data.q,
+          side: data.m ? 'sell' : 'buy', // 매수자가 메이커면 매도 체결
+          sequence: data.t,
+          timestamp: data.T
+        }));
+        break;
+      }
+
+      case 'kline': {
+        const kline = data.k;
+        const interval = Object.keys(this.streamIntervals).find(key => this.streamIntervals[key] === kline.i);
+
+        this.publish('candle', createCandle({
+          symbol: this.fromMarket(data.s),
+          exchange: this.exchange,
+          interval,
+          quote: this.quote,
+          openTime: kline.t,
+          closeTime: kline.T,
+          open: kline.o,
+          high: kline.h,
+          low: kline.l,
+          close: kline.c,
+          volume: kline.v,
+          quoteVolume: kline.q,
+          closed: kline.x
+        }));
+        break;
+      }
+
+      case 'depthUpdate':
+        this.handleDepthUpdate(data);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 증분 호가 적용
+   * 업데이트 범위 [U, u]가 직전 u 다음에서 시작하지 않으면 누락으로 보고 스냅샷을 다시 받는다.
+   * @param {Object} data - depthUpdate 이벤트
+   */
+  handleDepthUpdate(data) {
+    const symbol = this.fromMarket(data.s);
+    const update = { first: data.U, last: data.u, bids: data.b, asks: data.a, sequence: data.u, timestamp: new Date(data.E) };
+    const book = this.books.get(symbol);
+
+    if (!book || !book.ready) {
+      this.bufferDepthUpdate(symbol, update);
+      if (!book) this.resyncOrderBook(symbol);
+      return;
+    }
+
+    if (update.last <= book.sequence) return;
+
+    if (update.first > book.sequence + 1) {
+      this.reportGap(`orderbook:${symbol}`, book.sequence + 1, update.first);
+      this.books.delete(symbol);
+      this.bufferDepthUpdate(symbol, update);
+      this.resyncOrderBook(symbol);
+      return;
+    }
+
+    book.apply(update);
+    this.publish('orderbook', book.toOrderBook(this.depthLimit));
+  }
+
+  bufferDepthUpdate(symbol, update) {
+    const buffer = this.bookBuffers.get(symbol) || [];
+    buffer.push(update);
+    this.bookBuffers.set(symbol, buffer);
+  }
+
+  /**
+   * REST 스냅샷으로 로컬 호가창 재구성 후 대기 중인 증분 업데이트 적용
+   * @param {string} symbol - 기준 자산 심볼
+   */
+  async resyncOrderBook(symbol) {
+    const book = new LocalOrderBook(this.exchange, symbol, this.quote);
+    this.books.set(symbol, book);
+
+    try {
+      const snapshot = await this.request('/depth', { symbol: this.toMarket(symbol), limit: this.snapshotLimit });
+      if (this.books.get(symbol) !== book) return; // 그 사이 재연결/해제됨
+
+      const pending = (this.bookBuffers.get(symbol) || []).filter(update => update.last > snapshot.lastUpdateId);
+      this.bookBuffers.delete(symbol);
+
+      // 스냅샷이 대기 중인 업데이트보다 오래됨 → 다음 업데이트에서 다시 시도
+      if (pending.length > 0 && pending[0].first > snapshot.lastUpdateId + 1) {
+        this.books.delete(symbol);
+        return;
+      }
+
+      book.reset({ bids: snapshot.bids, asks: snapshot.asks, sequence: snapshot.lastUpdateId, timestamp: new Date() });
+      pending.forEach(update => book.apply(update));
+
+      this.publish('orderbook', book.toOrderBook(this.depthLimit));
+    } catch (error) {
+      logger.warning(`Binance order book snapshot failed for ${symbol}: ${error.message}`);
+      if (this.books.get(symbol) === book) {
+        this.books.delete(symbol);
+        this.bookBuffers.delete(symbol);
+      }
+    }
+  }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,303 @@
+const axios = require('axios');
+const MarketDataAdapter = require('./MarketDataAdapter');
+const LocalOrderBook = require('./LocalOrderBook');
+const Candle = require('../models/Candle');
+const logger = require('../utils/logger');
+const { createTicker, createTrade, createOrderBook, createCandle, createMarket } = require('./ticks');
+
+// 빗썸 시각 문자열은 KST ('2024-01-01 12:00:00.123456' 또는 '20240101' + '120000')
+const parseKst = (date, time) => {
+  if (time) {
+    return new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}+09:00`);
+  }
+
+  const [day, clock] = date.split(' ');
+  const [seconds, fraction = '0'] = clock.split('.');
+  return new Date(`${day}T${seconds}.${fraction.slice(0, 3).padEnd(3, '0')}+09:00`);
+};
+
+/**
+ * 빗썸 (KRW 마켓)
+ * WebSocket 호가(orderbookdepth)는 시퀀스 없는 증분이므로 REST 스냅샷 이후 시각의 증분만 적용하고,
+ * 재연결하면 스냅샷부터 다시 만든다. 캔들 스트림은 제공하지 않는다.
+ */
+class BithumbAdapter extends MarketDataAdapter {
+  constructor(options = {}) {
+    super('bithumb', {
+      quote: 'KRW',
+      restUrl: 'https://api.bithumb.com/public',
+      wsUrl: 'wss://pubwss.bithumb.com/pub/ws',
+      ...options
+    });
+
+    this.intervals = { '1m': '1m', '5m': '5m', '30m': '30m', '1h': '1h', '1d': '24h' };
+    this.channels = ['ticker', 'trade', 'orderbook'];
+    this.streamTypes = { ticker: 'ticker', trade: 'transaction', orderbook: 'orderbookdepth' };
+    this.depthLimit = options.depthLimit || 20;
+    this.snapshotLimit = 30; // REST 호가 최대 단계 수
+    this.marketsUrl = options.marketsUrl || 'https://api.bithumb.com/v1/market/all'; // 마켓 목록은 v1 API에만 있음
+
+    this.books = new Map(); // 심볼 → LocalOrderBook
+    this.bookBuffers = new Map(); // 심볼 → 스냅샷 대기 중 받은 증분 업데이트
+  }
+
+  toMarket(symbol) {
+    return `${symbol.toUpperCase()}_${this.quote}`;
+  }
+
+  fromMarket(market) {
+    return market.replace(`_${this.quote}`, '');
+  }
+
+  // 응답 { status: '0000', data } 확인
+  async requestData(path, params = {}) {
+    const response = await this.request(path, params);
+
+    if (!response || response.status !== '0000') {
+      throw new Error(`Bithumb request failed: ${(response && (response.message || response.status)) || 'empty response'}`);
+    }
+
+    return response.data;
+  }
+
+  // ===== REST =====
+
+  async getTicker(symbol) {
+    return this.normalizeTicker(await this.requestData(`/ticker/${this.toMarket(symbol)}`), symbol);
+  }
+
+  // ALL_KRW 응답은 { BTC: {...}, ETH: {...}, date }
+  async getTickers() {
+    const data = await this.requestData(`/ticker/ALL_${this.quote}`);
+
+    return new Map(Object.entries(data || {})
+      .filter(([symbol, row]) => symbol !== 'date' && row && typeof row === 'object')
+      .map(([symbol, row]) => [symbol, this.normalizeTicker({ ...row, date: row.date || data.date }, symbol)]));
+  }
+
+  normalizeTicker(data, symbol) {
+    return createTicker({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      price: data.closing_price,
+      high24h: data.max_price,
+      low24h: data.min_price,
+      volume24h: data.units_traded_24H,
+      quoteVolume24h: data.acc_trade_value_24H,
+      changeRate24h: data.fluctate_rate_24H,
+      timestamp: data.date
+    });
+  }
+
+  async getTrades(symbol, { limit = 100 } = {}) {
+    const rows = await this.requestData(`/transaction_history/${this.toMarket(symbol)}`, { count: Math.min(limit, 100) });
+
+    return (rows || []).map(row => createTrade({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      price: row.price,
+      quantity: row.units_traded,
+      side: row.type === 'bid' ? 'buy' : 'sell',
+      timestamp: parseKst(row.transaction_date)
+    }));
+  }
+
+  async getCandles(symbol, interval) {
+    const rows = await this.requestData(`/candlestick/${this.toMarket(symbol)}/${this.intervals[interval]}`);
+    return this.normalizeCandles(rows, symbol, interval);
+  }
+
+  // [시간, 시가, 종가, 고가, 저가, 거래량]
+  normalizeCandles(rows, symbol, interval) {
+    const intervalMs = Candle.INTERVALS[interval];
+
+    return (rows || []).map(row => createCandle({
+      symbol,
+      exchange: this.exchange,
+      interval,
+      quote: this.quote,
+      openTime: Number(row[0]),
+      closeTime: Number(row[0]) + intervalMs - 1,
+      open: row[1],
+      high: row[3],
+      low: row[4],
+      close: row[2],
+      volume: row[5]
+    }));
+  }
+
+  // v1 응답은 업비트와 같은 형식 [{ market: 'KRW-BTC', korean_name, english_name, market_warning }]
+  async getMarkets() {
+    const response = await axios.get(this.marketsUrl, { params: { isDetails: true }, timeout: this.timeout });
+
+    return (response.data || [])
+      .filter(row => row.market.startsWith(`${this.quote}-`))
+      .map(row => createMarket({
+        exchange: this.exchange,
+        symbol: row.market.replace(`${this.quote}-`, ''),
+        quote: this.quote,
+        name: row.korean_name,
+        englishName: row.english_name,
+        warning: row.market_warning === 'CAUTION'
+      }));
+  }
+
+  async getOrderBook(symbol, { limit = this.snapshotLimit } = {}) {
+    const data = await this.requestData(`/orderbook/${this.toMarket(symbol)}`, { count: Math.min(limit, this.snapshotLimit) });
+
+    return createOrderBook({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      bids: (data.bids || []).map(level => [level.price, level.quantity]),
+      asks: (data.asks || []).map(level => [level.price, level.quantity]),
+      timestamp: data.timestamp
+    });
+  }
+
+  // ===== WebSocket =====
+
+  // 채널별 전체 심볼 목록으로 구독 (같은 타입을 다시 보내면 목록이 대체됨)
+  buildSubscribeMessages() {
+    const symbolsByType = new Map();
+    this.subscriptions.forEach(({ channel, symbol }) => {
+      const type = this.streamTypes[channel];
+      const symbols = symbolsByType.get(type) || [];
+      symbols.push(this.toMarket(symbol));
+      symbolsByType.set(type, symbols);
+    });
+
+    return Array.from(symbolsByType.entries()).map(([type, symbols]) => (
+      type === 'ticker' ? { type, symbols, tickTypes: ['24H'] } : { type, symbols }
+    ));
+  }
+
+  buildUnsubscribeMessages(subscriptions) {
+    subscriptions
+      .filter(s => s.channel === 'orderbook')
+      .forEach(s => {
+        this.books.delete(s.symbol);
+        this.bookBuffers.delete(s.symbol);
+      });
+
+    return this.buildSubscribeMessages();
+  }
+
+  onConnected() {
+    this.books.clear();
+    this.bookBuffers.clear();
+  }
+
+  handlePayload(payload) {
+    if (!payload.type || !payload.content) return; // 연결/구독 응답 ({ status, resmsg })
+
+    const { content } = payload;
+
+    switch (payload.type) {
+      case 'ticker':
+        this.publish('ticker', createTicker({
+          exchange: this.exchange,
+          symbol: this.fromMarket(content.symbol),
+          quote: this.quote,
+          price: content.closePrice,
+          high24h: content.highPrice,
+          low24h: content.lowPrice,
+          volume24h: content.volume,
+          quoteVolume24h: content.value,
+          changeRate24h: content.chgRate,
+          timestamp: parseKst(content.date, content.time)
+        }));
+        break;
+
+      case 'transaction':
+        (content.list || []).forEach(item => {
+          this.publish('trade', createTrade({
+            exchange: this.exchange,
+            symbol: this.fromMarket(item.symbol),
+            quote: this.quote,
+            price: item.contPrice,
+            quantity: item.contQty,
+            side: item.buySellGb === '2' ? 'buy' : 'sell',
+            timestamp: parseKst(item.contDtm)
+          }));
+        });
+        break;
+
+      case 'orderbookdepth':
+        this.handleDepthUpdate(content);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 증분 호가 적용 (심볼별로 나눠서 처리)
+   * @param {Object} content - { list: [{ symbol, orderType, price, quantity }], datetime(µs) }
+   */
+  handleDepthUpdate(content) {
+    const timestamp = new Date(Math.floor(Number(content.datetime) / 1000));
+    const updates = new Map();
+
+    (content.list || []).forEach(item => {
+      const symbol = this.fromMarket(item.symbol);
+      const update = updates.get(symbol) || { bids: [], asks: [], timestamp };
+      (item.orderType === 'bid' ? update.bids : update.asks).push([item.price, item.quantity]);
+      updates.set(symbol, update);
+    });
+
+    updates.forEach((update, symbol) => {
+      const book = this.books.get(symbol);
+
+      if (!book || !book.ready) {
+        const buffer = this.bookBuffers.get(symbol) || [];
+        buffer.push(update);
+        this.bookBuffers.set(symbol, buffer);
+        if (!book) this.resyncOrderBook(symbol);
+        return;
+      }
+
+      book.apply(update);
+      this.publish('orderbook', book.toOrderBook(this.depthLimit));
+    });
+  }
+
+  /**
+   * REST 스냅샷으로 로컬 호가창 재구성 후 스냅샷 이후의 증분만 적용
+   * @param {string} symbol - 기준 자산 심볼
+   */
+  async resyncOrderBook(symbol) {
+    const book = new LocalOrderBook(this.exchange, symbol, this.quote);
+    this.books.set(symbol, book);
+
+    try {
+      const snapshot = await this.getOrderBook(symbol);
+      if (this.books.get(symbol) !== book) return; // 그 사이 재연결/해제됨
+
+      const pending = (this.bookBuffers.get(symbol) || []).filter(update => update.timestamp > snapshot.timestamp);
+      this.bookBuffers.delete(symbol);
+
+      book.reset({
+        bids: snapshot.bids.map(level => [level.price, level.quantity]),
+        asks: snapshot.asks.map(level => [level.price, level.quantity]),
+        timestamp: snapshot.timestamp
+      });
+      pending.forEach(update => book.apply(update));
+
+      this.publish('orderbook', book.toOrderBook(this.depthLimit));
+    } catch (error) {
+      logger.warning(`Bithumb order book snapshot failed for ${symbol}: ${error.message}`);
+      if (this.books.get(symbol) === book) {
+        this.books.delete(symbol);
+        this.bookBuffers.delete(symbol);
+      }
+    }
+  }
+}
+
+BithumbAdapter.parseKst = parseKst;
+
+module.exports = BithumbAdapter;
@@ -0,0 +1,77 @@
+const { createOrderBook, toNumber } = require('./ticks');
+
+/**
+ * 증분 호가 스트림용 로컬 호가창
+ * REST 스냅샷으로 초기화한 뒤 증분 업데이트(수량 0 = 삭제)를 적용한다.
+ */
+class LocalOrderBook {
+  constructor(exchange, symbol, quote) {
+    this.exchange = exchange;
+    this.symbol = symbol;
+    this.quote = quote;
+    this.bids = new Map();
+    this.asks = new Map();
+    this.sequence = null;
+    this.timestamp = null;
+    this.ready = false;
+  }
+
+  /**
+   * 스냅샷으로 초기화
+   * @param {Object} snapshot - { bids: [[price, quantity]], asks, sequence, timestamp }
+   */
+  reset(snapshot) {
+    this.bids.clear();
+    this.asks.clear();
+    this.apply(snapshot);
+    this.ready = true;
+  }
+
+  /**
+   * 증분 업데이트 적용
+   * @param {Object} update - { bids: [[price, quantity]], asks, sequence, timestamp }
+   */
+  apply(update) {
+    this.applySide(this.bids, update.bids);
+    this.applySide(this.asks, update.asks);
+    if (update.sequence !== undefined) this.sequence = update.sequence;
+    this.timestamp = update.timestamp || new Date();
+  }
+
+  applySide(side, levels = []) {
+    levels.forEach(([price, quantity]) => {
+      const key = toNumber(price);
+      const size = toNumber(quantity);
+      if (key === null) return;
+
+      if (!size) {
+        side.delete(key);
+      } else {
+        side.set(key, size);
+      }
+    });
+  }
+
+  /**
+   * 정규화된 호가창으로 변환
+   * @param {number} depth - 방향별 호가 수
+   * @returns {Object} createOrderBook 결과
+   */
+  toOrderBook(depth = 20) {
+    const top = (side, descending) => Array.from(side.entries())
+      .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+      .slice(0, depth);
+
+    return createOrderBook({
+      exchange: this.exchange,
+      symbol: this.symbol,
+      quote: this.quote,
+      bids: top(this.bids, true),
+      asks: top(this.asks, false),
+      sequence: this.sequence,
+      timestamp: this.timestamp
+    });
+  }
+}
+
+module.exports = LocalOrderBook;
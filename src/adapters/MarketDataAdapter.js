@@ -0,0 +1,420 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['ticker', 'trade', 'candle', 'orderbook'];
+const OPEN = 1; // WebSocket.OPEN
+
+/**
+ * 거래소 시세 어댑터 공통 인터페이스
+ * REST: getTicker / getTrades / getCandles / getOrderBook (정규화된 모델 반환)
+ * WebSocket: subscribe(channel, symbols) 후 connect() → 'ticker' / 'trade' / 'candle' / 'orderbook' / 'tick' 이벤트
+ * 연결이 끊기면 지수 백오프로 재연결하고 구독을 복원하며, 시퀀스가 건너뛰면 'gap' 이벤트를 낸다.
+ */
+class MarketDataAdapter extends EventEmitter {
+  constructor(exchange, options = {}) {
+    super();
+    this.exchange = exchange;
+    this.quote = options.quote;
+    this.restUrl = options.restUrl;
+    this.wsUrl = options.wsUrl;
+    this.timeout = options.timeout || 10000;
+    this.WebSocket = options.WebSocket || WebSocket;
+
+    // 하위 클래스에서 지정
+    this.intervals = {}; // REST 캔들 간격 표기
+    this.streamIntervals = {}; // WebSocket 캔들 간격 표기
+    this.channels = CHANNELS;
+
+    // 재연결 (지수 백오프)
+    this.reconnectBaseDelay = options.reconnectBaseDelay || 1000;
+    this.reconnectMaxDelay = options.reconnectMaxDelay || 30000;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? Infinity;
+    this.heartbeatInterval = options.heartbeatInterval || 30000; // 핑/무응답 확인 주기
+    this.staleTimeout = options.staleTimeout || 60000; // 이 시간 동안 메시지가 없으면 끊고 재연결
+
+    this.socket = null;
+    this.status = 'disconnected'; // disconnected | connecting | connected | reconnecting
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = null;
+
+    this.subscriptions = new Map(); // 구독 키 → { channel, symbol, interval }
+    this.sequences = new Map(); // 스트림 키 → 마지막 시퀀스
+    this.stats = { messages: 0, gaps: 0, reconnects: 0, errors: 0 };
+  }
+
+  // ===== REST =====
+
+  async request(path, params = {}) {
+    const response = await axios.get(`${this.restUrl}${path}`, { params, timeout: this.timeout });
+    return response.data;
+  }
+
+  /**
+   * 현재가 조회
+   * @param {string} symbol - 기준 자산 심볼 (BTC)
+   * @returns {Object} createTicker 결과
+   */
+  async getTicker(symbol) {
+    throw this.notSupported('getTicker');
+  }
+
+  /**
+   * 전체 마켓 현재가 일괄 조회
+   * @returns {Map} 기준 자산 심볼 → createTicker 결과
+   */
+  async getTickers() {
+    throw this.notSupported('getTickers');
+  }
+
+  /**
+   * 최근 체결 조회 (오래된 순)
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {Object} options - { limit }
+   * @returns {Array} createTrade 결과 배열
+   */
+  async getTrades(symbol, options = {}) {
+    throw this.notSupported('getTrades');
+  }
+
+  /**
+   * 캔들 조회 (오래된 순)
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {string} interval - 캔들 간격 (1m, 5m, 15m, 30m, 1h, 4h, 1d)
+   * @param {Object} options - { startTime, endTime, limit }
+   * @returns {Array} createCandle 결과 배열
+   */
+  async getCandles(symbol, interval, options = {}) {
+    throw this.notSupported('getCandles');
+  }
+
+  /**
+   * 호가창 조회
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {Object} options - { limit }
+   * @returns {Object} createOrderBook 결과
+   */
+  async getOrderBook(symbol, options = {}) {
+    throw this.notSupported('getOrderBook');
+  }
+
+  /**
+   * 호가 통화 기준 상장 마켓 목록 (경고 지정 상태 포함)
+   * @returns {Array} createMarket 결과 배열
+   */
+  async getMarkets() {
+    throw this.notSupported('getMarkets');
+  }
+
+  supportsInterval(interval) {
+    return this.intervals[interval] !== undefined;
+  }
+
+  notSupported(feature) {
+    return new Error(`${feature} is not supported by ${this.exchange}`);
+  }
+
+  // ===== WebSocket 구독 =====
+
+  /**
+   * 채널 구독 (연결 중이면 즉시 전송, 아니면 연결 시 전송)
+   * @param {string} channel - ticker | trade | candle | orderbook
+   * @param {string|Array} symbols - 기준 자산 심볼
+   * @param {Object} options - { interval } (candle 채널)
+   * @returns {MarketDataAdapter} this
+   */
+  subscribe(channel, symbols, options = {}) {
+    if (!this.channels.includes(channel)) {
+      throw new Error(`Channel ${channel} is not supported by ${this.exchange}`);
+    }
+    if (channel === 'candle' && this.streamIntervals[options.interval] === undefined) {
+      throw new Error(`Candle interval ${options.interval} is not streamed by ${this.exchange}`);
+    }
+
+    const added = [];
+    [].concat(symbols).forEach(symbol => {
+      const subscription = { channel, symbol: symbol.toUpperCase(), interval: channel === 'candle' ? options.interval : undefined };
+      const key = this.getSubscriptionKey(subscription);
+
+      if (!this.subscriptions.has(key)) {
+        this.subscriptions.set(key, subscription);
+        added.push(subscription);
+      }
+    });
+
+    if (added.length > 0 && this.isConnected()) {
+      this.buildSubscribeMessages(added).forEach(message => this.send(message));
+    }
+
+    return this;
+  }
+
+  /**
+   * 구독 해제
+   * @param {string} channel - 채널
+   * @param {string|Array} symbols - 기준 자산 심볼
+   * @param {Object} options - { interval }
+   * @returns {MarketDataAdapter} this
+   */
+  unsubscribe(channel, symbols, options = {}) {
+    const removed = [];
+    [].concat(symbols).forEach(symbol => {
+      const key = this.getSubscriptionKey({ channel, symbol: symbol.toUpperCase(), interval: options.interval });
+      if (this.subscriptions.has(key)) {
+        removed.push(this.subscriptions.get(key));
+        this.subscriptions.delete(key);
+      }
+    });
+
+    if (removed.length > 0 && this.isConnected()) {
+      this.buildUnsubscribeMessages(removed).forEach(message => this.send(message));
+    }
+
+    return this;
+  }
+
+  getSubscriptionKey({ channel, symbol, interval }) {
+    return interval ? `${channel}:${symbol}:${interval}` : `${channel}:${symbol}`;
+  }
+
+  // 하위 클래스 구현: 구독/해제 메시지, 수신 메시지 처리, 핑 메시지
+  buildSubscribeMessages(subscriptions) {
+    return [];
+  }
+
+  buildUnsubscribeMessages(subscriptions) {
+    return [];
+  }
+
+  handlePayload(payload) {}
+
+  getHeartbeatMessage() {
+    return null;
+  }
+
+  // 연결(재연결) 직후 호출 (로컬 상태 초기화용)
+  onConnected() {}
+
+  // ===== WebSocket 연결 관리 =====
+
+  connect() {
+    if (this.socket || this.reconnectTimer) return this;
+
+    this.shouldReconnect = true;
+    this.openSocket();
+    return this;
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    this.stopHeartbeat();
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+
+    this.setStatus('disconnected');
+  }
+
+  isConnected() {
+    return Boolean(this.socket) && this.socket.readyState === OPEN;
+  }
+
+  openSocket() {
+    this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+    const socket = new this.WebSocket(this.wsUrl);
+    this.socket = socket;
+
+    socket.on('open', () => this.handleOpen());
+    socket.on('message', data => this.handleMessage(data));
+    socket.on('error', error => {
+      this.stats.errors++;
+      logger.warning(`${this.exchange} WebSocket error: ${error.message}`);
+    });
+    socket.on('close', () => {
+      if (this.socket === socket) this.handleClose();
+    });
+  }
+
+  handleOpen() {
+    this.reconnectAttempts = 0;
+    this.lastMessageAt = Date.now();
+    this.sequences.clear();
+    this.onConnected();
+    this.setStatus('connected');
+    this.startHeartbeat();
+
+    // 재연결 시 기존 구독 복원
+    if (this.subscriptions.size > 0) {
+      this.buildSubscribeMessages(Array.from(this.subscriptions.values())).forEach(message => this.send(message));
+    }
+
+    logger.info(`${this.exchange} WebSocket connected (${this.subscriptions.size} subscriptions)`);
+  }
+
+  handleMessage(data) {
+    this.lastMessageAt = Date.now();
+    this.stats.messages++;
+
+    try {
+      this.handlePayload(this.decode(data));
+    } catch (error) {
+      this.stats.errors++;
+      logger.warning(`${this.exchange} WebSocket message handling failed: ${error.message}`);
+    }
+  }
+
+  decode(data) {
+    const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+    return JSON.parse(text);
+  }
+
+  handleClose() {
+    this.socket = null;
+    this.stopHeartbeat();
+
+    if (!this.shouldReconnect) {
+      this.setStatus('disconnected');
+      return;
+    }
+
+    this.scheduleReconnect();
+  }
+
+  getReconnectDelay(attempt) {
+    return Math.min(this.reconnectBaseDelay * 2 ** attempt, this.reconnectMaxDelay);
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error(`${this.exchange} WebSocket gave up after ${this.reconnectAttempts} reconnect attempts`);
+      this.shouldReconnect = false;
+      this.setStatus('disconnected');
+      return;
+    }
+
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.stats.reconnects++;
+    this.setStatus('reconnecting');
+
+    logger.warning(`${this.exchange} WebSocket closed, reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delay);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socket) return;
+
+      // 일정 시간 메시지가 없으면 반쯤 끊긴 연결로 보고 재연결
+      if (Date.now() - this.lastMessageAt > this.staleTimeout) {
+        logger.warning(`${this.exchange} WebSocket stale for ${this.staleTimeout}ms, reconnecting`);
+        if (this.socket.terminate) {
+          this.socket.terminate();
+        } else {
+          this.socket.close();
+        }
+        return;
+      }
+
+      const message = this.getHeartbeatMessage();
+      if (message) this.send(message);
+    }, this.heartbeatInterval);
+
+    if (this.heartbeatTimer.unref) this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  send(message) {
+    if (!this.isConnected()) return false;
+
+    this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+
+    this.status = status;
+    this.emit('status', { exchange: this.exchange, status });
+  }
+
+  // ===== 수신 데이터 처리 =====
+
+  /**
+   * 정규화된 데이터 발행
+   * @param {string} channel - ticker | trade | candle | orderbook
+   * @param {Object} data - 정규화된 데이터
+   */
+  publish(channel, data) {
+    this.emit(channel, data);
+    this.emit('tick', { channel, data });
+  }
+
+  /**
+   * 시퀀스 연속성 확인
+   * 이미 받은 시퀀스면 'stale', 중간이 비었으면 'gap' 이벤트 후 'gap', 정상이면 'ok'
+   * @param {string} key - 스트림 키 (채널:심볼)
+   * @param {number} first - 이번 메시지의 첫 시퀀스
+   * @param {number} last - 이번 메시지의 마지막 시퀀스
+   * @returns {string} ok | gap | stale
+   */
+  checkSequence(key, first, last = first) {
+    const previous = this.sequences.get(key);
+    if (previous !== undefined && last <= previous) return 'stale';
+
+    this.sequences.set(key, last);
+
+    if (previous !== undefined && first > previous + 1) {
+      this.reportGap(key, previous + 1, first);
+      return 'gap';
+    }
+
+    return 'ok';
+  }
+
+  reportGap(key, expected, received) {
+    this.stats.gaps++;
+    logger.warning(`${this.exchange} sequence gap on ${key}: expected ${expected}, received ${received}`);
+    this.emit('gap', { exchange: this.exchange, key, expected, received });
+  }
+
+  getStatus() {
+    return {
+      exchange: this.exchange,
+      status: this.status,
+      subscriptions: this.subscriptions.size,
+      lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt) : null,
+      reconnectAttempts: this.reconnectAttempts,
+      ...this.stats
+    };
+  }
+}
+
+MarketDataAdapter.CHANNELS = CHANNELS;
+
+module.exports = MarketDataAdapter;
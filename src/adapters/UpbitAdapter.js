@@ -0,0 +1,224 @@
+const MarketDataAdapter = require('./MarketDataAdapter');
+const Candle = require('../models/Candle');
+const { createTicker, createTrade, createOrderBook, createCandle, createMarket } = require('./ticks');
+
+/**
+ * 업비트 (KRW 마켓)
+ * 구독 메시지는 이전 구독을 대체하므로 항상 전체 구독 목록을 보낸다.
+ * 호가는 매번 전체 스냅샷으로 오고, 체결 sequential_id는 연속 번호가 아니라서 중복 제거에만 쓴다.
+ */
+class UpbitAdapter extends MarketDataAdapter {
+  constructor(options = {}) {
+    super('upbit', {
+      quote: 'KRW',
+      restUrl: 'https://api.upbit.com/v1',
+      wsUrl: 'wss://api.upbit.com/websocket/v1',
+      ...options
+    });
+
+    this.intervals = { '1m': 'minutes/1', '5m': 'minutes/5', '15m': 'minutes/15', '30m': 'minutes/30', '1h': 'minutes/60', '4h': 'minutes/240', '1d': 'days' };
+    this.streamIntervals = { '1m': 'candle.1m', '5m': 'candle.5m', '15m': 'candle.15m', '30m': 'candle.30m', '1h': 'candle.60m', '4h': 'candle.240m' };
+    this.pageSize = 200; // 캔들 최대 조회 수
+    this.lastTradeIds = new Map(); // 심볼 → 마지막 체결 ID (재연결 직후 중복 제거)
+  }
+
+  toMarket(symbol) {
+    return `${this.quote}-${symbol.toUpperCase()}`;
+  }
+
+  fromMarket(market) {
+    return market.replace(`${this.quote}-`, '');
+  }
+
+  // ===== REST =====
+
+  async getTicker(symbol) {
+    const [row] = await this.request('/ticker', { markets: this.toMarket(symbol) });
+    if (!row) throw new Error(`Upbit ticker not found for ${symbol}`);
+
+    return this.normalizeTicker(row, symbol);
+  }
+
+  async getTickers() {
+    const rows = await this.request('/ticker/all', { quote_currencies: this.quote });
+
+    return new Map((rows || []).map(row => {
+      const symbol = this.fromMarket(row.market);
+      return [symbol, this.normalizeTicker(row, symbol)];
+    }));
+  }
+
+  async getTrades(symbol, { limit = 100 } = {}) {
+    const rows = await this.request('/trades/ticks', { market: this.toMarket(symbol), count: Math.min(limit, 500) });
+
+    return (rows || [])
+      .map(row => this.normalizeTrade(row, symbol))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getCandles(symbol, interval, { endTime, limit } = {}) {
+    const params = {
+      market: this.toMarket(symbol),
+      count: Math.min(limit || this.pageSize, this.pageSize)
+    };
+    if (endTime) params.to = new Date(endTime).toISOString();
+
+    return this.normalizeCandles(await this.request(`/candles/${this.intervals[interval]}`, params), symbol, interval);
+  }
+
+  async getOrderBook(symbol) {
+    const [row] = await this.request('/orderbook', { markets: this.toMarket(symbol) });
+    if (!row) throw new Error(`Upbit order book not found for ${symbol}`);
+
+    return this.normalizeOrderBook(row, symbol);
+  }
+
+  // isDetails=true면 투자유의(market_event.warning)와 주의 사유(market_event.caution)가 같이 온다
+  async getMarkets() {
+    const rows = await this.request('/market/all', { isDetails: true });
+
+    return (rows || [])
+      .filter(row => row.market.startsWith(`${this.quote}-`))
+      .map(row => this.normalizeMarket(row));
+  }
+
+  // REST와 WebSocket 응답 필드가 같으므로 정규화 함수를 공유 (REST는 market, WebSocket은 code)
+  normalizeTicker(row, symbol) {
+    return createTicker({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      price: row.trade_price,
+      high24h: row.high_price,
+      low24h: row.low_price,
+      volume24h: row.acc_trade_volume_24h,
+      quoteVolume24h: row.acc_trade_price_24h,
+      changeRate24h: row.signed_change_rate * 100,
+      timestamp: row.trade_timestamp || row.timestamp
+    });
+  }
+
+  normalizeMarket(row) {
+    const event = row.market_event || {};
+
+    return createMarket({
+      exchange: this.exchange,
+      symbol: this.fromMarket(row.market),
+      quote: this.quote,
+      name: row.korean_name,
+      englishName: row.english_name,
+      warning: event.warning !== undefined ? event.warning : row.market_warning === 'CAUTION',
+      cautions: Object.entries(event.caution || {}).filter(([, active]) => active).map(([reason]) => reason)
+    });
+  }
+
+  normalizeTrade(row, symbol) {
+    return createTrade({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      id: row.sequential_id,
+      price: row.trade_price,
+      quantity: row.trade_volume,
+      side: row.ask_bid === 'BID' ? 'buy' : 'sell',
+      timestamp: row.trade_timestamp || row.timestamp
+    });
+  }
+
+  normalizeOrderBook(row, symbol) {
+    const units = row.orderbook_units || [];
+
+    return createOrderBook({
+      exchange: this.exchange,
+      symbol,
+      quote: this.quote,
+      bids: units.map(unit => [unit.bid_price, unit.bid_size]),
+      asks: units.map(unit => [unit.ask_price, unit.ask_size]),
+      timestamp: row.timestamp
+    });
+  }
+
+  // 업비트 캔들은 최신순 응답 → 오래된 순으로 정렬
+  normalizeCandles(rows, symbol, interval) {
+    const intervalMs = Candle.INTERVALS[interval];
+
+    return (rows || [])
+      .map(row => {
+        const openTime = new Date(`${row.candle_date_time_utc}Z`);
+        return createCandle({
+          symbol,
+          exchange: this.exchange,
+          interval,
+          quote: this.quote,
+          openTime,
+          closeTime: new Date(openTime.getTime() + intervalMs - 1),
+          open: row.opening_price,
+          high: row.high_price,
+          low: row.low_price,
+          close: row.trade_price,
+          volume: row.candle_acc_trade_volume,
+          quoteVolume: row.candle_acc_trade_price
+        });
+      })
+      .sort((a, b) => a.openTime - b.openTime);
+  }
+
+  // ===== WebSocket =====
+
+  getStreamType({ channel, interval }) {
+    return channel === 'candle' ? this.streamIntervals[interval] : channel;
+  }
+
+  // 구독 메시지 하나에 전체 목록: [{ ticket }, { type, codes }, ..., { format }]
+  buildSubscribeMessages() {
+    const codesByType = new Map();
+    this.subscriptions.forEach(subscription => {
+      const type = this.getStreamType(subscription);
+      const codes = codesByType.get(type) || [];
+      codes.push(this.toMarket(subscription.symbol));
+      codesByType.set(type, codes);
+    });
+
+    return [[
+      { ticket: `gaindeuk-${Date.now()}` },
+      ...Array.from(codesByType.entries()).map(([type, codes]) => ({ type, codes, is_only_realtime: true })),
+      { format: 'DEFAULT' }
+    ]];
+  }
+
+  // 해제는 남은 구독으로 다시 구독 (업비트는 해제 메시지가 없음)
+  buildUnsubscribeMessages() {
+    return this.subscriptions.size > 0 ? this.buildSubscribeMessages() : [];
+  }
+
+  getHeartbeatMessage() {
+    return 'PING';
+  }
+
+  onConnected() {
+    this.lastTradeIds.clear();
+  }
+
+  handlePayload(payload) {
+    if (!payload.type) return; // PING 응답 ({ status: 'UP' })
+
+    const symbol = this.fromMarket(payload.code);
+
+    if (payload.type === 'ticker') {
+      this.publish('ticker', this.normalizeTicker(payload, symbol));
+    } else if (payload.type === 'trade') {
+      if (this.lastTradeIds.get(symbol) === payload.sequential_id) return;
+      this.lastTradeIds.set(symbol, payload.sequential_id);
+
+      this.publish('trade', this.normalizeTrade(payload, symbol));
+    } else if (payload.type === 'orderbook') {
+      this.publish('orderbook', this.normalizeOrderBook(payload, symbol));
+    } else if (payload.type.startsWith('candle.')) {
+      const interval = Object.keys(this.streamIntervals).find(key => this.streamIntervals[key] === payload.type);
+      const [candle] = this.normalizeCandles([payload], symbol, interval);
+      this.publish('candle', candle);
+    }
+  }
+}
+
+module.exports = UpbitAdapter;
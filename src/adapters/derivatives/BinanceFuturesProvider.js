@@ -0,0 +1,54 @@
+const axios = require('axios');
+const { DerivativesProvider, createDerivativesSnapshot } = require('./DerivativesProvider');
+
+/**
+ * 바이낸스 USDT 무기한 선물
+ * 펀딩비/마크 가격(premiumIndex), 미결제약정(openInterest), 전체 계정 롱/숏 비율을 조합한다.
+ */
+class BinanceFuturesProvider extends DerivativesProvider {
+  constructor(options = {}) {
+    super('binance', options);
+    this.restUrl = options.restUrl || 'https://fapi.binance.com';
+    this.timeout = options.timeout || 10000;
+    this.ratioPeriod = options.ratioPeriod || '5m';
+  }
+
+  async request(path, params = {}) {
+    const response = await axios.get(`${this.restUrl}${path}`, { params, timeout: this.timeout });
+    return response.data;
+  }
+
+  async getSnapshot(symbol) {
+    const market = `${symbol.toUpperCase()}USDT`;
+
+    let premium;
+    try {
+      premium = await this.request('/fapi/v1/premiumIndex', { symbol: market });
+    } catch (error) {
+      // 선물 마켓이 없는 심볼
+      if (error.response && error.response.status === 400) return null;
+      throw error;
+    }
+
+    const [openInterest, ratios] = await Promise.all([
+      this.request('/fapi/v1/openInterest', { symbol: market }),
+      this.request('/futures/data/globalLongShortAccountRatio', { symbol: market, period: this.ratioPeriod, limit: 1 })
+    ]);
+    const ratio = (ratios || [])[0] || {};
+
+    return createDerivativesSnapshot({
+      source: this.name,
+      symbol,
+      fundingRate: premium.lastFundingRate,
+      nextFundingTime: premium.nextFundingTime,
+      markPrice: premium.markPrice,
+      openInterest: openInterest.openInterest,
+      longShortRatio: ratio.longShortRatio,
+      longAccount: ratio.longAccount,
+      shortAccount: ratio.shortAccount,
+      timestamp: premium.time || Date.now()
+    });
+  }
+}
+
+module.exports = BinanceFuturesProvider;
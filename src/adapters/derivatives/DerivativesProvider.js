@@ -0,0 +1,51 @@
+const { toNumber, toDate } = require('../ticks');
+
+/**
+ * 파생상품(무기한 선물) 데이터 공급자 기본 클래스
+ * 공급자는 심볼별 펀딩비, 미결제약정, 롱/숏 비율을 아래 스냅샷 형태로 반환한다.
+ */
+class DerivativesProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * 심볼별 파생상품 스냅샷
+   * @param {string} symbol - 기준 자산 심볼 (BTC)
+   * @returns {Promise<Object|null>} createDerivativesSnapshot 결과 (상장 안 된 심볼은 null)
+   */
+  async getSnapshot(symbol) {
+    throw new Error(`${this.name} derivatives provider does not implement getSnapshot`);
+  }
+}
+
+/**
+ * 정규화된 파생상품 스냅샷
+ * @param {Object} fields - { source, symbol, fundingRate, nextFundingTime, markPrice, openInterest, openInterestValue, longShortRatio, longAccount, shortAccount, timestamp }
+ * @returns {Object} 스냅샷 (펀딩비는 8시간 기준 비율, 0.0001 = 0.01%)
+ */
+function createDerivativesSnapshot(fields) {
+  const markPrice = toNumber(fields.markPrice);
+  const openInterest = toNumber(fields.openInterest);
+  const openInterestValue = toNumber(fields.openInterestValue);
+
+  return {
+    source: fields.source,
+    symbol: fields.symbol.toUpperCase(),
+    fundingRate: toNumber(fields.fundingRate),
+    nextFundingTime: fields.nextFundingTime ? toDate(fields.nextFundingTime) : null,
+    markPrice,
+    openInterest, // 기준 자산 수량
+    openInterestValue: openInterestValue !== null ? openInterestValue : (openInterest !== null && markPrice ? openInterest * markPrice : null), // USD
+    longShortRatio: toNumber(fields.longShortRatio), // 롱 계정 / 숏 계정
+    longAccount: toNumber(fields.longAccount),
+    shortAccount: toNumber(fields.shortAccount),
+    timestamp: toDate(fields.timestamp)
+  };
+}
+
+module.exports = {
+  DerivativesProvider,
+  createDerivativesSnapshot
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { DerivativesProvider, createDerivativesSnapshot } = require('./DerivativesProvider');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'derivatives.json');
+
+/**
+ * 로컬 고정 데이터 공급자 (개발/테스트용)
+ * JSON 파일의 심볼별 값을 현재 시각 스냅샷으로 반환한다.
+ */
+class FixtureDerivativesProvider extends DerivativesProvider {
+  constructor(options = {}) {
+    super('fixture', options);
+    this.fixturePath = options.fixturePath || process.env.DERIVATIVES_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    this.fixtures = options.fixtures || null;
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+
+    return this.fixtures;
+  }
+
+  async getSnapshot(symbol) {
+    const fixture = this.loadFixtures()[symbol.toUpperCase()];
+    if (!fixture) return null;
+
+    return createDerivativesSnapshot({
+      ...fixture,
+      source: this.name,
+      symbol,
+      timestamp: fixture.timestamp || Date.now()
+    });
+  }
+}
+
+module.exports = FixtureDerivativesProvider;
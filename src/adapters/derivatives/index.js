@@ -0,0 +1,32 @@
+const { DerivativesProvider, createDerivativesSnapshot } = require('./DerivativesProvider');
+const BinanceFuturesProvider = require('./BinanceFuturesProvider');
+const FixtureDerivativesProvider = require('./FixtureDerivativesProvider');
+
+const PROVIDERS = {
+  binance: BinanceFuturesProvider,
+  fixture: FixtureDerivativesProvider
+};
+
+/**
+ * 이름으로 파생상품 데이터 공급자 생성
+ * @param {string} name - binance | fixture
+ * @param {Object} options - 공급자 옵션
+ * @returns {DerivativesProvider} 공급자 인스턴스
+ */
+function createDerivativesProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown derivatives provider: ${name}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  DerivativesProvider,
+  BinanceFuturesProvider,
+  FixtureDerivativesProvider,
+  createDerivativesProvider,
+  createDerivativesSnapshot,
+  DERIVATIVES_PROVIDERS: Object.keys(PROVIDERS)
+};
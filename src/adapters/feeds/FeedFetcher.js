@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { decodeFeedBody, parseFeed } = require('./feedParser');
+
+/**
+ * 뉴스 피드 수집기
+ * ETag/Last-Modified 조건부 요청으로 바뀐 피드만 다시 받아 파싱하고, 피드별 상태(성공/실패 이력)를 기록한다.
+ * 연속으로 실패한 피드는 지수 백오프 동안 요청하지 않는다.
+ */
+class FeedFetcher {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 15000;
+    this.minInterval = options.minInterval !== undefined ? options.minInterval : 60 * 1000; // 이 간격 안에는 마지막 결과 재사용
+    this.failureThreshold = options.failureThreshold || 3; // 이만큼 연속 실패하면 백오프 시작
+    this.baseBackoff = options.baseBackoff || 5 * 60 * 1000;
+    this.maxBackoff = options.maxBackoff || 60 * 60 * 1000;
+    this.maxContentLength = 5 * 1024 * 1024;
+
+    this.states = new Map(); // 피드 URL → { etag, lastModified, items, fetchedAt, health }
+    this.inflight = new Map(); // 피드 URL → 진행 중인 요청 (동시 요청 합치기)
+  }
+
+  async request(url, headers = {}) {
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': 'GainDeuk-NewsBot/1.0', Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8', ...headers },
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      maxContentLength: this.maxContentLength,
+      validateStatus: status => status === 200 || status === 304
+    });
+
+    return { status: response.status, headers: response.headers, data: Buffer.from(response.data || []) };
+  }
+
+  /**
+   * 피드 수집
+   * @param {Object} feed - { name, url, fetchIntervalMinutes (없으면 minInterval) }
+   * @returns {Object} { status: ok | not-modified | cached | skipped | error, items, error }
+   */
+  async fetch(feed) {
+    if (this.inflight.has(feed.url)) {
+      return this.inflight.get(feed.url);
+    }
+
+    const promise = this.fetchOnce(feed).finally(() => this.inflight.delete(feed.url));
+    this.inflight.set(feed.url, promise);
+    return promise;
+  }
+
+  async fetchOnce(feed) {
+    const state = this.getState(feed.url);
+    const { health } = state;
+    const now = Date.now();
+
+    if (health.nextRetryAt && now < health.nextRetryAt.getTime()) {
+      return { status: 'skipped', items: [], error: health.lastError };
+    }
+    const minInterval = feed.fetchIntervalMinutes ? feed.fetchIntervalMinutes * 60 * 1000 : this.minInterval;
+    if (state.fetchedAt && now - state.fetchedAt < minInterval) {
+      return { status: 'cached', items: state.items };
+    }
+
+    const headers = {};
+    if (state.etag) headers['If-None-Match'] = state.etag;
+    if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+
+    try {
+      const response = await this.request(feed.url, headers);
+      health.latencyMs = Date.now() - now;
+      health.lastStatusCode = response.status;
+
+      if (response.status === 304) {
+        state.fetchedAt = now;
+        this.recordSuccess(health, state.items.length);
+        return { status: 'not-modified', items: state.items };
+      }
+
+      const contentType = response.headers['content-type'] || '';
+      const parsed = parseFeed(decodeFeedBody(response.data, contentType), contentType);
+      if (parsed.items.length === 0) {
+        throw new Error('Feed has no items');
+      }
+
+      state.etag = response.headers.etag || null;
+      state.lastModified = response.headers['last-modified'] || null;
+      state.items = parsed.items;
+      state.fetchedAt = now;
+      health.format = parsed.format;
+      this.recordSuccess(health, parsed.items.length);
+
+      return { status: 'ok', items: parsed.items };
+    } catch (error) {
+      this.recordFailure(health, error);
+      return { status: 'error', items: [], error: health.lastError };
+    }
+  }
+
+  getState(url) {
+    if (!this.states.has(url)) {
+      this.states.set(url, {
+        etag: null,
+        lastModified: null,
+        items: [],
+        fetchedAt: null,
+        health: {
+          fetches: 0,
+          failures: 0,
+          consecutiveFailures: 0,
+          lastSuccessAt: null,
+          lastErrorAt: null,
+          lastError: null,
+          lastStatusCode: null,
+          lastItemCount: null,
+          latencyMs: null,
+          format: null,
+          nextRetryAt: null
+        }
+      });
+    }
+    return this.states.get(url);
+  }
+
+  recordSuccess(health, itemCount) {
+    health.fetches++;
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = new Date();
+    health.lastItemCount = itemCount;
+    health.nextRetryAt = null;
+  }
+
+  recordFailure(health, error) {
+    health.fetches++;
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastErrorAt = new Date();
+    health.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+    if (error.response) health.lastStatusCode = error.response.status;
+
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      const backoff = Math.min(this.baseBackoff * 2 ** (health.consecutiveFailures - this.failureThreshold), this.maxBackoff);
+      health.nextRetryAt = new Date(Date.now() + backoff);
+    }
+  }
+
+  /**
+   * 피드 상태
+   * @param {string} url - 피드 URL
+   * @returns {Object} { status: unknown | healthy | degraded | down, ...health }
+   */
+  getHealth(url) {
+    const { health } = this.getState(url);
+
+    let status = 'healthy';
+    if (health.fetches === 0) status = 'unknown';
+    else if (health.consecutiveFailures >= this.failureThreshold) status = 'down';
+    else if (health.consecutiveFailures > 0) status = 'degraded';
+
+    return { status, ...health };
+  }
+}
+
+module.exports = FeedFetcher;
@@ -0,0 +1,150 @@
+const cheerio = require('cheerio');
+
+/**
+ * 뉴스 피드 파서
+ * RSS 2.0(RSS 1.0/RDF 포함), Atom, JSON Feed를 같은 기사 형태로 정규화한다.
+ * 국내 피드는 아직 EUC-KR(CP949)로 내려오는 경우가 있어 본문은 바이트 그대로 받아 여기서 디코딩한다.
+ */
+
+/**
+ * 정규화된 피드 기사
+ * @param {Object} fields - { guid, title, description, link, pubDate, author, categories }
+ * @returns {Object} 기사 (pubDate는 Date 또는 null)
+ */
+function createFeedItem(fields) {
+  const pubDate = fields.pubDate ? new Date(fields.pubDate) : null;
+
+  return {
+    guid: fields.guid || fields.link || null,
+    title: toText(fields.title),
+    description: toText(fields.description),
+    link: fields.link ? fields.link.trim() : null,
+    pubDate: pubDate && !isNaN(pubDate.getTime()) ? pubDate : null,
+    author: fields.author ? toText(fields.author) : null,
+    categories: (fields.categories || []).map(toText).filter(Boolean)
+  };
+}
+
+// HTML 태그 제거 + 엔티티 해제 + 공백 정리
+function toText(value) {
+  if (!value) return '';
+  const text = /[<&]/.test(value) ? cheerio.load(value).text() : value;
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 응답 바이트 디코딩
+ * 우선순위: BOM → Content-Type charset → XML 선언 encoding → UTF-8
+ * @param {Buffer} buffer - 응답 본문
+ * @param {string} contentType - Content-Type 헤더
+ * @returns {string} 디코딩된 본문
+ */
+function decodeFeedBody(buffer, contentType = '') {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(buffer.subarray(3));
+  }
+
+  const headerCharset = (/charset=["']?([\w-]+)/i.exec(contentType) || [])[1];
+  const declaredCharset = (/<\?xml[^>]*encoding=["']([\w-]+)["']/i.exec(buffer.subarray(0, 200).toString('latin1')) || [])[1];
+  const charset = headerCharset || declaredCharset || 'utf-8';
+
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch (error) {
+    // 모르는 인코딩 이름이면 UTF-8로 시도
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * 피드 본문 파싱 (형식 자동 판별)
+ * @param {string} body - 디코딩된 본문
+ * @param {string} contentType - Content-Type 헤더
+ * @returns {Object} { format: rss | atom | json, title, items }
+ */
+function parseFeed(body, contentType = '') {
+  const trimmed = body.trim();
+
+  if (/json/i.test(contentType) || trimmed.startsWith('{')) {
+    return parseJsonFeed(JSON.parse(trimmed));
+  }
+
+  const $ = cheerio.load(trimmed, { xmlMode: true });
+
+  if ($('feed').length > 0 && $('feed > entry').length + $('feed > title').length > 0) {
+    return parseAtom($);
+  }
+  if ($('rss, rdf\\:RDF, RDF').length > 0) {
+    return parseRss($);
+  }
+
+  throw new Error('Unrecognized feed format');
+}
+
+function parseRss($) {
+  const items = $('item').map((i, element) => {
+    const item = $(element);
+    const field = name => item.children(name).first().text();
+
+    return createFeedItem({
+      guid: field('guid') || item.attr('rdf:about'),
+      title: field('title'),
+      description: field('description') || field('content\\:encoded'),
+      link: field('link'),
+      pubDate: field('pubDate') || field('dc\\:date'),
+      author: field('author') || field('dc\\:creator'),
+      categories: item.children('category').map((j, category) => $(category).text()).get()
+    });
+  }).get();
+
+  return { format: 'rss', title: toText($('channel > title').first().text()), items };
+}
+
+function parseAtom($) {
+  const items = $('feed > entry').map((i, element) => {
+    const entry = $(element);
+    const field = name => entry.children(name).first().text();
+    const alternate = entry.children('link[rel="alternate"]').first();
+    const link = (alternate.length > 0 ? alternate : entry.children('link').first()).attr('href');
+
+    return createFeedItem({
+      guid: field('id'),
+      title: field('title'),
+      description: field('summary') || field('content'),
+      link,
+      pubDate: field('published') || field('updated'),
+      author: entry.children('author').first().children('name').text(),
+      categories: entry.children('category').map((j, category) => $(category).attr('term')).get()
+    });
+  }).get();
+
+  return { format: 'atom', title: toText($('feed > title').first().text()), items };
+}
+
+function parseJsonFeed(feed) {
+  if (!feed || !Array.isArray(feed.items)) {
+    throw new Error('Unrecognized feed format');
+  }
+
+  const items = feed.items.map(item => {
+    const author = (item.authors && item.authors[0]) || item.author;
+
+    return createFeedItem({
+      guid: item.id,
+      title: item.title,
+      description: item.summary || item.content_text || item.content_html,
+      link: item.url || item.external_url,
+      pubDate: item.date_published || item.date_modified,
+      author: author ? author.name : null,
+      categories: item.tags
+    });
+  });
+
+  return { format: 'json', title: feed.title || '', items };
+}
+
+module.exports = {
+  createFeedItem,
+  decodeFeedBody,
+  parseFeed
+};
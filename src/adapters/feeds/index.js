@@ -0,0 +1,9 @@
+const FeedFetcher = require('./FeedFetcher');
+const { createFeedItem, decodeFeedBody, parseFeed } = require('./feedParser');
+
+module.exports = {
+  FeedFetcher,
+  createFeedItem,
+  decodeFeedBody,
+  parseFeed
+};
@@ -0,0 +1,33 @@
+const axios = require('axios');
+const { FxRateSource, createFxQuote } = require('./FxRateSource');
+
+/**
+ * 두나무(업비트 운영사) 외환 시세 - 하나은행 고시 매매기준율
+ * 평일 은행 영업시간에 1분 단위로 갱신되고 주말/공휴일에는 마지막 고시 환율이 유지된다.
+ */
+class DunamuFxSource extends FxRateSource {
+  constructor(options = {}) {
+    super('dunamu', 'official', options);
+    this.url = options.url || 'https://quotation-api-cdn.dunamu.com/v1/forex/recent';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(params = {}) {
+    const response = await axios.get(this.url, { params, timeout: this.timeout });
+    return response.data;
+  }
+
+  async getRate() {
+    const [row] = await this.request({ codes: 'FRX.KRWUSD' });
+    if (!row) throw new Error('Dunamu forex quote not found');
+
+    return createFxQuote({
+      source: this.name,
+      kind: this.kind,
+      rate: row.basePrice,
+      sourceTimestamp: row.timestamp
+    });
+  }
+}
+
+module.exports = DunamuFxSource;
@@ -0,0 +1,19 @@
+const { FxRateSource, createFxQuote } = require('./FxRateSource');
+
+/**
+ * 설정값 환율 (FX_FIXED_USD_KRW) - 외부 소스가 모두 실패할 때의 마지막 대체
+ */
+class FixedFxSource extends FxRateSource {
+  constructor(options = {}) {
+    super('fixed', 'fixed', { maxAge: Infinity, ...options });
+    this.rate = options.rate || parseFloat(process.env.FX_FIXED_USD_KRW) || null;
+  }
+
+  async getRate() {
+    if (!this.rate) throw new Error('FX_FIXED_USD_KRW is not configured');
+
+    return createFxQuote({ source: this.name, kind: this.kind, rate: this.rate });
+  }
+}
+
+module.exports = FixedFxSource;
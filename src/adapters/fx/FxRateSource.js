@@ -0,0 +1,53 @@
+const { toNumber, toDate } = require('../ticks');
+
+/**
+ * 원/달러 환율 소스 기본 클래스
+ * 소스는 1 USD(또는 USDT)당 원화 환율을 아래 시세 형태로 반환한다.
+ * kind: official(은행/외환 시장 환율) | implied(거래소 USDT/KRW 가격에서 유추) | fixed(설정값)
+ */
+class FxRateSource {
+  constructor(name, kind, options = {}) {
+    this.name = name;
+    this.kind = kind;
+    this.options = options;
+    this.maxAge = options.maxAge || 60 * 60 * 1000; // 이보다 오래된 시세는 오래된(stale) 것으로 본다
+  }
+
+  /**
+   * 현재 USD/KRW 시세
+   * @returns {Promise<Object>} createFxQuote 결과
+   */
+  async getRate() {
+    throw new Error(`${this.name} FX source does not implement getRate`);
+  }
+
+  isStale(quote, now = Date.now()) {
+    return now - new Date(quote.sourceTimestamp).getTime() > this.maxAge;
+  }
+}
+
+/**
+ * 정규화된 환율 시세
+ * @param {Object} fields - { source, kind, rate, sourceTimestamp }
+ * @returns {Object} 시세 (rate: 1 USD당 원화)
+ */
+function createFxQuote(fields) {
+  const rate = toNumber(fields.rate);
+  if (!rate || rate <= 0) {
+    throw new Error(`Invalid USD/KRW rate from ${fields.source}: ${fields.rate}`);
+  }
+
+  return {
+    pair: 'USDKRW',
+    source: fields.source,
+    kind: fields.kind,
+    rate,
+    sourceTimestamp: toDate(fields.sourceTimestamp || Date.now()),
+    timestamp: new Date()
+  };
+}
+
+module.exports = {
+  FxRateSource,
+  createFxQuote
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { FxRateSource, createFxQuote } = require('./FxRateSource');
+
+/**
+ * ExchangeRate-API 공개 엔드포인트 (open.er-api.com)
+ * 하루 한 번 갱신되므로 허용 나이를 26시간으로 둔다.
+ */
+class OpenErApiFxSource extends FxRateSource {
+  constructor(options = {}) {
+    super('open-er-api', 'official', { maxAge: 26 * 60 * 60 * 1000, ...options });
+    this.url = options.url || 'https://open.er-api.com/v6/latest/USD';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request() {
+    const response = await axios.get(this.url, { timeout: this.timeout });
+    return response.data;
+  }
+
+  async getRate() {
+    const data = await this.request();
+    if (data.result !== 'success' || !data.rates) {
+      throw new Error(`open.er-api error: ${data['error-type'] || data.result}`);
+    }
+
+    return createFxQuote({
+      source: this.name,
+      kind: this.kind,
+      rate: data.rates.KRW,
+      sourceTimestamp: data.time_last_update_unix * 1000
+    });
+  }
+}
+
+module.exports = OpenErApiFxSource;
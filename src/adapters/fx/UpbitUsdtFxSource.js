@@ -0,0 +1,27 @@
+const { FxRateSource, createFxQuote } = require('./FxRateSource');
+const UpbitAdapter = require('../UpbitAdapter');
+
+/**
+ * 업비트 USDT/KRW 가격에서 유추한 환율
+ * 국내 거래소의 실제 원화 ↔ 달러 환전 비용이라 차익거래 계산에 쓰고,
+ * USDT 자체에도 김치프리미엄이 붙으므로 김치프리미엄 계산에는 공식 환율이 없을 때만 쓴다.
+ */
+class UpbitUsdtFxSource extends FxRateSource {
+  constructor(options = {}) {
+    super('upbit-usdt', 'implied', { maxAge: 5 * 60 * 1000, ...options });
+    this.adapter = options.adapter || new UpbitAdapter();
+  }
+
+  async getRate() {
+    const ticker = await this.adapter.getTicker('USDT');
+
+    return createFxQuote({
+      source: this.name,
+      kind: this.kind,
+      rate: ticker.price,
+      sourceTimestamp: ticker.timestamp
+    });
+  }
+}
+
+module.exports = UpbitUsdtFxSource;
@@ -0,0 +1,38 @@
+const { FxRateSource, createFxQuote } = require('./FxRateSource');
+const DunamuFxSource = require('./DunamuFxSource');
+const OpenErApiFxSource = require('./OpenErApiFxSource');
+const UpbitUsdtFxSource = require('./UpbitUsdtFxSource');
+const FixedFxSource = require('./FixedFxSource');
+
+const SOURCES = {
+  dunamu: DunamuFxSource,
+  'open-er-api': OpenErApiFxSource,
+  'upbit-usdt': UpbitUsdtFxSource,
+  fixed: FixedFxSource
+};
+
+/**
+ * 이름으로 환율 소스 생성
+ * @param {string} name - dunamu | open-er-api | upbit-usdt | fixed
+ * @param {Object} options - 소스 옵션
+ * @returns {FxRateSource} 소스 인스턴스
+ */
+function createFxSource(name, options = {}) {
+  const Source = SOURCES[name];
+  if (!Source) {
+    throw new Error(`Unknown FX source: ${name}`);
+  }
+
+  return new Source(options);
+}
+
+module.exports = {
+  FxRateSource,
+  DunamuFxSource,
+  OpenErApiFxSource,
+  UpbitUsdtFxSource,
+  FixedFxSource,
+  createFxSource,
+  createFxQuote,
+  FX_SOURCES: Object.keys(SOURCES)
+};
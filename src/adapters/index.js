@@ -0,0 +1,40 @@
+const MarketDataAdapter = require('./MarketDataAdapter');
+const BinanceAdapter = require('./BinanceAdapter');
+const UpbitAdapter = require('./UpbitAdapter');
+const BithumbAdapter = require('./BithumbAdapter');
+const LocalOrderBook = require('./LocalOrderBook');
+const ticks = require('./ticks');
+const liquidity = require('./liquidity');
+
+const ADAPTERS = {
+  binance: BinanceAdapter,
+  upbit: UpbitAdapter,
+  bithumb: BithumbAdapter
+};
+
+/**
+ * 거래소 이름으로 어댑터 생성
+ * @param {string} exchange - binance | upbit | bithumb
+ * @param {Object} options - 어댑터 옵션
+ * @returns {MarketDataAdapter} 어댑터 인스턴스
+ */
+function createAdapter(exchange, options = {}) {
+  const Adapter = ADAPTERS[exchange];
+  if (!Adapter) {
+    throw new Error(`Unknown market data exchange: ${exchange}`);
+  }
+
+  return new Adapter(options);
+}
+
+module.exports = {
+  MarketDataAdapter,
+  BinanceAdapter,
+  UpbitAdapter,
+  BithumbAdapter,
+  LocalOrderBook,
+  createAdapter,
+  EXCHANGES: Object.keys(ADAPTERS),
+  ...ticks,
+  ...liquidity
+};
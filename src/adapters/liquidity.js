@@ -0,0 +1,165 @@
+/**
+ * 호가창 유동성 지표
+ * 정규화된 호가(createOrderBook)에서 스프레드, 중간가 ±1%/±2% 호가 깊이, 호가 불균형,
+ * 주문 금액별 예상 슬리피지를 계산한다. 금액은 모두 호가 통화(quote) 기준.
+ */
+
+// 호가 통화별 슬리피지 추정 주문 금액 (두 번째 값이 등급 기준)
+const DEFAULT_NOTIONALS = {
+  USDT: [1000, 10000, 100000],
+  USD: [1000, 10000, 100000],
+  KRW: [1000000, 10000000, 100000000]
+};
+
+// 등급 기준: 스프레드(%)와 기준 금액 슬리피지(%)가 모두 이하일 때
+const GRADE_LIMITS = [
+  { grade: 'A+', spread: 0.05, slippage: 0.1 },
+  { grade: 'A', spread: 0.1, slippage: 0.25 },
+  { grade: 'B', spread: 0.25, slippage: 0.5 },
+  { grade: 'C', spread: 0.5, slippage: 1.0 }
+];
+
+const round = (value, digits = 6) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * 중간가에서 pct% 이내 호가 금액 합
+ * @param {Array} levels - [{ price, quantity }]
+ * @param {number} limit - 경계 가격
+ * @param {string} side - bid | ask
+ * @returns {number} 호가 금액 합
+ */
+function depthWithin(levels, limit, side) {
+  return levels
+    .filter(level => (side === 'bid' ? level.price >= limit : level.price <= limit))
+    .reduce((sum, level) => sum + level.price * level.quantity, 0);
+}
+
+/**
+ * 시장가 주문 예상 슬리피지 (중간가 대비 평균 체결가 차이, %)
+ * @param {Array} levels - 매수는 asks, 매도는 bids (가까운 호가부터)
+ * @param {number} notional - 주문 금액
+ * @param {number} midPrice - 중간가
+ * @returns {number|null} 슬리피지 (호가가 부족해 다 못 채우면 null)
+ */
+function estimateSlippage(levels, notional, midPrice) {
+  let remaining = notional;
+  let quantity = 0;
+
+  for (const level of levels) {
+    const amount = Math.min(remaining, level.price * level.quantity);
+    quantity += amount / level.price;
+    remaining -= amount;
+    if (remaining <= 0) break;
+  }
+
+  if (remaining > 0 || quantity === 0) return null;
+
+  return Math.abs(notional / quantity - midPrice) / midPrice * 100;
+}
+
+/**
+ * 시장가 주문 체결 시뮬레이션
+ * 금액(notional) 기준 매수 또는 수량(quantity) 기준 매도를 호가를 따라 채운다.
+ * @param {Array} levels - 매수는 asks, 매도는 bids (가까운 호가부터)
+ * @param {Object} order - { notional } 또는 { quantity }
+ * @returns {Object} { filled, quantity, notional, averagePrice } (호가가 부족하면 filled=false, 채운 만큼만 반영)
+ */
+function simulateMarketOrder(levels, { notional = null, quantity = null }) {
+  let remaining = notional !== null ? notional : quantity;
+  let filledQuantity = 0;
+  let filledNotional = 0;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+
+    const levelQuantity = notional !== null
+      ? Math.min(remaining / level.price, level.quantity)
+      : Math.min(remaining, level.quantity);
+
+    filledQuantity += levelQuantity;
+    filledNotional += levelQuantity * level.price;
+    remaining -= notional !== null ? levelQuantity * level.price : levelQuantity;
+  }
+
+  // 부동소수점 오차는 체결 완료로 본다
+  const target = notional !== null ? notional : quantity;
+  const filled = target > 0 && remaining <= target * 1e-9;
+
+  return {
+    filled,
+    quantity: filledQuantity,
+    notional: filledNotional,
+    averagePrice: filledQuantity > 0 ? filledNotional / filledQuantity : null
+  };
+}
+
+/**
+ * 유동성 등급 (SignalCalculatorService.getLiquidityGrade와 같은 A+ ~ D)
+ * @param {number} spread - 스프레드 (%)
+ * @param {number|null} slippage - 기준 금액 슬리피지 (%)
+ * @returns {string} 등급
+ */
+function gradeLiquidity(spread, slippage) {
+  if (spread === null || slippage === null) return 'D';
+
+  const limit = GRADE_LIMITS.find(l => spread <= l.spread && slippage <= l.slippage);
+  return limit ? limit.grade : 'D';
+}
+
+/**
+ * 호가창 유동성 지표 계산
+ * @param {Object} orderBook - 정규화된 호가 { quote, bids, asks, bestBid, bestAsk, timestamp }
+ * @param {Object} options - { notionals }
+ * @returns {Object|null} { midPrice, spread, depth1Pct, depth2Pct, imbalance1Pct, imbalance2Pct, slippage, referenceNotional, grade, timestamp }
+ */
+function calculateLiquidityMetrics(orderBook, options = {}) {
+  if (!orderBook || !orderBook.bestBid || !orderBook.bestAsk) return null;
+
+  const { bids, asks, bestBid, bestAsk } = orderBook;
+  const notionals = options.notionals || DEFAULT_NOTIONALS[orderBook.quote] || DEFAULT_NOTIONALS.USDT;
+  const midPrice = (bestBid + bestAsk) / 2;
+  const spread = (bestAsk - bestBid) / midPrice * 100;
+
+  const depth = pct => {
+    const bid = depthWithin(bids, midPrice * (1 - pct / 100), 'bid');
+    const ask = depthWithin(asks, midPrice * (1 + pct / 100), 'ask');
+    return { bid: round(bid, 2), ask: round(ask, 2), imbalance: bid + ask > 0 ? (bid - ask) / (bid + ask) : 0 };
+  };
+  const depth1 = depth(1);
+  const depth2 = depth(2);
+
+  const slippage = notionals.map(notional => ({
+    notional,
+    buy: round(estimateSlippage(asks, notional, midPrice), 4),
+    sell: round(estimateSlippage(bids, notional, midPrice), 4)
+  }));
+
+  // 등급은 기준 금액의 매수/매도 중 나쁜 쪽
+  const reference = slippage[Math.min(1, slippage.length - 1)];
+  const referenceSlippage = reference.buy === null || reference.sell === null ? null : Math.max(reference.buy, reference.sell);
+
+  return {
+    exchange: orderBook.exchange,
+    symbol: orderBook.symbol,
+    quote: orderBook.quote,
+    midPrice,
+    spread: round(spread, 4),
+    depth1Pct: { bid: depth1.bid, ask: depth1.ask },
+    depth2Pct: { bid: depth2.bid, ask: depth2.ask },
+    imbalance1Pct: round(depth1.imbalance, 4), // -1(매도 우위) ~ 1(매수 우위)
+    imbalance2Pct: round(depth2.imbalance, 4),
+    slippage,
+    referenceNotional: reference.notional,
+    referenceSlippage,
+    grade: gradeLiquidity(spread, referenceSlippage),
+    timestamp: orderBook.timestamp
+  };
+}
+
+module.exports = {
+  calculateLiquidityMetrics,
+  estimateSlippage,
+  simulateMarketOrder,
+  gradeLiquidity,
+  DEFAULT_NOTIONALS
+};
@@ -0,0 +1,152 @@
+/**
+ * 거래소 공통 시세 모델
+ * 어댑터는 거래소 응답을 아래 형태로 정규화해서 내보낸다.
+ * 심볼은 기준 자산(BTC), 호가 통화는 quote(USDT, KRW)로 분리하고 시각은 Date로 통일한다.
+ */
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  if (value === null || value === undefined) return new Date();
+  return new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+};
+
+/**
+ * 현재가 (24시간 통계 포함)
+ * @param {Object} fields - { exchange, symbol, quote, price, bid, ask, high24h, low24h, volume24h, quoteVolume24h, changeRate24h, timestamp }
+ * @returns {Object} 정규화된 현재가
+ */
+function createTicker(fields) {
+  const bid = toNumber(fields.bid);
+  const ask = toNumber(fields.ask);
+
+  return {
+    type: 'ticker',
+    exchange: fields.exchange,
+    symbol: fields.symbol.toUpperCase(),
+    quote: fields.quote,
+    price: toNumber(fields.price),
+    bid,
+    ask,
+    spread: bid && ask ? ((ask - bid) / ((ask + bid) / 2)) * 100 : null, // %
+    high24h: toNumber(fields.high24h),
+    low24h: toNumber(fields.low24h),
+    volume24h: toNumber(fields.volume24h),
+    quoteVolume24h: toNumber(fields.quoteVolume24h),
+    changeRate24h: toNumber(fields.changeRate24h), // %
+    timestamp: toDate(fields.timestamp)
+  };
+}
+
+/**
+ * 체결
+ * @param {Object} fields - { exchange, symbol, quote, id, price, quantity, side: 'buy' | 'sell', sequence, timestamp }
+ * @returns {Object} 정규화된 체결
+ */
+function createTrade(fields) {
+  const price = toNumber(fields.price);
+  const quantity = toNumber(fields.quantity);
+
+  return {
+    type: 'trade',
+    exchange: fields.exchange,
+    symbol: fields.symbol.toUpperCase(),
+    quote: fields.quote,
+    id: fields.id !== undefined && fields.id !== null ? String(fields.id) : null,
+    price,
+    quantity,
+    amount: price !== null && quantity !== null ? price * quantity : null,
+    side: fields.side, // 매수 체결(taker 매수) = buy
+    sequence: toNumber(fields.sequence),
+    timestamp: toDate(fields.timestamp)
+  };
+}
+
+/**
+ * 호가창 (가격순 정렬된 상위 호가)
+ * @param {Object} fields - { exchange, symbol, quote, bids: [[price, quantity]], asks, sequence, timestamp }
+ * @returns {Object} 정규화된 호가창
+ */
+function createOrderBook(fields) {
+  const toLevels = (levels) => (levels || [])
+    .map(([price, quantity]) => ({ price: toNumber(price), quantity: toNumber(quantity) }))
+    .filter(level => level.price !== null && level.quantity > 0);
+
+  const bids = toLevels(fields.bids).sort((a, b) => b.price - a.price);
+  const asks = toLevels(fields.asks).sort((a, b) => a.price - b.price);
+  const bestBid = bids.length > 0 ? bids[0].price : null;
+  const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+  return {
+    type: 'orderbook',
+    exchange: fields.exchange,
+    symbol: fields.symbol.toUpperCase(),
+    quote: fields.quote,
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: bestBid && bestAsk ? ((bestAsk - bestBid) / ((bestAsk + bestBid) / 2)) * 100 : null, // %
+    sequence: toNumber(fields.sequence),
+    timestamp: toDate(fields.timestamp)
+  };
+}
+
+/**
+ * 캔들 (Candle 모델과 같은 필드)
+ * @param {Object} fields - { exchange, symbol, quote, interval, openTime, closeTime, open, high, low, close, volume, quoteVolume, closed }
+ * @returns {Object} 정규화된 캔들
+ */
+function createCandle(fields) {
+  const candle = {
+    symbol: fields.symbol.toUpperCase(),
+    exchange: fields.exchange,
+    interval: fields.interval,
+    quote: fields.quote,
+    openTime: toDate(fields.openTime),
+    closeTime: toDate(fields.closeTime),
+    open: toNumber(fields.open),
+    high: toNumber(fields.high),
+    low: toNumber(fields.low),
+    close: toNumber(fields.close),
+    volume: toNumber(fields.volume)
+  };
+
+  if (fields.quoteVolume !== undefined) candle.quoteVolume = toNumber(fields.quoteVolume);
+  if (fields.closed !== undefined) candle.closed = Boolean(fields.closed);
+
+  return candle;
+}
+
+/**
+ * 거래 가능 마켓 (상장 목록 + 경고 지정 상태)
+ * @param {Object} fields - { exchange, symbol, quote, name, englishName, warning, cautions }
+ * @returns {Object} 정규화된 마켓 (warning: 투자유의 지정 여부, cautions: 주의 지정 사유 목록)
+ */
+function createMarket(fields) {
+  return {
+    type: 'market',
+    exchange: fields.exchange,
+    symbol: fields.symbol.toUpperCase(),
+    quote: fields.quote,
+    name: fields.name || null,
+    englishName: fields.englishName || null,
+    warning: Boolean(fields.warning),
+    cautions: (fields.cautions || []).slice().sort()
+  };
+}
+
+module.exports = {
+  createTicker,
+  createTrade,
+  createOrderBook,
+  createCandle,
+  createMarket,
+  toNumber,
+  toDate
+};
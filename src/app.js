@@ -75,6 +75,7 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/coins', require('./routes/coins'));
 app.use('/api/signals', require('./routes/signals'));
+app.use('/api/candles', require('./routes/candles'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/health', require('./routes/health'));
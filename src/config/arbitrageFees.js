@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+/**
+ * 거래소 간 차익거래 비용 테이블
+ * 거래 수수료(테이커, 비율), 출금 수수료(코인 수량), 네트워크 입금 반영 시간(분),
+ * 원화/달러 환전 스프레드를 정의한다.
+ * ARBITRAGE_FEE_TABLE_PATH로 지정한 JSON 파일이 있으면 같은 구조로 덮어쓴다.
+ */
+
+const defaultFeeTable = {
+  // 테이커 수수료 (0.001 = 0.1%)
+  trading: {
+    binance: 0.001,
+    upbit: 0.0005,
+    bithumb: 0.0004
+  },
+
+  // 출금 수수료 (코인 수량, 출금하는 거래소 기준)
+  withdrawal: {
+    binance: { BTC: 0.0002, ETH: 0.0012, XRP: 0.2, SOL: 0.008, DOGE: 4, ADA: 0.8, TRX: 1 },
+    upbit: { BTC: 0.0005, ETH: 0.004, XRP: 1, SOL: 0.01, DOGE: 20, ADA: 1, TRX: 1 },
+    bithumb: { BTC: 0.0005, ETH: 0.003, XRP: 1, SOL: 0.01, DOGE: 20, ADA: 1, TRX: 3 }
+  },
+
+  // 입금 반영까지 걸리는 시간 (분, 필요 컨펌 수 기준)
+  transferMinutes: {
+    BTC: 40,
+    ETH: 10,
+    XRP: 2,
+    SOL: 2,
+    DOGE: 20,
+    ADA: 10,
+    TRX: 3,
+    default: 30
+  },
+
+  // 전송 중 가격 변동 위험 버퍼 (시간당 비율, 0이면 미반영)
+  transferRiskPerHour: 0.001,
+
+  // 원화 ↔ 달러(USDT) 환전 스프레드 (한 번 환전할 때)
+  fxSpread: 0.003
+};
+
+/**
+ * 두 객체를 재귀적으로 병합 (배열/원시값은 덮어씀)
+ * @param {Object} base - 기본값
+ * @param {Object} override - 덮어쓸 값
+ * @returns {Object} 병합 결과
+ */
+function mergeDeep(base, override) {
+  const result = { ...base };
+
+  Object.entries(override || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeDeep(base[key], value)
+      : value;
+  });
+
+  return result;
+}
+
+/**
+ * 비용 테이블 로드 (기본값 + 설정 파일)
+ * @param {string} filePath - JSON 파일 경로 (기본 ARBITRAGE_FEE_TABLE_PATH)
+ * @returns {Object} 비용 테이블
+ */
+function loadFeeTable(filePath = process.env.ARBITRAGE_FEE_TABLE_PATH) {
+  if (!filePath) return defaultFeeTable;
+
+  return mergeDeep(defaultFeeTable, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = {
+  defaultFeeTable,
+  loadFeeTable,
+  mergeDeep
+};
@@ -0,0 +1,58 @@
+/**
+ * 기본 점수 요소(factor) 인터페이스
+ * 모든 점수 요소가 구현해야 하는 기본 메서드들을 정의
+ */
+class BaseFactor {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.description = options.description || name;
+    this.defaultWeight = options.defaultWeight !== undefined ? options.defaultWeight : 0;
+    this.neutralScore = 50;
+  }
+
+  /**
+   * 점수 계산
+   * @param {Object} coinContext - 코인 컨텍스트 (coinId, symbol, priceData, marketCondition, weights 등)
+   * @returns {Promise<Object>|Object} { score, weight, evidence }
+   */
+  compute(coinContext) {
+    throw new Error('compute method must be implemented');
+  }
+
+  /**
+   * 가중치 결정 (시장 상황별 가중치에 정의되어 있으면 우선 사용)
+   * @param {Object} coinContext - 코인 컨텍스트
+   * @returns {number} 가중치
+   */
+  getWeight(coinContext) {
+    const weights = coinContext.weights || {};
+    return weights[this.name] !== undefined ? weights[this.name] : this.defaultWeight;
+  }
+
+  /**
+   * 계산 결과 생성 (점수는 0-100 범위로 제한)
+   * @param {number} score - 점수
+   * @param {Object} coinContext - 코인 컨텍스트
+   * @param {Object} evidence - 점수 근거 데이터
+   * @returns {Object} { score, weight, evidence }
+   */
+  buildResult(score, coinContext, evidence = {}) {
+    const numericScore = Number.isFinite(score) ? score : this.neutralScore;
+
+    return {
+      score: Math.max(0, Math.min(100, numericScore)),
+      weight: this.getWeight(coinContext),
+      evidence
+    };
+  }
+
+  /**
+   * 요소 설명 반환
+   * @returns {string} 요소 설명
+   */
+  getDescription() {
+    return `${this.name} - ${this.description}`;
+  }
+}
+
+module.exports = BaseFactor;
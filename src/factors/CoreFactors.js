@@ -0,0 +1,145 @@
+const BaseFactor = require('./BaseFactor');
+
+/**
+ * 기본 점수 요소
+ * 기존 SignalCalculatorService의 점수 계산 메서드를 요소 인터페이스로 감싼다.
+ */
+
+// 가격 모멘텀
+class PriceFactor extends BaseFactor {
+  constructor(calculator) {
+    super('price', { description: '가격 모멘텀', defaultWeight: 0.40 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const { priceData } = coinContext;
+    return this.buildResult(this.calculator.calculatePriceScore(priceData), coinContext, {
+      change_1h: priceData.price_change_percentage_1h || 0,
+      change_24h: priceData.price_change_percentage_24h || 0,
+      change_7d: priceData.price_change_percentage_7d || 0,
+      change_30d: priceData.price_change_percentage_30d || 0
+    });
+  }
+}
+
+// 거래량
+class VolumeFactor extends BaseFactor {
+  constructor(calculator) {
+    super('volume', { description: '거래량', defaultWeight: 0.30 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const { priceData } = coinContext;
+    return this.buildResult(this.calculator.calculateVolumeScore(priceData), coinContext, {
+      volumeRatio: this.calculator.calculateVolumeRatio(priceData),
+      totalVolume: priceData.total_volume || 0
+    });
+  }
+}
+
+// 시장 포지션
+class MarketFactor extends BaseFactor {
+  constructor(calculator) {
+    super('market', { description: '시장 포지션', defaultWeight: 0.15 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const { priceData } = coinContext;
+    return this.buildResult(this.calculator.calculateMarketScore(priceData), coinContext, {
+      marketCapRank: priceData.market_cap_rank || null,
+      marketCap: priceData.market_cap || null
+    });
+  }
+}
+
+// 감정분석
+class SentimentFactor extends BaseFactor {
+  constructor(calculator) {
+    super('sentiment', { description: '감정분석', defaultWeight: 0.10 });
+    this.calculator = calculator;
+  }
+
+  async compute(coinContext) {
+    const score = await this.calculator.calculateSentimentScore(coinContext.symbol);
+    return this.buildResult(score, coinContext, { source: 'news' });
+  }
+}
+
+// 고래 활동
+class WhaleFactor extends BaseFactor {
+  constructor(calculator) {
+    super('whale', { description: '고래 활동', defaultWeight: 0.05 });
+    this.calculator = calculator;
+  }
+
+  async compute(coinContext) {
+    const score = await this.calculator.calculateWhaleScore(coinContext.symbol);
+    return this.buildResult(score, coinContext, { source: 'whale_transactions' });
+  }
+}
+
+// 변동성
+class VolatilityFactor extends BaseFactor {
+  constructor(calculator) {
+    super('volatility', { description: '변동성', defaultWeight: 0 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const { priceData } = coinContext;
+    return this.buildResult(this.calculator.calculateVolatilityScore(priceData), coinContext, {
+      absChange24h: Math.abs(priceData.price_change_percentage_24h || 0)
+    });
+  }
+}
+
+// 상관관계 보정
+class CorrelationFactor extends BaseFactor {
+  constructor(calculator) {
+    super('correlation', { description: '상관관계 보정', defaultWeight: 0 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const { btcCorrelation, altcoinSeason, marketDominance, fearGreedIndex } = coinContext.correlation || {};
+    const score = this.calculator.calculateCorrelationScore(btcCorrelation, altcoinSeason, marketDominance, fearGreedIndex);
+
+    return this.buildResult(score, coinContext, {
+      btcRelationship: btcCorrelation?.relationship || null,
+      altcoinSeason: altcoinSeason?.isAltcoinSeason || false,
+      marketPhase: marketDominance?.marketPhase || null,
+      fearGreed: fearGreedIndex?.sentiment || null
+    });
+  }
+}
+
+// 거시경제 이벤트 보정
+class MacroFactor extends BaseFactor {
+  constructor(calculator) {
+    super('macro', { description: '거시경제 이벤트 보정', defaultWeight: 0 });
+    this.calculator = calculator;
+  }
+
+  compute(coinContext) {
+    const macroEvents = coinContext.macroEvents || { events: [] };
+
+    return this.buildResult(this.calculator.calculateMacroScore(macroEvents), coinContext, {
+      marketRisk: macroEvents.marketRisk || null,
+      events: (macroEvents.events || []).map(event => event.type)
+    });
+  }
+}
+
+module.exports = {
+  PriceFactor,
+  VolumeFactor,
+  MarketFactor,
+  SentimentFactor,
+  WhaleFactor,
+  VolatilityFactor,
+  CorrelationFactor,
+  MacroFactor
+};
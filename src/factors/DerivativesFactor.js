@@ -0,0 +1,35 @@
+const BaseFactor = require('./BaseFactor');
+
+/**
+ * 파생상품 요소
+ * 펀딩비, 미결제약정, 롱/숏 비율로 포지션 쏠림과 스퀴즈 위험을 반영한다.
+ * 선물 마켓이 없거나 최근 스냅샷이 없으면 가중치 0으로 점수에 영향을 주지 않는다.
+ */
+class DerivativesFactor extends BaseFactor {
+  constructor(calculator) {
+    super('derivatives', { description: '파생상품 (펀딩비/미결제약정/롱숏 비율)', defaultWeight: 0.05 });
+    this.calculator = calculator;
+  }
+
+  async compute(coinContext) {
+    const { symbol, priceData = {} } = coinContext;
+    const summary = await this.calculator.derivativesService.getSummary(symbol, {
+      priceChange24h: priceData.price_change_percentage_24h || 0
+    });
+
+    if (!summary) {
+      return { ...this.buildResult(this.neutralScore, coinContext, { available: false }), weight: 0 };
+    }
+
+    return this.buildResult(summary.analysis.score, coinContext, {
+      available: true,
+      source: summary.source,
+      fundingRate: summary.fundingRate,
+      openInterestChange24h: summary.openInterestChange24h,
+      longShortRatio: summary.longShortRatio,
+      squeezeRisk: summary.analysis.squeezeRisk
+    });
+  }
+}
+
+module.exports = DerivativesFactor;
@@ -0,0 +1,83 @@
+const logger = require('../utils/logger');
+const BaseFactor = require('./BaseFactor');
+
+/**
+ * 점수 요소 레지스트리
+ * 신호 계산에 사용할 점수 요소를 등록/해제하고 일괄 계산
+ */
+class FactorRegistry {
+  constructor() {
+    this.factors = new Map();
+  }
+
+  /**
+   * 점수 요소 등록 (같은 이름이면 교체)
+   * @param {BaseFactor} factor - 점수 요소
+   * @returns {FactorRegistry} 체이닝용
+   */
+  register(factor) {
+    if (!(factor instanceof BaseFactor)) {
+      throw new Error('Factor must extend BaseFactor');
+    }
+
+    if (!factor.name) {
+      throw new Error('Factor name is required');
+    }
+
+    this.factors.set(factor.name, factor);
+    return this;
+  }
+
+  /**
+   * 점수 요소 해제
+   * @param {string} name - 요소 이름
+   * @returns {boolean} 해제 여부
+   */
+  unregister(name) {
+    return this.factors.delete(name);
+  }
+
+  /**
+   * 점수 요소 조회
+   * @param {string} name - 요소 이름
+   * @returns {BaseFactor|null} 점수 요소
+   */
+  get(name) {
+    return this.factors.get(name) || null;
+  }
+
+  has(name) {
+    return this.factors.has(name);
+  }
+
+  /**
+   * 등록된 요소 이름 목록
+   * @returns {Array<string>} 요소 이름 목록
+   */
+  getNames() {
+    return Array.from(this.factors.keys());
+  }
+
+  /**
+   * 모든 요소 계산 (실패한 요소는 중립 점수로 대체)
+   * @param {Object} coinContext - 코인 컨텍스트
+   * @returns {Promise<Object>} 요소 이름별 { score, weight, evidence }
+   */
+  async computeAll(coinContext) {
+    const entries = await Promise.all(
+      Array.from(this.factors.values()).map(async factor => {
+        try {
+          const result = await factor.compute(coinContext);
+          return [factor.name, result];
+        } catch (error) {
+          logger.warning(`Factor ${factor.name} failed for ${coinContext.symbol}:`, error.message);
+          return [factor.name, factor.buildResult(factor.neutralScore, coinContext, { error: error.message })];
+        }
+      })
+    );
+
+    return Object.fromEntries(entries);
+  }
+}
+
+module.exports = FactorRegistry;
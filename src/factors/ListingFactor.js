@@ -0,0 +1,29 @@
+const BaseFactor = require('./BaseFactor');
+
+/**
+ * 국내 거래소 상장/상폐 요소
+ * 업비트/빗썸의 원화 마켓 신규 상장, 거래지원 종료, 투자유의/주의 지정 이벤트를 반영한다.
+ * 최근 이벤트가 없으면 가중치 0으로 점수에 영향을 주지 않는다.
+ */
+class ListingFactor extends BaseFactor {
+  constructor(calculator) {
+    super('listing', { description: '국내 거래소 상장/상폐/경고 지정', defaultWeight: 0.05 });
+    this.calculator = calculator;
+  }
+
+  async compute(coinContext) {
+    const signal = await this.calculator.marketEventService.getSignal(coinContext.symbol);
+
+    if (!signal) {
+      return { ...this.buildResult(this.neutralScore, coinContext, { available: false }), weight: 0 };
+    }
+
+    return this.buildResult(signal.score, coinContext, {
+      available: true,
+      signals: signal.signals,
+      events: signal.events.map(event => ({ exchange: event.exchange, type: event.type, reason: event.reason, detectedAt: event.detectedAt }))
+    });
+  }
+}
+
+module.exports = ListingFactor;
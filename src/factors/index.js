@@ -0,0 +1,40 @@
+const BaseFactor = require('./BaseFactor');
+const FactorRegistry = require('./FactorRegistry');
+const {
+  PriceFactor,
+  VolumeFactor,
+  MarketFactor,
+  SentimentFactor,
+  WhaleFactor,
+  VolatilityFactor,
+  CorrelationFactor,
+  MacroFactor
+} = require('./CoreFactors');
+const DerivativesFactor = require('./DerivativesFactor');
+const ListingFactor = require('./ListingFactor');
+
+/**
+ * 기본 점수 요소가 등록된 레지스트리 생성
+ * 새 요소는 BaseFactor를 상속한 파일을 추가하고 여기에 등록한다.
+ * @param {SignalCalculatorService} calculator - 신호 계산 서비스
+ * @returns {FactorRegistry} 레지스트리
+ */
+function createDefaultRegistry(calculator) {
+  return new FactorRegistry()
+    .register(new PriceFactor(calculator))
+    .register(new VolumeFactor(calculator))
+    .register(new MarketFactor(calculator))
+    .register(new SentimentFactor(calculator))
+    .register(new WhaleFactor(calculator))
+    .register(new VolatilityFactor(calculator))
+    .register(new CorrelationFactor(calculator))
+    .register(new MacroFactor(calculator))
+    .register(new DerivativesFactor(calculator))
+    .register(new ListingFactor(calculator));
+}
+
+module.exports = {
+  BaseFactor,
+  FactorRegistry,
+  createDefaultRegistry
+};
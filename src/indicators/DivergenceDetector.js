@@ -0,0 +1,110 @@
+const { toBar } = require('./StreamingIndicators');
+const { findPivots } = require('./pivots');
+
+/**
+ * 가격-지표 다이버전스 탐지
+ * 최근 두 스윙 고점/저점에서 가격과 지표(RSI/MACD/OBV)의 방향이 엇갈리는지 확인한다.
+ * - 일반 강세: 가격 저점 하락 + 지표 저점 상승 (하락 추세 약화)
+ * - 히든 강세: 가격 저점 상승 + 지표 저점 하락 (상승 추세 지속)
+ * - 일반 약세: 가격 고점 상승 + 지표 고점 하락 (상승 추세 약화)
+ * - 히든 약세: 가격 고점 하락 + 지표 고점 상승 (하락 추세 지속)
+ * 각 결과는 { indicator, type, kind, strength(0-1), age(마지막 피벗 이후 봉 수), from, to } 형태.
+ */
+class DivergenceDetector {
+  constructor(options = {}) {
+    this.pivotWindow = options.pivotWindow || 3; // 스윙 고점/저점 판정 좌우 봉 수
+    this.lookback = options.lookback || 60; // 피벗 탐색 구간
+    this.maxAge = options.maxAge || 20; // 마지막 피벗이 이보다 오래되면 무시
+    this.minPivotDistance = options.minPivotDistance || 5; // 두 피벗 사이 최소 봉 수
+    this.fullPriceMove = options.fullPriceMove || 0.05; // 가격 5% 차이를 최대 강도로 간주
+    this.fullRsiMove = options.fullRsiMove || 20; // RSI 20포인트 차이를 최대 강도로 간주
+  }
+
+  /**
+   * 지표별 다이버전스 탐지
+   * @param {Array} data - 봉 배열 (오래된 순)
+   * @param {Object} series - { RSI: [], MACD: [], OBV: [] } 봉과 같은 길이의 지표 시계열 (워밍업 구간은 null)
+   * @returns {Array} 다이버전스 목록 (강도 높은 순)
+   */
+  detect(data, series = {}) {
+    const offset = Math.max(0, data.length - this.lookback);
+    const bars = data.slice(offset).map(toBar);
+    if (bars.length < this.pivotWindow * 2 + this.minPivotDistance) return [];
+
+    const { highs, lows } = findPivots(bars, this.pivotWindow);
+    const divergences = [];
+
+    Object.entries(series).forEach(([indicator, values]) => {
+      if (!Array.isArray(values) || values.length !== data.length) return;
+
+      const window = values.slice(offset);
+      const bullish = this.compare(indicator, lows, window, 'low', bars.length);
+      const bearish = this.compare(indicator, highs, window, 'high', bars.length);
+
+      if (bullish) divergences.push(bullish);
+      if (bearish) divergences.push(bearish);
+    });
+
+    return divergences.sort((a, b) => b.strength - a.strength);
+  }
+
+  /**
+   * 최근 두 피벗의 가격/지표 비교
+   * @param {string} indicator - 지표 이름
+   * @param {Array} pivots - 고점 또는 저점 피벗 목록
+   * @param {Array} values - 지표 시계열 (탐색 구간)
+   * @param {string} side - 'high' | 'low'
+   * @param {number} length - 탐색 구간 봉 수
+   * @returns {Object|null} 다이버전스
+   */
+  compare(indicator, pivots, values, side, length) {
+    const usable = pivots.filter(p => Number.isFinite(values[p.index]));
+    if (usable.length < 2) return null;
+
+    const [from, to] = usable.slice(-2);
+    const age = length - 1 - to.index;
+    if (age > this.maxAge || to.index - from.index < this.minPivotDistance) return null;
+
+    const fromValue = values[from.index];
+    const toValue = values[to.index];
+    const priceUp = to.price > from.price;
+    const indicatorUp = toValue > fromValue;
+    if (to.price === from.price || toValue === fromValue || priceUp === indicatorUp) return null;
+
+    // 저점: 가격 하락이면 일반, 상승이면 히든 / 고점: 가격 상승이면 일반, 하락이면 히든
+    const kind = (side === 'low') !== priceUp ? 'REGULAR' : 'HIDDEN';
+    const type = side === 'low' ? 'BULLISH' : 'BEARISH';
+
+    return {
+      indicator,
+      type,
+      kind,
+      strength: this.calculateStrength(indicator, from, to, fromValue, toValue, values),
+      age,
+      from: { index: from.index, price: from.price, value: fromValue },
+      to: { index: to.index, price: to.price, value: toValue }
+    };
+  }
+
+  /**
+   * 다이버전스 강도 (가격 차이와 지표 차이를 절반씩 반영)
+   * RSI는 절대 포인트, MACD/OBV는 탐색 구간의 지표 범위 대비 차이로 정규화
+   */
+  calculateStrength(indicator, from, to, fromValue, toValue, values) {
+    const priceMove = Math.min(1, Math.abs(to.price - from.price) / from.price / this.fullPriceMove);
+
+    let indicatorMove;
+    if (indicator === 'RSI') {
+      indicatorMove = Math.abs(toValue - fromValue) / this.fullRsiMove;
+    } else {
+      const finite = values.filter(Number.isFinite);
+      const range = Math.max(...finite) - Math.min(...finite);
+      indicatorMove = range > 0 ? Math.abs(toValue - fromValue) / range : 0;
+    }
+
+    const strength = 0.5 * priceMove + 0.5 * Math.min(1, indicatorMove);
+    return Math.round(strength * 100) / 100;
+  }
+}
+
+module.exports = DivergenceDetector;
@@ -0,0 +1,331 @@
+const { toBar } = require('./StreamingIndicators');
+const { findPivots } = require('./pivots');
+
+/**
+ * 캔들 패턴 / 차트 패턴 인식
+ * 봉 배열(오래된 순)을 받아 마지막 봉 기준으로 완성된 패턴을 반환한다.
+ * 각 패턴은 { name, type: 'BULLISH' | 'BEARISH' | 'NEUTRAL', strength(0-1), ... } 형태.
+ */
+class PatternDetector {
+  constructor(options = {}) {
+    this.dojiBodyRatio = options.dojiBodyRatio || 0.1; // 몸통/전체 범위 10% 이하면 도지
+    this.shadowBodyRatio = options.shadowBodyRatio || 2; // 망치형 꼬리 ≥ 몸통 2배
+    this.trendLookback = options.trendLookback || 5; // 반전 패턴 직전 추세 확인 봉 수
+    this.pivotWindow = options.pivotWindow || 3; // 스윙 고점/저점 판정 좌우 봉 수
+    this.chartLookback = options.chartLookback || 60; // 차트 패턴 탐색 구간
+    this.levelTolerance = options.levelTolerance || 0.02; // 이중 천장/바닥 고점 차이 허용 2%
+    this.flatSlope = options.flatSlope || 0.001; // 봉당 0.1% 미만 기울기는 수평
+  }
+
+  /**
+   * 전체 패턴 탐지
+   * @param {Array} data - 봉 배열 (오래된 순)
+   * @param {Object} options - { supportResistance: { support, resistance } }
+   * @returns {Object} { candlestick: [], chart: [] }
+   */
+  detect(data, options = {}) {
+    const bars = data.map(toBar);
+
+    return {
+      candlestick: this.detectCandlestickPatterns(bars),
+      chart: this.detectChartPatterns(bars, options)
+    };
+  }
+
+  /**
+   * 캔들 패턴 탐지 (마지막 봉 기준)
+   * @param {Array} bars - 정규화된 봉 배열
+   * @returns {Array} 패턴 목록
+   */
+  detectCandlestickPatterns(bars) {
+    if (bars.length < 3) return [];
+
+    const patterns = [];
+    const current = bars[bars.length - 1];
+    const previous = bars[bars.length - 2];
+    const first = bars[bars.length - 3];
+    const priorTrend = this.getPriorTrend(bars.slice(0, -1));
+
+    if (this.isDoji(current)) {
+      patterns.push({ name: 'DOJI', type: 'NEUTRAL', strength: 0.4 });
+    }
+
+    if (this.isHammerShape(current) && priorTrend === 'down') {
+      patterns.push({ name: 'HAMMER', type: 'BULLISH', strength: 0.6 });
+    }
+
+    if (this.isShootingStarShape(current) && priorTrend === 'up') {
+      patterns.push({ name: 'SHOOTING_STAR', type: 'BEARISH', strength: 0.6 });
+    }
+
+    if (this.isBearish(previous) && this.isBullish(current) &&
+        current.open <= previous.close && current.close >= previous.open &&
+        this.body(current) > this.body(previous)) {
+      patterns.push({ name: 'BULLISH_ENGULFING', type: 'BULLISH', strength: 0.7 });
+    }
+
+    if (this.isBullish(previous) && this.isBearish(current) &&
+        current.open >= previous.close && current.close <= previous.open &&
+        this.body(current) > this.body(previous)) {
+      patterns.push({ name: 'BEARISH_ENGULFING', type: 'BEARISH', strength: 0.7 });
+    }
+
+    // 샛별형 / 석별형 (장대봉 → 작은 몸통 → 반대 방향 장대봉이 첫 봉 중간 이상 회복)
+    const firstMid = (first.open + first.close) / 2;
+    const isSmallMiddle = this.body(previous) <= this.body(first) * 0.3;
+
+    if (this.isBearish(first) && this.isLongBody(first) && isSmallMiddle &&
+        this.isBullish(current) && current.close > firstMid) {
+      patterns.push({ name: 'MORNING_STAR', type: 'BULLISH', strength: 0.8 });
+    }
+
+    if (this.isBullish(first) && this.isLongBody(first) && isSmallMiddle &&
+        this.isBearish(current) && current.close < firstMid) {
+      patterns.push({ name: 'EVENING_STAR', type: 'BEARISH', strength: 0.8 });
+    }
+
+    return patterns;
+  }
+
+  /**
+   * 차트 패턴 탐지
+   * @param {Array} bars - 정규화된 봉 배열
+   * @param {Object} options - { supportResistance }
+   * @returns {Array} 패턴 목록
+   */
+  detectChartPatterns(bars, options = {}) {
+    const window = bars.slice(-this.chartLookback);
+    if (window.length < this.pivotWindow * 2 + 3) return [];
+
+    const close = window[window.length - 1].close;
+    const { highs, lows } = this.findPivots(window);
+    const patterns = [];
+
+    const doubleTop = this.detectDoubleTop(highs, lows, close);
+    if (doubleTop) patterns.push(doubleTop);
+
+    const doubleBottom = this.detectDoubleBottom(highs, lows, close);
+    if (doubleBottom) patterns.push(doubleBottom);
+
+    const headAndShoulders = this.detectHeadAndShoulders(highs, lows, close);
+    if (headAndShoulders) patterns.push(headAndShoulders);
+
+    const inverseHeadAndShoulders = this.detectInverseHeadAndShoulders(highs, lows, close);
+    if (inverseHeadAndShoulders) patterns.push(inverseHeadAndShoulders);
+
+    const triangle = this.detectTriangle(highs, lows, close);
+    if (triangle) patterns.push(triangle);
+
+    if (options.supportResistance) {
+      const breakout = this.detectBreakout(window, options.supportResistance);
+      if (breakout) patterns.push(breakout);
+    }
+
+    return patterns;
+  }
+
+  /**
+   * 이중 천장 (비슷한 두 고점 + 사이 저점 = 넥라인)
+   */
+  detectDoubleTop(highs, lows, close) {
+    if (highs.length < 2) return null;
+
+    const [left, right] = highs.slice(-2);
+    const trough = lows.filter(l => l.index > left.index && l.index < right.index);
+    if (trough.length === 0 || !this.isSimilarLevel(left.price, right.price)) return null;
+
+    const neckline = Math.min(...trough.map(t => t.price));
+    if ((Math.min(left.price, right.price) - neckline) / neckline < 0.03) return null;
+
+    const confirmed = close < neckline;
+    return { name: 'DOUBLE_TOP', type: 'BEARISH', strength: confirmed ? 0.8 : 0.5, neckline, confirmed };
+  }
+
+  /**
+   * 이중 바닥
+   */
+  detectDoubleBottom(highs, lows, close) {
+    if (lows.length < 2) return null;
+
+    const [left, right] = lows.slice(-2);
+    const peak = highs.filter(h => h.index > left.index && h.index < right.index);
+    if (peak.length === 0 || !this.isSimilarLevel(left.price, right.price)) return null;
+
+    const neckline = Math.max(...peak.map(p => p.price));
+    if ((neckline - Math.max(left.price, right.price)) / neckline < 0.03) return null;
+
+    const confirmed = close > neckline;
+    return { name: 'DOUBLE_BOTTOM', type: 'BULLISH', strength: confirmed ? 0.8 : 0.5, neckline, confirmed };
+  }
+
+  /**
+   * 헤드앤숄더 (가운데 고점이 가장 높고 양 어깨가 비슷)
+   */
+  detectHeadAndShoulders(highs, lows, close) {
+    if (highs.length < 3) return null;
+
+    const [leftShoulder, head, rightShoulder] = highs.slice(-3);
+    if (head.price <= Math.max(leftShoulder.price, rightShoulder.price) * 1.02) return null;
+    if (!this.isSimilarLevel(leftShoulder.price, rightShoulder.price, this.levelTolerance * 1.5)) return null;
+
+    const troughs = lows.filter(l => l.index > leftShoulder.index && l.index < rightShoulder.index);
+    if (troughs.length === 0) return null;
+
+    const neckline = troughs.reduce((sum, t) => sum + t.price, 0) / troughs.length;
+    const confirmed = close < neckline;
+    return { name: 'HEAD_AND_SHOULDERS', type: 'BEARISH', strength: confirmed ? 0.85 : 0.55, neckline, confirmed };
+  }
+
+  /**
+   * 역헤드앤숄더
+   */
+  detectInverseHeadAndShoulders(highs, lows, close) {
+    if (lows.length < 3) return null;
+
+    const [leftShoulder, head, rightShoulder] = lows.slice(-3);
+    if (head.price >= Math.min(leftShoulder.price, rightShoulder.price) * 0.98) return null;
+    if (!this.isSimilarLevel(leftShoulder.price, rightShoulder.price, this.levelTolerance * 1.5)) return null;
+
+    const peaks = highs.filter(h => h.index > leftShoulder.index && h.index < rightShoulder.index);
+    if (peaks.length === 0) return null;
+
+    const neckline = peaks.reduce((sum, p) => sum + p.price, 0) / peaks.length;
+    const confirmed = close > neckline;
+    return { name: 'INVERSE_HEAD_AND_SHOULDERS', type: 'BULLISH', strength: confirmed ? 0.85 : 0.55, neckline, confirmed };
+  }
+
+  /**
+   * 삼각수렴 (고점/저점 추세선 기울기로 판정)
+   */
+  detectTriangle(highs, lows, close) {
+    if (highs.length < 2 || lows.length < 2) return null;
+
+    const recentHighs = highs.slice(-3);
+    const recentLows = lows.slice(-3);
+    const highSlope = this.relativeSlope(recentHighs);
+    const lowSlope = this.relativeSlope(recentLows);
+    const highFlat = Math.abs(highSlope) < this.flatSlope;
+    const lowFlat = Math.abs(lowSlope) < this.flatSlope;
+
+    const upper = recentHighs[recentHighs.length - 1].price;
+    const lower = recentLows[recentLows.length - 1].price;
+
+    if (highFlat && lowSlope > this.flatSlope) {
+      return { name: 'ASCENDING_TRIANGLE', type: 'BULLISH', strength: close > upper ? 0.75 : 0.55, upper, lower, confirmed: close > upper };
+    }
+    if (lowFlat && highSlope < -this.flatSlope) {
+      return { name: 'DESCENDING_TRIANGLE', type: 'BEARISH', strength: close < lower ? 0.75 : 0.55, upper, lower, confirmed: close < lower };
+    }
+    if (highSlope < -this.flatSlope && lowSlope > this.flatSlope) {
+      let type = 'NEUTRAL';
+      if (close > upper) type = 'BULLISH';
+      else if (close < lower) type = 'BEARISH';
+      return { name: 'SYMMETRICAL_TRIANGLE', type, strength: type === 'NEUTRAL' ? 0.4 : 0.7, upper, lower, confirmed: type !== 'NEUTRAL' };
+    }
+
+    return null;
+  }
+
+  /**
+   * 지지/저항 돌파 (레벨은 마지막 봉 이전 구간 기준으로 넘겨야 함)
+   */
+  detectBreakout(bars, supportResistance) {
+    const { support, resistance } = supportResistance;
+    const current = bars[bars.length - 1];
+    const previous = bars[bars.length - 2];
+
+    const recentVolumes = bars.slice(-11, -1).map(b => b.volume);
+    const avgVolume = recentVolumes.reduce((sum, v) => sum + v, 0) / (recentVolumes.length || 1);
+    const volumeConfirmed = avgVolume > 0 && current.volume > avgVolume * 1.5;
+
+    if (resistance && current.close > resistance && previous.close <= resistance) {
+      return { name: 'RESISTANCE_BREAKOUT', type: 'BULLISH', strength: volumeConfirmed ? 0.8 : 0.6, level: resistance, volumeConfirmed };
+    }
+    if (support && current.close < support && previous.close >= support) {
+      return { name: 'SUPPORT_BREAKDOWN', type: 'BEARISH', strength: volumeConfirmed ? 0.8 : 0.6, level: support, volumeConfirmed };
+    }
+
+    return null;
+  }
+
+  /**
+   * 스윙 고점/저점 찾기
+   * @param {Array} bars - 봉 배열
+   * @returns {Object} { highs: [{ index, price }], lows: [{ index, price }] }
+   */
+  findPivots(bars) {
+    return findPivots(bars, this.pivotWindow);
+  }
+
+  // 직전 추세 (종가 기준)
+  getPriorTrend(bars) {
+    const recent = bars.slice(-this.trendLookback);
+    if (recent.length < 2) return 'neutral';
+
+    const change = (recent[recent.length - 1].close - recent[0].close) / recent[0].close;
+    if (change > 0.01) return 'up';
+    if (change < -0.01) return 'down';
+    return 'neutral';
+  }
+
+  // 봉당 상대 기울기 (pivot 가격의 선형 회귀 / 평균 가격)
+  relativeSlope(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.index, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.price, 0) / n;
+    const numerator = points.reduce((sum, p) => sum + (p.index - meanX) * (p.price - meanY), 0);
+    const denominator = points.reduce((sum, p) => sum + Math.pow(p.index - meanX, 2), 0);
+
+    return denominator === 0 || meanY === 0 ? 0 : (numerator / denominator) / meanY;
+  }
+
+  isSimilarLevel(a, b, tolerance = this.levelTolerance) {
+    return Math.abs(a - b) / Math.max(a, b) <= tolerance;
+  }
+
+  body(bar) {
+    return Math.abs(bar.close - bar.open);
+  }
+
+  range(bar) {
+    return bar.high - bar.low;
+  }
+
+  isBullish(bar) {
+    return bar.close > bar.open;
+  }
+
+  isBearish(bar) {
+    return bar.close < bar.open;
+  }
+
+  isDoji(bar) {
+    const range = this.range(bar);
+    return range > 0 && this.body(bar) <= range * this.dojiBodyRatio;
+  }
+
+  isLongBody(bar) {
+    const range = this.range(bar);
+    return range > 0 && this.body(bar) >= range * 0.6;
+  }
+
+  // 아래꼬리가 긴 작은 몸통 (망치형)
+  isHammerShape(bar) {
+    const body = this.body(bar);
+    const lowerShadow = Math.min(bar.open, bar.close) - bar.low;
+    const upperShadow = bar.high - Math.max(bar.open, bar.close);
+
+    return body > 0 && lowerShadow >= body * this.shadowBodyRatio && upperShadow <= body;
+  }
+
+  // 위꼬리가 긴 작은 몸통 (유성형)
+  isShootingStarShape(bar) {
+    const body = this.body(bar);
+    const lowerShadow = Math.min(bar.open, bar.close) - bar.low;
+    const upperShadow = bar.high - Math.max(bar.open, bar.close);
+
+    return body > 0 && upperShadow >= body * this.shadowBodyRatio && lowerShadow <= body;
+  }
+}
+
+module.exports = PatternDetector;
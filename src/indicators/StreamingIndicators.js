@@ -0,0 +1,499 @@
+/**
+ * 스트리밍 기술적 지표
+ * 봉을 하나씩 update()로 넣으면 그 시점의 지표 값을 돌려준다.
+ * 초기 구간(워밍업)에는 null을 반환한다.
+ */
+
+/**
+ * 입력을 OHLCV 봉 형태로 정규화
+ * 숫자 또는 { price } / { open, high, low, close, volume } 객체를 받는다.
+ * @param {number|Object} input - 가격 또는 봉
+ * @returns {Object} { open, high, low, close, volume, timestamp }
+ */
+function toBar(input) {
+  if (typeof input === 'number') {
+    return { open: input, high: input, low: input, close: input, volume: 0, timestamp: null };
+  }
+
+  const close = input.close ?? input.price;
+  return {
+    open: input.open ?? close,
+    high: input.high ?? close,
+    low: input.low ?? close,
+    close,
+    volume: input.volume || 0,
+    timestamp: input.timestamp ?? input.openTime ?? null
+  };
+}
+
+/**
+ * 입력에서 종가 추출
+ * @param {number|Object} input - 가격 또는 봉
+ * @returns {number} 종가
+ */
+function toClose(input) {
+  return typeof input === 'number' ? input : (input.close ?? input.price);
+}
+
+/**
+ * 고정 길이 윈도우
+ */
+class RollingWindow {
+  constructor(size) {
+    this.size = size;
+    this.values = [];
+  }
+
+  push(value) {
+    this.values.push(value);
+    if (this.values.length > this.size) {
+      this.values.shift();
+    }
+  }
+
+  get isFull() {
+    return this.values.length === this.size;
+  }
+
+  max() {
+    return Math.max(...this.values);
+  }
+
+  min() {
+    return Math.min(...this.values);
+  }
+}
+
+/**
+ * 단순 이동평균
+ */
+class SMA {
+  constructor(period) {
+    this.period = period;
+    this.window = [];
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(input) {
+    const value = toClose(input);
+    this.window.push(value);
+    this.sum += value;
+
+    if (this.window.length > this.period) {
+      this.sum -= this.window.shift();
+    }
+
+    this.value = this.window.length === this.period ? this.sum / this.period : null;
+    return this.value;
+  }
+}
+
+/**
+ * 지수 이동평균 (첫 period개의 SMA로 시작)
+ */
+class EMA {
+  constructor(period) {
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+    this.seed = new SMA(period);
+    this.value = null;
+  }
+
+  update(input) {
+    const value = toClose(input);
+
+    if (this.value === null) {
+      this.value = this.seed.update(value);
+      return this.value;
+    }
+
+    this.value = (value - this.value) * this.multiplier + this.value;
+    return this.value;
+  }
+}
+
+/**
+ * 와일더 이동평균 (RSI, ATR, ADX 평활화)
+ */
+class WilderMA {
+  constructor(period) {
+    this.period = period;
+    this.seed = new SMA(period);
+    this.value = null;
+  }
+
+  update(value) {
+    if (this.value === null) {
+      this.value = this.seed.update(value);
+      return this.value;
+    }
+
+    this.value = (this.value * (this.period - 1) + value) / this.period;
+    return this.value;
+  }
+}
+
+/**
+ * RSI (와일더 평활화)
+ */
+class RSI {
+  constructor(period = 14) {
+    this.period = period;
+    this.avgGain = new WilderMA(period);
+    this.avgLoss = new WilderMA(period);
+    this.prevClose = null;
+    this.value = null;
+  }
+
+  update(input) {
+    const close = toClose(input);
+
+    if (this.prevClose === null) {
+      this.prevClose = close;
+      return null;
+    }
+
+    const change = close - this.prevClose;
+    this.prevClose = close;
+
+    const avgGain = this.avgGain.update(Math.max(change, 0));
+    const avgLoss = this.avgLoss.update(Math.max(-change, 0));
+
+    if (avgGain === null || avgLoss === null) {
+      return null;
+    }
+
+    if (avgLoss === 0) {
+      this.value = avgGain === 0 ? 50 : 100;
+    } else {
+      this.value = 100 - (100 / (1 + avgGain / avgLoss));
+    }
+    return this.value;
+  }
+}
+
+/**
+ * MACD
+ */
+class MACD {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.fast = new EMA(fastPeriod);
+    this.slow = new EMA(slowPeriod);
+    this.signal = new EMA(signalPeriod);
+    this.value = null;
+  }
+
+  update(input) {
+    const fast = this.fast.update(input);
+    const slow = this.slow.update(input);
+
+    if (fast === null || slow === null) {
+      return null;
+    }
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+
+    this.value = {
+      macd,
+      signal,
+      histogram: signal === null ? null : macd - signal
+    };
+    return this.value;
+  }
+}
+
+/**
+ * 볼린저 밴드 (모표준편차)
+ */
+class BollingerBands {
+  constructor(period = 20, stdDev = 2) {
+    this.period = period;
+    this.stdDev = stdDev;
+    this.window = new RollingWindow(period);
+    this.value = null;
+  }
+
+  update(input) {
+    this.window.push(toClose(input));
+
+    if (!this.window.isFull) {
+      return null;
+    }
+
+    const values = this.window.values;
+    const middle = values.reduce((sum, v) => sum + v, 0) / this.period;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - middle, 2), 0) / this.period;
+    const deviation = Math.sqrt(variance) * this.stdDev;
+
+    this.value = {
+      upper: middle + deviation,
+      middle,
+      lower: middle - deviation,
+      bandwidth: middle === 0 ? 0 : (2 * deviation) / middle
+    };
+    return this.value;
+  }
+}
+
+/**
+ * ATR (Average True Range)
+ */
+class ATR {
+  constructor(period = 14) {
+    this.period = period;
+    this.average = new WilderMA(period);
+    this.prevClose = null;
+    this.value = null;
+  }
+
+  update(input) {
+    const bar = toBar(input);
+    const trueRange = this.prevClose === null
+      ? bar.high - bar.low
+      : Math.max(bar.high - bar.low, Math.abs(bar.high - this.prevClose), Math.abs(bar.low - this.prevClose));
+
+    this.prevClose = bar.close;
+    this.value = this.average.update(trueRange);
+    return this.value;
+  }
+}
+
+/**
+ * ADX / DMI
+ */
+class ADX {
+  constructor(period = 14) {
+    this.period = period;
+    this.trueRange = new WilderMA(period);
+    this.plusDM = new WilderMA(period);
+    this.minusDM = new WilderMA(period);
+    this.adx = new WilderMA(period);
+    this.prevBar = null;
+    this.value = null;
+  }
+
+  update(input) {
+    const bar = toBar(input);
+
+    if (this.prevBar === null) {
+      this.prevBar = bar;
+      return null;
+    }
+
+    const upMove = bar.high - this.prevBar.high;
+    const downMove = this.prevBar.low - bar.low;
+    const trueRange = Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - this.prevBar.close),
+      Math.abs(bar.low - this.prevBar.close)
+    );
+    this.prevBar = bar;
+
+    const smoothedTR = this.trueRange.update(trueRange);
+    const smoothedPlus = this.plusDM.update(upMove > downMove && upMove > 0 ? upMove : 0);
+    const smoothedMinus = this.minusDM.update(downMove > upMove && downMove > 0 ? downMove : 0);
+
+    if (smoothedTR === null) {
+      return null;
+    }
+
+    const plusDI = smoothedTR === 0 ? 0 : (smoothedPlus / smoothedTR) * 100;
+    const minusDI = smoothedTR === 0 ? 0 : (smoothedMinus / smoothedTR) * 100;
+    const diSum = plusDI + minusDI;
+    const dx = diSum === 0 ? 0 : (Math.abs(plusDI - minusDI) / diSum) * 100;
+
+    this.value = {
+      adx: this.adx.update(dx),
+      plusDI,
+      minusDI
+    };
+    return this.value;
+  }
+}
+
+/**
+ * 스토캐스틱 RSI
+ */
+class StochasticRSI {
+  constructor(rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+    this.rsi = new RSI(rsiPeriod);
+    this.window = new RollingWindow(stochPeriod);
+    this.k = new SMA(kPeriod);
+    this.d = new SMA(dPeriod);
+    this.value = null;
+  }
+
+  update(input) {
+    const rsi = this.rsi.update(input);
+    if (rsi === null) {
+      return null;
+    }
+
+    this.window.push(rsi);
+    if (!this.window.isFull) {
+      return null;
+    }
+
+    const highest = this.window.max();
+    const lowest = this.window.min();
+    const stochRsi = highest === lowest ? 50 : ((rsi - lowest) / (highest - lowest)) * 100;
+    const k = this.k.update(stochRsi);
+    const d = k === null ? null : this.d.update(k);
+
+    this.value = { stochRsi, k, d };
+    return this.value;
+  }
+}
+
+/**
+ * OBV (On-Balance Volume)
+ */
+class OBV {
+  constructor() {
+    this.prevClose = null;
+    this.value = 0;
+  }
+
+  update(input) {
+    const bar = toBar(input);
+
+    if (this.prevClose !== null) {
+      if (bar.close > this.prevClose) this.value += bar.volume;
+      else if (bar.close < this.prevClose) this.value -= bar.volume;
+    }
+
+    this.prevClose = bar.close;
+    return this.value;
+  }
+}
+
+/**
+ * VWAP (sessionMs를 주면 세션 경계마다 초기화)
+ */
+class VWAP {
+  constructor({ sessionMs = null } = {}) {
+    this.sessionMs = sessionMs;
+    this.session = null;
+    this.cumulativePV = 0;
+    this.cumulativeVolume = 0;
+    this.value = null;
+  }
+
+  update(input) {
+    const bar = toBar(input);
+
+    if (this.sessionMs && bar.timestamp !== null) {
+      const session = Math.floor(new Date(bar.timestamp).getTime() / this.sessionMs);
+      if (session !== this.session) {
+        this.session = session;
+        this.cumulativePV = 0;
+        this.cumulativeVolume = 0;
+      }
+    }
+
+    const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+    this.cumulativePV += typicalPrice * bar.volume;
+    this.cumulativeVolume += bar.volume;
+
+    this.value = this.cumulativeVolume === 0 ? null : this.cumulativePV / this.cumulativeVolume;
+    return this.value;
+  }
+}
+
+/**
+ * 일목균형표
+ * 선행스팬은 계산 시점 기준 값(senkouA/B)과 현재 봉에 해당하는 구름(displacement봉 전에 계산된 값)을 함께 반환
+ */
+class Ichimoku {
+  constructor(conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    this.conversion = new RollingWindow(conversionPeriod);
+    this.base = new RollingWindow(basePeriod);
+    this.spanB = new RollingWindow(spanBPeriod);
+    this.displacement = displacement;
+    this.projected = [];
+    this.value = null;
+  }
+
+  midpoint(window) {
+    return (Math.max(...window.values.map(b => b.high)) + Math.min(...window.values.map(b => b.low))) / 2;
+  }
+
+  update(input) {
+    const bar = toBar(input);
+    this.conversion.push(bar);
+    this.base.push(bar);
+    this.spanB.push(bar);
+
+    const tenkan = this.conversion.isFull ? this.midpoint(this.conversion) : null;
+    const kijun = this.base.isFull ? this.midpoint(this.base) : null;
+    const senkouA = tenkan !== null && kijun !== null ? (tenkan + kijun) / 2 : null;
+    const senkouB = this.spanB.isFull ? this.midpoint(this.spanB) : null;
+
+    this.projected.push({ senkouA, senkouB });
+    const cloud = this.projected.length > this.displacement ? this.projected.shift() : null;
+
+    if (tenkan === null) {
+      return null;
+    }
+
+    this.value = {
+      tenkan,
+      kijun,
+      senkouA,
+      senkouB,
+      chikou: bar.close,
+      cloud: cloud && cloud.senkouA !== null && cloud.senkouB !== null
+        ? { top: Math.max(cloud.senkouA, cloud.senkouB), bottom: Math.min(cloud.senkouA, cloud.senkouB) }
+        : null
+    };
+    return this.value;
+  }
+}
+
+/**
+ * 켈트너 채널 (EMA ± ATR 배수)
+ */
+class KeltnerChannels {
+  constructor(emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    this.ema = new EMA(emaPeriod);
+    this.atr = new ATR(atrPeriod);
+    this.multiplier = multiplier;
+    this.value = null;
+  }
+
+  update(input) {
+    const middle = this.ema.update(input);
+    const atr = this.atr.update(input);
+
+    if (middle === null || atr === null) {
+      return null;
+    }
+
+    this.value = {
+      upper: middle + atr * this.multiplier,
+      middle,
+      lower: middle - atr * this.multiplier
+    };
+    return this.value;
+  }
+}
+
+module.exports = {
+  toBar,
+  toClose,
+  SMA,
+  EMA,
+  WilderMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  ADX,
+  StochasticRSI,
+  OBV,
+  VWAP,
+  Ichimoku,
+  KeltnerChannels
+};
@@ -0,0 +1,66 @@
+const StreamingIndicators = require('./StreamingIndicators');
+const PatternDetector = require('./PatternDetector');
+const DivergenceDetector = require('./DivergenceDetector');
+const { findPivots } = require('./pivots');
+const statistics = require('./statistics');
+
+const {
+  SMA,
+  EMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  ADX,
+  StochasticRSI,
+  OBV,
+  VWAP,
+  Ichimoku,
+  KeltnerChannels
+} = StreamingIndicators;
+
+/**
+ * 스트리밍 지표를 전체 시계열에 적용
+ * @param {Object} indicator - update()를 가진 지표 인스턴스
+ * @param {Array} data - 가격 배열 또는 봉 배열 (오래된 순)
+ * @returns {Array} 입력과 같은 길이의 지표 값 배열 (워밍업 구간은 null)
+ */
+function run(indicator, data) {
+  return data.map(item => indicator.update(item));
+}
+
+/**
+ * 시계열의 마지막 값
+ * @param {Array} series - 지표 값 배열
+ * @returns {*} 마지막 값 (없으면 null)
+ */
+function last(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// 배치 계산 (지표 이름 → 시계열)
+const calculate = {
+  sma: (data, period) => run(new SMA(period), data),
+  ema: (data, period) => run(new EMA(period), data),
+  rsi: (data, period = 14) => run(new RSI(period), data),
+  macd: (data, fast = 12, slow = 26, signal = 9) => run(new MACD(fast, slow, signal), data),
+  bollinger: (data, period = 20, stdDev = 2) => run(new BollingerBands(period, stdDev), data),
+  atr: (data, period = 14) => run(new ATR(period), data),
+  adx: (data, period = 14) => run(new ADX(period), data),
+  stochRsi: (data, rsiPeriod = 14, stochPeriod = 14, k = 3, d = 3) => run(new StochasticRSI(rsiPeriod, stochPeriod, k, d), data),
+  obv: (data) => run(new OBV(), data),
+  vwap: (data, options = {}) => run(new VWAP(options), data),
+  ichimoku: (data, conversion = 9, base = 26, spanB = 52, displacement = 26) => run(new Ichimoku(conversion, base, spanB, displacement), data),
+  keltner: (data, emaPeriod = 20, atrPeriod = 10, multiplier = 2) => run(new KeltnerChannels(emaPeriod, atrPeriod, multiplier), data)
+};
+
+module.exports = {
+  ...StreamingIndicators,
+  PatternDetector,
+  DivergenceDetector,
+  findPivots,
+  statistics,
+  run,
+  last,
+  calculate
+};
@@ -0,0 +1,27 @@
+/**
+ * 스윙 고점/저점 찾기
+ * 좌우 window개 봉보다 고가가 높으면 고점, 저가가 낮으면 저점
+ * @param {Array} bars - 정규화된 봉 배열 (high, low)
+ * @param {number} window - 좌우 비교 봉 수
+ * @returns {Object} { highs: [{ index, price }], lows: [{ index, price }] }
+ */
+function findPivots(bars, window = 3) {
+  const highs = [];
+  const lows = [];
+
+  for (let i = window; i < bars.length - window; i++) {
+    const neighbours = bars.slice(i - window, i + window + 1);
+    const { high, low } = bars[i];
+
+    if (neighbours.every((bar, j) => j === window || bar.high < high)) {
+      highs.push({ index: i, price: high });
+    }
+    if (neighbours.every((bar, j) => j === window || bar.low > low)) {
+      lows.push({ index: i, price: low });
+    }
+  }
+
+  return { highs, lows };
+}
+
+module.exports = { findPivots };
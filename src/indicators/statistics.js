@@ -0,0 +1,76 @@
+/**
+ * 시계열 분포 통계 (z-score, 백분위)
+ * 현재 값이 자기 과거 분포에서 얼마나 벗어났는지 측정할 때 사용한다.
+ */
+
+/**
+ * 과거 값 분포 대비 현재 값 위치
+ * @param {Array<number>} values - 과거 값 (현재 값 제외)
+ * @param {number} current - 현재 값
+ * @returns {Object} { samples, mean, std, zScore, percentile, min, max } (값이 2개 미만이면 zScore/percentile은 null)
+ */
+function summarize(values, current) {
+  const samples = values.length;
+  if (samples === 0) {
+    return { samples, mean: null, std: null, zScore: null, percentile: null, min: null, max: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / samples;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / samples;
+  const std = Math.sqrt(variance);
+
+  let below = 0;
+  let equal = 0;
+  values.forEach(value => {
+    if (value < current) below++;
+    else if (value === current) equal++;
+  });
+
+  return {
+    samples,
+    mean,
+    std,
+    zScore: samples >= 2 ? (std > 0 ? (current - mean) / std : 0) : null,
+    percentile: samples >= 2 ? ((below + equal / 2) / samples) * 100 : null,
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * 시간 창 기준 이동 z-score/백분위
+ * 각 시점의 값을 직전 windowMs 동안의 값(자기 자신 제외)과 비교한다.
+ * @param {Array} points - [{ timestamp, value }] (오래된 순)
+ * @param {number} windowMs - 비교 구간 (ms)
+ * @param {number} minSamples - 통계를 내기 위한 최소 표본 수
+ * @returns {Array} [{ timestamp, value, mean, std, zScore, percentile, samples }]
+ */
+function rollingStatistics(points, windowMs, minSamples = 2) {
+  let start = 0;
+
+  return points.map((point, index) => {
+    const time = new Date(point.timestamp).getTime();
+    while (start < index && new Date(points[start].timestamp).getTime() < time - windowMs) {
+      start++;
+    }
+
+    const window = points.slice(start, index).map(p => p.value);
+    const stats = summarize(window, point.value);
+    const enough = stats.samples >= minSamples;
+
+    return {
+      timestamp: point.timestamp,
+      value: point.value,
+      samples: stats.samples,
+      mean: enough ? stats.mean : null,
+      std: enough ? stats.std : null,
+      zScore: enough ? stats.zScore : null,
+      percentile: enough ? stats.percentile : null
+    };
+  });
+}
+
+module.exports = {
+  summarize,
+  rollingStatistics
+};
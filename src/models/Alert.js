@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { EVENT_TYPES: NEWS_EVENT_TYPES, SEVERITY_LEVELS } = require('../nlp/newsEvents');
 
 const alertSchema = new mongoose.Schema({
   userId: {
@@ -20,7 +21,7 @@ const alertSchema = new mongoose.Schema({
   },
   alertType: {
     type: String,
-    enum: ['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'CUSTOM'],
+    enum: ['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'MARKET_EVENT', 'NEWS_EVENT', 'CUSTOM'],
     required: true,
     index: true
   },
@@ -86,6 +87,18 @@ const alertSchema = new mongoose.Schema({
       type: Number,
       default: 60,
       min: 0
+    },
+    eventTypes: [{
+      type: String, // MARKET_EVENT 알림 대상 이벤트 (비어 있으면 전체)
+      enum: ['LISTING', 'DELISTING', 'WARNING_DESIGNATED', 'WARNING_RELEASED', 'CAUTION_DESIGNATED', 'CAUTION_RELEASED']
+    }],
+    newsEventTypes: [{
+      type: String, // NEWS_EVENT 알림 대상 뉴스 이벤트 (비어 있으면 전체)
+      enum: NEWS_EVENT_TYPES
+    }],
+    minSeverity: {
+      type: String, // NEWS_EVENT 알림 최소 심각도 (없으면 전체)
+      enum: SEVERITY_LEVELS
     }
   },
   metadata: {
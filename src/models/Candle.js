@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// 지원 캔들 간격 (ms)
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const CANDLE_EXCHANGES = ['coingecko', 'binance', 'upbit', 'bithumb'];
+
+/**
+ * OHLCV 캔들
+ * (symbol, exchange, interval, openTime) 단위로 하나의 봉을 저장한다.
+ * 같은 봉을 다시 수집하면 덮어쓴다 (진행 중인 봉 갱신).
+ */
+const candleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  exchange: {
+    type: String,
+    enum: CANDLE_EXCHANGES,
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: Object.keys(CANDLE_INTERVALS),
+    required: true
+  },
+  quote: {
+    type: String, // 호가 통화 (USD, USDT, KRW)
+    uppercase: true,
+    trim: true
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  high: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  low: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  close: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  volume: {
+    type: Number, // 기준 통화 거래량 (CoinGecko OHLC는 거래량 미제공)
+    min: 0,
+    default: null
+  },
+  quoteVolume: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'candles'
+});
+
+// 인덱스 설정
+candleSchema.index({ symbol: 1, exchange: 1, interval: 1, openTime: -1 }, { unique: true });
+
+// 정적 메서드
+// 수집한 캔들 일괄 저장 (openTime 기준 upsert)
+candleSchema.statics.upsertMany = async function(candles) {
+  if (!candles || candles.length === 0) {
+    return { upserted: 0, modified: 0 };
+  }
+
+  const operations = candles.map(candle => ({
+    updateOne: {
+      filter: {
+        symbol: candle.symbol.toUpperCase(),
+        exchange: candle.exchange,
+        interval: candle.interval,
+        openTime: candle.openTime
+      },
+      update: { $set: { ...candle, symbol: candle.symbol.toUpperCase() } },
+      upsert: true
+    }
+  }));
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return {
+    upserted: result.upsertedCount || 0,
+    modified: result.modifiedCount || 0
+  };
+};
+
+// 기간별 캔들 조회 (오래된 순)
+candleSchema.statics.getRange = async function(symbol, exchange, interval, options = {}) {
+  const query = {
+    symbol: symbol.toUpperCase(),
+    exchange,
+    interval
+  };
+
+  if (options.from || options.to) {
+    query.openTime = {};
+    if (options.from) query.openTime.$gte = options.from;
+    if (options.to) query.openTime.$lte = options.to;
+  }
+
+  // limit만 지정하면 최근 N개
+  const candles = await this.find(query)
+    .sort({ openTime: -1 })
+    .limit(options.limit || 500)
+    .select('-_id -__v -createdAt -updatedAt')
+    .lean();
+
+  return candles.reverse();
+};
+
+candleSchema.statics.getLatest = function(symbol, exchange, interval) {
+  return this.findOne({ symbol: symbol.toUpperCase(), exchange, interval })
+    .sort({ openTime: -1 })
+    .lean();
+};
+
+candleSchema.statics.INTERVALS = CANDLE_INTERVALS;
+candleSchema.statics.EXCHANGES = CANDLE_EXCHANGES;
+
+module.exports = mongoose.model('Candle', candleSchema);
@@ -82,7 +82,23 @@ const coinSchema = new mongoose.Schema({
     priceChangePercentage24h: Number,
     marketCapChangePercentage24h: Number,
     totalVolumeChange24h: Number,
-    totalVolumeChangePercentage24h: Number
+    totalVolumeChangePercentage24h: Number,
+    // 가격 출처 (소스별 가격과 중앙값 합의 가격)
+    provenance: {
+      primary: String, // coingecko | cache
+      stale: { type: Boolean, default: false }, // 1차 소스 실패로 캐시를 사용한 경우
+      consensusPrice: Number,
+      spread: Number, // 소스 간 최대 가격 차이 (합의 가격 대비 비율)
+      disagreement: { type: Boolean, default: false },
+      sources: [{
+        _id: false,
+        source: String,
+        price: Number,
+        deviation: Number, // 합의 가격 대비 비율
+        rejected: { type: Boolean, default: false }
+      }],
+      updatedAt: Date
+    }
   }
 }, {
   timestamps: true,
@@ -96,6 +112,7 @@ coinSchema.index({ lastUpdated: -1 });
 coinSchema.index({ currentPrice: -1 });
 coinSchema.index({ marketCap: -1 });
 coinSchema.index({ 'priceChange.24h': -1 });
+coinSchema.index({ 'metadata.provenance.disagreement': 1 });
 
 // 가상 필드
 coinSchema.virtual('volumeToMarketCapRatio').get(function() {
@@ -185,6 +202,13 @@ coinSchema.statics.searchCoins = function(query, limit = 20) {
   .limit(limit);
 };
 
+// 가격 소스가 서로 어긋나는 코인 (차이가 큰 순)
+coinSchema.statics.findPriceDisagreements = function(limit = 50) {
+  return this.find({ 'metadata.provenance.disagreement': true })
+    .sort({ 'metadata.provenance.spread': -1 })
+    .limit(limit);
+};
+
 // 미들웨어
 coinSchema.pre('save', function(next) {
   // 심볼을 대문자로 변환
@@ -233,6 +257,7 @@ coinSchema.statics.updateOrCreate = async function(coinData) {
       if (coinData.ath_change_percentage) existingCoin.metadata.athChangePercentage = coinData.ath_change_percentage;
       if (coinData.atl) existingCoin.metadata.atl = coinData.atl;
       if (coinData.atl_change_percentage) existingCoin.metadata.atlChangePercentage = coinData.atl_change_percentage;
+      if (coinData.price_provenance) existingCoin.metadata.provenance = coinData.price_provenance;
       
       return await existingCoin.save();
     } else {
@@ -259,7 +284,8 @@ coinSchema.statics.updateOrCreate = async function(coinData) {
           ath: coinData.ath || 0,
           athChangePercentage: coinData.ath_change_percentage || 0,
           atl: coinData.atl || 0,
-          atlChangePercentage: coinData.atl_change_percentage || 0
+          atlChangePercentage: coinData.atl_change_percentage || 0,
+          provenance: coinData.price_provenance
         }
       });
       
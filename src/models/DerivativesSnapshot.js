@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// 파생상품 이력 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.DERIVATIVES_RETENTION_DAYS) || 30;
+
+/**
+ * 무기한 선물 파생상품 스냅샷 (append-only)
+ * 펀딩비, 미결제약정, 롱/숏 비율을 수집 시점마다 저장해 변화량(미결제약정 증감 등)을 계산한다.
+ */
+const derivativesSnapshotSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  fundingRate: Number, // 8시간 기준 비율 (0.0001 = 0.01%)
+  nextFundingTime: Date,
+  markPrice: Number,
+  openInterest: Number, // 기준 자산 수량
+  openInterestValue: Number, // USD
+  longShortRatio: Number,
+  longAccount: Number,
+  shortAccount: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'derivatives_snapshots',
+  versionKey: false
+});
+
+// 인덱스 설정
+derivativesSnapshotSchema.index({ symbol: 1, timestamp: -1 });
+derivativesSnapshotSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+derivativesSnapshotSchema.statics.getLatest = function(symbol, since = null) {
+  const query = { symbol: symbol.toUpperCase() };
+  if (since) query.timestamp = { $gte: since };
+
+  return this.findOne(query)
+    .sort({ timestamp: -1 })
+    .select('-_id')
+    .lean();
+};
+
+// 기간별 이력 (오래된 순)
+derivativesSnapshotSchema.statics.getHistory = async function(symbol, { from = null, limit = 500 } = {}) {
+  const query = { symbol: symbol.toUpperCase() };
+  if (from) query.timestamp = { $gte: from };
+
+  const snapshots = await this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-_id')
+    .lean();
+
+  return snapshots.reverse();
+};
+
+// 특정 시각 이전의 가장 가까운 스냅샷 (변화량 비교용)
+derivativesSnapshotSchema.statics.getAt = function(symbol, at) {
+  return this.findOne({ symbol: symbol.toUpperCase(), timestamp: { $lte: at } })
+    .sort({ timestamp: -1 })
+    .select('-_id')
+    .lean();
+};
+
+module.exports = mongoose.model('DerivativesSnapshot', derivativesSnapshotSchema);
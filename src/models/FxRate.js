@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// 환율 이력 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.FX_RATE_RETENTION_DAYS) || 90;
+
+/**
+ * 원/달러 환율 시계열 (append-only)
+ * 소스별로 조회한 환율을 저장해 이력 조회와 모든 소스 장애 시 마지막 환율 대체에 사용한다.
+ */
+const fxRateSchema = new mongoose.Schema({
+  pair: {
+    type: String,
+    default: 'USDKRW'
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['official', 'implied', 'fixed'],
+    required: true
+  },
+  rate: {
+    type: Number, // 1 USD(USDT)당 원화
+    required: true,
+    min: 0
+  },
+  sourceTimestamp: Date, // 소스가 밝힌 시세 시각
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'fx_rates',
+  versionKey: false
+});
+
+// 인덱스 설정
+fxRateSchema.index({ pair: 1, kind: 1, timestamp: -1 });
+fxRateSchema.index({ pair: 1, source: 1, timestamp: -1 });
+fxRateSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+// 가장 최근 환율 (kind 순서대로 우선)
+fxRateSchema.statics.getLatest = async function(kinds = ['official', 'implied', 'fixed'], since = null) {
+  for (const kind of kinds) {
+    const query = { pair: 'USDKRW', kind };
+    if (since) query.timestamp = { $gte: since };
+
+    const latest = await this.findOne(query)
+      .sort({ timestamp: -1 })
+      .select('-_id')
+      .lean();
+    if (latest) return latest;
+  }
+
+  return null;
+};
+
+// 기간별 이력 (오래된 순)
+fxRateSchema.statics.getHistory = async function({ source = null, kind = null, from = null, limit = 2000 } = {}) {
+  const query = { pair: 'USDKRW' };
+  if (source) query.source = source;
+  if (kind) query.kind = kind;
+  if (from) query.timestamp = { $gte: from };
+
+  const rates = await this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-_id')
+    .lean();
+
+  return rates.reverse();
+};
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
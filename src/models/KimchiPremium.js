@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// 김치프리미엄 이력 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.KIMCHI_PREMIUM_RETENTION_DAYS) || 180;
+
+// composite: 업비트/빗썸 가중평균 가격 기준
+const PREMIUM_EXCHANGES = ['composite', 'upbit', 'bithumb'];
+
+/**
+ * 김치프리미엄 시계열 (append-only)
+ * 코인/거래소별 국내 가격과 글로벌 가격, 프리미엄(%)을 계산 시점마다 저장한다.
+ */
+const kimchiPremiumSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  exchange: {
+    type: String,
+    enum: PREMIUM_EXCHANGES,
+    required: true
+  },
+  koreanPrice: {
+    type: Number,
+    min: 0
+  },
+  globalPrice: {
+    type: Number,
+    min: 0
+  },
+  premium: {
+    type: Number, // %
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'kimchi_premiums',
+  versionKey: false
+});
+
+// 인덱스 설정
+kimchiPremiumSchema.index({ symbol: 1, exchange: 1, timestamp: -1 });
+kimchiPremiumSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+// 기간별 시계열 (오래된 순)
+kimchiPremiumSchema.statics.getSeries = async function(symbol, exchange = 'composite', { from = null, to = null, limit = 10000 } = {}) {
+  const query = { symbol: symbol.toUpperCase(), exchange };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  const points = await this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-_id')
+    .lean();
+
+  return points.reverse();
+};
+
+kimchiPremiumSchema.statics.EXCHANGES = PREMIUM_EXCHANGES;
+
+module.exports = mongoose.model('KimchiPremium', kimchiPremiumSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// 호가 스냅샷 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.LIQUIDITY_RETENTION_DAYS) || 7;
+
+const levelSchema = new mongoose.Schema({
+  price: Number,
+  quantity: Number
+}, { _id: false });
+
+const sideAmountSchema = new mongoose.Schema({
+  bid: Number,
+  ask: Number
+}, { _id: false });
+
+/**
+ * 호가창 유동성 스냅샷 (append-only)
+ * 코인/거래소별로 상위 N단계 호가와 그로부터 계산한 유동성 지표를 저장한다.
+ * 금액(깊이, 주문 금액)은 호가 통화(quote) 기준.
+ */
+const liquiditySnapshotSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  exchange: {
+    type: String,
+    required: true
+  },
+  quote: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  bids: [levelSchema],
+  asks: [levelSchema],
+  midPrice: Number,
+  spread: Number, // %
+  depth1Pct: sideAmountSchema, // 중간가 ±1% 이내 호가 금액
+  depth2Pct: sideAmountSchema, // 중간가 ±2% 이내 호가 금액
+  imbalance1Pct: Number, // (매수 - 매도) / 합계, -1 ~ 1
+  imbalance2Pct: Number,
+  slippage: [{
+    _id: false,
+    notional: Number, // 주문 금액
+    buy: Number, // 시장가 매수 슬리피지 (%), 호가 부족 시 null
+    sell: Number
+  }],
+  referenceNotional: Number,
+  referenceSlippage: Number,
+  grade: {
+    type: String,
+    enum: ['A+', 'A', 'B', 'C', 'D']
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'liquidity_snapshots',
+  versionKey: false
+});
+
+// 인덱스 설정
+liquiditySnapshotSchema.index({ symbol: 1, exchange: 1, timestamp: -1 });
+liquiditySnapshotSchema.index({ coinId: 1, timestamp: -1 });
+liquiditySnapshotSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+// 최신 스냅샷 (거래소 미지정 시 거래소 무관 최신)
+liquiditySnapshotSchema.statics.getLatest = function(symbol, exchange = null, since = null) {
+  const query = { symbol: symbol.toUpperCase() };
+  if (exchange) query.exchange = exchange;
+  if (since) query.timestamp = { $gte: since };
+
+  return this.findOne(query)
+    .sort({ timestamp: -1 })
+    .select('-_id -bids -asks')
+    .lean();
+};
+
+liquiditySnapshotSchema.statics.getHistory = function(symbol, exchange, limit = 100) {
+  return this.find({ symbol: symbol.toUpperCase(), exchange })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-_id -bids -asks')
+    .lean();
+};
+
+module.exports = mongoose.model('LiquiditySnapshot', liquiditySnapshotSchema);
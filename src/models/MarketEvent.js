@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// 거래소 이벤트 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.MARKET_EVENT_RETENTION_DAYS) || 365;
+
+// 이벤트 종류 → 중요도
+const EVENT_TYPES = {
+  LISTING: 'high', // 원화 마켓 신규 상장
+  DELISTING: 'high', // 원화 마켓에서 사라짐 (거래지원 종료)
+  WARNING_DESIGNATED: 'high', // 투자유의 지정
+  WARNING_RELEASED: 'medium', // 투자유의 해제
+  CAUTION_DESIGNATED: 'medium', // 주의 지정 (가격 급등락, 거래량 급등 등)
+  CAUTION_RELEASED: 'low' // 주의 해제
+};
+
+/**
+ * 국내 거래소 마켓 이벤트
+ * 업비트/빗썸 마켓 목록과 경고 지정 상태를 폴링 간에 비교해 바뀐 시점에 한 건씩 저장한다.
+ */
+const marketEventSchema = new mongoose.Schema({
+  exchange: {
+    type: String,
+    enum: ['upbit', 'bithumb'],
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  coinId: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(EVENT_TYPES),
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  name: String, // 거래소 표기 한글 이름
+  reason: String, // 주의 지정 사유 (PRICE_FLUCTUATIONS 등)
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'market_events',
+  versionKey: false
+});
+
+// 인덱스 설정
+marketEventSchema.index({ symbol: 1, detectedAt: -1 });
+marketEventSchema.index({ exchange: 1, type: 1, detectedAt: -1 });
+marketEventSchema.index({ detectedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+// 조건별 최근 이벤트 (최신 순)
+marketEventSchema.statics.search = function({ symbol = null, exchange = null, type = null, from = null, limit = 100 } = {}) {
+  const query = {};
+  if (symbol) query.symbol = symbol.toUpperCase();
+  if (exchange) query.exchange = exchange;
+  if (type) query.type = type;
+  if (from) query.detectedAt = { $gte: from };
+
+  return this.find(query)
+    .sort({ detectedAt: -1 })
+    .limit(limit)
+    .select('-_id')
+    .lean();
+};
+
+marketEventSchema.statics.TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('MarketEvent', marketEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { EVENT_TYPES, SEVERITY_LEVELS } = require('../nlp/newsEvents');
 
 const newsSchema = new mongoose.Schema({
   title: {
@@ -74,6 +75,22 @@ const newsSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   }],
+  coinLinks: [{
+    _id: false,
+    symbol: {
+      type: String,
+      uppercase: true
+    },
+    coinId: {
+      type: String, // CoinGecko id (국내 거래소에만 있는 코인이면 null)
+      default: null
+    },
+    confidence: Number
+  }],
+  coinsLinkedAt: {
+    type: Date, // 코인 엔티티 사전으로 연결한 시각 (사전 갱신 후 백필 대상 판단)
+    default: null
+  },
   language: {
     type: String,
     enum: ['ko', 'en'],
@@ -96,6 +113,27 @@ const newsSchema = new mongoose.Schema({
     default: 0,
     max: 3
   },
+  events: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: EVENT_TYPES
+    },
+    severity: {
+      type: String,
+      enum: SEVERITY_LEVELS
+    },
+    confidence: Number
+  }],
+  storyId: {
+    type: String, // 같은 사건을 다룬 기사 묶음 (첫 기사의 _id)
+    default: null
+  },
+  fingerprint: {
+    // 스토리 묶기 전용 내부 값이라 기본 조회/응답에서 제외 (NewsStoryService에서만 명시적으로 선택)
+    signature: { type: [Number], select: false }, // MinHash 서명 (제목 + 요약)
+    buckets: { type: [String], select: false } // LSH 버킷 키 (후보 기사 조회용)
+  },
   metadata: {
     author: String,
     tags: [String],
@@ -117,6 +155,10 @@ newsSchema.index({ coins: 1, publishedAt: -1 });
 newsSchema.index({ keywords: 1, publishedAt: -1 });
 newsSchema.index({ processed: 1, sentimentProcessed: 1 });
 newsSchema.index({ url: 1 }, { unique: true });
+newsSchema.index({ storyId: 1, publishedAt: 1 });
+newsSchema.index({ 'events.type': 1, publishedAt: -1 });
+newsSchema.index({ 'fingerprint.buckets': 1, publishedAt: -1 });
+newsSchema.index({ coinsLinkedAt: 1 });
 
 // 가상 필드
 newsSchema.virtual('ageInHours').get(function() {
@@ -234,6 +276,48 @@ newsSchema.statics.getSentimentStats = function(hours = 24) {
   ]);
 };
 
+// 스토리 목록 (보도 매체 수 → 최초 보도 시각 순)
+// from 이후 기사가 있는 스토리만, firstSeenAt은 lookbackFrom 이후 전체 기사 기준
+newsSchema.statics.getStories = function({ from, lookbackFrom = from, coin = null, minOutlets = 1, limit = 20 } = {}) {
+  const pipeline = [
+    { $match: { storyId: { $ne: null }, publishedAt: { $gte: lookbackFrom } } },
+    { $sort: { publishedAt: 1 } },
+    {
+      $group: {
+        _id: '$storyId',
+        title: { $first: '$title' },
+        url: { $first: '$url' },
+        firstSeenAt: { $first: '$publishedAt' },
+        lastSeenAt: { $last: '$publishedAt' },
+        outlets: { $addToSet: '$source' },
+        articleCount: { $sum: 1 },
+        coins: { $push: '$coins' },
+        avgSentiment: { $avg: '$sentiment.score' },
+        articles: { $push: { title: '$title', url: '$url', source: '$source', publishedAt: '$publishedAt' } }
+      }
+    },
+    {
+      $addFields: {
+        outletCount: { $size: '$outlets' },
+        coins: { $reduce: { input: '$coins', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+      }
+    },
+    { $match: { lastSeenAt: { $gte: from }, outletCount: { $gte: minOutlets } } }
+  ];
+
+  if (coin) {
+    pipeline.push({ $match: { coins: coin.toUpperCase() } });
+  }
+
+  pipeline.push(
+    { $sort: { outletCount: -1, firstSeenAt: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, storyId: '$_id', title: 1, url: 1, firstSeenAt: 1, lastSeenAt: 1, outlets: 1, outletCount: 1, articleCount: 1, coins: 1, avgSentiment: 1, articles: 1 } }
+  );
+
+  return this.aggregate(pipeline);
+};
+
 newsSchema.statics.cleanupOldNews = function(days = 30) {
   const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
   return this.deleteMany({
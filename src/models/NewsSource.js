@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// 최초 실행 시 등록하는 기본 뉴스 소스 (baseWeight: 운영자가 정한 기본 가중치)
+const DEFAULT_SOURCES = [
+  // 글로벌 뉴스 소스
+  { name: 'CoinDesk', url: 'https://feeds.feedburner.com/CoinDesk', baseWeight: 1.0, language: 'en' },
+  { name: 'CoinTelegraph', url: 'https://cointelegraph.com/rss', baseWeight: 0.9, language: 'en' },
+  { name: 'CryptoNews', url: 'https://cryptonews.com/news/feed/', baseWeight: 0.8, language: 'en' },
+  { name: 'Decrypt', url: 'https://decrypt.co/feed', baseWeight: 0.7, language: 'en' },
+  { name: 'Bitcoin Magazine', url: 'https://bitcoinmagazine.com/rss', baseWeight: 0.6, language: 'en' },
+  // 한국어 뉴스 소스
+  { name: '코인데스크 코리아', url: 'https://www.coindeskkorea.com/rss', baseWeight: 0.9, language: 'ko' },
+  { name: '디센터', url: 'https://decenter.kr/rss', baseWeight: 0.8, language: 'ko' },
+  { name: '블록미디어', url: 'https://www.blockmedia.co.kr/rss', baseWeight: 0.8, language: 'ko' },
+  { name: '코인리더스', url: 'https://coinreaders.com/rss', baseWeight: 0.7, language: 'ko' },
+  { name: '코인뉴스', url: 'https://www.coinnews.kr/rss', baseWeight: 0.7, language: 'ko' }
+];
+
+/**
+ * 뉴스 수집 소스 (RSS/Atom/JSON Feed)
+ * 소스별 수집 주기와 사용 여부를 관리하고, 기사 감정이 이후 실제 가격 방향과 맞았던 비율로
+ * 학습한 신뢰도 가중치를 함께 저장한다. 학습 표본이 없으면 baseWeight를 그대로 사용한다.
+ */
+const newsSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: ['ko', 'en'],
+    default: 'en'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  fetchIntervalMinutes: {
+    type: Number,
+    min: 1,
+    max: 24 * 60,
+    default: 15
+  },
+  baseWeight: {
+    type: Number,
+    min: 0,
+    max: 2,
+    default: 0.8
+  },
+  reliability: {
+    weight: { type: Number, default: null }, // 학습된 가중치 (null이면 baseWeight 사용)
+    samples: { type: Number, default: 0 }, // 방향성 있는 감정 + 가격 변화가 모두 있는 기사 수
+    hits: { type: Number, default: 0 }, // 감정 방향과 가격 방향이 일치한 기사 수
+    hitRate: { type: Number, default: null },
+    evaluatedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'news_sources',
+  versionKey: false
+});
+
+// 인덱스 설정
+newsSourceSchema.index({ enabled: 1 });
+
+// 가상 필드
+// 실제 적용 가중치 (학습값 우선)
+newsSourceSchema.virtual('weight').get(function() {
+  return this.reliability && this.reliability.weight !== null && this.reliability.weight !== undefined
+    ? this.reliability.weight
+    : this.baseWeight;
+});
+
+// 정적 메서드
+// 비어 있으면 기본 소스 등록
+newsSourceSchema.statics.seedDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) {
+    return 0;
+  }
+
+  const created = await this.insertMany(DEFAULT_SOURCES, { ordered: false });
+  return created.length;
+};
+
+newsSourceSchema.statics.DEFAULT_SOURCES = DEFAULT_SOURCES;
+
+// JSON 변환 시 가상 필드 포함
+newsSourceSchema.set('toJSON', { virtuals: true });
+newsSourceSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('NewsSource', newsSourceSchema);
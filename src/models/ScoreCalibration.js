@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const CALIBRATION_TIMEFRAMES = ['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'LONG_TERM', 'ALL'];
+
+/**
+ * 점수 캘리브레이션 결과
+ * finalScore → 실측 상승 확률(isotonic regression) 매핑과 신뢰도 곡선을 저장한다.
+ * 재캘리브레이션마다 새 문서를 추가하고, 가장 최근 문서를 사용한다.
+ */
+const scoreCalibrationSchema = new mongoose.Schema({
+  timeframe: {
+    type: String,
+    enum: CALIBRATION_TIMEFRAMES,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['isotonic'],
+    default: 'isotonic'
+  },
+  windowDays: {
+    type: Number,
+    min: 1
+  },
+  samples: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  baseRate: {
+    type: Number, // 전체 상승 비율
+    min: 0,
+    max: 1
+  },
+  knots: [{
+    _id: false,
+    scoreMin: Number,
+    scoreMax: Number,
+    probability: Number,
+    samples: Number
+  }],
+  reliability: [{
+    _id: false,
+    bucket: String,
+    samples: Number,
+    meanScore: Number,
+    observedRate: Number,
+    rawRate: Number,        // 점수를 그대로 확률로 읽었을 때 (score / 100)
+    calibratedRate: Number
+  }],
+  thresholds: {
+    type: mongoose.Schema.Types.Mixed, // 액션별 최소 점수
+    default: {}
+  },
+  brierScore: {
+    raw: Number,
+    calibrated: Number
+  }
+}, {
+  timestamps: true,
+  collection: 'score_calibrations'
+});
+
+// 인덱스 설정
+scoreCalibrationSchema.index({ timeframe: 1, createdAt: -1 });
+
+// 정적 메서드
+scoreCalibrationSchema.statics.getLatest = function(timeframe) {
+  return this.findOne({ timeframe }).sort({ createdAt: -1 });
+};
+
+scoreCalibrationSchema.statics.getLatestAll = async function() {
+  const latest = await Promise.all(
+    CALIBRATION_TIMEFRAMES.map(timeframe => this.getLatest(timeframe).lean())
+  );
+  return latest.filter(Boolean);
+};
+
+scoreCalibrationSchema.statics.TIMEFRAMES = CALIBRATION_TIMEFRAMES;
+
+module.exports = mongoose.model('ScoreCalibration', scoreCalibrationSchema);
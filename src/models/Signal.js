@@ -27,54 +27,20 @@ const signalSchema = new mongoose.Schema({
     index: true
   },
   breakdown: {
-    price: {
+    // 점수 요소별 점수 (price, volume, market, sentiment, whale, volatility, correlation, macro + 등록된 추가 요소)
+    type: Map,
+    of: {
       type: Number,
       min: 0,
-      max: 100,
-      default: 50
-    },
-    volume: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    },
-    market: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    },
-    sentiment: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    },
-    whale: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    },
-    volatility: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    },
-    correlation: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
+      max: 100
     },
-    macro: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 50
-    }
+    default: {}
+  },
+  calibratedProbability: {
+    type: Number, // 실측 성과 기반 상승 확률 (캘리브레이션 전에는 null)
+    min: 0,
+    max: 1,
+    default: null
   },
   recommendation: {
     action: { 
@@ -88,6 +54,10 @@ const signalSchema = new mongoose.Schema({
       required: true
     }
   },
+  explanation: {
+    type: mongoose.Schema.Types.Mixed, // 요소별 기여도, 보정 계수, 근거 자료
+    default: null
+  },
   timeframe: {
     type: String,
     enum: ['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'LONG_TERM', 'REJECT'],
@@ -145,6 +115,11 @@ const signalSchema = new mongoose.Schema({
       enum: ['excellent', 'good', 'fair', 'poor'],
       default: 'good'
     },
+    calibration: {
+      timeframe: String,
+      samples: Number,
+      calibratedAt: Date
+    },
     strategy: {
       determinedBy: String,
       timeframe: String,
@@ -162,8 +137,9 @@ const signalSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  // breakdown(Map)이 직렬화 시 빈 객체가 되지 않도록 일반 객체로 변환
+  toJSON: { virtuals: true, flattenMaps: true },
+  toObject: { virtuals: true, flattenMaps: true }
 });
 
 // 복합 인덱스
@@ -201,7 +177,9 @@ signalSchema.methods.updateScore = function(newScore, breakdown) {
   this.finalScore = Math.max(0, Math.min(100, newScore));
   
   if (breakdown) {
-    this.breakdown = { ...this.breakdown, ...breakdown };
+    Object.entries(breakdown).forEach(([factor, score]) => {
+      this.breakdown.set(factor, score);
+    });
   }
   
   // 추천 액션 업데이트
@@ -257,10 +235,10 @@ signalSchema.methods.getTimeframe = function(score) {
 };
 
 signalSchema.methods.getBreakdownPercentage = function() {
-  const total = Object.values(this.breakdown).reduce((sum, value) => sum + value, 0);
+  const total = Array.from(this.breakdown.values()).reduce((sum, value) => sum + value, 0);
   const breakdown = {};
   
-  for (const [key, value] of Object.entries(this.breakdown)) {
+  for (const [key, value] of this.breakdown) {
     breakdown[key] = total > 0 ? Math.round((value / total) * 100) : 0;
   }
   
@@ -397,7 +375,7 @@ signalSchema.statics.getStrategyStats = function() {
   ]);
 };
 
-// 중복 제거 메서드 - 같은 코인의 오래된 신호 삭제
+// 중복 제거 메서드 - 같은 코인의 오래된 신호 삭제 (변화 이력은 SignalSnapshot에 보존)
 signalSchema.statics.removeDuplicateSignals = async function(coinId, keepLatest = true) {
   try {
     // 같은 코인의 모든 신호 조회 (생성일 기준 정렬)
@@ -481,8 +459,8 @@ signalSchema.pre('save', function(next) {
   this.finalScore = Math.max(0, Math.min(100, this.finalScore));
   
   // breakdown 값들 범위 검증
-  for (const [key, value] of Object.entries(this.breakdown)) {
-    this.breakdown[key] = Math.max(0, Math.min(100, value));
+  for (const [key, value] of this.breakdown) {
+    this.breakdown.set(key, Math.max(0, Math.min(100, value)));
   }
   
   next();
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+/**
+ * 신호 성과 (forward return)
+ * 신호 발생 시점의 가격을 기록하고, timeframe별 평가 시점이 지나면
+ * 실제 수익률과 적중 여부(HIT/MISS)를 채워 넣는다.
+ */
+const signalOutcomeSchema = new mongoose.Schema({
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SignalSnapshot'
+  },
+  coinId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  finalScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  scoreBucket: {
+    type: Number,
+    min: 0,
+    max: 90,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['STRONG_BUY', 'BUY', 'HOLD', 'WEAK_SELL', 'SELL', 'STRONG_SELL'],
+    required: true
+  },
+  timeframe: {
+    type: String,
+    enum: ['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'LONG_TERM'],
+    required: true
+  },
+  entryPrice: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  emittedAt: {
+    type: Date,
+    required: true
+  },
+  horizonMinutes: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'HIT', 'MISS', 'EXPIRED'],
+    default: 'PENDING'
+  },
+  exitPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  exitPriceAt: {
+    type: Date,
+    default: null
+  },
+  forwardReturn: {
+    type: Number, // 수익률 (%)
+    default: null
+  },
+  evaluatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'signal_outcomes'
+});
+
+// 인덱스 설정
+signalOutcomeSchema.index({ status: 1, dueAt: 1 });
+signalOutcomeSchema.index({ coinId: 1, emittedAt: -1 });
+signalOutcomeSchema.index({ timeframe: 1, scoreBucket: 1, emittedAt: -1 });
+
+// 가상 필드
+signalOutcomeSchema.virtual('isEvaluated').get(function() {
+  return this.status === 'HIT' || this.status === 'MISS';
+});
+
+// 정적 메서드
+signalOutcomeSchema.statics.findDue = function(now = new Date(), limit = 2000) {
+  return this.find({
+    status: 'PENDING',
+    dueAt: { $lte: now }
+  })
+    .sort({ dueAt: 1 })
+    .limit(limit);
+};
+
+// timeframe × 점수 구간별 적중률 집계
+signalOutcomeSchema.statics.getHitRateStats = function(since) {
+  const match = { status: { $in: ['HIT', 'MISS'] } };
+  if (since) {
+    match.emittedAt = { $gte: since };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { timeframe: '$timeframe', scoreBucket: '$scoreBucket' },
+        samples: { $sum: 1 },
+        hits: { $sum: { $cond: [{ $eq: ['$status', 'HIT'] }, 1, 0] } },
+        avgReturn: { $avg: '$forwardReturn' }
+      }
+    },
+    { $sort: { '_id.timeframe': 1, '_id.scoreBucket': 1 } }
+  ]);
+};
+
+// timeframe × 점수별 상승 비율 집계 (점수 캘리브레이션용)
+signalOutcomeSchema.statics.getScoreOutcomeCounts = function(since) {
+  const match = {
+    status: { $in: ['HIT', 'MISS'] },
+    forwardReturn: { $ne: null }
+  };
+  if (since) {
+    match.emittedAt = { $gte: since };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { timeframe: '$timeframe', score: { $round: ['$finalScore', 0] } },
+        samples: { $sum: 1 },
+        ups: { $sum: { $cond: [{ $gt: ['$forwardReturn', 0] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.timeframe': 1, '_id.score': 1 } }
+  ]);
+};
+
+signalOutcomeSchema.set('toJSON', { virtuals: true });
+signalOutcomeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SignalOutcome', signalOutcomeSchema);
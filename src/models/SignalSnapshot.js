@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// 신호 히스토리 보관 기간 (일) - TTL 인덱스로 오래된 스냅샷 자동 삭제
+const RETENTION_DAYS = parseInt(process.env.SIGNAL_HISTORY_RETENTION_DAYS) || 90;
+
+// 다운샘플링 간격 (ms)
+const HISTORY_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// 자동 간격 선택 시 최대 포인트 수
+const MAX_AUTO_POINTS = 500;
+
+// 간격을 직접 지정할 때 허용하는 최대 포인트 수 (raw는 스냅샷 개수)
+const MAX_HISTORY_POINTS = parseInt(process.env.SIGNAL_HISTORY_MAX_POINTS) || 3000;
+
+/**
+ * 신호 스냅샷 (append-only)
+ * Signal 컬렉션은 코인별 최신 신호만 유지하므로,
+ * 점수와 breakdown의 변화 이력은 이 컬렉션에 누적 저장한다.
+ */
+const signalSnapshotSchema = new mongoose.Schema({
+  coinId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  finalScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  breakdown: {
+    type: Map, // 점수 요소별 점수
+    of: Number,
+    default: {}
+  },
+  action: {
+    type: String,
+    enum: ['STRONG_BUY', 'BUY', 'HOLD', 'WEAK_SELL', 'SELL', 'STRONG_SELL']
+  },
+  timeframe: {
+    type: String,
+    enum: ['SCALPING', 'DAY_TRADING', 'SWING_TRADING', 'LONG_TERM', 'REJECT']
+  },
+  currentPrice: {
+    type: Number,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'signal_snapshots',
+  versionKey: false
+});
+
+// 인덱스 설정
+signalSnapshotSchema.index({ coinId: 1, createdAt: -1 });
+signalSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+signalSnapshotSchema.statics.recordFromSignal = function(signal) {
+  return this.create({
+    coinId: signal.coinId,
+    symbol: signal.symbol,
+    finalScore: signal.finalScore,
+    breakdown: signal.breakdown,
+    action: signal.recommendation?.action,
+    timeframe: signal.timeframe,
+    currentPrice: signal.currentPrice,
+    createdAt: signal.metadata?.lastUpdated || new Date()
+  });
+};
+
+// 조회 기간에 맞는 다운샘플링 간격 선택
+signalSnapshotSchema.statics.resolveInterval = function(interval, from, to) {
+  if (interval && (interval === 'raw' || HISTORY_INTERVALS[interval])) {
+    return interval;
+  }
+
+  const span = to.getTime() - from.getTime();
+  const candidates = Object.keys(HISTORY_INTERVALS);
+  return candidates.find(key => span / HISTORY_INTERVALS[key] <= MAX_AUTO_POINTS) || '1d';
+};
+
+// 지정한 간격으로 조회하면 포인트가 너무 많아지는지 확인 (raw는 스냅샷 개수를 센다)
+signalSnapshotSchema.statics.checkHistoryLimit = async function(coinId, { from, to, interval }) {
+  const resolved = this.resolveInterval(interval, from, to);
+  const points = resolved === 'raw'
+    ? await this.countDocuments({ coinId, createdAt: { $gte: from, $lte: to } })
+    : Math.ceil((to.getTime() - from.getTime()) / HISTORY_INTERVALS[resolved]);
+
+  if (points > MAX_HISTORY_POINTS) {
+    return `${resolved} 간격으로는 최대 ${MAX_HISTORY_POINTS}개 포인트까지 조회할 수 있습니다 (요청: ${points}개). 기간을 줄이거나 더 큰 간격을 사용하세요`;
+  }
+  return null;
+};
+
+// 스냅샷 목록을 구간별 평균으로 다운샘플링
+signalSnapshotSchema.statics.downsample = function(snapshots, interval) {
+  if (interval === 'raw') {
+    return snapshots.map(snapshot => ({
+      timestamp: snapshot.createdAt,
+      finalScore: snapshot.finalScore,
+      minScore: snapshot.finalScore,
+      maxScore: snapshot.finalScore,
+      breakdown: snapshot.breakdown || {},
+      action: snapshot.action,
+      price: snapshot.currentPrice,
+      samples: 1
+    }));
+  }
+
+  const bucketSize = HISTORY_INTERVALS[interval];
+  const buckets = new Map();
+
+  snapshots.forEach(snapshot => {
+    const bucketStart = Math.floor(new Date(snapshot.createdAt).getTime() / bucketSize) * bucketSize;
+    if (!buckets.has(bucketStart)) {
+      buckets.set(bucketStart, []);
+    }
+    buckets.get(bucketStart).push(snapshot);
+  });
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([bucketStart, items]) => {
+      const scores = items.map(item => item.finalScore);
+      const breakdownSums = {};
+      const breakdownCounts = {};
+
+      items.forEach(item => {
+        Object.entries(item.breakdown || {}).forEach(([factor, value]) => {
+          if (typeof value !== 'number') return;
+          breakdownSums[factor] = (breakdownSums[factor] || 0) + value;
+          breakdownCounts[factor] = (breakdownCounts[factor] || 0) + 1;
+        });
+      });
+
+      const breakdown = {};
+      Object.keys(breakdownSums).forEach(factor => {
+        breakdown[factor] = Math.round((breakdownSums[factor] / breakdownCounts[factor]) * 100) / 100;
+      });
+
+      const last = items[items.length - 1];
+
+      return {
+        timestamp: new Date(bucketStart),
+        finalScore: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100,
+        minScore: Math.min(...scores),
+        maxScore: Math.max(...scores),
+        breakdown,
+        action: last.action,
+        price: last.currentPrice,
+        samples: items.length
+      };
+    });
+};
+
+// 코인별 점수/breakdown 시계열 조회
+signalSnapshotSchema.statics.getHistory = async function(coinId, options = {}) {
+  const to = options.to || new Date();
+  const from = options.from || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const interval = this.resolveInterval(options.interval, from, to);
+
+  const snapshots = await this.find({
+    coinId,
+    createdAt: { $gte: from, $lte: to }
+  })
+    .sort({ createdAt: 1 })
+    .limit(interval === 'raw' ? MAX_HISTORY_POINTS : 0)
+    .select('finalScore breakdown action currentPrice createdAt')
+    .lean();
+
+  return {
+    coinId,
+    from,
+    to,
+    interval,
+    totalSnapshots: snapshots.length,
+    points: this.downsample(snapshots, interval)
+  };
+};
+
+signalSnapshotSchema.statics.HISTORY_INTERVALS = HISTORY_INTERVALS;
+signalSnapshotSchema.statics.MAX_HISTORY_POINTS = MAX_HISTORY_POINTS;
+
+module.exports = mongoose.model('SignalSnapshot', signalSnapshotSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// 거래량 점유율 이력 보관 기간 (일)
+const RETENTION_DAYS = parseInt(process.env.VOLUME_SHARE_RETENTION_DAYS) || 90;
+
+// 원화 시장 전체 점유율 기록용 심볼
+const MARKET_SYMBOL = 'ALL';
+
+/**
+ * 국내 거래소 거래량 점유율 시계열 (append-only)
+ * 코인별 업비트/빗썸 24시간 거래대금(USD 환산)과 글로벌 거래대금 대비 비중을 스냅샷마다 저장한다.
+ * symbol이 ALL인 기록은 원화 시장 전체의 글로벌 거래대금 점유율이다.
+ */
+const volumeShareSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  upbitVolumeUsd: {
+    type: Number,
+    min: 0
+  },
+  bithumbVolumeUsd: {
+    type: Number,
+    min: 0
+  },
+  koreanVolumeUsd: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  globalVolumeUsd: {
+    type: Number,
+    min: 0
+  },
+  share: {
+    type: Number // %
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'volume_shares',
+  versionKey: false
+});
+
+// 인덱스 설정
+volumeShareSchema.index({ symbol: 1, timestamp: -1 });
+volumeShareSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// 정적 메서드
+// 여러 코인의 기간별 시계열 (코인 → 오래된 순 배열)
+volumeShareSchema.statics.getSeriesBySymbol = async function(symbols, { from = null, limit = 100000 } = {}) {
+  const query = { symbol: { $in: symbols.map(symbol => symbol.toUpperCase()) } };
+  if (from) query.timestamp = { $gte: from };
+
+  const points = await this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-_id')
+    .lean();
+
+  const series = new Map();
+  points.reverse().forEach(point => {
+    if (!series.has(point.symbol)) series.set(point.symbol, []);
+    series.get(point.symbol).push(point);
+  });
+
+  return series;
+};
+
+volumeShareSchema.statics.MARKET_SYMBOL = MARKET_SYMBOL;
+
+module.exports = mongoose.model('VolumeShare', volumeShareSchema);
@@ -0,0 +1,276 @@
+/**
+ * 뉴스 코인 엔티티 연결
+ * CoinGecko 전체 코인 목록(id/심볼/영문명)과 국내 거래소 마켓 목록(한글명)으로 사전을 만들고,
+ * 기사 제목/요약에서 캐시태그($SOL), 거래쌍(SOL/USDT, KRW-SOL), 코인명, 한글명, 심볼을 찾아 코인에 연결한다.
+ * ONE, ATOM, NEAR처럼 일반 단어와 겹치는 심볼/이름은 캐시태그나 주변 문맥(코인, 가격, 상장 등)이 있을 때만 연결한다.
+ */
+
+// 일반 단어/약어와 겹쳐 문맥 없이는 연결하지 않는 심볼/이름 (소문자)
+const AMBIGUOUS_WORDS = new Set([
+  'a', 'ai', 'all', 'ant', 'api', 'ark', 'atom', 'band', 'bat', 'beam', 'big', 'bond', 'cake', 'can', 'cat',
+  'ceo', 'core', 'dash', 'defi', 'dog', 'dot', 'ease', 'edge', 'etf', 'fire', 'flow', 'for', 'fun', 'game',
+  'gas', 'go', 'gold', 'harmony', 'hot', 'ice', 'icon', 'id', 'it', 'key', 'kind', 'link', 'love', 'magic',
+  'mask', 'max', 'moon', 'near', 'new', 'news', 'nft', 'not', 'now', 'ocean', 'one', 'open', 'pay', 'people',
+  'pro', 'ray', 'real', 'rose', 'safe', 'sand', 'sec', 'stellar', 'sun', 'super', 'the', 'time', 'top',
+  'tower', 'up', 'usa', 'waves', 'win', 'wow', 'zero'
+]);
+const AMBIGUOUS_KOREAN = new Set(['니어', '가스', '마스크', '아이콘', '하모니', '플로우', '샌드박스', '밴드', '골드', '매직', '코어', '오션']);
+
+// 호가 통화 (거래쌍/심볼로는 연결하지 않음, 테더 등 코인명으로만)
+const QUOTE_SYMBOLS = new Set(['USD', 'USDT', 'USDC', 'KRW']);
+
+// 심볼/이름 주변(앞뒤 CONTEXT_RADIUS 글자)에 있으면 코인 언급으로 보는 표현
+const CONTEXT_RADIUS = 40;
+const CONTEXT_PATTERNS = [
+  /\b(?:coins?|tokens?|prices?|crypto|trading|traders?|list(?:ed|ing)|staking|airdrop|mainnet|protocol|blockchain|altcoins?|rall(?:y|ies)|surg(?:e|es|ed)|pump(?:s|ed)?|whales?)\b/i,
+  /코인|토큰|가격|시세|상장|거래|원화|메인넷|에어드랍|스테이킹|급등|급락|알트/,
+  /[+-]?\d+(?:\.\d+)?%/
+];
+
+const CASHTAG_PATTERN = /\$([A-Za-z][A-Za-z0-9]{1,9})\b/g;
+const PAIR_PATTERNS = [
+  /\b([A-Z0-9]{2,10})[/-](?:USDT|USDC|USD|KRW|BTC)\b/g,
+  /\b(?:KRW|USDT|BTC)-([A-Z0-9]{2,10})\b/g
+];
+const WORD_PATTERN = /[A-Za-z0-9]+(?:[.'-][A-Za-z0-9]+)*/g;
+const MAX_NAME_WORDS = 4;
+
+// 랩핑/브릿지 토큰 (같은 심볼이면 원본 코인 우선)
+const DERIVATIVE_ID = /wrapped|bridged|wormhole|-peg|peg-|binance-peg|-iou|heco|bsc-|-bsc/;
+
+// 멘션 종류별 기본 신뢰도
+const CONFIDENCE = {
+  cashtag: 0.95,
+  pair: 0.95,
+  name: 0.9,
+  korean: 0.9,
+  symbol: 0.8,
+  contextual: 0.6 // 모호한 심볼/이름 + 주변 문맥
+};
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// 같은 심볼 후보 중 원본 코인 우선 (랩핑/브릿지 제외 → 짧은 id)
+function rankCandidate(coin) {
+  return (DERIVATIVE_ID.test(coin.id) ? 1000 : 0) + coin.id.length;
+}
+
+/**
+ * 엔티티 사전 생성
+ * @param {Object} sources - { coins: CoinGecko [{ id, symbol, name }], markets: 거래소 마켓 [{ symbol, name(한글), englishName }] }
+ * @returns {Object} { symbols, names, koreanNames, size }
+ */
+function buildDictionary({ coins = [], markets = [] } = {}) {
+  const bySymbol = new Map();
+  coins.forEach(coin => {
+    if (!coin || !coin.id || !coin.symbol || !coin.name) return;
+    const symbol = coin.symbol.toUpperCase();
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+    bySymbol.get(symbol).push(coin);
+  });
+  bySymbol.forEach(candidates => candidates.sort((a, b) => rankCandidate(a) - rankCandidate(b)));
+
+  const symbols = new Map();
+  const names = new Map();
+  const koreanNames = new Map();
+
+  const addName = (name, entity) => {
+    const key = normalizeName(name);
+    const existing = names.get(key);
+    // 같은 이름이면 상장 코인 → 원본 코인 우선
+    if (key && (!existing || (entity.listed && !existing.listed))) {
+      names.set(key, entity);
+    }
+  };
+
+  // 국내 거래소 상장 코인 (한글명, 심볼만으로도 연결)
+  markets.forEach(market => {
+    if (!market || !market.symbol) return;
+    const symbol = market.symbol.toUpperCase();
+    if (symbols.has(symbol)) return;
+
+    const candidates = bySymbol.get(symbol) || [];
+    const englishName = normalizeName(market.englishName);
+    const coin = candidates.find(candidate => normalizeName(candidate.name) === englishName) || candidates[0] || null;
+
+    const entity = {
+      symbol,
+      coinId: coin ? coin.id : null,
+      name: market.englishName || (coin && coin.name) || symbol,
+      koreanName: market.name || null,
+      listed: true
+    };
+    symbols.set(symbol, entity);
+    addName(entity.name, entity);
+    if (coin) addName(coin.name, entity);
+    if (entity.koreanName && entity.koreanName.length > 1) koreanNames.set(entity.koreanName, entity);
+  });
+
+  // 나머지 CoinGecko 코인 (캐시태그/거래쌍/코인명으로만 연결)
+  bySymbol.forEach((candidates, symbol) => {
+    if (symbols.has(symbol)) {
+      candidates.forEach(coin => {
+        if (coin.id !== symbols.get(symbol).coinId) {
+          addName(coin.name, { symbol, coinId: coin.id, name: coin.name, koreanName: null, listed: false });
+        }
+      });
+      return;
+    }
+
+    const [primary] = candidates;
+    symbols.set(symbol, { symbol, coinId: primary.id, name: primary.name, koreanName: null, listed: false });
+    candidates.forEach(coin => {
+      addName(coin.name, coin === primary ? symbols.get(symbol) : { symbol, coinId: coin.id, name: coin.name, koreanName: null, listed: false });
+    });
+  });
+
+  // 코인별 별칭 (심볼, 영문명, 한글명)
+  symbols.forEach(entity => {
+    entity.aliases = [entity.symbol, ...(entity.koreanName ? [entity.koreanName] : [])];
+  });
+  names.forEach((entity, key) => {
+    if (entity.aliases) entity.aliases.push(key);
+  });
+
+  return {
+    symbols,
+    names,
+    koreanNames: Array.from(koreanNames.entries()).sort((a, b) => b[0].length - a[0].length),
+    size: symbols.size
+  };
+}
+
+function hasContext(text, start, end) {
+  const window = text.slice(Math.max(0, start - CONTEXT_RADIUS), Math.min(text.length, end + CONTEXT_RADIUS));
+  return CONTEXT_PATTERNS.some(pattern => pattern.test(window));
+}
+
+// 겹치는 구간이 있는지 (이미 더 긴 표현으로 연결된 위치 제외)
+function overlaps(spans, start, end) {
+  return spans.some(span => start < span.end && end > span.start);
+}
+
+/**
+ * 기사에서 코인 찾기
+ * @param {Object} dictionary - buildDictionary 결과
+ * @param {Object|string} article - { title, description } 또는 텍스트
+ * @param {Object} options - { minConfidence }
+ * @returns {Array} [{ symbol, coinId, name, confidence, mentions }] (신뢰도 순)
+ */
+function linkCoins(dictionary, article, { minConfidence = 0.5 } = {}) {
+  const title = typeof article === 'string' ? article : (article.title || '');
+  const description = typeof article === 'string' ? '' : (article.description || '');
+  const text = `${title}\n${description}`;
+
+  const spans = [];
+  const mentions = [];
+  const addMention = (entity, kind, start, end) => {
+    spans.push({ start, end });
+    mentions.push({ entity, kind, text: text.slice(start, end), inTitle: start < title.length });
+  };
+
+  // 1. 캐시태그, 거래쌍 (가장 확실)
+  for (const match of text.matchAll(CASHTAG_PATTERN)) {
+    const entity = dictionary.symbols.get(match[1].toUpperCase());
+    if (entity) addMention(entity, 'cashtag', match.index, match.index + match[0].length);
+  }
+  PAIR_PATTERNS.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      const entity = dictionary.symbols.get(match[1]);
+      if (entity && !QUOTE_SYMBOLS.has(entity.symbol) && !overlaps(spans, match.index, match.index + match[0].length)) {
+        addMention(entity, 'pair', match.index, match.index + match[0].length);
+      }
+    }
+  });
+
+  // 2. 한글명 (긴 이름부터, 조사가 붙어도 찾도록 부분 문자열)
+  dictionary.koreanNames.forEach(([name, entity]) => {
+    let index = text.indexOf(name);
+    while (index !== -1) {
+      const end = index + name.length;
+      const ambiguous = name.length <= 2 || AMBIGUOUS_KOREAN.has(name);
+      if (!overlaps(spans, index, end) && (!ambiguous || hasContext(text, index, end))) {
+        addMention(entity, ambiguous ? 'contextual' : 'korean', index, end);
+      }
+      index = text.indexOf(name, end);
+    }
+  });
+
+  // 3. 영문 코인명 (긴 이름부터) → 대문자 심볼
+  const words = Array.from(text.matchAll(WORD_PATTERN)).map(match => ({ word: match[0], start: match.index, end: match.index + match[0].length }));
+  for (let i = 0; i < words.length; i++) {
+    for (let n = Math.min(MAX_NAME_WORDS, words.length - i); n >= 1; n--) {
+      const start = words[i].start;
+      const end = words[i + n - 1].end;
+      if (overlaps(spans, start, end)) continue;
+      // 이름 중간에 줄바꿈(제목/요약 경계)이 있으면 제외
+      if (n > 1 && text.slice(start, end).includes('\n')) continue;
+
+      const phrase = words.slice(i, i + n).map(w => w.word).join(' ');
+      const entity = dictionary.names.get(normalizeName(phrase));
+      if (entity) {
+        // 이름은 대문자로 시작해야 하고, 한 단어 이름이 일반 단어와 겹치거나 미상장 코인이면 문맥 필요
+        if (!/^[A-Z]/.test(phrase)) continue;
+        const ambiguous = n === 1 && (AMBIGUOUS_WORDS.has(phrase.toLowerCase()) || !entity.listed);
+        if (ambiguous && !hasContext(text, start, end)) continue;
+
+        addMention(entity, ambiguous ? 'contextual' : 'name', start, end);
+        i += n - 1;
+        break;
+      }
+
+      if (n === 1 && /^[A-Z0-9]{2,10}$/.test(phrase) && /[A-Z]/.test(phrase)) {
+        const symbolEntity = dictionary.symbols.get(phrase);
+        // 심볼만으로는 상장 코인만 (미상장 코인은 캐시태그/거래쌍으로만)
+        if (!symbolEntity || !symbolEntity.listed || QUOTE_SYMBOLS.has(phrase)) continue;
+        const ambiguous = phrase.length <= 2 || AMBIGUOUS_WORDS.has(phrase.toLowerCase());
+        if (ambiguous && !hasContext(text, start, end)) continue;
+
+        addMention(symbolEntity, ambiguous ? 'contextual' : 'symbol', start, end);
+      }
+    }
+  }
+
+  // 코인별 합산 (가장 확실한 멘션 + 다른 종류 멘션/제목 언급마다 가산)
+  const byCoin = new Map();
+  mentions.forEach(mention => {
+    const key = mention.entity.coinId || mention.entity.symbol;
+    if (!byCoin.has(key)) byCoin.set(key, { entity: mention.entity, kinds: new Set(), texts: new Set(), inTitle: false });
+    const entry = byCoin.get(key);
+    entry.kinds.add(mention.kind);
+    entry.texts.add(mention.text);
+    entry.inTitle = entry.inTitle || mention.inTitle;
+  });
+
+  return Array.from(byCoin.values())
+    .map(({ entity, kinds, texts, inTitle }) => {
+      const base = Math.max(...Array.from(kinds).map(kind => CONFIDENCE[kind]));
+      const confidence = Math.min(0.99, base + 0.05 * (kinds.size - 1) + (inTitle ? 0.05 : 0));
+      return {
+        symbol: entity.symbol,
+        coinId: entity.coinId,
+        name: entity.name,
+        confidence: Math.round(confidence * 100) / 100,
+        mentions: Array.from(texts)
+      };
+    })
+    .filter(link => link.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * 코인 별칭 (심볼, 영문명, 한글명)
+ * @returns {Array<string>} 사전에 없으면 심볼만
+ */
+function getAliases(dictionary, symbol) {
+  const entity = dictionary.symbols.get(String(symbol).toUpperCase());
+  return entity ? entity.aliases : [String(symbol).toUpperCase()];
+}
+
+module.exports = {
+  buildDictionary,
+  linkCoins,
+  getAliases
+};
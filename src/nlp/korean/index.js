@@ -0,0 +1,13 @@
+const { normalize, stem, tokenize } = require('./tokenizer');
+const { analyzeSentiment, findTerms } = require('./sentiment');
+const { LEXICON, CATEGORIES } = require('./lexicon');
+
+module.exports = {
+  normalize,
+  stem,
+  tokenize,
+  analyzeSentiment,
+  findTerms,
+  LEXICON,
+  CATEGORIES
+};
@@ -0,0 +1,85 @@
+/**
+ * 한국어 암호화폐 감정 사전
+ * 어간/명사 기준 표제어 → 극성 가중치 (-3 ~ +3). 분류별 가중치는 호출하는 쪽에서 곱한다.
+ * 활용형이 어간과 다른 음절로 바뀌는 용언(오르다 → 올랐다)은 활용형을 따로 둔다.
+ */
+
+const SENTIMENT_TERMS = {
+  // 가격 움직임
+  price: {
+    '상승': 2, '상승세': 2, '급상승': 3, '대폭상승': 3, '급등': 3, '폭등': 3, '상한가': 3,
+    '신고가': 3, '최고가': 2, '반등': 2, '회복': 2, '강세': 2, '치솟': 3, '뛰었': 2,
+    '오르': 2, '오른': 2, '오를': 2, '올라': 2, '올랐': 2,
+    '하락': -2, '하락세': -2, '하락장': -2, '급하락': -3, '대폭하락': -3, '급락': -3, '폭락': -3,
+    '하한가': -3, '신저가': -3, '약세': -2, '붕괴': -3, '조정': -1,
+    '내리': -2, '내린': -2, '내려': -2, '내렸': -2, '떨어': -2, '곤두박질': -3
+  },
+  // 기술적 분석
+  technical: {
+    '돌파': 2, '저항선돌파': 2, '돌파실패': -2, '골든크로스': 2, '데드크로스': -2,
+    '브레이크아웃': 2, '상승추세': 2, '하락추세': -2, '상승채널': 1, '하락채널': -1,
+    '지지선이탈': -2, '지지선붕괴': -3, '거래량증가': 1, '거래량급증': 2, '거래량감소': -1,
+    '과매도': 1, '과매수': -1
+  },
+  // 뉴스/이벤트
+  news: {
+    '호재': 2, '대호재': 3, '초호재': 3, '악재': -2, '대악재': -3, '초악재': -3,
+    '상장': 1, '신규상장': 2, '상장폐지': -3, '거래지원종료': -3, '투자유의': -2, '유의종목': -2,
+    '파트너십': 1, '협력': 1, '제휴': 1, '채택': 2, '승인': 2, '허가': 1, '도입': 1, '출시': 1, '업그레이드': 1,
+    '규제': -2, '규제완화': 2, '금지': -2, '제재': -2, '해킹': -3, '보안사고': -3, '사기꾼': -3, '스캠': -3,
+    '러그풀': -3, '소송': -2, '기소': -2, '압수수색': -2, '파산': -3
+  },
+  // 커뮤니티 은어
+  slang: {
+    '떡상': 3, '떡락': -3, '가즈아': 3, '투더문': 3, '불장': 2, '펌핑': 2, '존버': 1, '존버성공': 3,
+    '익절': 2, '손절': -2, '풀매수': 2, '줍줍': 1, '매집': 1, '구조대': 1,
+    '물렸': -2, '물려': -2, '물린': -2, '물림': -2, '털렸': -2, '청산당': -3,
+    '상폐': -3, '폭망': -3, '나락': -3, '설거지': -2, '한강': -2, '덤핑': -2, '흑우': -2, '호구': -2,
+    '망했': -3, '망하': -3, '망해': -3, '망한': -3, '망함': -3,
+    'ㅠㅠ': -1, 'ㅜㅜ': -1
+  },
+  // 일반 감정 표현
+  general: {
+    '긍정': 1, '낙관': 2, '기대': 1, '희망': 1, '성공': 2, '수익': 2, '이익': 1, '훌륭': 2,
+    '좋아': 1, '좋다': 1, '좋은': 1, '좋습': 1, '좋네': 1, '좋고': 1, '좋지': 1, '좋았': 1,
+    '부정적': -1, '비관': -2, '걱정': -2, '우려': -2, '불안': -2, '공포': -2, '패닉': -3,
+    '위험': -2, '위기': -2, '손실': -2, '손해': -2, '실패': -2, '실망': -2, '최악': -3,
+    '거품': -2, '과열': -1, '나쁘': -2, '나쁜': -2, '나빠': -2, '나빴': -2, '나쁨': -2
+  }
+};
+
+// 감정은 없지만 분석 신뢰도에 반영하는 관망 표현
+const NEUTRAL_TERMS = [
+  '보합', '횡보', '관망', '중립', '정체', '대기', '분석', '전망', '검토', '모니터링', '관찰', '안정'
+];
+
+// 표제어를 품고 있지만 감정과 무관한 단어 (분위기 ⊃ 위기)
+const NON_SENTIMENT_TERMS = ['분위기', '소망'];
+
+// 바로 앞 어절의 감정 세기를 조절하는 부사 (배수)
+const INTENSIFIERS = {
+  '매우': 1.5, '정말': 1.5, '너무': 1.5, '진짜': 1.5, '완전': 1.5, '엄청': 1.5, '굉장히': 1.5,
+  '아주': 1.3, '역대급': 1.5, '개': 1.5,
+  '조금': 0.5, '약간': 0.5, '살짝': 0.5, '다소': 0.6, '좀': 0.6
+};
+
+// 표제어 앞에 붙어 세기를 키우는 접두 (개떡상, 핵호재)
+const INTENSIFIER_PREFIXES = { '개': 1.5, '핵': 1.5, '초': 1.3, '왕': 1.3 };
+
+// 표제어 → { weight, category } (중립 표현은 weight 0)
+const LEXICON = new Map();
+Object.entries(SENTIMENT_TERMS).forEach(([category, terms]) => {
+  Object.entries(terms).forEach(([term, weight]) => LEXICON.set(term, { weight, category }));
+});
+NEUTRAL_TERMS.forEach(term => LEXICON.set(term, { weight: 0, category: 'neutral' }));
+NON_SENTIMENT_TERMS.forEach(term => LEXICON.set(term, { weight: 0, category: null }));
+
+const MAX_TERM_LENGTH = Math.max(...[...LEXICON.keys()].map(term => term.length));
+
+module.exports = {
+  LEXICON,
+  MAX_TERM_LENGTH,
+  INTENSIFIERS,
+  INTENSIFIER_PREFIXES,
+  CATEGORIES: Object.keys(SENTIMENT_TERMS)
+};
@@ -0,0 +1,138 @@
+const { tokenize } = require('./tokenizer');
+const { LEXICON, MAX_TERM_LENGTH, INTENSIFIERS, INTENSIFIER_PREFIXES } = require('./lexicon');
+
+/**
+ * 한국어 감정분석
+ * 어절마다 사전 표제어를 찾고, 부정(~지 않다, 안/못, 없다/아니다), 강조/완화 부사,
+ * 역접(하지만, ~지만) 뒤 문맥을 반영해 점수를 매긴다.
+ */
+
+const NEGATION_WEIGHT = -0.7; // 부정된 표현은 반대 극성으로 약하게 반영
+const CONTRAST_BEFORE = 0.5; // 역접 앞 절
+const CONTRAST_AFTER = 1.5; // 역접 뒤 절 (화자의 결론)
+const SMOOTHING = 2; // 표현이 한두 개일 때 점수가 극단으로 가지 않게 하는 분모 보정
+
+// 어절 안에서 표제어 뒤에 붙는 부정 (상승하지않았다, 호재없음)
+const NEGATION_IN_WORD = /(않|못하|못했|못한|못해|못함|없|아니|아닌|아님)/;
+// 다음 어절이 앞 표현을 부정 (상승하지 못했다, 호재가 없다, 상승이 아니다)
+const NEGATION_FOLLOWING = /^(않|못|없|아니|아닌|아님|안$)/;
+// 앞 어절이 다음 표현을 부정 (안 오른다, 못 올랐다)
+const NEGATION_PRECEDING = new Set(['안', '못']);
+// 역접 접속어
+const CONTRASTS = new Set(['하지만', '그러나', '그런데', '근데', '반면', '그래도']);
+
+/**
+ * 어절 안의 표제어 (왼쪽부터 가장 긴 것, 겹치지 않게)
+ * @param {string} word - 정규화된 어절
+ * @returns {Array} [{ term, start, end, weight, category, intensity }]
+ */
+function findTerms(word) {
+  const terms = [];
+  let position = 0;
+
+  while (position < word.length) {
+    let match = null;
+    for (let length = Math.min(MAX_TERM_LENGTH, word.length - position); length >= 2; length--) {
+      const term = word.slice(position, position + length);
+      if (LEXICON.has(term)) {
+        match = { term, start: position, end: position + length, ...LEXICON.get(term), intensity: 1 };
+        break;
+      }
+    }
+
+    if (!match) {
+      position++;
+      continue;
+    }
+
+    // 접두 강조 (개떡상, 핵호재)
+    const prefix = match.start > 0 ? word[match.start - 1] : null;
+    if (prefix && INTENSIFIER_PREFIXES[prefix] && (terms.length === 0 ? match.start === 1 : terms[terms.length - 1].end === match.start - 1)) {
+      match.intensity = INTENSIFIER_PREFIXES[prefix];
+    }
+
+    if (match.category) terms.push(match); // 감정과 무관한 단어는 자리만 차지
+    position = match.end;
+  }
+
+  return terms;
+}
+
+// 역접 위치 (이 인덱스 이후가 뒤 절, 없으면 -1)
+function findContrast(tokens) {
+  let boundary = -1;
+  tokens.forEach((token, index) => {
+    if (CONTRASTS.has(token.surface)) boundary = index;
+    else if (token.surface.endsWith('지만') && index < tokens.length - 1) boundary = index;
+  });
+  return boundary;
+}
+
+/**
+ * 텍스트 감정분석
+ * @param {string} text - 분석할 텍스트
+ * @param {Object} options - { categoryWeights: 분류별 가중치 (price, technical, news, slang, general, 기본 1) }
+ * @returns {Object} { score (0-100), sentiment, confidence, breakdown, matches }
+ */
+function analyzeSentiment(text, { categoryWeights = {} } = {}) {
+  const matches = [];
+
+  tokenize(text).forEach(tokens => {
+    const contrast = findContrast(tokens);
+
+    tokens.forEach((token, index) => {
+      const terms = findTerms(token.surface);
+      if (terms.length === 0) return;
+
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+
+      terms.forEach((term, termIndex) => {
+        let intensity = term.intensity;
+        let negated = false;
+
+        if (termIndex === 0 && previous) {
+          if (INTENSIFIERS[previous.stem]) intensity *= INTENSIFIERS[previous.stem];
+          if (NEGATION_PRECEDING.has(previous.surface)) negated = true;
+        }
+
+        if (termIndex === terms.length - 1) {
+          if (NEGATION_IN_WORD.test(token.surface.slice(term.end))) negated = true;
+          if (next && NEGATION_FOLLOWING.test(next.surface)) negated = true;
+        }
+
+        let contrastWeight = 1;
+        if (contrast >= 0) contrastWeight = index <= contrast ? CONTRAST_BEFORE : CONTRAST_AFTER;
+
+        const categoryWeight = categoryWeights[term.category] !== undefined ? categoryWeights[term.category] : 1;
+        const value = term.weight * intensity * (negated ? NEGATION_WEIGHT : 1) * contrastWeight * categoryWeight;
+
+        matches.push({ term: term.term, category: term.category, negated, intensity, value });
+      });
+    });
+  });
+
+  const positive = matches.filter(m => m.value > 0).reduce((sum, m) => sum + m.value, 0);
+  const negative = matches.filter(m => m.value < 0).reduce((sum, m) => sum - m.value, 0);
+  const neutral = matches.filter(m => m.category === 'neutral').length;
+  const total = positive + negative + neutral;
+
+  const score = 50 + 50 * (positive - negative) / (total + SMOOTHING);
+
+  let sentiment = 'neutral';
+  if (score > 60) sentiment = 'positive';
+  else if (score < 40) sentiment = 'negative';
+
+  return {
+    score: Math.round(score * 100) / 100,
+    sentiment,
+    confidence: Math.min(total / 10, 1),
+    breakdown: { positive, negative, neutral, total },
+    matches
+  };
+}
+
+module.exports = {
+  analyzeSentiment,
+  findTerms
+};
@@ -0,0 +1,74 @@
+/**
+ * 한국어 토큰화/어간 추출
+ * 사전 없이 어절 단위로 나누고 끝의 조사와 어미를 떼어 어간을 구한다.
+ * 형태소 분석기 수준은 아니지만 '상승했다', '상승이', '상승하지'를 같은 어간으로 묶기에는 충분하다.
+ */
+
+// 조사 (긴 것부터 비교)
+const PARTICLES = [
+  '에서는', '에게서', '으로는', '까지는', '이라도', '에서', '에게', '한테', '으로', '까지', '부터',
+  '처럼', '보다', '마저', '조차', '이나', '이랑', '은', '는', '이', '가', '을', '를', '에', '의',
+  '도', '만', '로', '와', '과', '랑'
+].sort((a, b) => b.length - a.length);
+
+// 용언 어미 (하다/되다 결합형 포함, 긴 것부터 비교)
+const ENDINGS = [
+  '하였습니다', '했습니다', '했는데요', '했어요', '했지만', '했는데', '하지만', '하는데', '합니다',
+  '했다', '했고', '한다', '하다', '하고', '하는', '하며', '하면', '해서', '하지', '해요', '할',
+  '되었다', '됐습니다', '됩니다', '됐다', '된다', '되고', '되는', '되어', '돼서',
+  '었습니다', '았습니다', '습니다', '었어요', '았어요', '었다', '았다', '었고', '았고',
+  '는데', '지만', '어요', '아요', '네요', '고', '다', '지', '며', '면', '서', '네', '요'
+].sort((a, b) => b.length - a.length);
+
+// 감정 문맥을 끊는 문장 경계
+const SENTENCE_BOUNDARY = /[.!?。…\n]+/;
+
+// 어절 경계 (공백, 한글/영문/숫자/자모 외 문자)
+const WORD_BOUNDARY = /[^가-힣ㄱ-ㅎㅏ-ㅣa-z0-9]+/;
+
+/**
+ * 소문자화 + 같은 글자 3번 이상 반복 축약 (가즈아아아 → 가즈아아, ㅠㅠㅠㅠ → ㅠㅠ)
+ * @param {string} text - 원문
+ * @returns {string} 정규화된 텍스트
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(.)\1{2,}/g, '$1$1');
+}
+
+function stripSuffix(word, suffixes, minLength) {
+  const suffix = suffixes.find(s => word.length - s.length >= minLength && word.endsWith(s));
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * 어절의 어간 (조사 → 어미 순서로 한 번씩 제거, 최소 1음절은 남김)
+ * @param {string} word - 정규화된 어절
+ * @returns {string} 어간
+ */
+function stem(word) {
+  const withoutParticle = stripSuffix(word, PARTICLES, 1);
+  return stripSuffix(withoutParticle, ENDINGS, 1);
+}
+
+/**
+ * 문장 단위 토큰화
+ * @param {string} text - 원문
+ * @returns {Array<Array>} 문장별 토큰 [{ surface, stem }]
+ */
+function tokenize(text) {
+  return normalize(text)
+    .split(SENTENCE_BOUNDARY)
+    .map(sentence => sentence
+      .split(WORD_BOUNDARY)
+      .filter(Boolean)
+      .map(surface => ({ surface, stem: stem(surface) })))
+    .filter(tokens => tokens.length > 0);
+}
+
+module.exports = {
+  normalize,
+  stem,
+  tokenize
+};
@@ -0,0 +1,121 @@
+/**
+ * MinHash + LSH 유사 문서 탐지
+ * 글자 n-gram 집합의 Jaccard 유사도를 MinHash 서명으로 근사하고,
+ * 서명을 밴드로 나눈 버킷 키가 하나라도 겹치는 문서만 후보로 비교한다.
+ * 글자 단위 n-gram이라 띄어쓰기/조사가 조금씩 다른 한국어 재전송 기사도 잡힌다.
+ */
+
+const SHINGLE_SIZE = 4;
+const BANDS = 20;
+const ROWS = 3; // 밴드당 해시 수 (Jaccard 0.45에서 후보가 될 확률 약 85%)
+const NUM_HASHES = BANDS * ROWS;
+
+// 해시 함수별 시드 (고정값이어야 저장된 서명과 비교 가능)
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32((i + 1) * 0x9e3779b1));
+
+// murmur3 finalizer
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a 32비트
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 글자 n-gram 집합
+ * @param {string} text - 원문
+ * @returns {Set<string>} n-gram (문장부호 제거, 소문자, 공백 하나로 정리)
+ */
+function shingles(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[^가-힣a-z0-9]+/g, ' ')
+    .trim();
+
+  const result = new Set();
+  if (normalized.length <= SHINGLE_SIZE) {
+    if (normalized) result.add(normalized);
+    return result;
+  }
+
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    result.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return result;
+}
+
+/**
+ * MinHash 서명
+ * @param {string} text - 원문
+ * @returns {Array<number>|null} NUM_HASHES개 최솟값 (n-gram이 없으면 null)
+ */
+function signature(text) {
+  const grams = shingles(text);
+  if (grams.size === 0) {
+    return null;
+  }
+
+  const mins = new Array(NUM_HASHES).fill(0xffffffff);
+  grams.forEach(gram => {
+    const base = fnv1a(gram);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = fmix32(base ^ SEEDS[i]);
+      if (h < mins[i]) mins[i] = h;
+    }
+  });
+  return mins;
+}
+
+/**
+ * 서명 간 추정 Jaccard 유사도
+ * @returns {number} 0-1
+ */
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * LSH 버킷 키 (밴드 번호 + 밴드 해시)
+ * @param {Array<number>} sig - MinHash 서명
+ * @returns {Array<string>} BANDS개 키
+ */
+function bucketKeys(sig) {
+  if (!sig) {
+    return [];
+  }
+
+  const keys = [];
+  for (let band = 0; band < BANDS; band++) {
+    const rows = sig.slice(band * ROWS, (band + 1) * ROWS).join(',');
+    keys.push(`${band}:${fnv1a(rows).toString(36)}`);
+  }
+  return keys;
+}
+
+module.exports = {
+  NUM_HASHES,
+  shingles,
+  signature,
+  similarity,
+  bucketKeys
+};
@@ -0,0 +1,146 @@
+/**
+ * 뉴스 이벤트 분류 (규칙 기반)
+ * 감정 점수만으로는 해킹과 소송을 구분할 수 없어, 제목/요약에서 이벤트 종류별 영문·한글 표현을 찾아
+ * 이벤트 종류와 심각도를 붙인다. 제목에서 찾은 표현은 요약에서만 찾은 표현보다 신뢰도가 높다.
+ */
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// 이벤트 종류별 기본 심각도와 표현 (escalate: 찾으면 심각도 한 단계 상승)
+const EVENT_RULES = {
+  HACK: {
+    severity: 'high',
+    en: [/\bhack(?:ed|s|ers?)?\b/i, /\bexploit(?:ed|s)?\b/i, /\bdrain(?:ed|s)?\b/i, /\bstolen\b/i, /\bbreach(?:ed)?\b/i, /\bcompromised\b/i, /\brug ?pull\b/i, /\bheist\b/i],
+    ko: ['해킹', '해커', '탈취', '도난', '유출', '익스플로잇', '러그풀', '먹튀'],
+    escalate: { en: [/\b(?:bridge|exchange|hot wallet)\b/i], ko: ['거래소', '브릿지', '핫월렛'] }
+  },
+  DELISTING: {
+    severity: 'high',
+    en: [/\bdelist(?:s|ed|ing)?\b/i, /\bsuspend(?:s|ed)? trading\b/i],
+    ko: ['상장폐지', '상폐', '거래지원 종료', '거래지원종료', '거래 지원 종료', '유의종목', '투자유의']
+  },
+  LISTING: {
+    severity: 'medium',
+    en: [/\b(?:lists|listed on|will list|to list|listing)\b/i, /\badds? support for\b/i],
+    ko: [/상장(?!폐지|사|기업|주식|\s*폐지)/, '원화마켓 추가', '원화 마켓 추가', '마켓 추가'],
+    escalate: { en: [/\b(?:binance|coinbase|upbit|bithumb)\b/i], ko: ['업비트', '빗썸', '바이낸스', '코인베이스', '원화마켓', '원화 마켓'] }
+  },
+  REGULATION: {
+    severity: 'medium',
+    en: [/\bsec\b/i, /\bregulat(?:or|ors|ion|ory|ed)\b/i, /\blawsuit\b/i, /\bsue[sd]?\b/i, /\bcharge[sd]\b/i, /\bcrackdown\b/i, /\bban(?:s|ned)?\b/i, /\bsanction(?:s|ed)?\b/i, /\bsubpoena\b/i, /\benforcement\b/i],
+    ko: ['규제', '금융위', '금감원', '금융당국', '소송', '기소', '제재', '압수수색', '과징금', '금지', '특금법'],
+    escalate: { en: [/\b(?:ban(?:s|ned)?|charge[sd]|sue[sd]?|lawsuit|crackdown)\b/i], ko: ['기소', '금지', '압수수색', '소송'] }
+  },
+  ETF: {
+    severity: 'medium',
+    en: [/\betfs?\b/i, /\betps?\b/i],
+    ko: ['상장지수펀드'],
+    escalate: { en: [/\b(?:approv(?:e|es|ed|al)|reject(?:s|ed|ion)?|den(?:y|ies|ied))\b/i], ko: ['승인', '거절', '거부', '반려'] }
+  },
+  UNLOCK: {
+    severity: 'medium',
+    en: [/\btoken unlocks?\b/i, /\bunlock(?:s|ed|ing)?\b/i, /\bvesting\b/i, /\bcliff\b/i],
+    ko: ['언락', '락업 해제', '락업해제', '물량 해제', '물량해제', '보호예수 해제']
+  },
+  PARTNERSHIP: {
+    severity: 'low',
+    en: [/\bpartner(?:s|ed|ship|ships)?\b/i, /\bcollaborat(?:e|es|ion)\b/i, /\bintegrat(?:e|es|ion)\b/i, /\bteams up\b/i, /\bjoins forces\b/i],
+    ko: ['파트너십', '제휴', '협약', '협업', 'MOU', '맞손']
+  }
+};
+
+// 사건을 부인/정정하는 표현 (이 문장에서 찾은 이벤트는 제외)
+const DENIAL_PATTERNS = [/\bden(?:y|ies|ied)\b[^.]*\b(?:hack|breach|exploit|rumou?rs?)\b/i, /\bfake news\b/i, /\bno evidence\b/i, /사실무근/, /루머.*부인/, /가짜뉴스/];
+
+const EVENT_TYPES = Object.keys(EVENT_RULES);
+
+// 큰 금액 (1억 달러 이상, 1천억 원 이상)이 언급되면 심각도 상승
+const LARGE_AMOUNT_PATTERNS = [
+  /\$\s?\d+(?:\.\d+)?\s?(?:billion|bn|b)\b/i,
+  /\$\s?(?:[1-9]\d{2,})(?:\.\d+)?\s?(?:million|m)\b/i,
+  /\d+(?:\.\d+)?\s?(?:billion|bn)\s?(?:dollars|usd)/i,
+  /\d+억\s?달러/,
+  /\d+천억\s?원?/,
+  /\d+조\s?원?/
+];
+
+function matchesAny(text, patterns) {
+  return patterns.filter(pattern => (typeof pattern === 'string' ? text.includes(pattern) : pattern.test(text)));
+}
+
+function raiseSeverity(severity) {
+  const index = SEVERITY_LEVELS.indexOf(severity);
+  return SEVERITY_LEVELS[Math.min(SEVERITY_LEVELS.length - 1, index + 1)];
+}
+
+function patternLabel(pattern) {
+  return typeof pattern === 'string' ? pattern : pattern.source;
+}
+
+/**
+ * 이벤트 분류
+ * @param {Object|string} article - { title, description } 또는 텍스트
+ * @returns {Array} [{ type, severity, confidence, matches }] (심각도 → 신뢰도 순)
+ */
+function classifyEvents(article) {
+  const title = typeof article === 'string' ? article : (article.title || '');
+  const description = typeof article === 'string' ? '' : (article.description || '');
+  const text = `${title} ${description}`;
+
+  if (DENIAL_PATTERNS.some(pattern => pattern.test(text))) {
+    return [];
+  }
+
+  const events = [];
+  EVENT_TYPES.forEach(type => {
+    const rule = EVENT_RULES[type];
+    const patterns = [...rule.en, ...rule.ko];
+    const inTitle = matchesAny(title, patterns);
+    const inDescription = matchesAny(description, patterns);
+    if (inTitle.length === 0 && inDescription.length === 0) return;
+
+    const matches = [...new Set([...inTitle, ...inDescription].map(patternLabel))];
+    let confidence = (inTitle.length > 0 ? 0.7 : 0.4) + 0.1 * (matches.length - 1);
+    let severity = rule.severity;
+
+    if (rule.escalate && matchesAny(text, [...rule.escalate.en, ...rule.escalate.ko]).length > 0) {
+      severity = raiseSeverity(severity);
+    }
+    if ((type === 'HACK' || type === 'REGULATION' || type === 'UNLOCK') && matchesAny(text, LARGE_AMOUNT_PATTERNS).length > 0) {
+      severity = raiseSeverity(severity);
+      confidence += 0.1;
+    }
+
+    events.push({
+      type,
+      severity,
+      confidence: Math.round(Math.min(0.95, confidence) * 100) / 100,
+      matches
+    });
+  });
+
+  // 상장폐지 기사에서 '상장'만 보고 붙은 LISTING 제외
+  const filtered = events.some(event => event.type === 'DELISTING')
+    ? events.filter(event => event.type !== 'LISTING')
+    : events;
+
+  return filtered.sort((a, b) =>
+    SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity) || b.confidence - a.confidence
+  );
+}
+
+/**
+ * 심각도 비교
+ * @returns {boolean} severity가 minSeverity 이상이면 true
+ */
+function meetsSeverity(severity, minSeverity) {
+  if (!minSeverity) return true;
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(minSeverity);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  SEVERITY_LEVELS,
+  classifyEvents,
+  meetsSeverity
+};
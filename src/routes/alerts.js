@@ -3,6 +3,8 @@ const { body, query, param, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
 const Alert = require('../models/Alert');
+const MarketEvent = require('../models/MarketEvent');
+const { EVENT_TYPES: NEWS_EVENT_TYPES, SEVERITY_LEVELS } = require('../nlp/newsEvents');
 
 /**
  * @swagger
@@ -32,7 +34,7 @@ const Alert = require('../models/Alert');
  *                 description: 코인 심볼
  *               alertType:
  *                 type: string
- *                 enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, CUSTOM]
+ *                 enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, MARKET_EVENT, NEWS_EVENT, CUSTOM]
  *                 description: 알림 타입
  *               triggerScore:
  *                 type: number
@@ -73,6 +75,22 @@ const Alert = require('../models/Alert');
  *                     type: number
  *                     minimum: 0
  *                     default: 60
+ *                   eventTypes:
+ *                     type: array
+ *                     description: MARKET_EVENT 알림 대상 이벤트 (비어 있으면 전체)
+ *                     items:
+ *                       type: string
+ *                       enum: [LISTING, DELISTING, WARNING_DESIGNATED, WARNING_RELEASED, CAUTION_DESIGNATED, CAUTION_RELEASED]
+ *                   newsEventTypes:
+ *                     type: array
+ *                     description: NEWS_EVENT 알림 대상 뉴스 이벤트 (비어 있으면 전체)
+ *                     items:
+ *                       type: string
+ *                       enum: [HACK, DELISTING, LISTING, REGULATION, ETF, UNLOCK, PARTNERSHIP]
+ *                   minSeverity:
+ *                     type: string
+ *                     description: NEWS_EVENT 알림 최소 심각도
+ *                     enum: [low, medium, high, critical]
  *     responses:
  *       201:
  *         description: 알림 생성 성공
@@ -94,12 +112,15 @@ const Alert = require('../models/Alert');
 router.post('/', [
   body('coinId').notEmpty().withMessage('코인 ID는 필수입니다'),
   body('symbol').optional().isString().withMessage('심볼은 문자열이어야 합니다'),
-  body('alertType').isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다'),
+  body('alertType').isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'MARKET_EVENT', 'NEWS_EVENT', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다'),
   body('triggerScore').optional().isFloat({ min: 0, max: 100 }).withMessage('트리거 점수는 0-100 사이의 숫자여야 합니다'),
   body('settings.minScore').optional().isFloat({ min: 0, max: 100 }).withMessage('최소 점수는 0-100 사이의 숫자여야 합니다'),
   body('settings.maxScore').optional().isFloat({ min: 0, max: 100 }).withMessage('최대 점수는 0-100 사이의 숫자여야 합니다'),
   body('settings.cooldownMinutes').optional().isInt({ min: 0 }).withMessage('쿨다운 시간은 0 이상의 정수여야 합니다'),
-  body('settings.webhookUrl').optional().isURL().withMessage('유효하지 않은 웹훅 URL입니다')
+  body('settings.webhookUrl').optional().isURL().withMessage('유효하지 않은 웹훅 URL입니다'),
+  body('settings.eventTypes.*').optional().isIn(Object.keys(MarketEvent.TYPES)).withMessage('유효하지 않은 시장 이벤트 타입입니다'),
+  body('settings.newsEventTypes.*').optional().isIn(NEWS_EVENT_TYPES).withMessage('유효하지 않은 뉴스 이벤트 타입입니다'),
+  body('settings.minSeverity').optional().isIn(SEVERITY_LEVELS).withMessage('유효하지 않은 심각도입니다')
 ], async (req, res) => {
   try {
     // 유효성 검사
@@ -130,7 +151,10 @@ router.post('/', [
         emailEnabled: settings.emailEnabled || false,
         pushEnabled: settings.pushEnabled !== false,
         webhookUrl: settings.webhookUrl || undefined,
-        cooldownMinutes: settings.cooldownMinutes || 60
+        cooldownMinutes: settings.cooldownMinutes || 60,
+        eventTypes: settings.eventTypes || [],
+        newsEventTypes: settings.newsEventTypes || [],
+        minSeverity: settings.minSeverity || undefined
       },
       metadata: {
         priority: settings.priority || 'medium'
@@ -185,7 +209,7 @@ router.post('/', [
  *         name: alertType
  *         schema:
  *           type: string
- *           enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, CUSTOM]
+ *           enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, MARKET_EVENT, NEWS_EVENT, CUSTOM]
  *         description: 알림 타입 필터
  *       - in: query
  *         name: coinId
@@ -232,7 +256,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('페이지는 1 이상의 정수여야 합니다'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('제한은 1-100 사이의 정수여야 합니다'),
   query('userId').optional().isString().withMessage('사용자 ID는 문자열이어야 합니다'),
-  query('alertType').optional().isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다'),
+  query('alertType').optional().isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'MARKET_EVENT', 'NEWS_EVENT', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다'),
   query('coinId').optional().isString().withMessage('코인 ID는 문자열이어야 합니다'),
   query('isActive').optional().isBoolean().withMessage('활성 상태는 boolean 값이어야 합니다')
 ], async (req, res) => {
@@ -338,7 +362,7 @@ router.get('/', [
  *         name: alertType
  *         schema:
  *           type: string
- *           enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, CUSTOM]
+ *           enum: [STRONG_SIGNAL, PRICE_TARGET, VOLUME_SPIKE, WHALE_MOVE, MARKET_EVENT, NEWS_EVENT, CUSTOM]
  *         description: 알림 타입 필터
  *     responses:
  *       200:
@@ -375,7 +399,7 @@ router.get('/triggered', [
   query('page').optional().isInt({ min: 1 }).withMessage('페이지는 1 이상의 정수여야 합니다'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('제한은 1-100 사이의 정수여야 합니다'),
   query('userId').optional().isString().withMessage('사용자 ID는 문자열이어야 합니다'),
-  query('alertType').optional().isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다')
+  query('alertType').optional().isIn(['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'MARKET_EVENT', 'NEWS_EVENT', 'CUSTOM']).withMessage('유효하지 않은 알림 타입입니다')
 ], async (req, res) => {
   try {
     // 유효성 검사
@@ -650,7 +674,10 @@ router.put('/:alertId', [
   body('settings.minScore').optional().isFloat({ min: 0, max: 100 }).withMessage('최소 점수는 0-100 사이의 숫자여야 합니다'),
   body('settings.maxScore').optional().isFloat({ min: 0, max: 100 }).withMessage('최대 점수는 0-100 사이의 숫자여야 합니다'),
   body('settings.cooldownMinutes').optional().isInt({ min: 0 }).withMessage('쿨다운 시간은 0 이상의 정수여야 합니다'),
-  body('settings.webhookUrl').optional().isURL().withMessage('유효하지 않은 웹훅 URL입니다')
+  body('settings.webhookUrl').optional().isURL().withMessage('유효하지 않은 웹훅 URL입니다'),
+  body('settings.eventTypes.*').optional().isIn(Object.keys(MarketEvent.TYPES)).withMessage('유효하지 않은 시장 이벤트 타입입니다'),
+  body('settings.newsEventTypes.*').optional().isIn(NEWS_EVENT_TYPES).withMessage('유효하지 않은 뉴스 이벤트 타입입니다'),
+  body('settings.minSeverity').optional().isIn(SEVERITY_LEVELS).withMessage('유효하지 않은 심각도입니다')
 ], async (req, res) => {
   try {
     // 유효성 검사
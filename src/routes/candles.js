@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const Candle = require('../models/Candle');
+const CandleService = require('../services/CandleService');
+
+const candleService = new CandleService();
+
+const INTERVALS = Object.keys(Candle.INTERVALS);
+const EXCHANGES = Candle.EXCHANGES;
+
+/**
+ * @swagger
+ * /api/candles/{symbol}:
+ *   get:
+ *     summary: OHLCV 캔들 조회
+ *     description: 저장된 캔들을 오래된 순으로 반환합니다. 기간을 지정하지 않으면 최근 캔들을 반환하며, 부족하면 거래소에서 먼저 수집합니다.
+ *     tags: [Candles]
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 심볼 (예 BTC)
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [coingecko, binance, upbit, bithumb]
+ *         description: 데이터 출처 (미지정 시 기본 거래소 후 CoinGecko 순)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 15m, 30m, 1h, 4h, 1d]
+ *           default: 1d
+ *         description: 캔들 간격
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 시작 시각
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 종료 시각
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 200
+ *         description: 최대 캔들 수
+ *       - in: query
+ *         name: coinId
+ *         schema:
+ *           type: string
+ *         description: CoinGecko 코인 ID (CoinGecko 수집 시 필요)
+ *     responses:
+ *       200:
+ *         description: 캔들 조회 성공
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/:symbol', [
+  param('symbol').isString().trim().notEmpty().withMessage('심볼이 필요합니다'),
+  query('exchange').optional().isIn(EXCHANGES).withMessage('지원하지 않는 거래소입니다'),
+  query('interval').optional().isIn(INTERVALS).withMessage('지원하지 않는 캔들 간격입니다'),
+  query('from').optional().isISO8601().withMessage('시작 시각은 ISO8601 형식이어야 합니다'),
+  query('to').optional().isISO8601().withMessage('종료 시각은 ISO8601 형식이어야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('제한은 1-1000 사이의 정수여야 합니다'),
+  query('coinId').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const interval = req.query.interval || '1d';
+    const limit = parseInt(req.query.limit) || 200;
+
+    const { exchange, candles } = await candleService.getCandles(symbol, {
+      exchange: req.query.exchange,
+      interval,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+      limit,
+      coinId: req.query.coinId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        symbol,
+        exchange,
+        interval,
+        count: candles.length,
+        candles
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get candles:', error);
+    res.status(500).json({
+      success: false,
+      error: '캔들 데이터를 가져오는데 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candles/{symbol}/gaps:
+ *   get:
+ *     summary: 캔들 누락 구간 조회
+ *     description: 지정한 기간 동안 저장된 캔들에서 빠진 구간을 반환합니다.
+ *     tags: [Candles]
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [coingecko, binance, upbit, bithumb]
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 15m, 30m, 1h, 4h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: 누락 구간 조회 성공
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/:symbol/gaps', [
+  param('symbol').isString().trim().notEmpty().withMessage('심볼이 필요합니다'),
+  query('exchange').optional().isIn(EXCHANGES).withMessage('지원하지 않는 거래소입니다'),
+  query('interval').optional().isIn(INTERVALS).withMessage('지원하지 않는 캔들 간격입니다'),
+  query('from').isISO8601().withMessage('시작 시각은 ISO8601 형식이어야 합니다'),
+  query('to').optional().isISO8601().withMessage('종료 시각은 ISO8601 형식이어야 합니다')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const exchange = req.query.exchange || candleService.defaultExchange;
+    const interval = req.query.interval || '1h';
+    const from = new Date(req.query.from);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+
+    const candles = await Candle.getRange(symbol, exchange, interval, { from, to, limit: 5000 });
+    const gaps = candleService.detectGaps(candles, interval, { from, to });
+
+    res.json({
+      success: true,
+      data: {
+        symbol,
+        exchange,
+        interval,
+        stored: candles.length,
+        missing: gaps.reduce((sum, gap) => sum + gap.missing, 0),
+        gaps
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to detect candle gaps:', error);
+    res.status(500).json({
+      success: false,
+      error: '캔들 누락 구간 조회에 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/candles/{symbol}/backfill:
+ *   post:
+ *     summary: 캔들 누락 구간 백필
+ *     description: 누락 구간을 거래소에서 다시 받아 저장합니다.
+ *     tags: [Candles]
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               exchange:
+ *                 type: string
+ *                 enum: [coingecko, binance, upbit, bithumb]
+ *               interval:
+ *                 type: string
+ *                 enum: [1m, 5m, 15m, 30m, 1h, 4h, 1d]
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               coinId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 백필 완료
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.post('/:symbol/backfill', [
+  param('symbol').isString().trim().notEmpty().withMessage('심볼이 필요합니다'),
+  body('exchange').optional().isIn(EXCHANGES).withMessage('지원하지 않는 거래소입니다'),
+  body('interval').optional().isIn(INTERVALS).withMessage('지원하지 않는 캔들 간격입니다'),
+  body('from').optional().isISO8601().withMessage('시작 시각은 ISO8601 형식이어야 합니다'),
+  body('to').optional().isISO8601().withMessage('종료 시각은 ISO8601 형식이어야 합니다'),
+  body('coinId').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const result = await candleService.backfillGaps(req.params.symbol, {
+      exchange: req.body.exchange || candleService.defaultExchange,
+      interval: req.body.interval || '1h',
+      from: req.body.from ? new Date(req.body.from) : undefined,
+      to: req.body.to ? new Date(req.body.to) : new Date(),
+      coinId: req.body.coinId
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to backfill candles:', error);
+    res.status(500).json({
+      success: false,
+      error: '캔들 백필에 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
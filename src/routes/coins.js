@@ -5,9 +5,16 @@ const logger = require('../utils/logger');
 const Coin = require('../models/Coin');
 const Signal = require('../models/Signal');
 const CacheService = require('../services/CacheService');
+const TechnicalAnalysisService = require('../services/TechnicalAnalysisService');
+const LiquidityService = require('../services/LiquidityService');
+const DerivativesService = require('../services/DerivativesService');
+const Candle = require('../models/Candle');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const cacheService = new CacheService();
+const technicalAnalysisService = new TechnicalAnalysisService();
+const liquidityService = new LiquidityService();
+const derivativesService = new DerivativesService();
 
 /**
  * @swagger
@@ -424,6 +431,72 @@ router.get('/trending', [
   }
 });
 
+/**
+ * @swagger
+ * /api/coins/price-disagreements:
+ *   get:
+ *     summary: 가격 소스 불일치 코인 조회
+ *     description: CoinGecko와 거래소 가격 차이가 임계값(PRICE_DISAGREEMENT_THRESHOLD)을 넘은 코인을 차이가 큰 순으로 반환합니다. 소스별 가격은 metadata.provenance에 있습니다.
+ *     tags: [Coins]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: 반환할 코인 수
+ *     responses:
+ *       200:
+ *         description: 불일치 코인 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coin'
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/price-disagreements', [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('제한은 1-200 사이의 정수여야 합니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const coins = await Coin.findPriceDisagreements(limit);
+
+    res.json({
+      success: true,
+      data: coins
+    });
+  } catch (error) {
+    logger.error('Failed to retrieve price disagreements:', error);
+    res.status(500).json({
+      success: false,
+      error: '가격 불일치 코인을 가져오는데 실패했습니다'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/coins/{coinId}/signals:
@@ -574,6 +647,276 @@ router.get('/:coinId/signals', [
   }
 });
 
+/**
+ * @swagger
+ * /api/coins/{coinId}/technicals:
+ *   get:
+ *     summary: 멀티 타임프레임 기술적 분석
+ *     description: 간격별 기술적 지표와 타임프레임 간 추세 일치도(컨플루언스)를 반환합니다. 각 간격에는 캔들/차트 패턴과 RSI·MACD·OBV 다이버전스(일반/히든, 강도, 경과 봉 수)가 포함됩니다. 지표는 저장된 실제 캔들로 계산합니다.
+ *     tags: [Coins]
+ *     parameters:
+ *       - in: path
+ *         name: coinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 ID
+ *       - in: query
+ *         name: intervals
+ *         schema:
+ *           type: string
+ *           default: 5m,1h,4h,1d
+ *         description: 쉼표로 구분한 캔들 간격 (1m, 5m, 15m, 30m, 1h, 4h, 1d)
+ *     responses:
+ *       200:
+ *         description: 기술적 분석 조회 성공
+ *       400:
+ *         description: 잘못된 요청
+ *       404:
+ *         description: 코인을 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/:coinId/technicals', [
+  param('coinId').notEmpty().withMessage('코인 ID는 필수입니다'),
+  query('intervals').optional().custom(value => {
+    const intervals = value.split(',').map(i => i.trim());
+    return intervals.length > 0 && intervals.every(i => Candle.INTERVALS[i]);
+  }).withMessage('지원하지 않는 캔들 간격이 포함되어 있습니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { coinId } = req.params;
+    const intervals = req.query.intervals
+      ? [...new Set(req.query.intervals.split(',').map(i => i.trim()))]
+      : technicalAnalysisService.defaultIntervals;
+
+    // 캐시 확인
+    const cacheKey = `coin:${coinId}:technicals:${intervals.join(',')}`;
+    let cachedResult = await cacheService.get(cacheKey);
+
+    if (cachedResult) {
+      logger.info(`Technicals for ${coinId} loaded from cache`);
+      return res.json(cachedResult);
+    }
+
+    // 코인 존재 확인
+    const coin = await Coin.findByCoinId(coinId);
+    if (!coin) {
+      return res.status(404).json({
+        success: false,
+        error: '코인을 찾을 수 없습니다'
+      });
+    }
+
+    const analysis = await technicalAnalysisService.analyzeMultiTimeframe(coin.symbol, { id: coin.coinId }, intervals);
+
+    const result = {
+      success: true,
+      data: {
+        coinId: coin.coinId,
+        symbol: coin.symbol,
+        ...analysis
+      }
+    };
+
+    // 캐시에 저장 (1분)
+    await cacheService.set(cacheKey, result, 60);
+
+    logger.success(`Retrieved technicals for ${coinId} (${intervals.join(',')})`);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Failed to retrieve technicals for ${req.params.coinId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: '기술적 분석을 가져오는데 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coins/{coinId}/liquidity:
+ *   get:
+ *     summary: 호가창 유동성 지표
+ *     description: 최근 호가 스냅샷의 스프레드, 중간가 ±1%/±2% 호가 깊이, 호가 불균형, 주문 금액별 예상 슬리피지와 유동성 등급을 반환합니다. 금액은 호가 통화 기준입니다.
+ *     tags: [Coins]
+ *     parameters:
+ *       - in: path
+ *         name: coinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 ID
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [binance, upbit, bithumb]
+ *         description: 거래소 (미지정 시 기본 거래소)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: 이력 개수
+ *     responses:
+ *       200:
+ *         description: 유동성 지표 조회 성공
+ *       400:
+ *         description: 잘못된 요청
+ *       404:
+ *         description: 코인을 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/:coinId/liquidity', [
+  param('coinId').notEmpty().withMessage('코인 ID는 필수입니다'),
+  query('exchange').optional().isIn(['binance', 'upbit', 'bithumb']).withMessage('지원하지 않는 거래소입니다'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('제한은 1-500 사이의 정수여야 합니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { coinId } = req.params;
+    const exchange = req.query.exchange || liquidityService.exchanges[0];
+    const limit = parseInt(req.query.limit) || 50;
+
+    // 코인 존재 확인
+    const coin = await Coin.findByCoinId(coinId);
+    if (!coin) {
+      return res.status(404).json({
+        success: false,
+        error: '코인을 찾을 수 없습니다'
+      });
+    }
+
+    const [latest, history] = await Promise.all([
+      liquidityService.getLiquidity(coin.symbol, exchange),
+      liquidityService.getHistory(coin.symbol, exchange, limit)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coinId: coin.coinId,
+        symbol: coin.symbol,
+        exchange,
+        latest,
+        history
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to retrieve liquidity for ${req.params.coinId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: '유동성 지표를 가져오는데 실패했습니다'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coins/{coinId}/derivatives:
+ *   get:
+ *     summary: 파생상품 데이터 (펀딩비, 미결제약정, 롱/숏 비율)
+ *     description: 무기한 선물의 최신 펀딩비, 미결제약정(24시간 변화율 포함), 롱/숏 비율과 파생상품 점수(50 중립, 스퀴즈 위험 포함) 및 이력을 반환합니다. 선물 마켓이 없으면 latest가 null입니다.
+ *     tags: [Coins]
+ *     parameters:
+ *       - in: path
+ *         name: coinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 ID
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 720
+ *           default: 24
+ *         description: 이력 기간 (시간)
+ *     responses:
+ *       200:
+ *         description: 파생상품 데이터 조회 성공
+ *       400:
+ *         description: 잘못된 요청
+ *       404:
+ *         description: 코인을 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/:coinId/derivatives', [
+  param('coinId').notEmpty().withMessage('코인 ID는 필수입니다'),
+  query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('기간은 1-720 사이의 정수여야 합니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { coinId } = req.params;
+    const hours = parseInt(req.query.hours) || 24;
+
+    // 코인 존재 확인
+    const coin = await Coin.findByCoinId(coinId);
+    if (!coin) {
+      return res.status(404).json({
+        success: false,
+        error: '코인을 찾을 수 없습니다'
+      });
+    }
+
+    const [latest, history] = await Promise.all([
+      derivativesService.getSummary(coin.symbol, { priceChange24h: coin.priceChange?.['24h'] || 0 }),
+      derivativesService.getHistory(coin.symbol, hours)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coinId: coin.coinId,
+        symbol: coin.symbol,
+        latest,
+        history
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to retrieve derivatives for ${req.params.coinId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: '파생상품 데이터를 가져오는데 실패했습니다'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/coins/{coinId}:
@@ -759,9 +1102,9 @@ router.post('/refresh', [
 
     logger.info(`Starting coin data refresh - Priority: ${priority}, Limit: ${limit}`);
 
-    // CoinGecko 서비스 초기화
-    const CoinGeckoService = require('../services/CoinGeckoService');
-    const coinGeckoService = new CoinGeckoService();
+    // 시장 데이터 공급자 초기화 (CoinGecko 실패 시 캐시 대체, 거래소 가격 합의)
+    const MarketDataProviderService = require('../services/MarketDataProviderService');
+    const marketDataProvider = new MarketDataProviderService();
 
     let totalCoins = 0;
     let processedCoins = 0;
@@ -771,7 +1114,7 @@ router.post('/refresh', [
       switch (priority) {
         case 'high':
           // 상위 100개 코인
-          const highPriorityCoins = await coinGeckoService.getMarketDataBatch(1, Math.min(limit, 100));
+          const highPriorityCoins = await marketDataProvider.getMarketDataBatch(1, Math.min(limit, 100));
           totalCoins = highPriorityCoins.length;
           
           for (const coinData of highPriorityCoins) {
@@ -786,7 +1129,7 @@ router.post('/refresh', [
 
         case 'medium':
           // 상위 500개 코인
-          const mediumPriorityCoins = await coinGeckoService.getMarketDataBatch(1, Math.min(limit, 500));
+          const mediumPriorityCoins = await marketDataProvider.getMarketDataBatch(1, Math.min(limit, 500));
           totalCoins = mediumPriorityCoins.length;
           
           for (const coinData of mediumPriorityCoins) {
@@ -804,7 +1147,7 @@ router.post('/refresh', [
           const pages = Math.ceil(limit / 250);
           for (let page = 1; page <= pages; page++) {
             const pageLimit = Math.min(250, limit - (page - 1) * 250);
-            const pageCoins = await coinGeckoService.getMarketDataBatch(page, pageLimit);
+            const pageCoins = await marketDataProvider.getMarketDataBatch(page, pageLimit);
             
             for (const coinData of pageCoins) {
               try {
@@ -161,6 +161,11 @@ router.get('/', async (req, res) => {
       health.errors.push('Scheduler status check failed');
     }
 
+    // 실시간 시세 스트림 상태
+    health.services.marketStream = global.marketDataService
+      ? global.marketDataService.getStatus()
+      : { running: false };
+
     // 성능 메트릭
     try {
       health.performance = performanceMonitor.getMetrics();
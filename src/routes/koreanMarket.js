@@ -2,11 +2,17 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const KoreanMarketService = require('../services/KoreanMarketService');
 const KoreanCommunityService = require('../services/KoreanCommunityService');
+const ArbitrageService = require('../services/ArbitrageService');
+const MarketEventService = require('../services/MarketEventService');
+const MarketEvent = require('../models/MarketEvent');
+const { FX_SOURCES } = require('../adapters/fx');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const koreanMarketService = new KoreanMarketService();
 const koreanCommunityService = new KoreanCommunityService();
+const arbitrageService = new ArbitrageService({ koreanMarketService });
+const marketEventService = new MarketEventService();
 
 // 입력 유효성 검사 미들웨어
 const validateInput = (req, res, next) => {
@@ -52,7 +58,7 @@ const validateInput = (req, res, next) => {
  *                       type: array
  *                       items:
  *                         type: string
- *                       example: ["/stats", "/kimchi-premium/:symbol", "/signal/:symbol", "/community-sentiment/:symbol", "/health"]
+ *                       example: ["/stats", "/kimchi-premium/:symbol", "/kimchi-premium/:symbol/history", "/arbitrage", "/fx", "/volume-share", "/events", "/signal/:symbol", "/community-sentiment/:symbol", "/health"]
  *                     lastUpdate:
  *                       type: string
  *                       format: date-time
@@ -101,6 +107,12 @@ const validateInput = (req, res, next) => {
  *                       type: boolean
  *                     trend:
  *                       type: string
+ *                       enum: [positive, negative]
+ *                       description: "프리미엄 부호 (양수/음수)"
+ *                     premiumTrend:
+ *                       type: string
+ *                       enum: [rising, falling, stable]
+ *                       description: "저장된 이력 기준 프리미엄 변화 방향"
  *       400:
  *         description: "잘못된 요청"
  *       500:
@@ -117,6 +129,11 @@ router.get('/', async (req, res) => {
         availableEndpoints: [
           '/stats',
           '/kimchi-premium/:symbol',
+          '/kimchi-premium/:symbol/history',
+          '/arbitrage',
+          '/fx',
+          '/volume-share',
+          '/events',
           '/signal/:symbol',
           '/community-sentiment/:symbol',
           '/health'
@@ -170,6 +187,519 @@ router.get('/kimchi-premium/:symbol',
   }
 );
 
+/**
+ * @swagger
+ * /api/korean-market/kimchi-premium/{symbol}/history:
+ *   get:
+ *     summary: 김치프리미엄 이력 및 z-score 조회
+ *     description: 저장된 김치프리미엄 시계열과 각 시점의 이동 평균/z-score/백분위를 반환합니다.
+ *     tags: [Korean Market]
+ *     parameters:
+ *       - in: path
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: "코인 심볼 (예: BTC, ETH)"
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [composite, upbit, bithumb]
+ *           default: composite
+ *         description: "국내 가격 기준 (composite: 업비트/빗썸 가중평균)"
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 180
+ *           default: 7
+ *         description: "조회 기간 (일)"
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 720
+ *           default: 168
+ *         description: "z-score 비교 구간 (시간)"
+ *     responses:
+ *       200:
+ *         description: "김치프리미엄 이력 조회 성공"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     symbol:
+ *                       type: string
+ *                     exchange:
+ *                       type: string
+ *                     statistics:
+ *                       type: object
+ *                       description: "기간 분포 대비 최신 값 (mean, std, zScore, percentile, min, max, latest)"
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           premium:
+ *                             type: number
+ *                           mean:
+ *                             type: number
+ *                           zScore:
+ *                             type: number
+ *                           percentile:
+ *                             type: number
+ *       400:
+ *         description: "잘못된 요청"
+ *       500:
+ *         description: "서버 오류"
+ */
+router.get('/kimchi-premium/:symbol/history',
+  param('symbol').isLength({ min: 2, max: 10 }).withMessage('코인 심볼은 2-10자여야 합니다'),
+  query('exchange').optional().isIn(['composite', 'upbit', 'bithumb']).withMessage('거래소는 composite, upbit, bithumb 중 하나여야 합니다'),
+  query('days').optional().isInt({ min: 1, max: 180 }).withMessage('조회 기간은 1-180일이어야 합니다'),
+  query('window').optional().isInt({ min: 1, max: 720 }).withMessage('비교 구간은 1-720시간이어야 합니다'),
+  validateInput,
+  async (req, res) => {
+    try {
+      const { symbol } = req.params;
+      const exchange = req.query.exchange || 'composite';
+      const days = parseInt(req.query.days) || 7;
+      const windowHours = parseInt(req.query.window) || 24 * 7;
+
+      const history = await koreanMarketService.getKimchiPremiumHistory(symbol, { exchange, days, windowHours });
+
+      res.json({
+        success: true,
+        data: history,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('김치프리미엄 이력 조회 오류:', error);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/korean-market/arbitrage:
+ *   get:
+ *     summary: 수수료/전송 비용을 반영한 거래소 간 차익거래 계산
+ *     description: 주문 금액(USDT)만큼 매수 거래소에서 사서 매도 거래소로 옮겨 팔 때의 순 프리미엄을 호가 깊이, 거래/출금 수수료, 환전 스프레드, 전송 시간 위험을 반영해 계산합니다.
+ *     tags: [Korean Market]
+ *     parameters:
+ *       - in: query
+ *         name: symbols
+ *         schema:
+ *           type: string
+ *         description: "쉼표로 구분한 코인 심볼 (예: BTC,ETH,XRP)"
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: number
+ *           minimum: 100
+ *           maximum: 1000000
+ *           default: 10000
+ *         description: "주문 금액 (USDT)"
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: "특정 경로만 계산 (매수-매도, 예: binance-upbit)"
+ *     responses:
+ *       200:
+ *         description: "차익거래 계산 성공"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     size:
+ *                       type: number
+ *                     usdKrwRate:
+ *                       type: number
+ *                     fx:
+ *                       type: object
+ *                       description: "환율 출처 (source, kind, stale)"
+ *                     opportunities:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           symbol:
+ *                             type: string
+ *                           route:
+ *                             type: string
+ *                             example: "binance→upbit"
+ *                           executable:
+ *                             type: boolean
+ *                           rawPremium:
+ *                             type: number
+ *                             description: "중간가 기준 프리미엄 (%)"
+ *                           netPremium:
+ *                             type: number
+ *                             description: "모든 비용 반영 후 순 프리미엄 (%)"
+ *                           netProfit:
+ *                             type: number
+ *                           transferMinutes:
+ *                             type: number
+ *                           costs:
+ *                             type: object
+ *                           reason:
+ *                             type: string
+ *                             description: "실행 불가 사유"
+ *       400:
+ *         description: "잘못된 요청"
+ *       500:
+ *         description: "서버 오류"
+ */
+router.get('/arbitrage',
+  query('symbols').optional().matches(/^[A-Za-z0-9]{2,10}(,[A-Za-z0-9]{2,10}){0,19}$/).withMessage('심볼은 쉼표로 구분한 1-20개여야 합니다'),
+  query('size').optional().isFloat({ min: 100, max: 1000000 }).withMessage('주문 금액은 100-1,000,000 USDT여야 합니다'),
+  query('route').optional().isIn(arbitrageService.routes).withMessage(`경로는 ${arbitrageService.routes.join(', ')} 중 하나여야 합니다`),
+  validateInput,
+  async (req, res) => {
+    try {
+      const symbols = (req.query.symbols || process.env.KIMCHI_PREMIUM_SYMBOLS || 'BTC,ETH,XRP,SOL,DOGE')
+        .split(',')
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean);
+      const size = parseFloat(req.query.size) || arbitrageService.defaultSize;
+      const routes = req.query.route ? [req.query.route] : arbitrageService.routes;
+
+      logger.info(`차익거래 계산 요청: ${symbols.length}개 코인, ${size} USDT`);
+
+      const result = await arbitrageService.getOpportunities(symbols, { size, routes });
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('차익거래 계산 오류:', error);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/korean-market/fx:
+ *   get:
+ *     summary: 원/달러 환율 조회
+ *     description: 공식 환율과 업비트 USDT/KRW 유추 환율, 둘의 차이(USDT 프리미엄), 환율 이력을 반환합니다. 모든 소스가 실패하면 저장된 마지막 환율을 stale로 표시해 반환합니다.
+ *     tags: [Korean Market]
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 720
+ *           default: 24
+ *         description: "이력 조회 기간 (시간)"
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [dunamu, open-er-api, upbit-usdt, fixed]
+ *         description: "특정 소스 이력만 조회"
+ *     responses:
+ *       200:
+ *         description: "환율 조회 성공"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     official:
+ *                       type: object
+ *                       description: "공식 환율 (rate, source, kind, sourceTimestamp, stale, fallback)"
+ *                     implied:
+ *                       type: object
+ *                       description: "USDT/KRW 유추 환율"
+ *                     usdtPremium:
+ *                       type: number
+ *                       description: "공식 환율 대비 USDT/KRW 프리미엄 (%)"
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: "잘못된 요청"
+ *       500:
+ *         description: "서버 오류"
+ */
+router.get('/fx',
+  query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('조회 기간은 1-720시간이어야 합니다'),
+  query('source').optional().isIn(FX_SOURCES).withMessage(`환율 소스는 ${FX_SOURCES.join(', ')} 중 하나여야 합니다`),
+  validateInput,
+  async (req, res) => {
+    try {
+      const hours = parseInt(req.query.hours) || 24;
+
+      const [overview, history] = await Promise.all([
+        koreanMarketService.fxRateService.getOverview(),
+        koreanMarketService.fxRateService.getHistory({ hours, source: req.query.source || null })
+      ]);
+
+      res.json({
+        success: true,
+        data: { ...overview, history },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('환율 조회 오류:', error);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/korean-market/volume-share:
+ *   get:
+ *     summary: 국내 거래소 거래량 점유율 조회
+ *     description: 업비트/빗썸 24시간 원화 거래대금의 글로벌 거래대금 대비 비중을 코인별과 원화 시장 전체로 반환합니다. 최근 7일 이력 대비 원화 거래대금 급증 여부와 점유율 z-score를 함께 제공합니다.
+ *     tags: [Korean Market]
+ *     parameters:
+ *       - in: query
+ *         name: symbols
+ *         schema:
+ *           type: string
+ *         description: "쉼표로 구분한 코인 심볼 (예: BTC,ETH). 없으면 국내 거래대금 상위 코인"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *       - in: query
+ *         name: spikesOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: "원화 거래대금이 급증한 코인만 반환"
+ *     responses:
+ *       200:
+ *         description: "거래량 점유율 조회 성공"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     market:
+ *                       type: object
+ *                       description: "원화 시장 전체 (koreanVolumeUsd, globalVolumeUsd, share, exchanges, shareZScore)"
+ *                     coins:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           symbol:
+ *                             type: string
+ *                           koreanVolumeUsd:
+ *                             type: number
+ *                           globalVolumeUsd:
+ *                             type: number
+ *                           share:
+ *                             type: number
+ *                             description: "글로벌 거래대금 중 국내 비중 (%)"
+ *                           exchanges:
+ *                             type: object
+ *                             description: "거래소별 비중 (%)"
+ *                           volumeSpike:
+ *                             type: object
+ *                             description: "이력 대비 원화 거래대금 (ratio, zScore, isSpike)"
+ *                           shareZScore:
+ *                             type: number
+ *                     fx:
+ *                       type: object
+ *                       description: "USD 환산에 쓴 환율"
+ *       400:
+ *         description: "잘못된 요청"
+ *       500:
+ *         description: "서버 오류"
+ */
+router.get('/volume-share',
+  query('symbols').optional().matches(/^[A-Za-z0-9]{2,10}(,[A-Za-z0-9]{2,10}){0,49}$/).withMessage('심볼은 쉼표로 구분한 1-50개여야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('조회 개수는 1-500이어야 합니다'),
+  query('spikesOnly').optional().isBoolean().withMessage('spikesOnly는 true 또는 false여야 합니다'),
+  validateInput,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const symbols = req.query.symbols
+        ? req.query.symbols.split(',').map(symbol => symbol.trim().toUpperCase())
+        : null;
+
+      const volumeShare = await koreanMarketService.getVolumeShare();
+
+      let coins = volumeShare.coins;
+      if (symbols) coins = coins.filter(coin => symbols.includes(coin.symbol));
+      if (req.query.spikesOnly === 'true') coins = coins.filter(coin => coin.volumeSpike.isSpike);
+
+      res.json({
+        success: true,
+        data: { ...volumeShare, coins: coins.slice(0, limit) },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('거래량 점유율 조회 오류:', error);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/korean-market/events:
+ *   get:
+ *     summary: 국내 거래소 마켓 이벤트 조회
+ *     description: 업비트/빗썸 원화 마켓의 신규 상장, 거래지원 종료, 투자유의/주의 지정 및 해제 이벤트를 최신 순으로 반환합니다.
+ *     tags: [Korean Market]
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: "코인 심볼 (예: BTC)"
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [upbit, bithumb]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [LISTING, DELISTING, WARNING_DESIGNATED, WARNING_RELEASED, CAUTION_DESIGNATED, CAUTION_RELEASED]
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 8760
+ *           default: 168
+ *         description: "조회 기간 (시간)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: "이벤트 조회 성공"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       exchange:
+ *                         type: string
+ *                       symbol:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       severity:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       detectedAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: "잘못된 요청"
+ *       500:
+ *         description: "서버 오류"
+ */
+router.get('/events',
+  query('symbol').optional().isLength({ min: 2, max: 10 }).withMessage('코인 심볼은 2-10자여야 합니다'),
+  query('exchange').optional().isIn(['upbit', 'bithumb']).withMessage('거래소는 upbit, bithumb 중 하나여야 합니다'),
+  query('type').optional().isIn(Object.keys(MarketEvent.TYPES)).withMessage('유효하지 않은 이벤트 종류입니다'),
+  query('hours').optional().isInt({ min: 1, max: 8760 }).withMessage('조회 기간은 1-8760시간이어야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('조회 개수는 1-500이어야 합니다'),
+  validateInput,
+  async (req, res) => {
+    try {
+      const events = await marketEventService.getEvents({
+        symbol: req.query.symbol || null,
+        exchange: req.query.exchange || null,
+        type: req.query.type || null,
+        hours: parseInt(req.query.hours) || 24 * 7,
+        limit: parseInt(req.query.limit) || 100
+      });
+
+      res.json({
+        success: true,
+        data: events,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('마켓 이벤트 조회 오류:', error);
+      res.status(500).json({
+        success: false,
+        message: '서버 오류가 발생했습니다',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/korean-market/kimchi-premium:
@@ -1,13 +1,31 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const NewsService = require('../services/NewsService');
 const NewsSchedulerService = require('../services/NewsSchedulerService');
-const { logger } = require('../utils/logger');
+const NewsStoryService = require('../services/NewsStoryService');
+const { EVENT_TYPES } = require('../nlp/newsEvents');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // NewsSchedulerService 인스턴스 생성 (지연 초기화)
 let newsScheduler = null;
 
+// 유효성 검사 결과 확인
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: '잘못된 요청입니다',
+    details: errors.array()
+  });
+  return true;
+};
+
 /**
  * @swagger
  * /api/news:
@@ -39,7 +57,7 @@ let newsScheduler = null;
  *                       type: array
  *                       items:
  *                         type: string
- *                       example: ["/latest", "/sentiment", "/trending", "/search", "/feeds"]
+ *                       example: ["/latest", "/sentiment", "/trending", "/search", "/stories", "/feeds"]
  *                     lastUpdate:
  *                       type: string
  *                       format: date-time
@@ -63,6 +81,7 @@ router.get('/', async (req, res) => {
           '/sentiment',
           '/trending',
           '/search',
+          '/stories',
           '/feeds'
         ],
         lastUpdate: new Date().toISOString(),
@@ -320,10 +339,15 @@ router.get('/trending', async (req, res) => {
  *     parameters:
  *       - in: query
  *         name: q
- *         required: true
  *         schema:
  *           type: string
- *         description: 검색 키워드
+ *         description: 검색 키워드 (event가 없으면 필수)
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: HACK,DELISTING
+ *         description: 이벤트 종류 필터 (HACK, DELISTING, LISTING, REGULATION, ETF, UNLOCK, PARTNERSHIP - 쉼표로 여러 개)
  *       - in: query
  *         name: limit
  *         schema:
@@ -365,16 +389,34 @@ router.get('/trending', async (req, res) => {
  *                         type: string
  *                       relevanceScore:
  *                         type: number
+ *                       events:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                             severity:
+ *                               type: string
+ *                               enum: [low, medium, high, critical]
+ *                             confidence:
+ *                               type: number
  *       400:
  *         description: 잘못된 요청
  *       500:
  *         description: 서버 오류
  */
-router.get('/search', async (req, res) => {
+router.get('/search', [
+  query('event').optional().isString().custom(value =>
+    value.split(',').every(type => EVENT_TYPES.includes(type.trim().toUpperCase()))
+  ).withMessage(`event는 ${EVENT_TYPES.join(', ')} 중에서 선택해야 합니다`)
+], async (req, res) => {
   try {
-    const { q, limit = 20, category = 'all' } = req.query;
+    if (handleValidation(req, res)) return;
+
+    const { q, event, limit = 20, category = 'all' } = req.query;
     
-    if (!q) {
+    if (!q && !event) {
       return res.status(400).json({
         success: false,
         message: '검색 키워드가 필요합니다'
@@ -382,12 +424,13 @@ router.get('/search', async (req, res) => {
     }
     
     const newsService = new NewsService();
-    const results = await newsService.searchNews(q, parseInt(limit), category);
+    const results = await newsService.searchNews(q, parseInt(limit), category, event);
 
     res.json({
       success: true,
       data: results,
       query: q,
+      event: event || null,
       timestamp: new Date().toISOString()
     });
 
@@ -403,13 +446,37 @@ router.get('/search', async (req, res) => {
 
 /**
  * @swagger
- * /api/news/feeds:
+ * /api/news/stories:
  *   get:
- *     summary: 뉴스 피드 목록 조회
+ *     summary: 뉴스 스토리 목록
+ *     description: 여러 매체가 보도한 같은 사건의 기사를 하나의 스토리로 묶어 반환합니다 (MinHash 유사도 기반). 보도 매체 수가 많은 순입니다.
  *     tags: [News]
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: 이 시간 안에 기사가 나온 스토리만 조회
+ *       - in: query
+ *         name: coin
+ *         schema:
+ *           type: string
+ *         description: 코인 심볼 필터 (예 BTC)
+ *       - in: query
+ *         name: minOutlets
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 최소 보도 매체 수
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: 뉴스 피드 목록
+ *         description: 스토리 목록
  *         content:
  *           application/json:
  *             schema:
@@ -422,14 +489,180 @@ router.get('/search', async (req, res) => {
  *                   items:
  *                     type: object
  *                     properties:
- *                       name:
+ *                       storyId:
+ *                         type: string
+ *                       title:
  *                         type: string
+ *                         description: 가장 먼저 보도된 기사 제목
  *                       url:
  *                         type: string
- *                       weight:
- *                         type: number
- *                       status:
+ *                       firstSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSeenAt:
  *                         type: string
+ *                         format: date-time
+ *                       outlets:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       outletCount:
+ *                         type: number
+ *                       articleCount:
+ *                         type: number
+ *                       coins:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       avgSentiment:
+ *                         type: number
+ *                         nullable: true
+ *                       articles:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             title:
+ *                               type: string
+ *                             url:
+ *                               type: string
+ *                             source:
+ *                               type: string
+ *                             publishedAt:
+ *                               type: string
+ *                               format: date-time
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/stories', [
+  query('hours').optional().isInt({ min: 1, max: 24 * 30 }).withMessage('hours는 1-720 사이의 정수여야 합니다'),
+  query('coin').optional().isString().trim().notEmpty().withMessage('코인 심볼이 비어 있습니다'),
+  query('minOutlets').optional().isInt({ min: 1, max: 50 }).withMessage('minOutlets는 1-50 사이의 정수여야 합니다'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit은 1-100 사이의 정수여야 합니다')
+], async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const { hours = 24, coin = null, minOutlets = 1, limit = 20 } = req.query;
+
+    const storyService = new NewsStoryService();
+    const stories = await storyService.getStories({
+      hours: parseInt(hours),
+      coin,
+      minOutlets: parseInt(minOutlets),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: stories,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('뉴스 스토리 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 스토리 조회에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NewsSource:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         url:
+ *           type: string
+ *         language:
+ *           type: string
+ *           enum: [ko, en]
+ *         enabled:
+ *           type: boolean
+ *         fetchIntervalMinutes:
+ *           type: number
+ *           description: 수집 주기 (분, 이 간격 안에는 마지막 수집 결과 재사용)
+ *         baseWeight:
+ *           type: number
+ *           description: 운영자가 정한 기본 가중치 (0-2)
+ *         weight:
+ *           type: number
+ *           description: 실제 적용 가중치 (학습된 신뢰도 가중치, 표본이 부족하면 baseWeight)
+ *         reliability:
+ *           type: object
+ *           properties:
+ *             weight:
+ *               type: number
+ *               nullable: true
+ *             samples:
+ *               type: number
+ *             hits:
+ *               type: number
+ *             hitRate:
+ *               type: number
+ *               nullable: true
+ *               description: 기사 감정 방향이 이후 가격 방향과 일치한 비율
+ *             evaluatedAt:
+ *               type: string
+ *               format: date-time
+ *         status:
+ *           type: string
+ *           enum: [unknown, healthy, degraded, down, disabled]
+ *         health:
+ *           type: object
+ *           description: 수집 이력 (성공/실패 횟수, 마지막 오류, 응답 시간 등)
+ */
+
+// 소스 필드 검증 (생성 시에는 name/url 필수)
+const sourceValidators = (isCreate) => [
+  isCreate
+    ? body('name').isString().trim().notEmpty().withMessage('소스 이름은 필수입니다')
+    : body('name').optional().isString().trim().notEmpty().withMessage('소스 이름은 비어 있을 수 없습니다'),
+  isCreate
+    ? body('url').isURL({ require_protocol: true }).withMessage('유효한 피드 URL이 필요합니다')
+    : body('url').optional().isURL({ require_protocol: true }).withMessage('유효한 피드 URL이 필요합니다'),
+  body('language').optional().isIn(['ko', 'en']).withMessage('언어는 ko 또는 en이어야 합니다'),
+  body('enabled').optional().isBoolean().withMessage('enabled는 boolean이어야 합니다'),
+  body('fetchIntervalMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('수집 주기는 1-1440분 사이의 정수여야 합니다'),
+  body('baseWeight').optional().isFloat({ min: 0, max: 2 }).withMessage('기본 가중치는 0-2 사이의 숫자여야 합니다')
+];
+
+const sourceIdValidator = param('sourceId').isMongoId().withMessage('유효하지 않은 소스 ID입니다');
+
+// 이름/URL 중복 (unique 인덱스 위반)
+const isDuplicateError = error => error && error.code === 11000;
+
+/**
+ * @swagger
+ * /api/news/feeds:
+ *   get:
+ *     summary: 뉴스 피드 목록 조회
+ *     description: 등록된 뉴스 소스(사용 중지 포함)와 소스별 수집 상태, 신뢰도 가중치를 반환합니다.
+ *     tags: [News]
+ *     responses:
+ *       200:
+ *         description: 뉴스 피드 목록
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NewsSource'
  *       500:
  *         description: 서버 오류
  */
@@ -454,6 +687,344 @@ router.get('/feeds', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/news/feeds:
+ *   post:
+ *     summary: 뉴스 소스 등록
+ *     tags: [News]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               language:
+ *                 type: string
+ *                 enum: [ko, en]
+ *                 default: en
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               fetchIntervalMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 default: 15
+ *               baseWeight:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 2
+ *                 default: 0.8
+ *     responses:
+ *       201:
+ *         description: 등록된 소스
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/NewsSource'
+ *       400:
+ *         description: 잘못된 요청
+ *       409:
+ *         description: 같은 이름 또는 URL의 소스가 이미 있음
+ *       500:
+ *         description: 서버 오류
+ */
+router.post('/feeds', sourceValidators(true), async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const newsService = new NewsService();
+    const source = await newsService.sourceService.createSource(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: source,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: '같은 이름 또는 URL의 소스가 이미 있습니다'
+      });
+    }
+
+    logger.error('뉴스 소스 등록 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 소스 등록에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/news/feeds/reliability:
+ *   post:
+ *     summary: 뉴스 소스 신뢰도 가중치 재학습
+ *     description: 최근 기사(코인 연결된 기사)의 감정 방향과 이후 실제 가격 방향을 비교해 소스별 가중치를 다시 계산합니다. 매일 스케줄러에서도 실행됩니다.
+ *     tags: [News]
+ *     responses:
+ *       200:
+ *         description: 소스별 학습 결과
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       samples:
+ *                         type: number
+ *                       hits:
+ *                         type: number
+ *                       hitRate:
+ *                         type: number
+ *                         nullable: true
+ *                       weight:
+ *                         type: number
+ *       500:
+ *         description: 서버 오류
+ */
+router.post('/feeds/reliability', async (req, res) => {
+  try {
+    const newsService = new NewsService();
+    const results = await newsService.updateSourceReliability();
+
+    res.json({
+      success: true,
+      data: results,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('뉴스 소스 신뢰도 학습 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 소스 신뢰도 학습에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/news/feeds/{sourceId}:
+ *   get:
+ *     summary: 뉴스 소스 조회
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 뉴스 소스
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/NewsSource'
+ *       404:
+ *         description: 소스를 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ *   put:
+ *     summary: 뉴스 소스 수정 (사용/중지, 수집 주기, 언어, 기본 가중치)
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               language:
+ *                 type: string
+ *                 enum: [ko, en]
+ *               enabled:
+ *                 type: boolean
+ *               fetchIntervalMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *               baseWeight:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 2
+ *     responses:
+ *       200:
+ *         description: 수정된 소스
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/NewsSource'
+ *       400:
+ *         description: 잘못된 요청
+ *       404:
+ *         description: 소스를 찾을 수 없음
+ *       409:
+ *         description: 같은 이름 또는 URL의 소스가 이미 있음
+ *       500:
+ *         description: 서버 오류
+ *   delete:
+ *     summary: 뉴스 소스 삭제
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제된 소스
+ *       404:
+ *         description: 소스를 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/feeds/:sourceId', sourceIdValidator, async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const newsService = new NewsService();
+    const source = await newsService.sourceService.getSource(req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: '뉴스 소스를 찾을 수 없습니다'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...source, health: newsService.feedFetcher.getHealth(source.url) },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('뉴스 소스 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 소스 조회에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
+router.put('/feeds/:sourceId', sourceIdValidator, sourceValidators(false), async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const newsService = new NewsService();
+    const source = await newsService.sourceService.updateSource(req.params.sourceId, req.body);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: '뉴스 소스를 찾을 수 없습니다'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: source,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: '같은 이름 또는 URL의 소스가 이미 있습니다'
+      });
+    }
+
+    logger.error('뉴스 소스 수정 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 소스 수정에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
+router.delete('/feeds/:sourceId', sourceIdValidator, async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const newsService = new NewsService();
+    const source = await newsService.sourceService.deleteSource(req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: '뉴스 소스를 찾을 수 없습니다'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: source,
+      message: '뉴스 소스가 삭제되었습니다',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('뉴스 소스 삭제 실패:', error);
+    res.status(500).json({
+      success: false,
+      message: '뉴스 소스 삭제에 실패했습니다',
+      error: error?.message || '알 수 없는 오류가 발생했습니다'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/news/collect:
@@ -3,8 +3,11 @@ const { body, query, param, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
 const Signal = require('../models/Signal');
+const SignalSnapshot = require('../models/SignalSnapshot');
+const ScoreCalibration = require('../models/ScoreCalibration');
 const CacheService = require('../services/CacheService');
 const SignalCalculatorService = require('../services/SignalCalculatorService');
+const ScoreCalibrationService = require('../services/ScoreCalibrationService');
 
 const cacheService = new CacheService();
 
@@ -307,6 +310,338 @@ router.get('/coin/:coinId', [
   }
 });
 
+/**
+ * @swagger
+ * /api/signals/coin/{coinId}/explain:
+ *   get:
+ *     summary: 특정 코인 신호의 근거 설명 조회
+ *     description: |
+ *       최신 신호가 왜 그 점수/액션이 나왔는지 설명합니다.
+ *       요소별 입력값/점수/동적 가중치/기여도, 시장 보정 및 모멘텀 지속성 계수,
+ *       신호 방향을 뒷받침하는 상위 뉴스/소셜/고래 항목을 포함합니다.
+ *     tags: [Signals]
+ *     parameters:
+ *       - in: path
+ *         name: coinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 ID
+ *     responses:
+ *       200:
+ *         description: 신호 설명 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coinId:
+ *                       type: string
+ *                     symbol:
+ *                       type: string
+ *                     finalScore:
+ *                       type: number
+ *                     recommendation:
+ *                       type: object
+ *                     explanation:
+ *                       type: object
+ *                       properties:
+ *                         marketCondition:
+ *                           type: string
+ *                           example: "normal"
+ *                         factors:
+ *                           type: array
+ *                           description: 기여도 순으로 정렬된 요소 목록
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               factor:
+ *                                 type: string
+ *                                 example: "price"
+ *                               rawInput:
+ *                                 type: object
+ *                                 description: 점수 계산에 사용된 원본 입력값
+ *                               score:
+ *                                 type: number
+ *                               weight:
+ *                                 type: number
+ *                               weightSource:
+ *                                 type: string
+ *                                 enum: [market_condition, factor_default]
+ *                               contribution:
+ *                                 type: number
+ *                               share:
+ *                                 type: number
+ *                         weightedSum:
+ *                           type: number
+ *                         multipliers:
+ *                           type: object
+ *                           properties:
+ *                             weightNormalization:
+ *                               type: number
+ *                             marketCorrection:
+ *                               type: number
+ *                             momentumPersistence:
+ *                               type: number
+ *                         finalScore:
+ *                           type: number
+ *                         calibratedProbability:
+ *                           type: number
+ *                           nullable: true
+ *                         supportingItems:
+ *                           type: object
+ *                           properties:
+ *                             news:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                             social:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                             whale:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                         generatedAt:
+ *                           type: string
+ *                           format: date-time
+ *       404:
+ *         description: 신호 또는 설명을 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/coin/:coinId/explain', [
+  param('coinId').notEmpty().withMessage('코인 ID는 필수입니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { coinId } = req.params;
+    const cacheKey = `signals:explain:${coinId}`;
+
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return res.json({ success: true, data: cached });
+    }
+
+    const signal = await Signal.findByCoinId(coinId)
+      .select('coinId symbol name finalScore calibratedProbability recommendation timeframe explanation createdAt')
+      .lean();
+
+    if (!signal) {
+      return res.status(404).json({
+        success: false,
+        error: '신호를 찾을 수 없습니다'
+      });
+    }
+
+    if (!signal.explanation) {
+      return res.status(404).json({
+        success: false,
+        error: '신호 설명이 아직 생성되지 않았습니다'
+      });
+    }
+
+    const result = {
+      coinId: signal.coinId,
+      symbol: signal.symbol,
+      name: signal.name,
+      finalScore: signal.finalScore,
+      calibratedProbability: signal.calibratedProbability,
+      recommendation: signal.recommendation,
+      timeframe: signal.timeframe,
+      explanation: signal.explanation,
+      calculatedAt: signal.createdAt
+    };
+
+    await cacheService.set(cacheKey, result, 60);
+
+    logger.success(`Retrieved signal explanation for ${coinId}`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Failed to retrieve signal explanation for ${req.params.coinId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: '신호 설명을 가져오는데 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/coin/{coinId}/history:
+ *   get:
+ *     summary: 특정 코인의 신호 히스토리 조회
+ *     description: 스케줄러 실행마다 누적된 신호 스냅샷을 다운샘플링한 점수/breakdown 시계열을 반환합니다.
+ *     tags: [Signals]
+ *     parameters:
+ *       - in: path
+ *         name: coinId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 코인 ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 조회 시작 시각 (기본값 - 7일 전)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 조회 종료 시각 (기본값 - 현재)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [auto, raw, 5m, 15m, 1h, 4h, 1d]
+ *           default: auto
+ *         description: 다운샘플링 간격 (auto는 조회 기간에 맞춰 최대 500개 포인트로 선택, 직접 지정하면 최대 3000개 포인트까지)
+ *     responses:
+ *       200:
+ *         description: 신호 히스토리 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coinId:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     interval:
+ *                       type: string
+ *                       example: "1h"
+ *                     totalSnapshots:
+ *                       type: integer
+ *                     points:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           finalScore:
+ *                             type: number
+ *                           minScore:
+ *                             type: number
+ *                           maxScore:
+ *                             type: number
+ *                           breakdown:
+ *                             type: object
+ *                           action:
+ *                             type: string
+ *                           price:
+ *                             type: number
+ *                           samples:
+ *                             type: integer
+ *       400:
+ *         description: 잘못된 요청 (조회 포인트 수 초과 포함)
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/coin/:coinId/history', [
+  param('coinId').notEmpty().withMessage('코인 ID는 필수입니다'),
+  query('from').optional().isISO8601().withMessage('from은 ISO 8601 형식이어야 합니다'),
+  query('to').optional().isISO8601().withMessage('to는 ISO 8601 형식이어야 합니다'),
+  query('interval').optional().isIn(['auto', 'raw', ...Object.keys(SignalSnapshot.HISTORY_INTERVALS)]).withMessage('유효하지 않은 간격입니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { coinId } = req.params;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const interval = req.query.interval || 'auto';
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from은 to보다 이전이어야 합니다'
+      });
+    }
+
+    const limitError = await SignalSnapshot.checkHistoryLimit(coinId, { from, to, interval });
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        error: limitError
+      });
+    }
+
+    // 캐시 확인
+    const cacheKey = `signals:history:${coinId}:${req.query.from || 'default'}:${req.query.to || 'now'}:${interval}`;
+    const cachedResult = await cacheService.get(cacheKey);
+
+    if (cachedResult) {
+      logger.info(`Signal history for ${coinId} loaded from cache`);
+      return res.json(cachedResult);
+    }
+
+    const history = await SignalSnapshot.getHistory(coinId, { from, to, interval });
+
+    const result = {
+      success: true,
+      data: history
+    };
+
+    // 캐시에 저장 (1분)
+    await cacheService.set(cacheKey, result, 60);
+
+    logger.success(`Retrieved signal history for ${coinId}: ${history.points.length} points (${history.interval})`);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Failed to retrieve signal history for ${req.params.coinId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: '신호 히스토리를 가져오는데 실패했습니다'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/signals/search:
@@ -701,7 +1036,9 @@ router.post('/refresh', [
               name: coin.name,
               finalScore: signalData.finalScore,
               breakdown: signalData.breakdown,
+              calibratedProbability: signalData.calibratedProbability,
               recommendation: signalData.recommendation,
+              explanation: signalData.explanation,
               timeframe: signalData.timeframe,
               priority: signalData.priority,
               rank: signalData.rank || 1, // 최소값 1로 설정
@@ -811,8 +1148,17 @@ router.post('/refresh', [
  * /api/signals/performance-report:
  *   get:
  *     summary: 성과 리포트 조회
- *     description: 백테스팅 기반 신호 성과 리포트를 조회합니다.
+ *     description: 발생한 신호의 실제 forward return을 기반으로 timeframe별, 점수 구간별 적중률 리포트를 조회합니다.
  *     tags: [Signals]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *         description: 집계 기간 (일)
  *     responses:
  *       200:
  *         description: 성과 리포트 조회 성공
@@ -862,6 +1208,41 @@ router.post('/refresh', [
  *                           suggestion:
  *                             type: string
  *                             example: "Consider adjusting thresholds or improving signal quality"
+ *                     outcomes:
+ *                       type: object
+ *                       description: 실제 신호 성과 집계 (HIT/MISS 판정된 신호 기준)
+ *                       properties:
+ *                         since:
+ *                           type: string
+ *                           format: date-time
+ *                         pending:
+ *                           type: integer
+ *                           description: 평가 대기 중인 신호 수
+ *                         byTimeframe:
+ *                           type: object
+ *                           example: { "SCALPING": { "samples": 120, "hits": 66, "hitRate": 0.55, "avgReturn": 0.12 } }
+ *                         byScoreBucket:
+ *                           type: object
+ *                           example: { "80-90": { "samples": 40, "hits": 25, "hitRate": 0.625, "avgReturn": 1.8 } }
+ *                         matrix:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               timeframe:
+ *                                 type: string
+ *                               scoreBucket:
+ *                                 type: string
+ *                               samples:
+ *                                 type: integer
+ *                               hits:
+ *                                 type: integer
+ *                               hitRate:
+ *                                 type: number
+ *                               avgReturn:
+ *                                 type: number
+ *       400:
+ *         description: 잘못된 요청
  *       500:
  *         description: 서버 오류
  */
@@ -911,10 +1292,23 @@ router.post('/cleanup-duplicates', async (req, res) => {
 });
 
 // 성과 리포트 조회
-router.get('/performance-report', async (req, res) => {
+router.get('/performance-report', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('기간은 1-365 사이의 정수여야 합니다')
+], async (req, res) => {
   try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
     const signalCalculator = new SignalCalculatorService();
-    const report = signalCalculator.generatePerformanceReport();
+    const report = await signalCalculator.generatePerformanceReport(days);
     
     if (!report) {
       return res.status(500).json({
@@ -938,6 +1332,184 @@ router.get('/performance-report', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/signals/reliability-curve:
+ *   get:
+ *     summary: 점수 신뢰도 곡선 조회
+ *     description: |
+ *       실현된 forward return으로 학습한 최신 점수 캘리브레이션을 반환합니다.
+ *       finalScore 구간별 실측 상승 비율과 캘리브레이션 확률, 액션별 최소 점수를 포함합니다.
+ *     tags: [Signals]
+ *     parameters:
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *           enum: [SCALPING, DAY_TRADING, SWING_TRADING, LONG_TERM, ALL]
+ *         description: 타임프레임 필터 (미지정 시 전체)
+ *     responses:
+ *       200:
+ *         description: 신뢰도 곡선 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     calibrations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timeframe:
+ *                             type: string
+ *                             example: "ALL"
+ *                           samples:
+ *                             type: integer
+ *                             example: 1240
+ *                           baseRate:
+ *                             type: number
+ *                             example: 0.51
+ *                           knots:
+ *                             type: array
+ *                             description: 점수 구간별 캘리브레이션 확률 (단조 증가)
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 scoreMin:
+ *                                   type: number
+ *                                 scoreMax:
+ *                                   type: number
+ *                                 probability:
+ *                                   type: number
+ *                                 samples:
+ *                                   type: integer
+ *                           reliability:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 bucket:
+ *                                   type: string
+ *                                   example: "80-90"
+ *                                 samples:
+ *                                   type: integer
+ *                                 meanScore:
+ *                                   type: number
+ *                                 observedRate:
+ *                                   type: number
+ *                                 rawRate:
+ *                                   type: number
+ *                                 calibratedRate:
+ *                                   type: number
+ *                           thresholds:
+ *                             type: object
+ *                             description: 액션별 최소 점수
+ *                             example: { "STRONG_BUY": 91, "BUY_HIGH": 78 }
+ *                           brierScore:
+ *                             type: object
+ *                             properties:
+ *                               raw:
+ *                                 type: number
+ *                               calibrated:
+ *                                 type: number
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: 잘못된 요청
+ *       500:
+ *         description: 서버 오류
+ */
+router.get('/reliability-curve', [
+  query('timeframe').optional().isIn(ScoreCalibration.TIMEFRAMES).withMessage('유효하지 않은 타임프레임입니다')
+], async (req, res) => {
+  try {
+    // 유효성 검사
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 요청입니다',
+        details: errors.array()
+      });
+    }
+
+    const { timeframe } = req.query;
+    const cacheKey = `signals:reliability-curve:${timeframe || 'all'}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return res.json({ success: true, data: cached });
+    }
+
+    const calibrations = timeframe
+      ? [await ScoreCalibration.getLatest(timeframe).lean()].filter(Boolean)
+      : await ScoreCalibration.getLatestAll();
+
+    const result = { calibrations };
+
+    await cacheService.set(cacheKey, result, 300);
+
+    logger.success(`Reliability curve retrieved: ${calibrations.length} calibrations`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to get reliability curve:', error);
+    res.status(500).json({
+      success: false,
+      error: '신뢰도 곡선 조회에 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/signals/reliability-curve/recalibrate:
+ *   post:
+ *     summary: 점수 재캘리브레이션 실행
+ *     description: 최근 성과 데이터로 점수 캘리브레이션을 즉시 다시 계산합니다. (스케줄러가 매일 자동 실행)
+ *     tags: [Signals]
+ *     responses:
+ *       200:
+ *         description: 재캘리브레이션 완료
+ *       500:
+ *         description: 서버 오류
+ */
+router.post('/reliability-curve/recalibrate', async (req, res) => {
+  try {
+    const scoreCalibrationService = new ScoreCalibrationService();
+    const result = await scoreCalibrationService.recalibrate();
+
+    // 캐시 정리
+    await cacheService.clearPattern('signals:*');
+
+    res.json({
+      success: true,
+      message: '점수 캘리브레이션이 완료되었습니다',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to recalibrate scores:', error);
+    res.status(500).json({
+      success: false,
+      error: '점수 캘리브레이션에 실패했습니다',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/signals/backtest:
@@ -4,6 +4,7 @@ const RedisConfig = require('../config/redis');
 const logger = require('./utils/logger');
 const SchedulerService = require('./services/SchedulerService');
 const NewsSchedulerService = require('./services/NewsSchedulerService');
+const MarketDataService = require('./services/MarketDataService');
 const { processErrorHandler } = require('./middleware/errorHandler');
 
 const PORT = process.env.PORT || 3000;
@@ -39,6 +40,13 @@ async function startServer() {
       logger.info('📅 스케줄러가 비활성화되어 있습니다');
     }
 
+    // Start exchange WebSocket streams if enabled
+    if (process.env.MARKET_STREAM_ENABLED === 'true') {
+      global.marketDataService = new MarketDataService();
+      global.marketDataService.start();
+      logger.info('📡 실시간 시세 스트림이 시작되었습니다');
+    }
+
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`✅ GainDeuk Backend가 포트 ${PORT}에서 실행 중입니다`);
@@ -90,6 +98,12 @@ async function gracefulShutdown(signal) {
       logger.info('✅ 뉴스 스케줄러가 중지되었습니다');
     }
     
+    // Stop market data streams
+    if (global.marketDataService) {
+      global.marketDataService.stop();
+      logger.info('✅ 실시간 시세 스트림이 중지되었습니다');
+    }
+    
     // Close database connections
     await DatabaseConfig.disconnect();
     
@@ -1,6 +1,7 @@
 const FirebaseNotificationService = require('./FirebaseNotificationService');
 const Alert = require('../models/Alert');
 const Signal = require('../models/Signal');
+const { meetsSeverity } = require('../nlp/newsEvents');
 const logger = require('../utils/logger');
 
 class AlertService {
@@ -159,6 +160,103 @@ class AlertService {
     }
   }
 
+  // 거래소 마켓 이벤트 알림 처리 (상장/거래지원 종료/경고 지정)
+  async processMarketEventAlert(event) {
+    try {
+      await this.init();
+
+      const target = [{ symbol: event.symbol }];
+      if (event.coinId) target.push({ coinId: event.coinId });
+
+      const alerts = await Alert.find({
+        $or: target,
+        alertType: 'MARKET_EVENT',
+        isActive: true
+      });
+
+      if (alerts.length === 0) {
+        return { processed: 0, sent: 0 };
+      }
+
+      let sentCount = 0;
+      const notification = this.firebaseService.createMarketEventNotification(event);
+
+      for (const alert of alerts) {
+        if (this.shouldTriggerMarketEventAlert(alert, event)) {
+          try {
+            if (alert.fcmToken) {
+              const result = await this.firebaseService.sendToDevice(alert.fcmToken, notification);
+              if (result.success) {
+                sentCount++;
+                logger.success(`마켓 이벤트 알림 전송 성공: ${alert.userId || 'anonymous'}`);
+              }
+            }
+
+            await this.updateAlertHistory(alert, event, notification);
+          } catch (error) {
+            logger.error(`마켓 이벤트 알림 전송 실패 (${alert.userId}):`, error);
+          }
+        }
+      }
+
+      return { processed: alerts.length, sent: sentCount };
+    } catch (error) {
+      logger.error('마켓 이벤트 알림 처리 실패:', error);
+      return { processed: 0, sent: 0, error: error.message };
+    }
+  }
+
+  // 뉴스 이벤트 알림 처리 (해킹/상장/규제/ETF/언락/파트너십 등, 코인별 NEWS_EVENT 알림 대상)
+  async processNewsEventAlert(event) {
+    try {
+      await this.init();
+
+      // 심볼 없이 coinId로만 만든 알림도 대상 (코인 링크의 CoinGecko id)
+      const coinLinks = event.coinLinks || [];
+      const target = [{ symbol: { $in: event.coins } }];
+      const coinIds = coinLinks.map(link => link.coinId).filter(Boolean);
+      if (coinIds.length > 0) target.push({ coinId: { $in: coinIds } });
+
+      const alerts = await Alert.find({
+        $or: target,
+        alertType: 'NEWS_EVENT',
+        isActive: true
+      });
+
+      if (alerts.length === 0) {
+        return { processed: 0, sent: 0 };
+      }
+
+      let sentCount = 0;
+
+      for (const alert of alerts) {
+        if (this.shouldTriggerNewsEventAlert(alert, event)) {
+          try {
+            const link = coinLinks.find(l => l.coinId && l.coinId === alert.coinId);
+            const notification = this.firebaseService.createNewsEventNotification({ ...event, symbol: alert.symbol || (link && link.symbol) });
+
+            if (alert.fcmToken) {
+              const result = await this.firebaseService.sendToDevice(alert.fcmToken, notification);
+              if (result.success) {
+                sentCount++;
+                logger.success(`뉴스 이벤트 알림 전송 성공: ${alert.userId || 'anonymous'}`);
+              }
+            }
+
+            await this.updateAlertHistory(alert, event, notification);
+          } catch (error) {
+            logger.error(`뉴스 이벤트 알림 전송 실패 (${alert.userId}):`, error);
+          }
+        }
+      }
+
+      return { processed: alerts.length, sent: sentCount };
+    } catch (error) {
+      logger.error('뉴스 이벤트 알림 처리 실패:', error);
+      return { processed: 0, sent: 0, error: error.message };
+    }
+  }
+
   // 신호 알림 트리거 조건 확인
   shouldTriggerAlert(alert, signal) {
     const { settings } = alert;
@@ -242,6 +340,32 @@ class AlertService {
     return true;
   }
 
+  // 마켓 이벤트 알림 트리거 조건 확인
+  shouldTriggerMarketEventAlert(alert, event) {
+    const eventTypes = (alert.settings && alert.settings.eventTypes) || [];
+
+    // 지정한 이벤트 종류만
+    if (eventTypes.length > 0 && !eventTypes.includes(event.type)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // 뉴스 이벤트 알림 트리거 조건 확인
+  shouldTriggerNewsEventAlert(alert, event) {
+    const settings = alert.settings || {};
+    const eventTypes = settings.newsEventTypes || [];
+
+    // 지정한 이벤트 종류만
+    if (eventTypes.length > 0 && !eventTypes.includes(event.type)) {
+      return false;
+    }
+
+    // 최소 심각도 이상만
+    return meetsSeverity(event.severity, settings.minSeverity);
+  }
+
   // 알림 기록 업데이트
   async updateAlertHistory(alert, data, notification) {
     try {
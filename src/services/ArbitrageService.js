@@ -0,0 +1,208 @@
+const logger = require('../utils/logger');
+const CacheService = require('./CacheService');
+const KoreanMarketService = require('./KoreanMarketService');
+const { createAdapter, simulateMarketOrder } = require('../adapters');
+const { loadFeeTable } = require('../config/arbitrageFees');
+
+/**
+ * 거래소 간 차익거래 계산 서비스
+ * 김치프리미엄(중간가 차이)에 거래 수수료, 출금 수수료, 호가 슬리피지, 환전 스프레드,
+ * 전송 시간 동안의 가격 위험을 반영해 주문 금액별 실제 실행 가능한 순 프리미엄을 계산한다.
+ * 금액은 모두 USDT 기준이며 원화 호가는 실제 환전 경로인 USDT/KRW 환율(없으면 공식 환율)로 환산한다.
+ */
+class ArbitrageService {
+  constructor(options = {}) {
+    this.cacheService = new CacheService();
+    this.koreanMarketService = options.koreanMarketService || new KoreanMarketService();
+    this.feeTable = options.feeTable || loadFeeTable();
+
+    // 업비트/빗썸은 KoreanMarketService 어댑터를 같이 사용
+    this.adapters = {
+      binance: createAdapter('binance'),
+      ...this.koreanMarketService.adapters,
+      ...options.adapters
+    };
+
+    // 계산 경로 (매수 거래소-매도 거래소)
+    this.routes = (process.env.ARBITRAGE_ROUTES || 'binance-upbit,binance-bithumb,upbit-binance,bithumb-binance,upbit-bithumb,bithumb-upbit')
+      .split(',')
+      .map(route => route.trim())
+      .filter(Boolean);
+
+    this.defaultSize = 10000; // 기본 주문 금액 (USDT)
+    this.orderBookLimit = 50;
+    this.cacheTtl = 30; // 결과 캐시 (초)
+  }
+
+  /**
+   * 여러 코인/경로의 차익거래 기회
+   * @param {Array} symbols - 코인 심볼 배열
+   * @param {Object} options - { size, routes }
+   * @returns {Object} { size, usdKrwRate, fx, opportunities (순 프리미엄 내림차순), timestamp }
+   */
+  async getOpportunities(symbols, { size = this.defaultSize, routes = this.routes } = {}) {
+    const fx = await this.koreanMarketService.getUsdKrwRate('implied');
+    if (!fx) {
+      throw new Error('USD/KRW rate unavailable');
+    }
+    const usdKrwRate = fx.rate;
+
+    const opportunities = [];
+    for (const symbol of symbols) {
+      try {
+        opportunities.push(...await this.evaluateSymbol(symbol, { size, routes, usdKrwRate }));
+      } catch (error) {
+        logger.warning(`Arbitrage evaluation failed for ${symbol}: ${error.message}`);
+      }
+    }
+
+    // 실행 가능한 경로 우선, 순 프리미엄 높은 순
+    opportunities.sort((a, b) => (b.executable - a.executable) || ((b.netPremium ?? -Infinity) - (a.netPremium ?? -Infinity)));
+
+    return {
+      size,
+      usdKrwRate,
+      fx: { source: fx.source, kind: fx.kind, stale: fx.stale },
+      opportunities,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * 한 코인의 경로별 차익거래 계산 (거래소별 호가는 한 번만 조회)
+   * @param {string} symbol - 코인 심볼
+   * @param {Object} options - { size, routes, usdKrwRate }
+   * @returns {Array} 경로별 결과
+   */
+  async evaluateSymbol(symbol, { size, routes, usdKrwRate }) {
+    const upperSymbol = symbol.toUpperCase();
+    const cacheKey = `arbitrage:${upperSymbol}:${size}:${routes.join(',')}`;
+
+    const cached = await this.cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const exchanges = [...new Set(routes.flatMap(route => route.split('-')))];
+    const orderBooks = {};
+
+    await Promise.all(exchanges.map(async exchange => {
+      try {
+        orderBooks[exchange] = await this.adapters[exchange].getOrderBook(upperSymbol, { limit: this.orderBookLimit });
+      } catch (error) {
+        orderBooks[exchange] = null;
+        logger.warning(`Arbitrage order book failed for ${upperSymbol} on ${exchange}: ${error.message}`);
+      }
+    }));
+
+    const results = routes.map(route => {
+      const [buyExchange, sellExchange] = route.split('-');
+      return this.calculateRoute(upperSymbol, orderBooks[buyExchange], orderBooks[sellExchange], { size, usdKrwRate });
+    });
+
+    await this.cacheService.set(cacheKey, results, this.cacheTtl);
+    return results;
+  }
+
+  /**
+   * 한 경로의 순 프리미엄 계산
+   * 매수 거래소에서 size만큼 시장가 매수 → 출금 → 매도 거래소에서 전량 시장가 매도 → (필요 시) 환전
+   * @param {string} symbol - 코인 심볼
+   * @param {Object} buyBook - 매수 거래소 호가
+   * @param {Object} sellBook - 매도 거래소 호가
+   * @param {Object} options - { size (USDT), usdKrwRate }
+   * @returns {Object} 경로 결과 (비용은 주문 금액 대비 %)
+   */
+  calculateRoute(symbol, buyBook, sellBook, { size, usdKrwRate }) {
+    const base = {
+      symbol,
+      route: `${buyBook ? buyBook.exchange : '?'}→${sellBook ? sellBook.exchange : '?'}`,
+      buyExchange: buyBook ? buyBook.exchange : null,
+      sellExchange: sellBook ? sellBook.exchange : null,
+      size,
+      executable: false,
+      rawPremium: null,
+      netPremium: null,
+      netProfit: null,
+      reason: null
+    };
+
+    if (!buyBook || !sellBook || !buyBook.bestAsk || !sellBook.bestBid) {
+      return { ...base, reason: '호가 없음' };
+    }
+
+    // 호가 통화 → USDT 환산
+    const toUsd = quote => (quote === 'KRW' ? 1 / usdKrwRate : 1);
+    const buyRate = toUsd(buyBook.quote);
+    const sellRate = toUsd(sellBook.quote);
+
+    const buyMid = (buyBook.bestBid + buyBook.bestAsk) / 2 * buyRate;
+    const sellMid = (sellBook.bestBid + sellBook.bestAsk) / 2 * sellRate;
+    const rawPremium = (sellMid - buyMid) / buyMid * 100;
+
+    const withdrawalFee = (this.feeTable.withdrawal[buyBook.exchange] || {})[symbol];
+    if (withdrawalFee === undefined) {
+      return { ...base, rawPremium, reason: '출금 수수료 정보 없음' };
+    }
+
+    // 1. 매수
+    const buy = simulateMarketOrder(buyBook.asks, { notional: size / buyRate });
+    if (!buy.filled) {
+      return { ...base, rawPremium, reason: '매수 호가 부족' };
+    }
+    const buyFee = this.feeTable.trading[buyBook.exchange] || 0;
+    const boughtQuantity = buy.quantity * (1 - buyFee);
+
+    // 2. 출금
+    const transferQuantity = boughtQuantity - withdrawalFee;
+    if (transferQuantity <= 0) {
+      return { ...base, rawPremium, reason: '출금 수수료가 매수 수량보다 큼' };
+    }
+
+    // 3. 매도
+    const sell = simulateMarketOrder(sellBook.bids, { quantity: transferQuantity });
+    if (!sell.filled) {
+      return { ...base, rawPremium, reason: '매도 호가 부족' };
+    }
+    const sellFee = this.feeTable.trading[sellBook.exchange] || 0;
+    const grossProceeds = sell.notional * sellRate;
+    const proceeds = grossProceeds * (1 - sellFee);
+
+    // 4. 환전 (원화와 USDT 사이를 오가는 경로만)
+    const fxSpread = buyBook.quote !== sellBook.quote ? this.feeTable.fxSpread : 0;
+    const fxCost = proceeds * fxSpread;
+
+    // 5. 전송 시간 동안의 가격 위험
+    const transferMinutes = this.feeTable.transferMinutes[symbol] ?? this.feeTable.transferMinutes.default;
+    const transferRisk = size * this.feeTable.transferRiskPerHour * (transferMinutes / 60);
+
+    const netProfit = proceeds - fxCost - transferRisk - size;
+    const pct = value => value / size * 100;
+
+    return {
+      ...base,
+      executable: true,
+      rawPremium,
+      netPremium: pct(netProfit),
+      netProfit,
+      quantity: transferQuantity,
+      transferMinutes,
+      buy: {
+        averagePrice: buy.averagePrice,
+        quote: buyBook.quote,
+        slippage: (buy.averagePrice * buyRate - buyMid) / buyMid * 100
+      },
+      sell: {
+        averagePrice: sell.averagePrice,
+        quote: sellBook.quote,
+        slippage: (sellMid - sell.averagePrice * sellRate) / sellMid * 100
+      },
+      costs: {
+        tradingFees: pct(size * buyFee + grossProceeds * sellFee),
+        withdrawalFee: pct(withdrawalFee * buy.averagePrice * buyRate),
+        fxSpread: pct(fxCost),
+        transferRisk: pct(transferRisk)
+      }
+    };
+  }
+}
+
+module.exports = ArbitrageService;
@@ -0,0 +1,363 @@
+const logger = require('../utils/logger');
+const Candle = require('../models/Candle');
+const CoinGeckoService = require('./CoinGeckoService');
+const { createAdapter } = require('../adapters');
+
+class CandleService {
+  constructor() {
+    this.coinGeckoService = new CoinGeckoService();
+    this.intervals = Candle.INTERVALS;
+
+    // 기본 수집 거래소 (실패 시 CoinGecko로 대체)
+    this.defaultExchange = process.env.CANDLE_DEFAULT_EXCHANGE || 'binance';
+    this.minBars = 30; // 기술적 분석에 필요한 최소 봉 수
+
+    // 거래소 시세 어댑터 (REST 캔들 조회)
+    this.adapters = {
+      binance: createAdapter('binance'),
+      upbit: createAdapter('upbit'),
+      bithumb: createAdapter('bithumb')
+    };
+
+    // 거래소별 지원 간격
+    this.exchangeIntervals = {
+      binance: this.adapters.binance.intervals,
+      upbit: this.adapters.upbit.intervals,
+      bithumb: this.adapters.bithumb.intervals,
+      // CoinGecko OHLC는 조회 기간에 따라 간격이 정해짐 (1일 → 30분, 30일 → 4시간)
+      coingecko: { '30m': 1, '4h': 30, '1d': 30 }
+    };
+
+    // 한 번에 조회 가능한 최대 봉 수
+    this.pageSize = {
+      binance: this.adapters.binance.pageSize,
+      upbit: this.adapters.upbit.pageSize
+    };
+    this.storedPageSize = 5000; // 저장 캔들 조회 페이지 크기 (누락 탐지용)
+  }
+
+  // 지원 여부
+  supportsInterval(exchange, interval) {
+    return Boolean(this.exchangeIntervals[exchange] && this.exchangeIntervals[exchange][interval] !== undefined);
+  }
+
+  // 거래소에서 캔들 조회 (저장하지 않음)
+  async fetchCandles(exchange, { symbol, coinId, interval, startTime, endTime, limit }) {
+    if (!this.supportsInterval(exchange, interval)) {
+      throw new Error(`Interval ${interval} is not supported by ${exchange}`);
+    }
+
+    switch (exchange) {
+      case 'binance':
+        return await this.fetchFromBinance(symbol, interval, { startTime, endTime, limit });
+      case 'upbit':
+        return await this.fetchFromUpbit(symbol, interval, { to: endTime, count: limit });
+      case 'bithumb':
+        return await this.fetchFromBithumb(symbol, interval);
+      case 'coingecko':
+        if (!coinId) {
+          throw new Error('coinId is required for CoinGecko candles');
+        }
+        return await this.fetchFromCoinGecko(coinId, symbol, interval);
+      default:
+        throw new Error(`Unknown candle exchange: ${exchange}`);
+    }
+  }
+
+  // 바이낸스 klines
+  async fetchFromBinance(symbol, interval, { startTime, endTime, limit } = {}) {
+    return await this.adapters.binance.getCandles(symbol, interval, { startTime, endTime, limit });
+  }
+
+  normalizeBinanceKlines(rows, symbol, interval) {
+    return this.adapters.binance.normalizeKlines(rows, symbol, interval);
+  }
+
+  // 업비트 캔들 (최신순 응답)
+  async fetchFromUpbit(symbol, interval, { to, count } = {}) {
+    return await this.adapters.upbit.getCandles(symbol, interval, { endTime: to, limit: count });
+  }
+
+  normalizeUpbitCandles(rows, symbol, interval) {
+    return this.adapters.upbit.normalizeCandles(rows, symbol, interval);
+  }
+
+  // 빗썸 캔들 (최근 구간만 제공)
+  async fetchFromBithumb(symbol, interval) {
+    return await this.adapters.bithumb.getCandles(symbol, interval);
+  }
+
+  normalizeBithumbCandles(rows, symbol, interval) {
+    return this.adapters.bithumb.normalizeCandles(rows, symbol, interval);
+  }
+
+  // CoinGecko OHLC (거래량 없음, 타임스탬프는 봉 종료 시각)
+  async fetchFromCoinGecko(coinId, symbol, interval) {
+    const days = this.exchangeIntervals.coingecko[interval];
+    const sourceInterval = interval === '1d' ? '4h' : interval;
+
+    const rows = await this.coinGeckoService.getOHLCData(coinId, days);
+    const candles = this.normalizeCoinGeckoOHLC(rows, symbol, sourceInterval);
+
+    // 일봉은 4시간봉을 합쳐서 생성
+    return interval === '1d' ? this.aggregateCandles(candles, '1d') : candles;
+  }
+
+  normalizeCoinGeckoOHLC(rows, symbol, interval) {
+    const intervalMs = this.intervals[interval];
+
+    return (rows || []).map(row => ({
+      symbol: symbol.toUpperCase(),
+      exchange: 'coingecko',
+      interval,
+      quote: 'USD',
+      openTime: new Date(row[0] - intervalMs),
+      closeTime: new Date(row[0] - 1),
+      open: row[1],
+      high: row[2],
+      low: row[3],
+      close: row[4],
+      volume: null
+    }));
+  }
+
+  // 작은 간격의 봉을 큰 간격으로 합치기 (완성된 구간만)
+  aggregateCandles(candles, targetInterval) {
+    const targetMs = this.intervals[targetInterval];
+    const buckets = new Map();
+
+    candles.forEach(candle => {
+      const bucketStart = Math.floor(new Date(candle.openTime).getTime() / targetMs) * targetMs;
+      if (!buckets.has(bucketStart)) {
+        buckets.set(bucketStart, []);
+      }
+      buckets.get(bucketStart).push(candle);
+    });
+
+    const sourceMs = candles.length > 0 ? this.intervals[candles[0].interval] : targetMs;
+    const expected = Math.round(targetMs / sourceMs);
+
+    return Array.from(buckets.entries())
+      .filter(([, items]) => items.length === expected)
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucketStart, items]) => {
+        const sorted = items.sort((a, b) => new Date(a.openTime) - new Date(b.openTime));
+        const volumes = sorted.map(c => c.volume).filter(v => v !== null && v !== undefined);
+
+        return {
+          symbol: sorted[0].symbol,
+          exchange: sorted[0].exchange,
+          interval: targetInterval,
+          quote: sorted[0].quote,
+          openTime: new Date(bucketStart),
+          closeTime: new Date(bucketStart + targetMs - 1),
+          open: sorted[0].open,
+          high: Math.max(...sorted.map(c => c.high)),
+          low: Math.min(...sorted.map(c => c.low)),
+          close: sorted[sorted.length - 1].close,
+          volume: volumes.length === sorted.length ? volumes.reduce((sum, v) => sum + v, 0) : null
+        };
+      });
+  }
+
+  // 수집 후 저장
+  async ingest(exchange, params) {
+    const candles = await this.fetchCandles(exchange, params);
+    const result = await Candle.upsertMany(candles);
+
+    logger.info(`Ingested ${candles.length} ${params.interval} candles for ${params.symbol} from ${exchange} (new ${result.upserted})`);
+    return { exchange, fetched: candles.length, ...result };
+  }
+
+  // 연속되지 않은 구간 탐지 (from/to를 주면 범위 앞뒤 누락도 포함)
+  detectGaps(candles, interval, { from, to } = {}) {
+    const intervalMs = this.intervals[interval];
+    const times = candles
+      .map(candle => new Date(candle.openTime).getTime())
+      .sort((a, b) => a - b);
+    const gaps = [];
+
+    const addGap = (start, end) => {
+      const missing = Math.floor((end - start) / intervalMs) + 1;
+      if (missing > 0) {
+        gaps.push({ from: new Date(start), to: new Date(end), missing });
+      }
+    };
+
+    if (times.length === 0) {
+      if (from && to) {
+        const start = Math.ceil(new Date(from).getTime() / intervalMs) * intervalMs;
+        addGap(start, Math.floor(new Date(to).getTime() / intervalMs) * intervalMs - intervalMs);
+      }
+      return gaps;
+    }
+
+    if (from) {
+      const start = Math.ceil(new Date(from).getTime() / intervalMs) * intervalMs;
+      if (times[0] - start >= intervalMs) {
+        addGap(start, times[0] - intervalMs);
+      }
+    }
+
+    for (let i = 1; i < times.length; i++) {
+      if (times[i] - times[i - 1] > intervalMs) {
+        addGap(times[i - 1] + intervalMs, times[i] - intervalMs);
+      }
+    }
+
+    if (to) {
+      // 진행 중인 봉은 누락으로 보지 않음
+      const lastClosed = Math.floor(new Date(to).getTime() / intervalMs) * intervalMs - intervalMs;
+      const last = times[times.length - 1];
+      if (lastClosed - last >= intervalMs) {
+        addGap(last + intervalMs, lastClosed);
+      }
+    }
+
+    return gaps;
+  }
+
+  // 저장된 캔들의 누락 구간을 거래소에서 다시 받아 채우기
+  async backfillGaps(symbol, { exchange = this.defaultExchange, interval = '1h', from, to = new Date(), coinId } = {}) {
+    const intervalMs = this.intervals[interval];
+    const rangeFrom = from || new Date(new Date(to).getTime() - 500 * intervalMs);
+    const stored = await this.getStoredRange(symbol, exchange, interval, rangeFrom, to);
+    const gaps = this.detectGaps(stored, interval, { from: rangeFrom, to });
+
+    const result = { symbol: symbol.toUpperCase(), exchange, interval, gaps: gaps.length, missing: 0, filled: 0 };
+
+    for (const gap of gaps) {
+      result.missing += gap.missing;
+
+      try {
+        const candles = (await this.fetchRange(exchange, { symbol, coinId, interval }, gap.from, gap.to))
+          .filter(candle => candle.openTime >= gap.from && candle.openTime <= gap.to);
+        const saved = await Candle.upsertMany(candles);
+        result.filled += saved.upserted;
+      } catch (error) {
+        logger.warning(`Candle backfill failed for ${symbol} ${interval} (${gap.from.toISOString()}):`, error.message);
+      }
+    }
+
+    if (gaps.length > 0) {
+      logger.success(`Candle backfill for ${symbol} ${interval} on ${exchange}: ${result.filled}/${result.missing} bars filled`);
+    }
+    return result;
+  }
+
+  // 저장된 캔들 전체 조회 (getRange는 최근 N개만 주므로 최신 → 과거 순으로 페이지 반복)
+  async getStoredRange(symbol, exchange, interval, from, to) {
+    const pages = [];
+    let cursor = new Date(to);
+
+    while (true) {
+      const page = await Candle.getRange(symbol, exchange, interval, { from, to: cursor, limit: this.storedPageSize });
+      if (page.length === 0) break;
+
+      pages.unshift(page);
+      if (page.length < this.storedPageSize) break;
+      cursor = new Date(new Date(page[0].openTime).getTime() - 1);
+    }
+
+    return pages.flat();
+  }
+
+  // 기간 지정 수집 (페이지 단위로 반복)
+  async fetchRange(exchange, params, from, to) {
+    const intervalMs = this.intervals[params.interval];
+    const candles = [];
+
+    if (exchange === 'binance') {
+      let cursor = new Date(from).getTime();
+      const end = new Date(to).getTime();
+
+      while (cursor <= end) {
+        const page = await this.fetchFromBinance(params.symbol, params.interval, { startTime: cursor, endTime: end });
+        if (page.length === 0) break;
+
+        candles.push(...page);
+        cursor = page[page.length - 1].openTime.getTime() + intervalMs;
+        if (page.length < this.pageSize.binance) break;
+        await this.sleep(200);
+      }
+      return candles;
+    }
+
+    if (exchange === 'upbit') {
+      let cursor = new Date(new Date(to).getTime() + intervalMs);
+      const start = new Date(from).getTime();
+
+      while (cursor.getTime() > start) {
+        const page = await this.fetchFromUpbit(params.symbol, params.interval, { to: cursor });
+        if (page.length === 0) break;
+
+        candles.push(...page);
+        cursor = page[0].openTime;
+        if (page.length < this.pageSize.upbit) break;
+        await this.sleep(200);
+      }
+      return candles;
+    }
+
+    // 빗썸/CoinGecko는 최근 구간만 제공
+    return await this.fetchCandles(exchange, params);
+  }
+
+  // 캔들 조회 (저장분이 부족하거나 오래되면 먼저 수집)
+  async getCandles(symbol, { exchange, interval = '1d', from, to, limit = 200, coinId, autoIngest = true } = {}) {
+    const exchanges = exchange ? [exchange] : [this.defaultExchange, 'coingecko'];
+    const intervalMs = this.intervals[interval];
+    let fallback = null;
+
+    for (const source of exchanges) {
+      if (!this.supportsInterval(source, interval)) continue;
+
+      let candles = await Candle.getRange(symbol, source, interval, { from, to, limit });
+      const latest = candles[candles.length - 1];
+      const isStale = !latest || Date.now() - new Date(latest.closeTime).getTime() > intervalMs;
+      const needsIngest = autoIngest && !to && (candles.length < Math.min(limit, this.minBars) || isStale);
+
+      if (needsIngest) {
+        try {
+          await this.ingest(source, { symbol, coinId, interval, limit: Math.max(limit, this.minBars) });
+          candles = await Candle.getRange(symbol, source, interval, { from, to, limit });
+        } catch (error) {
+          logger.warning(`Candle ingestion from ${source} failed for ${symbol} ${interval}:`, error.message);
+        }
+      }
+
+      if (candles.length >= Math.min(limit, this.minBars)) {
+        return { exchange: source, interval, candles };
+      }
+      if (!fallback || candles.length > fallback.candles.length) {
+        fallback = { exchange: source, interval, candles };
+      }
+    }
+
+    return fallback || { exchange: exchanges[0], interval, candles: [] };
+  }
+
+  // 기술적 분석용 가격 시계열 (종가 기준)
+  async getPriceSeries(symbol, options = {}) {
+    const { exchange, candles } = await this.getCandles(symbol, options);
+
+    return {
+      exchange,
+      series: candles.map(candle => ({
+        timestamp: new Date(candle.openTime).getTime(),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        price: candle.close,
+        volume: candle.volume || 0
+      }))
+    };
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = CandleService;
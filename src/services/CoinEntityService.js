@@ -0,0 +1,175 @@
+const logger = require('../utils/logger');
+const News = require('../models/News');
+const CoinGeckoService = require('./CoinGeckoService');
+const { createAdapter } = require('../adapters');
+const { buildDictionary, linkCoins, getAliases } = require('../nlp/coinEntities');
+
+// 전체 목록을 불러오기 전 기본 사전 (주요 코인)
+const SEED_MARKETS = [
+  { symbol: 'BTC', name: '비트코인', englishName: 'Bitcoin', coinId: 'bitcoin' },
+  { symbol: 'ETH', name: '이더리움', englishName: 'Ethereum', coinId: 'ethereum' },
+  { symbol: 'XRP', name: '리플', englishName: 'XRP', coinId: 'ripple' },
+  { symbol: 'ADA', name: '에이다', englishName: 'Cardano', coinId: 'cardano' },
+  { symbol: 'DOT', name: '폴카닷', englishName: 'Polkadot', coinId: 'polkadot' },
+  { symbol: 'LINK', name: '체인링크', englishName: 'Chainlink', coinId: 'chainlink' },
+  { symbol: 'LTC', name: '라이트코인', englishName: 'Litecoin', coinId: 'litecoin' },
+  { symbol: 'BCH', name: '비트코인캐시', englishName: 'Bitcoin Cash', coinId: 'bitcoin-cash' },
+  { symbol: 'EOS', name: '이오스', englishName: 'EOS', coinId: 'eos' },
+  { symbol: 'XLM', name: '스텔라루멘', englishName: 'Stellar', coinId: 'stellar' },
+  { symbol: 'TRX', name: '트론', englishName: 'TRON', coinId: 'tron' },
+  { symbol: 'ETC', name: '이더리움클래식', englishName: 'Ethereum Classic', coinId: 'ethereum-classic' },
+  { symbol: 'SOL', name: '솔라나', englishName: 'Solana', coinId: 'solana' },
+  { symbol: 'DOGE', name: '도지코인', englishName: 'Dogecoin', coinId: 'dogecoin' }
+];
+
+/**
+ * 코인 엔티티 연결 서비스
+ * CoinGecko 전체 코인 목록과 빗썸 마켓 한글명으로 만든 사전을 하루 한 번 갱신하고,
+ * 뉴스 기사의 관련 코인을 신뢰도와 함께 찾는다. 저장된 뉴스는 사전 갱신 후 다시 연결(백필)한다.
+ */
+class CoinEntityService {
+  constructor(options = {}) {
+    this.coinGeckoService = options.coinGeckoService || null; // 첫 갱신 때 생성
+    this.adapter = options.adapter || null; // 빗썸 (마켓 한글명)
+
+    this.dictionary = buildDictionary({
+      coins: SEED_MARKETS.map(market => ({ id: market.coinId, symbol: market.symbol, name: market.englishName })),
+      markets: SEED_MARKETS
+    });
+    this.markets = null; // 마지막으로 받은 거래소 마켓 목록
+    this.loadedAt = null; // 전체 목록으로 사전을 만든 시각 (기본 사전이면 null)
+    this.refreshInterval = 24 * 60 * 60 * 1000;
+
+    this.minConfidence = 0.5;
+    this.relinkBatchSize = 200;
+  }
+
+  /**
+   * 사전 갱신 (CoinGecko 목록 + 거래소 마켓 한글명, 둘 다 실패하면 기존 사전 유지)
+   * @param {Object} options - { markets: 이미 받은 거래소 마켓 목록 }
+   * @returns {Object} { coins, markets, size }
+   */
+  async refresh({ markets = null } = {}) {
+    let coins = null;
+    try {
+      if (!this.coinGeckoService) {
+        this.coinGeckoService = new CoinGeckoService();
+      }
+      coins = await this.coinGeckoService.getAllCoinsList();
+    } catch (error) {
+      logger.warning(`Coin list unavailable for entity linking: ${error.message}`);
+    }
+
+    if (markets) {
+      this.markets = markets;
+    } else {
+      try {
+        if (!this.adapter) {
+          this.adapter = createAdapter('bithumb');
+        }
+        this.markets = await this.adapter.getMarkets();
+      } catch (error) {
+        logger.warning(`Exchange markets unavailable for entity linking: ${error.message}`);
+      }
+    }
+
+    if (!coins && !this.markets) {
+      return { coins: 0, markets: 0, size: this.dictionary.size };
+    }
+
+    this.dictionary = buildDictionary({ coins: coins || [], markets: this.markets || SEED_MARKETS });
+    this.loadedAt = new Date();
+
+    logger.success(`Coin entity dictionary built: ${this.dictionary.size} coins (${(this.markets || []).length} exchange markets)`);
+    return { coins: (coins || []).length, markets: (this.markets || []).length, size: this.dictionary.size };
+  }
+
+  // 사전이 없거나 오래되었으면 갱신
+  async ensureLoaded() {
+    if (!this.loadedAt || Date.now() - this.loadedAt.getTime() > this.refreshInterval) {
+      await this.refresh();
+    }
+    return this.loadedAt !== null;
+  }
+
+  /**
+   * 기사의 관련 코인
+   * @param {Object|string} article - { title, description } 또는 텍스트
+   * @returns {Array} [{ symbol, coinId, name, confidence, mentions }]
+   */
+  link(article) {
+    return linkCoins(this.dictionary, article, { minConfidence: this.minConfidence });
+  }
+
+  hasSymbol(symbol) {
+    return this.dictionary.symbols.has(String(symbol).toUpperCase());
+  }
+
+  // 심볼, 영문명, 한글명
+  getAliases(symbol) {
+    return getAliases(this.dictionary, symbol);
+  }
+
+  // 저장용 연결 결과
+  toCoinLinks(links) {
+    return links.map(link => ({ symbol: link.symbol, coinId: link.coinId, confidence: link.confidence }));
+  }
+
+  /**
+   * 저장된 뉴스 관련 코인 다시 연결 (현재 사전보다 먼저 연결된 기사만, _id 순 배치)
+   * @param {Object} options - { limit: 한 번에 처리할 최대 기사 수 }
+   * @returns {Object} { scanned, changed, skipped }
+   */
+  async relinkStoredNews({ limit = 5000 } = {}) {
+    const result = { scanned: 0, changed: 0, skipped: false };
+
+    try {
+      // 기본 사전으로 다시 연결하면 오히려 코인을 잃으므로 전체 목록이 있어야 진행
+      if (!(await this.ensureLoaded())) {
+        result.skipped = true;
+        return result;
+      }
+
+      const linkedBefore = this.loadedAt;
+      let lastId = null;
+
+      while (result.scanned < limit) {
+        const filter = { $or: [{ coinsLinkedAt: null }, { coinsLinkedAt: { $lt: linkedBefore } }] };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const batch = await News.find(filter)
+          .sort({ _id: 1 })
+          .limit(Math.min(this.relinkBatchSize, limit - result.scanned))
+          .select('title description coins')
+          .lean();
+        if (batch.length === 0) break;
+
+        const now = new Date();
+        const operations = batch.map(news => {
+          const links = this.link(news);
+          const coins = links.map(link => link.symbol);
+          if (coins.join(',') !== (news.coins || []).join(',')) result.changed++;
+
+          return {
+            updateOne: {
+              filter: { _id: news._id },
+              update: { $set: { coins, coinLinks: this.toCoinLinks(links), coinsLinkedAt: now } }
+            }
+          };
+        });
+
+        await News.bulkWrite(operations, { ordered: false });
+        result.scanned += batch.length;
+        lastId = batch[batch.length - 1]._id;
+      }
+
+      logger.success(`News coins relinked: ${result.scanned} articles scanned, ${result.changed} changed`);
+      return result;
+    } catch (error) {
+      logger.error('News coin relinking failed:', error);
+      return { ...result, error: error.message };
+    }
+  }
+}
+
+module.exports = CoinEntityService;
@@ -0,0 +1,162 @@
+const logger = require('../utils/logger');
+const DerivativesSnapshot = require('../models/DerivativesSnapshot');
+const CacheService = require('./CacheService');
+const { createDerivativesProvider } = require('../adapters/derivatives');
+
+/**
+ * 파생상품 데이터 서비스
+ * 무기한 선물의 펀딩비, 미결제약정, 롱/숏 비율을 수집/저장하고
+ * 포지션 쏠림(스퀴즈 위험)과 미결제약정 흐름을 0-100 점수로 환산한다.
+ */
+class DerivativesService {
+  constructor(options = {}) {
+    this.cacheService = new CacheService();
+
+    // 데이터 공급자 (binance | fixture)
+    this.provider = options.provider || createDerivativesProvider(process.env.DERIVATIVES_PROVIDER || 'binance');
+
+    this.maxAge = 60 * 60 * 1000; // 1시간 넘은 스냅샷은 점수에 쓰지 않음
+    this.cacheTtl = 5 * 60; // 요약 캐시 (초)
+
+    // 점수 기준
+    this.extremeFundingRate = 0.001; // 8시간 0.1% 이상이면 극단적 쏠림
+    this.extremeLongShortRatio = 2.5; // 롱/숏 2.5배(또는 1/2.5) 이상이면 극단적 쏠림
+    this.significantOiChange = 10; // 24시간 미결제약정 10% 변화
+  }
+
+  /**
+   * 스냅샷 수집 및 저장
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {string} coinId - 코인 ID
+   * @returns {Object|null} 스냅샷 (선물 마켓이 없으면 null)
+   */
+  async collect(symbol, coinId = null) {
+    const snapshot = await this.provider.getSnapshot(symbol);
+    if (!snapshot) return null;
+
+    await DerivativesSnapshot.create({ ...snapshot, coinId });
+    return snapshot;
+  }
+
+  /**
+   * 여러 코인 수집 (실패한 코인은 건너뜀)
+   * @param {Array} targets - [{ coinId, symbol }]
+   * @returns {Object} { collected, skipped, failed }
+   */
+  async collectTargets(targets) {
+    const result = { collected: 0, skipped: 0, failed: 0 };
+
+    for (const { coinId, symbol } of targets) {
+      try {
+        const snapshot = await this.collect(symbol, coinId);
+        if (snapshot) result.collected++;
+        else result.skipped++;
+      } catch (error) {
+        result.failed++;
+        logger.warning(`Derivatives collection failed for ${symbol}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 최신 스냅샷 + 24시간 변화 + 점수
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {Object} options - { priceChange24h }
+   * @returns {Object|null} 요약 (최근 스냅샷이 없으면 null)
+   */
+  async getSummary(symbol, { priceChange24h = 0 } = {}) {
+    const upperSymbol = symbol.toUpperCase();
+    const cacheKey = `derivatives:summary:${upperSymbol}`;
+
+    const cached = await this.cacheService.get(cacheKey);
+    if (cached) return { ...cached, analysis: this.analyze(cached, priceChange24h) };
+
+    const now = Date.now();
+    const latest = await DerivativesSnapshot.getLatest(upperSymbol, new Date(now - this.maxAge));
+    if (!latest) return null;
+
+    const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+    const [previous, history] = await Promise.all([
+      DerivativesSnapshot.getAt(upperSymbol, dayAgo),
+      DerivativesSnapshot.getHistory(upperSymbol, { from: dayAgo })
+    ]);
+
+    const fundingRates = history.map(s => s.fundingRate).filter(rate => typeof rate === 'number');
+    const summary = {
+      ...latest,
+      openInterestChange24h: previous && previous.openInterest
+        ? ((latest.openInterest - previous.openInterest) / previous.openInterest) * 100
+        : null,
+      fundingRateAvg24h: fundingRates.length > 0 ? fundingRates.reduce((sum, rate) => sum + rate, 0) / fundingRates.length : null
+    };
+
+    await this.cacheService.set(cacheKey, summary, this.cacheTtl);
+    return { ...summary, analysis: this.analyze(summary, priceChange24h) };
+  }
+
+  /**
+   * 파생상품 점수 (50 중립)
+   * - 펀딩비/롱숏 비율: 한쪽으로 쏠릴수록 반대 방향 (롱 과열 → 롱 스퀴즈 위험 → 약세)
+   * - 미결제약정: 가격과 같이 늘면 추세 확인, 가격과 반대로 늘면 반대 포지션 유입
+   * @param {Object} summary - getSummary 결과
+   * @param {number} priceChange24h - 24시간 가격 변화율 (%)
+   * @returns {Object} { score, components, squeezeRisk, signals }
+   */
+  analyze(summary, priceChange24h = 0) {
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    const signals = [];
+
+    const funding = typeof summary.fundingRate === 'number'
+      ? -clamp(summary.fundingRate / this.extremeFundingRate) * 20
+      : 0;
+
+    const crowding = summary.longShortRatio > 0
+      ? -clamp(Math.log(summary.longShortRatio) / Math.log(this.extremeLongShortRatio)) * 15
+      : 0;
+
+    let openInterest = 0;
+    const oiChange = summary.openInterestChange24h;
+    if (typeof oiChange === 'number' && priceChange24h !== 0) {
+      const direction = Math.sign(priceChange24h);
+      openInterest = oiChange > 0
+        ? direction * clamp(oiChange / this.significantOiChange) * 15 // 신규 포지션이 가격 방향을 따름
+        : direction * 5; // 청산/정리 주도 움직임은 약하게 반영
+
+      if (oiChange >= this.significantOiChange) {
+        signals.push(direction > 0 ? '미결제약정 증가와 함께 상승' : '미결제약정 증가와 함께 하락');
+      }
+    }
+
+    // 스퀴즈 위험: 쏠린 쪽이 비용을 내면서 미결제약정이 쌓이는 상황
+    const oiRising = typeof oiChange === 'number' && oiChange > 0;
+    let squeezeRisk = null;
+    if (summary.fundingRate < 0 && summary.longShortRatio < 1 && oiRising) {
+      squeezeRisk = 'SHORT_SQUEEZE';
+      signals.push('숏 과열 - 숏 스퀴즈 위험');
+    } else if (summary.fundingRate > this.extremeFundingRate / 2 && summary.longShortRatio > 1 && oiRising) {
+      squeezeRisk = 'LONG_SQUEEZE';
+      signals.push('롱 과열 - 롱 스퀴즈 위험');
+    }
+
+    if (Math.abs(summary.fundingRate) >= this.extremeFundingRate) {
+      signals.push(summary.fundingRate > 0 ? '극단적 양(+) 펀딩비' : '극단적 음(-) 펀딩비');
+    }
+
+    const score = Math.max(0, Math.min(100, 50 + funding + crowding + openInterest));
+
+    return {
+      score: Math.round(score * 100) / 100,
+      components: { funding, crowding, openInterest },
+      squeezeRisk,
+      signals
+    };
+  }
+
+  async getHistory(symbol, hours = 24) {
+    return DerivativesSnapshot.getHistory(symbol, { from: new Date(Date.now() - hours * 60 * 60 * 1000) });
+  }
+}
+
+module.exports = DerivativesService;
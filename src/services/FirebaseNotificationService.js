@@ -286,6 +286,60 @@ class FirebaseNotificationService {
     };
   }
 
+  // 거래소 마켓 이벤트 알림 생성
+  createMarketEventNotification(event) {
+    const exchangeName = event.exchange === 'upbit' ? '업비트' : '빗썸';
+    const labels = {
+      LISTING: ['🚀', '원화 마켓 신규 상장'],
+      DELISTING: ['⛔', '원화 마켓 거래지원 종료'],
+      WARNING_DESIGNATED: ['⚠️', '투자유의 종목 지정'],
+      WARNING_RELEASED: ['✅', '투자유의 지정 해제'],
+      CAUTION_DESIGNATED: ['🔔', '주의 종목 지정'],
+      CAUTION_RELEASED: ['🔕', '주의 지정 해제']
+    };
+    const [emoji, label] = labels[event.type] || ['📢', event.type];
+
+    return {
+      title: `${emoji} ${event.symbol} ${exchangeName} ${label}`,
+      body: `${event.name || event.symbol}${event.reason ? ` - ${event.reason}` : ''}`,
+      data: {
+        coinId: event.coinId || '',
+        coinSymbol: event.symbol,
+        exchange: event.exchange,
+        eventType: event.type,
+        severity: event.severity,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // 뉴스 이벤트 알림 메시지 생성
+  createNewsEventNotification(event) {
+    const labels = {
+      HACK: ['🚨', '해킹/자금 탈취'],
+      DELISTING: ['⛔', '상장폐지/거래지원 종료'],
+      LISTING: ['🚀', '신규 상장'],
+      REGULATION: ['⚖️', '규제/법적 조치'],
+      ETF: ['🏦', 'ETF'],
+      UNLOCK: ['🔓', '토큰 언락'],
+      PARTNERSHIP: ['🤝', '파트너십']
+    };
+    const [emoji, label] = labels[event.type] || ['📰', event.type];
+
+    return {
+      title: `${emoji} ${event.symbol} ${label} 뉴스`,
+      body: `${event.title}${event.source ? ` - ${event.source}` : ''}`,
+      data: {
+        coinSymbol: event.symbol,
+        eventType: event.type,
+        severity: event.severity,
+        url: event.url || '',
+        storyId: event.storyId || '',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
   // 연결 테스트
   async testConnection() {
     try {
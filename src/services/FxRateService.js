@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const FxRate = require('../models/FxRate');
+const { createFxSource } = require('../adapters/fx');
+
+/**
+ * 원/달러 환율 서비스
+ * 설정 순서대로 환율 소스를 시도하는 대체 체인을 두고, 소스별 허용 나이를 넘은 시세는 오래된(stale) 것으로 표시한다.
+ * 조회한 시세는 fx_rates에 저장해 이력 조회와 모든 소스 장애 시 마지막 환율 대체에 쓴다.
+ */
+class FxRateService {
+  constructor(options = {}) {
+    // 환율 소스 (대체 순서)
+    this.sources = options.sources || (process.env.FX_SOURCES || 'dunamu,open-er-api,upbit-usdt')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => createFxSource(name));
+
+    this.quoteTtl = 60 * 1000; // 같은 소스 재조회 간격
+    this.maxStaleAge = (parseFloat(process.env.FX_MAX_STALE_HOURS) || 72) * 60 * 60 * 1000; // 주말 고시 공백을 덮는 최대 나이
+
+    this.quotes = new Map(); // 소스 → { quote, fetchedAt }
+  }
+
+  /**
+   * 소스 시세 조회 (재조회 간격 안에서는 메모리 값 재사용, 새로 받은 시세는 저장)
+   * @param {FxRateSource} source - 환율 소스
+   * @returns {Object} 시세
+   */
+  async fetchQuote(source) {
+    const cached = this.quotes.get(source.name);
+    if (cached && Date.now() - cached.fetchedAt < this.quoteTtl) {
+      return cached.quote;
+    }
+
+    const quote = await source.getRate();
+    this.quotes.set(source.name, { quote, fetchedAt: Date.now() });
+    await this.record(quote);
+
+    return quote;
+  }
+
+  async record(quote) {
+    try {
+      await FxRate.create(quote);
+    } catch (error) {
+      logger.warning(`Failed to record USD/KRW rate from ${quote.source}:`, error.message);
+    }
+  }
+
+  /**
+   * 현재 환율
+   * 대체 순서: 우선 종류의 최신 시세 → 우선 종류의 오래된 시세 → 나머지 종류 (같은 순서) → 저장된 마지막 환율
+   * @param {Object} options - { kind: 우선할 소스 종류 (official: 김치프리미엄 | implied: 원화 ↔ USDT 환전) }
+   * @returns {Object|null} { rate, source, kind, sourceTimestamp, stale, fallback, failures } (모두 실패하면 null)
+   */
+  async getRate({ kind = 'official' } = {}) {
+    const now = Date.now();
+    const failures = [];
+    const kinds = [kind, ...new Set(this.sources.map(source => source.kind).filter(k => k !== kind))];
+
+    for (const currentKind of kinds) {
+      let freshestStale = null;
+
+      for (const source of this.sources.filter(s => s.kind === currentKind)) {
+        try {
+          const quote = await this.fetchQuote(source);
+
+          if (!source.isStale(quote, now)) {
+            return { ...quote, stale: false, fallback: failures.length > 0, failures };
+          }
+
+          failures.push({ source: source.name, error: `stale since ${quote.sourceTimestamp.toISOString()}` });
+          if (now - quote.sourceTimestamp.getTime() <= this.maxStaleAge &&
+            (!freshestStale || quote.sourceTimestamp > freshestStale.sourceTimestamp)) {
+            freshestStale = quote;
+          }
+        } catch (error) {
+          failures.push({ source: source.name, error: error.message });
+        }
+      }
+
+      if (freshestStale) {
+        return { ...freshestStale, stale: true, fallback: true, failures };
+      }
+    }
+
+    // 모든 소스 실패 → 저장된 마지막 환율
+    try {
+      const stored = await FxRate.getLatest(kinds, new Date(now - this.maxStaleAge));
+      if (stored) {
+        logger.warning(`USD/KRW sources unavailable, using stored ${stored.source} rate from ${new Date(stored.timestamp).toISOString()}`);
+        return { ...stored, stale: true, fallback: true, failures };
+      }
+    } catch (error) {
+      failures.push({ source: 'database', error: error.message });
+    }
+
+    logger.error('USD/KRW rate unavailable from all sources', { failures });
+    return null;
+  }
+
+  /**
+   * 공식 환율과 USDT 유추 환율 비교 (USDT 프리미엄)
+   * @returns {Object} { official, implied, usdtPremium }
+   */
+  async getOverview() {
+    const [official, implied] = await Promise.all([
+      this.getRate({ kind: 'official' }),
+      this.getRate({ kind: 'implied' })
+    ]);
+
+    const usdtPremium = official && implied && official.kind === 'official' && implied.kind === 'implied'
+      ? (implied.rate - official.rate) / official.rate * 100
+      : null;
+
+    return { official, implied, usdtPremium };
+  }
+
+  /**
+   * 모든 소스 시세 수집 (스케줄러용, 실패한 소스는 건너뜀)
+   * @returns {Object} { collected, failed }
+   */
+  async collect() {
+    const result = { collected: 0, failed: 0 };
+
+    for (const source of this.sources) {
+      try {
+        await this.fetchQuote(source);
+        result.collected++;
+      } catch (error) {
+        result.failed++;
+        logger.warning(`USD/KRW collection failed for ${source.name}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  async getHistory({ hours = 24, source = null, kind = null } = {}) {
+    return FxRate.getHistory({ source, kind, from: new Date(Date.now() - hours * 60 * 60 * 1000) });
+  }
+}
+
+module.exports = FxRateService;
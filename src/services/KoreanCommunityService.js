@@ -2,6 +2,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
 const CacheService = require('./CacheService');
+const koreanNlp = require('../nlp/korean');
 
 /**
  * 한국 커뮤니티 감정분석 서비스
@@ -39,48 +40,12 @@ class KoreanCommunityService {
       }
     };
 
-    // 한국어 감정분석 키워드 확장
-    this.koreanSentimentKeywords = {
-      positive: [
-        // 가격 상승 관련
-        '상승', '급등', '폭등', '상한가', '신고가', '돌파', '강세', '상승세',
-        '호재', '긍정적', '낙관적', '기대', '희망', '좋다', '훌륭하다',
-        '투자', '매수', '보유', '달성', '성공', '수익', '이익', '수익률',
-        '김치프리미엄', '한국시장', '국내', '우리나라', '한국인',
-        // 기술적 분석
-        '브레이크아웃', '저항선돌파', '지지선', '상승채널', '골든크로스',
-        '거래량증가', '모멘텀', '추세', '상승추세', '강한신호',
-        // 뉴스/이벤트
-        '상장', '파트너십', '협력', '도입', '채택', '승인', '허가',
-        '업그레이드', '개선', '혁신', '기술발전', '기능추가'
-      ],
-      negative: [
-        // 가격 하락 관련
-        '하락', '급락', '폭락', '하한가', '신저가', '붕괴', '약세', '하락세',
-        '악재', '부정적', '비관적', '걱정', '우려', '나쁘다', '위험하다',
-        '매도', '손실', '손해', '마이너스', '하락장', '조정', '거품',
-        '과열', '조심', '주의', '경고', '위험', '불안', '공포',
-        // 기술적 분석
-        '데드크로스', '지지선이탈', '저항선', '하락채널', '약한신호',
-        '거래량감소', '모멘텀상실', '하락추세', '약세추세',
-        // 뉴스/이벤트
-        '상장폐지', '규제', '금지', '제재', '해킹', '보안사고',
-        '다운그레이드', '문제', '오류', '버그', '지연', '취소'
-      ],
-      neutral: [
-        // 중립적 표현
-        '보합', '횡보', '정체', '안정', '중립', '관망', '대기',
-        '분석', '검토', '검증', '확인', '모니터링', '관찰',
-        '예상', '예측', '가능성', '확률', '시나리오', '계획',
-        '정보', '뉴스', '공지', '발표', '소식', '이야기'
-      ]
-    };
-
-    // 가중치 설정
+    // 감정 사전 분류별 가중치
     this.keywordWeights = {
       price: 3.0,      // 가격 관련 키워드
       technical: 2.5,  // 기술적 분석 키워드
       news: 2.0,       // 뉴스/이벤트 키워드
+      slang: 2.0,      // 커뮤니티 은어 (떡상, 물렸다 등)
       general: 1.0     // 일반 키워드
     };
   }
@@ -369,86 +334,13 @@ class KoreanCommunityService {
         return { score: 50, sentiment: 'neutral', confidence: 0 };
       }
 
-      const lowerText = text.toLowerCase();
-      let positiveScore = 0;
-      let negativeScore = 0;
-      let neutralScore = 0;
-
-      // 긍정 키워드 검사
-      this.koreanSentimentKeywords.positive.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        const weight = this.getKeywordWeight(keyword);
-        positiveScore += matches * weight;
-      });
-
-      // 부정 키워드 검사
-      this.koreanSentimentKeywords.negative.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        const weight = this.getKeywordWeight(keyword);
-        negativeScore += matches * weight;
-      });
-
-      // 중립 키워드 검사
-      this.koreanSentimentKeywords.neutral.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        neutralScore += matches;
-      });
-
-      const totalScore = positiveScore + negativeScore + neutralScore;
-      
-      if (totalScore === 0) {
-        return { score: 50, sentiment: 'neutral', confidence: 0 };
-      }
-
-      // 감정 점수 계산 (0-100)
-      const sentimentScore = ((positiveScore - negativeScore) / totalScore + 1) * 50;
-      const confidence = Math.min(totalScore / 10, 1); // 최대 1.0
-
-      let sentiment = 'neutral';
-      if (sentimentScore > 60) sentiment = 'positive';
-      else if (sentimentScore < 40) sentiment = 'negative';
-
-      return {
-        score: Math.max(0, Math.min(100, sentimentScore)),
-        sentiment,
-        confidence,
-        breakdown: {
-          positive: positiveScore,
-          negative: negativeScore,
-          neutral: neutralScore,
-          total: totalScore
-        }
-      };
+      return koreanNlp.analyzeSentiment(text, { categoryWeights: this.keywordWeights });
     } catch (error) {
       logger.error('텍스트 감정분석 오류:', error);
       return { score: 50, sentiment: 'neutral', confidence: 0 };
     }
   }
 
-  /**
-   * 키워드 가중치 계산
-   * @param {string} keyword - 키워드
-   * @returns {number} 가중치
-   */
-  getKeywordWeight(keyword) {
-    // 가격 관련 키워드
-    if (['상승', '급등', '폭등', '하락', '급락', '폭락', '상한가', '하한가'].includes(keyword)) {
-      return this.keywordWeights.price;
-    }
-    
-    // 기술적 분석 키워드
-    if (['브레이크아웃', '저항선', '지지선', '골든크로스', '데드크로스', '거래량'].includes(keyword)) {
-      return this.keywordWeights.technical;
-    }
-    
-    // 뉴스/이벤트 키워드
-    if (['호재', '악재', '상장', '파트너십', '규제', '해킹'].includes(keyword)) {
-      return this.keywordWeights.news;
-    }
-    
-    return this.keywordWeights.general;
-  }
-
   /**
    * 다중 코인 한국 커뮤니티 감정분석
    * @param {Array} symbols - 코인 심볼 배열
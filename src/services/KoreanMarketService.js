@@ -1,14 +1,26 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
 const CacheService = require('./CacheService');
+const FxRateService = require('./FxRateService');
+const CoinGeckoService = require('./CoinGeckoService');
+const KimchiPremium = require('../models/KimchiPremium');
+const VolumeShare = require('../models/VolumeShare');
+const { createAdapter } = require('../adapters');
+const { statistics } = require('../indicators');
+const koreanNlp = require('../nlp/korean');
 
 /**
  * 한국 시장 특화 서비스
  * 김치프리미엄 계산, 한국 거래소 API 연동, 한국 커뮤니티 분석 등
  */
 class KoreanMarketService {
-  constructor() {
+  constructor(options = {}) {
     this.cacheService = new CacheService();
+    this.fxRateService = options.fxRateService || new FxRateService();
+    this.coinGeckoService = options.coinGeckoService || new CoinGeckoService();
+    this.adapters = {
+      upbit: createAdapter('upbit'),
+      bithumb: createAdapter('bithumb')
+    };
     
     // 한국 거래소 API 설정
     this.exchanges = {
@@ -31,73 +43,115 @@ class KoreanMarketService {
       extreme: 0.20        // 20% 이상 - 극심한 차이
     };
 
-    // 한국어 감정분석용 키워드
-    this.koreanSentimentKeywords = {
-      positive: [
-        '상승', '급등', '폭등', '상한가', '호재', '긍정적', '낙관적',
-        '투자', '매수', '보유', '달성', '돌파', '신고가', '강세',
-        '김치프리미엄', '한국시장', '국내', '우리나라'
-      ],
-      negative: [
-        '하락', '급락', '폭락', '하한가', '악재', '부정적', '비관적',
-        '매도', '손실', '하락세', '약세', '신저가', '위험', '조심',
-        '거품', '과열', '조정', '하락장'
-      ],
-      neutral: [
-        '보합', '횡보', '정체', '안정', '중립', '관망', '대기',
-        '분석', '검토', '검증', '확인', '모니터링'
-      ]
+    // 김치프리미엄 이력 통계 (코인별 평소 수준 대비 편차)
+    this.premiumHistory = {
+      statsWindowDays: 30,     // 현재 값과 비교할 이력 기간
+      minSamples: 50,          // 이 이상 쌓이면 고정 임계값 대신 자체 분포 사용
+      minRollingSamples: 10,   // 이동 z-score 계산 최소 표본
+      trendWindowMinutes: 60,  // 추세 비교 구간
+      trendThreshold: 0.2      // 최근 평균 대비 0.2%p 이상 변하면 상승/하락
+    };
+
+    // 평균 회귀 판단 z-score 임계값
+    this.premiumZScoreThresholds = {
+      significant: 1,
+      high: 2,
+      extreme: 3
+    };
+
+    // 국내 거래량 점유율 (글로벌 거래대금 대비)
+    this.volumeShare = {
+      historyDays: 7,     // 급증 판단에 비교할 이력 기간
+      minSamples: 20,     // 이 이상 쌓여야 급증/과열 판단
+      spikeZScore: 3,     // 이력 대비 z-score 이 이상이면 급증
+      spikeRatio: 3,      // 이력 평균의 이 배수 이상이면 급증
+      globalPerPage: 250, // 글로벌 거래대금을 가져올 시가총액 상위 코인 수
+      cacheTtl: 300       // 스냅샷 캐시 (초)
+    };
+
+    // 개인 투자자 과열도 단계 (0~100, 50 평소 수준)
+    this.retailHeatLevels = {
+      hot: 80,
+      warm: 65,
+      cold: 20
     };
   }
 
   /**
    * 김치프리미엄 계산
    * @param {string} coinSymbol - 코인 심볼 (예: 'BTC', 'ETH')
+   * @param {Object} options - { refresh: 캐시를 건너뛰고 새로 계산해 이력에 기록 (스케줄러 수집용) }
    * @returns {Object} 김치프리미엄 정보
    */
-  async calculateKimchiPremium(coinSymbol) {
+  async calculateKimchiPremium(coinSymbol, { refresh = false } = {}) {
     try {
       const symbol = coinSymbol.toUpperCase();
       logger.info(`Calculating Kimchi Premium for ${symbol}`);
 
       // 캐시에서 확인
       const cacheKey = `kimchi_premium:${symbol}`;
-      const cachedData = await this.cacheService.getKimchiPremium(symbol);
+      const cachedData = refresh ? null : await this.cacheService.getKimchiPremium(symbol);
       if (cachedData) {
         logger.info(`Kimchi Premium for ${symbol} loaded from cache`);
         return cachedData;
       }
 
-      // 한국 시장 가격과 글로벌 가격을 병렬로 가져오기
-      const [koreanPrice, globalPrice] = await Promise.all([
-        this.getKoreanMarketPrice(symbol),
-        this.getGlobalMarketPrice(symbol)
+      // 국내 거래소 가격, 글로벌 가격, 환율을 병렬로 가져오기
+      const [upbitPrice, bithumbPrice, globalPriceUsd, fx] = await Promise.all([
+        this.getUpbitPrice(symbol),
+        this.getBithumbPrice(symbol),
+        this.getGlobalMarketPrice(symbol),
+        this.getUsdKrwRate('official')
       ]);
+      const koreanPrice = this.getWeightedKoreanPrice(upbitPrice, bithumbPrice);
 
-      if (!koreanPrice || !globalPrice) {
+      if (!koreanPrice || !globalPriceUsd) {
         throw new Error(`Failed to get prices for ${symbol}`);
       }
+      if (!fx) {
+        throw new Error('USD/KRW rate unavailable');
+      }
+
+      // 글로벌 가격을 원화로 환산해 같은 통화끼리 비교
+      const globalPrice = globalPriceUsd * fx.rate;
 
       // 김치프리미엄 계산
       const premium = (koreanPrice - globalPrice) / globalPrice;
       const premiumPercentage = premium * 100;
 
+      // 코인 자체 이력 대비 위치 (이번 값을 기록하기 전 이력 기준)
+      const premiumStatistics = await this.getPremiumStatistics(symbol, premiumPercentage);
+
       const kimchiPremiumData = {
         symbol,
         koreanPrice,
         globalPrice,
+        globalPriceUsd,
+        fx: {
+          rate: fx.rate,
+          source: fx.source,
+          kind: fx.kind,
+          stale: fx.stale
+        },
         premium: premiumPercentage,
         isSignificant: Math.abs(premium) >= this.kimchiPremiumThresholds.significant,
         isHigh: Math.abs(premium) >= this.kimchiPremiumThresholds.high,
         isExtreme: Math.abs(premium) >= this.kimchiPremiumThresholds.extreme,
         trend: premium > 0 ? 'positive' : 'negative',
+        premiumTrend: premiumStatistics ? premiumStatistics.trend : 'stable', // 이력 기준 변화 방향 (rising/falling/stable)
+        statistics: premiumStatistics,
         timestamp: new Date(),
         exchanges: {
-          upbit: await this.getUpbitPrice(symbol),
-          bithumb: await this.getBithumbPrice(symbol)
+          upbit: upbitPrice,
+          bithumb: bithumbPrice
         }
       };
 
+      // 시계열 저장 (스케줄러 수집 주기로만 기록해 조회 빈도에 따라 표본이 몰리지 않게 함)
+      if (refresh) {
+        await this.recordKimchiPremium(kimchiPremiumData);
+      }
+
       // 5분 캐시
       await this.cacheService.setKimchiPremium(symbol, kimchiPremiumData);
 
@@ -121,25 +175,140 @@ class KoreanMarketService {
         this.getBithumbPrice(symbol)
       ]);
 
-      // 가중평균 계산
-      const upbitWeight = this.exchanges.upbit.weight;
-      const bithumbWeight = this.exchanges.bithumb.weight;
+      return this.getWeightedKoreanPrice(upbitPrice, bithumbPrice);
+    } catch (error) {
+      logger.error(`Failed to get Korean market price for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * 업비트/빗썸 가격 가중평균 (한쪽만 있으면 그 가격)
+   * @param {number|null} upbitPrice - 업비트 가격
+   * @param {number|null} bithumbPrice - 빗썸 가격
+   * @returns {number|null} 한국 시장 가격
+   */
+  getWeightedKoreanPrice(upbitPrice, bithumbPrice) {
+    const upbitWeight = this.exchanges.upbit.weight;
+    const bithumbWeight = this.exchanges.bithumb.weight;
+
+    if (upbitPrice && bithumbPrice) {
+      return (upbitPrice * upbitWeight) + (bithumbPrice * bithumbWeight);
+    } else if (upbitPrice) {
+      return upbitPrice;
+    } else if (bithumbPrice) {
+      return bithumbPrice;
+    }
+
+    return null;
+  }
+
+  /**
+   * 김치프리미엄 시계열 저장 (가중평균 + 거래소별)
+   * @param {Object} kimchiPremiumData - calculateKimchiPremium 결과
+   */
+  async recordKimchiPremium(kimchiPremiumData) {
+    try {
+      const { symbol, koreanPrice, globalPrice, premium, timestamp, exchanges } = kimchiPremiumData;
+      const records = [{ symbol, exchange: 'composite', koreanPrice, globalPrice, premium, timestamp }];
+
+      Object.entries(exchanges || {}).forEach(([exchange, price]) => {
+        if (price) {
+          records.push({ symbol, exchange, koreanPrice: price, globalPrice, premium: ((price - globalPrice) / globalPrice) * 100, timestamp });
+        }
+      });
+
+      await KimchiPremium.insertMany(records);
+    } catch (error) {
+      logger.warning(`Failed to record Kimchi Premium history for ${kimchiPremiumData.symbol}:`, error.message);
+    }
+  }
+
+  /**
+   * 현재 김치프리미엄의 코인 자체 이력 대비 통계
+   * @param {string} symbol - 코인 심볼
+   * @param {number} currentPremium - 현재 프리미엄 (%)
+   * @param {string} exchange - composite | upbit | bithumb
+   * @returns {Object|null} { samples, mean, std, zScore, percentile, min, max, trend, reliable } (이력이 없으면 null)
+   */
+  async getPremiumStatistics(symbol, currentPremium, exchange = 'composite') {
+    try {
+      const now = Date.now();
+      const { statsWindowDays, minSamples, trendWindowMinutes, trendThreshold } = this.premiumHistory;
 
-      if (upbitPrice && bithumbPrice) {
-        return (upbitPrice * upbitWeight) + (bithumbPrice * bithumbWeight);
-      } else if (upbitPrice) {
-        return upbitPrice;
-      } else if (bithumbPrice) {
-        return bithumbPrice;
+      const points = await KimchiPremium.getSeries(symbol, exchange, {
+        from: new Date(now - statsWindowDays * 24 * 60 * 60 * 1000)
+      });
+      if (points.length === 0) return null;
+
+      const summary = statistics.summarize(points.map(p => p.premium), currentPremium);
+
+      // 추세: 최근 구간 평균 대비 현재 값
+      const trendStart = now - trendWindowMinutes * 60 * 1000;
+      const recent = points.filter(p => new Date(p.timestamp).getTime() >= trendStart).map(p => p.premium);
+      let trend = 'stable';
+      if (recent.length > 0) {
+        const change = currentPremium - recent.reduce((sum, value) => sum + value, 0) / recent.length;
+        if (change >= trendThreshold) trend = 'rising';
+        else if (change <= -trendThreshold) trend = 'falling';
       }
 
-      return null;
+      return {
+        ...summary,
+        windowDays: statsWindowDays,
+        trend,
+        reliable: summary.samples >= minSamples
+      };
     } catch (error) {
-      logger.error(`Failed to get Korean market price for ${symbol}:`, error);
+      logger.warning(`Failed to load Kimchi Premium statistics for ${symbol}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * 김치프리미엄 이력 + 이동 z-score/백분위
+   * @param {string} symbol - 코인 심볼
+   * @param {Object} options - { exchange, days, windowHours }
+   * @returns {Object} { symbol, exchange, days, windowHours, statistics, series }
+   */
+  async getKimchiPremiumHistory(symbol, { exchange = 'composite', days = 7, windowHours = 24 * 7 } = {}) {
+    const upperSymbol = symbol.toUpperCase();
+    const from = Date.now() - days * 24 * 60 * 60 * 1000;
+    const windowMs = windowHours * 60 * 60 * 1000;
+
+    // 첫 시점부터 z-score를 내려면 비교 구간만큼 앞선 이력도 필요
+    const points = await KimchiPremium.getSeries(upperSymbol, exchange, { from: new Date(from - windowMs) });
+    const rolling = statistics.rollingStatistics(
+      points.map(p => ({ timestamp: p.timestamp, value: p.premium })),
+      windowMs,
+      this.premiumHistory.minRollingSamples
+    );
+
+    const series = rolling
+      .filter(p => new Date(p.timestamp).getTime() >= from)
+      .map(p => ({
+        timestamp: p.timestamp,
+        premium: p.value,
+        mean: p.mean,
+        zScore: p.zScore,
+        percentile: p.percentile
+      }));
+
+    // 기간 전체 분포 대비 최신 값
+    const values = series.map(p => p.premium);
+    const latest = values.length > 0 ? values[values.length - 1] : null;
+    const summary = latest !== null ? statistics.summarize(values.slice(0, -1), latest) : null;
+
+    return {
+      symbol: upperSymbol,
+      exchange,
+      days,
+      windowHours,
+      statistics: summary ? { ...summary, latest } : null,
+      series
+    };
+  }
+
   /**
    * 업비트 가격 조회
    * @param {string} symbol - 코인 심볼
@@ -158,17 +327,8 @@ class KoreanMarketService {
       
       const upbitSymbol = symbolMap[symbol.toLowerCase()] || symbol.toUpperCase();
       
-      const response = await axios.get(`${this.exchanges.upbit.baseUrl}/ticker`, {
-        params: {
-          markets: `KRW-${upbitSymbol}`
-        },
-        timeout: 5000
-      });
-
-      if (response.data && response.data.length > 0) {
-        return response.data[0].trade_price;
-      }
-      return null;
+      const ticker = await this.adapters.upbit.getTicker(upbitSymbol);
+      return ticker.price;
     } catch (error) {
       logger.warning(`Failed to get Upbit price for ${symbol}:`, error.message);
       return null;
@@ -193,26 +353,36 @@ class KoreanMarketService {
       
       const bithumbSymbol = symbolMap[symbol.toLowerCase()] || symbol.toUpperCase();
       
-      const response = await axios.get(`${this.exchanges.bithumb.baseUrl}/ticker/${bithumbSymbol}_KRW`, {
-        timeout: 5000
-      });
-
-      if (response.data && response.data.status === '0000') {
-        return parseFloat(response.data.data.closing_price);
-      }
-      return null;
+      const ticker = await this.adapters.bithumb.getTicker(bithumbSymbol);
+      return ticker.price;
     } catch (error) {
       logger.warning(`Failed to get Bithumb price for ${symbol}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * 원/달러 환율
+   * @param {string} kind - official(공식 환율, 김치프리미엄 기준) | implied(업비트 USDT/KRW, 실제 환전 비용)
+   * @returns {Object|null} { rate, source, kind, stale, ... } (모든 소스 실패 시 null)
+   */
+  async getUsdKrwRate(kind = 'official') {
+    return this.fxRateService.getRate({ kind });
+  }
+
+
   /**
    * 글로벌 시장 가격 조회 (CoinGecko 사용)
    * @param {string} symbol - 코인 심볼
+   * @param {string} currency - USD | KRW (KRW는 공식 환율로 환산)
    * @returns {number} 글로벌 가격
    */
-  async getGlobalMarketPrice(symbol) {
+  async getGlobalMarketPrice(symbol, currency = 'USD') {
+    if (currency === 'KRW') {
+      const [price, fx] = await Promise.all([this.getGlobalMarketPrice(symbol), this.getUsdKrwRate('official')]);
+      return price && fx ? price * fx.rate : null;
+    }
+
     try {
       const cacheKey = `global_price:${symbol.toLowerCase()}`;
       let cachedPrice = await this.cacheService.get(cacheKey);
@@ -241,64 +411,215 @@ class KoreanMarketService {
   }
 
   /**
-   * 한국어 감정분석
-   * @param {string} text - 분석할 텍스트
-   * @returns {Object} 감정분석 결과
+   * 국내 거래소 거래량 점유율 스냅샷
+   * 업비트/빗썸 24시간 원화 거래대금을 공식 환율로 USD 환산해 CoinGecko 글로벌 거래대금과 비교하고,
+   * 코인별 이력 대비 원화 거래대금 급증 여부와 원화 시장 전체 점유율을 함께 계산한다.
+   * @param {Object} options - { refresh: 캐시를 건너뛰고 새로 계산해 이력에 기록 (스케줄러 수집용) }
+   * @returns {Object} { market, coins, fx, timestamp } (coins는 국내 거래대금 순)
    */
-  analyzeKoreanSentiment(text) {
-    try {
-      if (!text || text.length < 5) {
-        return { score: 50, sentiment: 'neutral', confidence: 0 };
+  async getVolumeShare({ refresh = false } = {}) {
+    const cacheKey = 'korean_market:volume_share';
+    if (!refresh) {
+      const cached = await this.cacheService.get(cacheKey);
+      if (cached) return cached;
+    }
+
+    const fx = await this.getUsdKrwRate('official');
+    if (!fx) {
+      throw new Error('USD/KRW rate unavailable');
+    }
+
+    const [upbitTickers, bithumbTickers] = await Promise.all(['upbit', 'bithumb'].map(exchange =>
+      this.adapters[exchange].getTickers().catch(error => {
+        logger.warning(`Failed to get ${exchange} tickers for volume share:`, error.message);
+        return new Map();
+      })
+    ));
+    if (upbitTickers.size === 0 && bithumbTickers.size === 0) {
+      throw new Error('Korean exchange tickers unavailable');
+    }
+
+    const [markets, globalData] = await Promise.all([
+      this.coinGeckoService.getMarketDataBatch(1, this.volumeShare.globalPerPage),
+      this.coinGeckoService.getGlobalData()
+    ]);
+
+    // 같은 심볼이 여러 개면 시가총액이 큰 쪽 (응답이 시가총액 순)
+    const globalVolumes = new Map();
+    (markets || []).forEach(market => {
+      const symbol = market.symbol.toUpperCase();
+      if (!globalVolumes.has(symbol)) globalVolumes.set(symbol, market.total_volume || 0);
+    });
+
+    const toUsd = ticker => ticker && ticker.quoteVolume24h ? ticker.quoteVolume24h / fx.rate : 0;
+    const share = (volume, total) => total > 0 ? (volume / total) * 100 : null;
+
+    const symbols = [...new Set([...upbitTickers.keys(), ...bithumbTickers.keys()])];
+    const coins = symbols.map(symbol => {
+      const upbitVolumeUsd = toUsd(upbitTickers.get(symbol));
+      const bithumbVolumeUsd = toUsd(bithumbTickers.get(symbol));
+      const koreanVolumeUsd = upbitVolumeUsd + bithumbVolumeUsd;
+      const globalVolumeUsd = globalVolumes.has(symbol) ? globalVolumes.get(symbol) : null;
+
+      return {
+        symbol,
+        upbitVolumeUsd,
+        bithumbVolumeUsd,
+        koreanVolumeUsd,
+        globalVolumeUsd,
+        share: share(koreanVolumeUsd, globalVolumeUsd),
+        exchanges: {
+          upbit: share(upbitVolumeUsd, globalVolumeUsd),
+          bithumb: share(bithumbVolumeUsd, globalVolumeUsd)
+        }
+      };
+    }).filter(coin => coin.koreanVolumeUsd > 0);
+
+    const upbitVolumeUsd = coins.reduce((sum, coin) => sum + coin.upbitVolumeUsd, 0);
+    const bithumbVolumeUsd = coins.reduce((sum, coin) => sum + coin.bithumbVolumeUsd, 0);
+    const globalVolumeUsd = globalData && globalData.data && globalData.data.total_volume
+      ? globalData.data.total_volume.usd
+      : null;
+    const market = {
+      symbol: VolumeShare.MARKET_SYMBOL,
+      upbitVolumeUsd,
+      bithumbVolumeUsd,
+      koreanVolumeUsd: upbitVolumeUsd + bithumbVolumeUsd,
+      globalVolumeUsd,
+      share: share(upbitVolumeUsd + bithumbVolumeUsd, globalVolumeUsd),
+      exchanges: {
+        upbit: share(upbitVolumeUsd, globalVolumeUsd),
+        bithumb: share(bithumbVolumeUsd, globalVolumeUsd)
       }
+    };
 
-      const lowerText = text.toLowerCase();
-      let positiveScore = 0;
-      let negativeScore = 0;
-      let neutralScore = 0;
+    const timestamp = new Date();
+    const history = await this.getVolumeShareHistory([...coins.map(coin => coin.symbol), market.symbol], timestamp);
+    [market, ...coins].forEach(entry => Object.assign(entry, this.analyzeVolumeHistory(entry, history.get(entry.symbol) || [])));
 
-      // 긍정 키워드 검사
-      this.koreanSentimentKeywords.positive.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        positiveScore += matches * 2; // 긍정 키워드는 가중치 2
-      });
+    const result = {
+      market,
+      coins: coins.sort((a, b) => b.koreanVolumeUsd - a.koreanVolumeUsd),
+      fx: { rate: fx.rate, source: fx.source, kind: fx.kind, stale: fx.stale },
+      timestamp
+    };
 
-      // 부정 키워드 검사
-      this.koreanSentimentKeywords.negative.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        negativeScore += matches * 2; // 부정 키워드는 가중치 2
-      });
+    // 이력은 스케줄러 수집 주기로만 기록 (API 캐시 만료 때마다 쌓이면 급증 기준선이 왜곡됨)
+    if (refresh) {
+      await this.recordVolumeShare(result);
+    }
+    await this.cacheService.set(cacheKey, result, this.volumeShare.cacheTtl);
 
-      // 중립 키워드 검사
-      this.koreanSentimentKeywords.neutral.forEach(keyword => {
-        const matches = (lowerText.match(new RegExp(keyword, 'g')) || []).length;
-        neutralScore += matches;
+    return result;
+  }
+
+  async getVolumeShareHistory(symbols, now = new Date()) {
+    try {
+      return await VolumeShare.getSeriesBySymbol(symbols, {
+        from: new Date(now.getTime() - this.volumeShare.historyDays * 24 * 60 * 60 * 1000)
       });
+    } catch (error) {
+      logger.warning('Failed to load volume share history:', error.message);
+      return new Map();
+    }
+  }
 
-      const totalScore = positiveScore + negativeScore + neutralScore;
-      
-      if (totalScore === 0) {
-        return { score: 50, sentiment: 'neutral', confidence: 0 };
-      }
+  /**
+   * 이력 대비 현재 거래대금/점유율 위치
+   * @param {Object} entry - 코인 또는 시장 전체 스냅샷 { koreanVolumeUsd, share }
+   * @param {Array} points - 같은 심볼의 VolumeShare 이력 (오래된 순)
+   * @returns {Object} { volumeSpike: { ratio, zScore, isSpike }, shareZScore, samples }
+   */
+  analyzeVolumeHistory(entry, points) {
+    const { minSamples, spikeZScore, spikeRatio } = this.volumeShare;
+    const volume = statistics.summarize(points.map(p => p.koreanVolumeUsd), entry.koreanVolumeUsd);
+    const shares = points.map(p => p.share).filter(value => value !== null && value !== undefined);
+    const share = entry.share !== null ? statistics.summarize(shares, entry.share) : null;
+    const reliable = volume.samples >= minSamples;
 
-      // 감정 점수 계산 (0-100)
-      const sentimentScore = ((positiveScore - negativeScore) / totalScore + 1) * 50;
-      const confidence = Math.min(totalScore / 10, 1); // 최대 1.0
+    const ratio = volume.mean > 0 ? entry.koreanVolumeUsd / volume.mean : null;
 
-      let sentiment = 'neutral';
-      if (sentimentScore > 60) sentiment = 'positive';
-      else if (sentimentScore < 40) sentiment = 'negative';
+    return {
+      volumeSpike: {
+        ratio,
+        zScore: volume.zScore,
+        isSpike: reliable && ((volume.zScore !== null && volume.zScore >= spikeZScore) || (ratio !== null && ratio >= spikeRatio))
+      },
+      shareZScore: share && share.samples >= minSamples ? share.zScore : null,
+      samples: volume.samples
+    };
+  }
+
+  /**
+   * 거래량 점유율 시계열 저장 (코인별 + 시장 전체)
+   * @param {Object} volumeShare - getVolumeShare 결과
+   */
+  async recordVolumeShare({ market, coins, timestamp }) {
+    try {
+      const records = [market, ...coins].map(({ symbol, upbitVolumeUsd, bithumbVolumeUsd, koreanVolumeUsd, globalVolumeUsd, share }) => ({
+        symbol, upbitVolumeUsd, bithumbVolumeUsd, koreanVolumeUsd, globalVolumeUsd, share, timestamp
+      }));
+
+      await VolumeShare.insertMany(records);
+    } catch (error) {
+      logger.warning('Failed to record volume share history:', error.message);
+    }
+  }
+
+  /**
+   * 개인 투자자 과열도 (retail heat)
+   * 코인 점유율, 원화 거래대금, 원화 시장 전체 점유율이 각자 이력 대비 얼마나 높은지 평균 z-score로 본다.
+   * @param {string} symbol - 코인 심볼
+   * @returns {Object|null} { score, level, components, share, marketShare } (데이터나 이력이 없으면 null)
+   */
+  async getRetailHeat(symbol) {
+    try {
+      const volumeShare = await this.getVolumeShare();
+      const coin = volumeShare.coins.find(c => c.symbol === symbol.toUpperCase());
+      if (!coin) return null;
+
+      const components = {
+        shareZScore: coin.shareZScore,
+        volumeZScore: coin.samples >= this.volumeShare.minSamples ? coin.volumeSpike.zScore : null,
+        marketShareZScore: volumeShare.market.shareZScore
+      };
+      const values = Object.values(components).filter(value => value !== null);
+      if (values.length === 0) return null;
+
+      const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const score = Math.round(Math.max(0, Math.min(100, 50 + average * 10)) * 100) / 100;
+
+      let level = 'NEUTRAL';
+      if (score >= this.retailHeatLevels.hot) level = 'HOT';
+      else if (score >= this.retailHeatLevels.warm) level = 'WARM';
+      else if (score <= this.retailHeatLevels.cold) level = 'COLD';
 
       return {
-        score: Math.max(0, Math.min(100, sentimentScore)),
-        sentiment,
-        confidence,
-        breakdown: {
-          positive: positiveScore,
-          negative: negativeScore,
-          neutral: neutralScore,
-          total: totalScore
-        }
+        score,
+        level,
+        components,
+        volumeSpike: coin.volumeSpike.isSpike,
+        share: coin.share,
+        marketShare: volumeShare.market.share
       };
+    } catch (error) {
+      logger.warning(`Failed to calculate retail heat for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 한국어 감정분석
+   * @param {string} text - 분석할 텍스트
+   * @returns {Object} 감정분석 결과
+   */
+  analyzeKoreanSentiment(text) {
+    try {
+      if (!text || text.length < 5) {
+        return { score: 50, sentiment: 'neutral', confidence: 0 };
+      }
+
+      return koreanNlp.analyzeSentiment(text);
     } catch (error) {
       logger.error('Korean sentiment analysis failed:', error);
       return { score: 50, sentiment: 'neutral', confidence: 0 };
@@ -308,16 +629,17 @@ class KoreanMarketService {
   /**
    * 다중 코인 김치프리미엄 분석
    * @param {Array} symbols - 코인 심볼 배열
+   * @param {Object} options - calculateKimchiPremium 옵션
    * @returns {Object} 다중 코인 김치프리미엄 데이터
    */
-  async getMultipleKimchiPremiums(symbols) {
+  async getMultipleKimchiPremiums(symbols, options = {}) {
     try {
       logger.info(`Calculating Kimchi Premiums for ${symbols.length} coins`);
       
       const results = {};
       const promises = symbols.map(async (symbol) => {
         try {
-          const premium = await this.calculateKimchiPremium(symbol);
+          const premium = await this.calculateKimchiPremium(symbol, options);
           results[symbol] = premium;
         } catch (error) {
           logger.error(`Failed to calculate Kimchi Premium for ${symbol}:`, error);
@@ -392,8 +714,26 @@ class KoreanMarketService {
 
       // 김치프리미엄 기반 보정 점수 계산
       let koreanAdjustment = 0;
-      
-      if (kimchiPremium.isExtreme) {
+      let meanReversion = null;
+      const stats = kimchiPremium.statistics;
+
+      if (stats && stats.reliable && stats.zScore !== null) {
+        // 이력이 충분하면 코인 평소 수준 대비 편차로 판단 (평균 회귀: 과열이면 감점, 할인이면 가점)
+        const absZ = Math.abs(stats.zScore);
+        const direction = stats.zScore > 0 ? -1 : 1;
+
+        if (absZ >= this.premiumZScoreThresholds.extreme) {
+          koreanAdjustment = direction * 15;
+        } else if (absZ >= this.premiumZScoreThresholds.high) {
+          koreanAdjustment = direction * 10;
+        } else if (absZ >= this.premiumZScoreThresholds.significant) {
+          koreanAdjustment = direction * 5;
+        }
+
+        if (koreanAdjustment !== 0) {
+          meanReversion = stats.zScore > 0 ? 'OVERHEATED' : 'DISCOUNTED';
+        }
+      } else if (kimchiPremium.isExtreme) {
         koreanAdjustment = kimchiPremium.premium > 0 ? 15 : -15; // 극심한 차이
       } else if (kimchiPremium.isHigh) {
         koreanAdjustment = kimchiPremium.premium > 0 ? 10 : -10; // 높은 차이
@@ -401,6 +741,14 @@ class KoreanMarketService {
         koreanAdjustment = kimchiPremium.premium > 0 ? 5 : -5; // 의미있는 차이
       }
 
+      // 개인 투자자 과열도 (역추세: 과열이면 감점, 냉각이면 가점)
+      const retailHeat = await this.getRetailHeat(symbol);
+      if (retailHeat) {
+        if (retailHeat.level === 'HOT') koreanAdjustment -= 5;
+        else if (retailHeat.level === 'WARM') koreanAdjustment -= 2;
+        else if (retailHeat.level === 'COLD') koreanAdjustment += 2;
+      }
+
       // 한국 시장 특화 신호 생성
       const koreanSignal = {
         ...baseSignal,
@@ -410,7 +758,12 @@ class KoreanMarketService {
           globalPrice: kimchiPremium.globalPrice,
           adjustment: koreanAdjustment,
           isSignificant: kimchiPremium.isSignificant,
-          trend: kimchiPremium.trend
+          trend: kimchiPremium.trend,
+          premiumTrend: kimchiPremium.premiumTrend,
+          zScore: stats ? stats.zScore : null,
+          percentile: stats ? stats.percentile : null,
+          meanReversion,
+          retailHeat
         },
         finalScore: Math.max(0, Math.min(100, baseSignal.finalScore + koreanAdjustment)),
         metadata: {
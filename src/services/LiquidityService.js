@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const LiquiditySnapshot = require('../models/LiquiditySnapshot');
+const CacheService = require('./CacheService');
+const { createAdapter, calculateLiquidityMetrics } = require('../adapters');
+
+/**
+ * 호가창 유동성 서비스
+ * 거래소 어댑터로 상위 N단계 호가를 받아 유동성 지표(스프레드, 호가 깊이, 불균형, 슬리피지)를 계산하고
+ * 코인별로 저장한다. 시가총액/거래량 기반 유동성 등급 대신 실제 호가 기반 등급을 제공한다.
+ */
+class LiquidityService {
+  constructor() {
+    this.cacheService = new CacheService();
+
+    // 수집 거래소 (앞쪽 거래소를 대표 유동성으로 사용)
+    this.exchanges = (process.env.LIQUIDITY_EXCHANGES || 'binance,upbit').split(',').map(e => e.trim()).filter(Boolean);
+    this.adapters = new Map(this.exchanges.map(exchange => [exchange, createAdapter(exchange)]));
+
+    this.depthLevels = parseInt(process.env.LIQUIDITY_DEPTH_LEVELS) || 50; // 저장할 호가 단계 수
+    this.maxAge = 30 * 60 * 1000; // 30분 넘은 스냅샷은 신호 입력으로 쓰지 않음
+    this.cacheTtl = 5 * 60; // 최신 지표 캐시 (초)
+  }
+
+  /**
+   * 호가 스냅샷 수집 및 저장
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {Object} options - { exchange, coinId }
+   * @returns {Object} 유동성 지표
+   */
+  async captureSnapshot(symbol, { exchange = this.exchanges[0], coinId = null } = {}) {
+    const adapter = this.adapters.get(exchange) || createAdapter(exchange);
+    const orderBook = await adapter.getOrderBook(symbol.toUpperCase(), { limit: this.depthLevels });
+    const metrics = calculateLiquidityMetrics(orderBook);
+
+    if (!metrics) {
+      throw new Error(`Empty order book for ${symbol} on ${exchange}`);
+    }
+
+    await LiquiditySnapshot.create({
+      ...metrics,
+      coinId,
+      bids: orderBook.bids.slice(0, this.depthLevels),
+      asks: orderBook.asks.slice(0, this.depthLevels)
+    });
+
+    await this.cacheService.set(`liquidity:${metrics.symbol}:${exchange}`, metrics, this.cacheTtl);
+    return metrics;
+  }
+
+  /**
+   * 여러 코인 호가 수집 (거래소별, 실패한 코인은 건너뜀)
+   * @param {Array} targets - [{ coinId, symbol }]
+   * @returns {Object} { captured, failed }
+   */
+  async captureTargets(targets) {
+    let captured = 0;
+    let failed = 0;
+
+    for (const { coinId, symbol } of targets) {
+      for (const exchange of this.exchanges) {
+        try {
+          await this.captureSnapshot(symbol, { exchange, coinId });
+          captured++;
+        } catch (error) {
+          failed++;
+          logger.warning(`Liquidity snapshot failed for ${symbol} on ${exchange}: ${error.message}`);
+        }
+      }
+    }
+
+    return { captured, failed };
+  }
+
+  /**
+   * 최신 유동성 지표 (캐시 → DB, 오래된 스냅샷은 제외)
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {string} exchange - 거래소 (미지정 시 설정 순서대로 최신 지표가 있는 곳)
+   * @returns {Object|null} 유동성 지표
+   */
+  async getLiquidity(symbol, exchange = null) {
+    if (!symbol) return null;
+
+    try {
+      const upperSymbol = symbol.toUpperCase();
+      const since = new Date(Date.now() - this.maxAge);
+
+      for (const candidate of exchange ? [exchange] : this.exchanges) {
+        const cached = await this.cacheService.get(`liquidity:${upperSymbol}:${candidate}`);
+        if (cached) return cached;
+
+        const latest = await LiquiditySnapshot.getLatest(upperSymbol, candidate, since);
+        if (latest) return latest;
+      }
+
+      return null;
+    } catch (error) {
+      logger.error(`Failed to load liquidity for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  async getHistory(symbol, exchange = this.exchanges[0], limit = 100) {
+    return LiquiditySnapshot.getHistory(symbol, exchange, limit);
+  }
+}
+
+module.exports = LiquidityService;
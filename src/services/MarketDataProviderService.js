@@ -0,0 +1,257 @@
+const logger = require('../utils/logger');
+const CoinGeckoService = require('./CoinGeckoService');
+const CacheService = require('./CacheService');
+const Coin = require('../models/Coin');
+const { createAdapter } = require('../adapters');
+
+/**
+ * 시장 데이터 공급자 (장애 대응 + 소스 간 가격 합의)
+ * 1차 소스는 CoinGecko, 실패하면 마지막 정상 응답(캐시)으로 대체하고 일정 시간 CoinGecko 호출을 쉰다.
+ * 캐시도 없으면 저장된 코인 목록과 거래소 현재가로 최소 시장 데이터를 만든다.
+ * 코인 가격은 CoinGecko와 거래소 현재가의 중앙값(이상치 제외)으로 정하고, 소스 간 차이가 크면 표시한다.
+ * 거래소 가격은 티커로만 매칭되므로 1차 가격에서 크게 벗어나면 같은 티커의 다른 코인으로 보고 제외한다.
+ */
+class MarketDataProviderService {
+  constructor() {
+    this.coinGeckoService = new CoinGeckoService();
+    this.cacheService = new CacheService();
+
+    // 거래소 현재가 소스 (KRW 거래소는 같은 거래소의 USDT 가격으로 환산)
+    this.exchangeSources = (process.env.PRICE_EXCHANGE_SOURCES || 'binance,upbit,bithumb').split(',').map(s => s.trim()).filter(Boolean);
+    this.adapters = new Map(this.exchangeSources.map(exchange => [exchange, createAdapter(exchange)]));
+
+    this.outlierThreshold = parseFloat(process.env.PRICE_OUTLIER_THRESHOLD) || 0.05; // 중앙값에서 5% 넘게 벗어나면 제외
+    this.disagreementThreshold = parseFloat(process.env.PRICE_DISAGREEMENT_THRESHOLD) || 0.02; // 소스 간 차이 2% 초과 시 표시
+    this.staleAnchorThreshold = parseFloat(process.env.PRICE_STALE_ANCHOR_THRESHOLD) || 0.5; // 캐시 가격 기준 허용 범위 (오래된 가격이라 넓게)
+
+    this.lastGoodTtl = 24 * 60 * 60; // 마지막 정상 응답 보관 (초)
+    this.primaryCooldown = 5 * 60 * 1000; // 1차 소스 실패 후 재시도까지 대기
+    this.quoteTtl = 30 * 1000; // 거래소 현재가 재사용 시간
+
+    this.cooldowns = new Map(); // 소스 → 재시도 가능 시각
+    this.quoteCache = { quotes: null, fetchedAt: 0 };
+  }
+
+  /**
+   * 시가총액 순 시장 데이터 (CoinGecko /coins/markets 형식 + price_provenance)
+   * @param {number} page - 페이지
+   * @param {number} perPage - 페이지당 코인 수
+   * @returns {Array} 코인 시장 데이터
+   */
+  async getMarketDataBatch(page = 1, perPage = 250) {
+    const lastGoodKey = `provider:market:last-good:${page}:${perPage}`;
+    let coins = null;
+    let primary = 'coingecko';
+
+    if (!this.isCoolingDown('coingecko')) {
+      try {
+        coins = await this.coinGeckoService.getMarketDataBatch(page, perPage);
+        await this.cacheService.set(lastGoodKey, coins, this.lastGoodTtl);
+      } catch (error) {
+        this.cooldowns.set('coingecko', Date.now() + this.primaryCooldown);
+        logger.warning(`CoinGecko unavailable, falling back to cached market data: ${error.message}`);
+      }
+    }
+
+    if (!coins) {
+      coins = await this.cacheService.get(lastGoodKey);
+      primary = 'cache';
+    }
+
+    const quotes = await this.getExchangeQuotes();
+
+    if (!coins) {
+      const exchangeCoins = await this.getExchangeMarketData(quotes, page, perPage);
+      if (exchangeCoins.length === 0) {
+        throw new Error(`No market data available for page ${page}`);
+      }
+
+      logger.warning(`No cached market data for page ${page}, using exchange quotes for ${exchangeCoins.length} coins`);
+      return exchangeCoins;
+    }
+
+    return coins.map(coin => this.applyConsensus(coin, quotes, primary));
+  }
+
+  /**
+   * 거래소 현재가 기반 최소 시장 데이터 (CoinGecko와 캐시가 모두 없을 때)
+   * 티커만으로는 CoinGecko id를 알 수 없으므로 저장된 코인(시가총액 순위 순)과 심볼로 연결한다.
+   * @param {Map} quotes - 거래소별 USD 가격
+   * @param {number} page - 페이지
+   * @param {number} perPage - 페이지당 코인 수
+   * @returns {Array} id, symbol, name, market_cap_rank, current_price, price_provenance만 채운 코인 데이터
+   */
+  async getExchangeMarketData(quotes, page, perPage) {
+    const symbols = new Set();
+    quotes.forEach(prices => prices.forEach((price, symbol) => symbols.add(symbol)));
+    if (symbols.size === 0) return [];
+
+    const storedCoins = await Coin.find({ symbol: { $in: Array.from(symbols) } })
+      .sort({ marketCapRank: 1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .lean();
+
+    return storedCoins.map(stored => this.applyConsensus({
+      id: stored.coinId,
+      symbol: stored.symbol.toLowerCase(),
+      name: stored.name,
+      market_cap_rank: stored.marketCapRank ?? null,
+      current_price: null
+    }, quotes, 'exchange'));
+  }
+
+  isCoolingDown(source) {
+    return (this.cooldowns.get(source) || 0) > Date.now();
+  }
+
+  /**
+   * 거래소별 USD 환산 현재가 (거래소 하나가 실패해도 나머지는 사용)
+   * @returns {Map} 거래소 → Map(심볼 → USD 가격)
+   */
+  async getExchangeQuotes() {
+    if (this.quoteCache.quotes && Date.now() - this.quoteCache.fetchedAt < this.quoteTtl) {
+      return this.quoteCache.quotes;
+    }
+
+    const quotes = new Map();
+    await Promise.all(Array.from(this.adapters.entries()).map(async ([exchange, adapter]) => {
+      if (this.isCoolingDown(exchange)) return;
+
+      try {
+        quotes.set(exchange, this.toUsdQuotes(adapter.quote, await adapter.getTickers()));
+      } catch (error) {
+        this.cooldowns.set(exchange, Date.now() + this.primaryCooldown);
+        logger.warning(`${exchange} tickers unavailable for price consensus: ${error.message}`);
+      }
+    }));
+
+    this.quoteCache = { quotes, fetchedAt: Date.now() };
+    return quotes;
+  }
+
+  /**
+   * 현재가를 USD로 환산 (USDT ≈ USD, KRW는 같은 거래소의 USDT 가격으로 나눔)
+   * @param {string} quote - 호가 통화
+   * @param {Map} tickers - 심볼 → 현재가
+   * @returns {Map} 심볼 → USD 가격
+   */
+  toUsdQuotes(quote, tickers) {
+    let rate = 1;
+
+    if (quote !== 'USDT' && quote !== 'USD') {
+      const usdt = tickers.get('USDT');
+      if (!usdt || !usdt.price) return new Map();
+      rate = usdt.price;
+    }
+
+    return new Map(Array.from(tickers.entries())
+      .filter(([symbol, ticker]) => symbol !== 'USDT' && ticker.price > 0)
+      .map(([symbol, ticker]) => [symbol, ticker.price / rate]));
+  }
+
+  /**
+   * 코인에 합의 가격과 출처 반영
+   * @param {Object} coin - CoinGecko 형식 코인 데이터
+   * @param {Map} quotes - 거래소별 USD 가격
+   * @param {string} primary - coingecko | cache | exchange
+   * @returns {Object} current_price를 합의 가격으로 바꾸고 price_provenance를 붙인 코인 데이터
+   */
+  applyConsensus(coin, quotes, primary) {
+    const symbol = (coin.symbol || '').toUpperCase();
+    const sources = [];
+
+    quotes.forEach((prices, exchange) => {
+      if (prices.has(symbol)) sources.push({ source: exchange, price: prices.get(symbol) });
+    });
+
+    // 캐시 가격은 실시간 소스가 하나도 없을 때만 사용
+    if (coin.current_price > 0 && (primary === 'coingecko' || sources.length === 0)) {
+      sources.unshift({ source: primary, price: coin.current_price });
+    }
+
+    // 1차(또는 캐시) 가격을 기준으로 같은 티커의 다른 코인 가격이 합의를 대체하지 못하게 함
+    const anchor = coin.current_price > 0 ? {
+      price: coin.current_price,
+      threshold: primary === 'coingecko' ? this.outlierThreshold : this.staleAnchorThreshold
+    } : null;
+
+    const consensus = this.calculateConsensus(sources, anchor);
+
+    return {
+      ...coin,
+      current_price: consensus.price ?? coin.current_price,
+      price_provenance: {
+        primary,
+        stale: primary === 'cache',
+        consensusPrice: consensus.price,
+        spread: consensus.spread,
+        disagreement: consensus.disagreement,
+        sources: consensus.sources,
+        updatedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * 중앙값 합의 가격
+   * 기준 가격이 있으면 그 범위를 벗어난 소스를 먼저 제외한다.
+   * 남은 소스의 중앙값에서 outlierThreshold 넘게 벗어난 소스를 빼고 다시 중앙값을 구한다.
+   * @param {Array} sources - [{ source, price }]
+   * @param {Object} anchor - { price, threshold } 기준 가격 (선택)
+   * @returns {Object} { price, spread, disagreement, sources: [{ source, price, deviation, rejected }] }
+   */
+  calculateConsensus(sources, anchor = null) {
+    const valid = sources.filter(s => Number.isFinite(s.price) && s.price > 0);
+    if (valid.length === 0) {
+      return { price: null, spread: null, disagreement: false, sources: [] };
+    }
+
+    const anchored = anchor
+      ? valid.filter(s => Math.abs(s.price - anchor.price) / anchor.price <= anchor.threshold)
+      : valid;
+    const candidates = anchored.length > 0 ? anchored : [{ source: 'anchor', price: anchor.price }];
+
+    const median = this.median(candidates.map(s => s.price));
+    const inliers = candidates.filter(s => Math.abs(s.price - median) / median <= this.outlierThreshold);
+    const accepted = inliers.length > 0 ? inliers : candidates;
+    const price = this.median(accepted.map(s => s.price));
+
+    // 기준 가격에서 벗어난 소스(다른 코인)는 소스 간 차이 계산에서도 뺀다
+    const prices = candidates.map(s => s.price);
+    const spread = (Math.max(...prices) - Math.min(...prices)) / price;
+
+    return {
+      price,
+      spread,
+      disagreement: spread > this.disagreementThreshold,
+      sources: valid.map(s => ({
+        source: s.source,
+        price: s.price,
+        deviation: (s.price - price) / price,
+        rejected: !accepted.includes(s)
+      }))
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      sources: ['coingecko', ...this.exchangeSources].map(source => ({
+        source,
+        available: !this.isCoolingDown(source),
+        retryAt: this.isCoolingDown(source) ? new Date(this.cooldowns.get(source)) : null
+      })),
+      quotesAge: this.quoteCache.fetchedAt ? now - this.quoteCache.fetchedAt : null
+    };
+  }
+}
+
+module.exports = MarketDataProviderService;
@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const { createAdapter, calculateLiquidityMetrics } = require('../adapters');
+
+/**
+ * 실시간 시세 서비스
+ * 거래소 WebSocket 스트림(현재가/체결/호가)을 구독해 심볼별 최신 상태를 메모리에 유지하고,
+ * 스캘핑처럼 지연에 민감한 전략에 몇 초 이내의 시장 데이터를 제공한다.
+ */
+class MarketDataService {
+  constructor(options = {}) {
+    this.exchanges = options.exchanges ||
+      (process.env.MARKET_STREAM_EXCHANGES || 'binance,upbit').split(',').map(e => e.trim()).filter(Boolean);
+    this.symbols = options.symbols ||
+      (process.env.MARKET_STREAM_SYMBOLS || 'BTC,ETH,XRP,SOL').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    this.channels = ['ticker', 'trade', 'orderbook'];
+    this.adapterOptions = options.adapterOptions || {};
+
+    this.staleAfter = 15 * 1000; // 15초 넘게 갱신이 없으면 실시간 데이터로 쓰지 않음
+    this.tradeWindow = 60 * 1000; // 체결 흐름 집계 구간 (최근 1분)
+
+    this.adapters = new Map(); // 거래소 → 어댑터
+    this.snapshots = new Map(); // `${exchange}:${symbol}` → { ticker, orderBook, trades }
+    this.isRunning = false;
+  }
+
+  getAdapter(exchange) {
+    if (!this.adapters.has(exchange)) {
+      const adapter = createAdapter(exchange, this.adapterOptions[exchange]);
+      adapter.on('tick', ({ data }) => this.handleTick(data));
+      adapter.on('gap', gap => logger.warning(`Market stream gap on ${gap.exchange} ${gap.key}`));
+      this.adapters.set(exchange, adapter);
+    }
+
+    return this.adapters.get(exchange);
+  }
+
+  // 스트림 시작 (거래소별 지원 채널만 구독)
+  start(symbols = this.symbols, exchanges = this.exchanges) {
+    exchanges.forEach(exchange => {
+      try {
+        const adapter = this.getAdapter(exchange);
+
+        this.channels
+          .filter(channel => adapter.channels.includes(channel))
+          .forEach(channel => adapter.subscribe(channel, symbols));
+
+        adapter.connect();
+      } catch (error) {
+        logger.error(`Failed to start market stream for ${exchange}:`, error);
+      }
+    });
+
+    this.isRunning = true;
+    logger.success(`Market data streams started: ${exchanges.join(', ')} (${symbols.length} symbols)`);
+  }
+
+  stop() {
+    this.adapters.forEach(adapter => adapter.disconnect());
+    this.isRunning = false;
+  }
+
+  // 정규화된 스트림 데이터 반영
+  handleTick(tick) {
+    if (!tick || !tick.type) return; // 캔들은 CandleService가 저장
+
+    const key = `${tick.exchange}:${tick.symbol}`;
+    const snapshot = this.snapshots.get(key) || { ticker: null, orderBook: null, trades: [] };
+
+    if (tick.type === 'ticker') {
+      snapshot.ticker = tick;
+    } else if (tick.type === 'orderbook') {
+      snapshot.orderBook = tick;
+    } else if (tick.type === 'trade') {
+      const cutoff = tick.timestamp.getTime() - this.tradeWindow;
+      snapshot.trades.push(tick);
+      snapshot.trades = snapshot.trades.filter(trade => trade.timestamp.getTime() >= cutoff);
+    }
+
+    this.snapshots.set(key, snapshot);
+  }
+
+  /**
+   * 실시간 시장 데이터 (전략 marketData 형식)
+   * @param {string} symbol - 기준 자산 심볼
+   * @param {string} exchange - 거래소 (미지정 시 설정 순서대로 최신 데이터가 있는 곳)
+   * @param {Object} options - { quotes: 허용할 호가 통화 목록 (미지정 시 전체) }
+   * @returns {Object|null} { exchange, symbol, quote, currentPrice, bid, ask, spread, volume, tradeCount, buyRatio, liquidity, timestamp, live }
+   */
+  getLiveMarketData(symbol, exchange = null, { quotes = null } = {}) {
+    const now = Date.now();
+    const isFresh = data => Boolean(data) && now - data.timestamp.getTime() <= this.staleAfter;
+
+    for (const candidate of exchange ? [exchange] : this.exchanges) {
+      const snapshot = this.snapshots.get(`${candidate}:${symbol.toUpperCase()}`);
+      if (!snapshot) continue;
+
+      const ticker = isFresh(snapshot.ticker) ? snapshot.ticker : null;
+      const orderBook = isFresh(snapshot.orderBook) ? snapshot.orderBook : null;
+      const trades = snapshot.trades.filter(trade => now - trade.timestamp.getTime() <= this.tradeWindow);
+      const lastTrade = trades.length > 0 && isFresh(trades[trades.length - 1]) ? trades[trades.length - 1] : null;
+
+      if (!ticker && !orderBook && !lastTrade) continue;
+      if (quotes && !quotes.includes((ticker || orderBook || lastTrade).quote)) continue;
+
+      const bid = orderBook ? orderBook.bestBid : ticker && ticker.bid;
+      const ask = orderBook ? orderBook.bestAsk : ticker && ticker.ask;
+      const currentPrice = lastTrade ? lastTrade.price : ticker ? ticker.price : (bid + ask) / 2;
+
+      const volume = trades.reduce((sum, trade) => sum + trade.quantity, 0);
+      const buyVolume = trades.filter(trade => trade.side === 'buy').reduce((sum, trade) => sum + trade.quantity, 0);
+      const timestamps = [ticker, orderBook, lastTrade].filter(Boolean).map(data => data.timestamp.getTime());
+
+      return {
+        exchange: candidate,
+        symbol: symbol.toUpperCase(),
+        quote: (ticker || orderBook || lastTrade).quote,
+        currentPrice,
+        bid: bid || null,
+        ask: ask || null,
+        spread: bid && ask ? ((ask - bid) / ((ask + bid) / 2)) * 100 : null, // %
+        volume, // 최근 1분 체결량
+        tradeCount: trades.length,
+        buyRatio: volume > 0 ? buyVolume / volume : null,
+        liquidity: orderBook ? calculateLiquidityMetrics(orderBook) : null, // 호가창 유동성 지표
+        timestamp: new Date(Math.max(...timestamps)),
+        live: true
+      };
+    }
+
+    return null;
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      symbols: this.symbols,
+      exchanges: Array.from(this.adapters.values()).map(adapter => adapter.getStatus()),
+      tracked: this.snapshots.size
+    };
+  }
+}
+
+module.exports = MarketDataService;
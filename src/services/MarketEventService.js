@@ -0,0 +1,250 @@
+const logger = require('../utils/logger');
+const MarketEvent = require('../models/MarketEvent');
+const Coin = require('../models/Coin');
+const CacheService = require('./CacheService');
+const AlertService = require('./AlertService');
+const { createAdapter } = require('../adapters');
+
+// 이벤트 종류별 점수 영향 (50 중립 기준 가감)
+const EVENT_IMPACT = {
+  LISTING: 25,
+  DELISTING: -45,
+  WARNING_DESIGNATED: -30,
+  WARNING_RELEASED: 10,
+  CAUTION_DESIGNATED: -8,
+  CAUTION_RELEASED: 3
+};
+
+/**
+ * 국내 거래소 마켓 이벤트 감시 서비스
+ * 업비트/빗썸 원화 마켓 목록과 투자유의/주의 지정 상태를 폴링마다 직전 상태와 비교해
+ * 상장, 거래지원 종료, 경고 지정/해제를 MarketEvent로 저장하고 알림을 보낸다.
+ * 최근 이벤트는 상장/상폐 점수 요소의 입력이 된다.
+ */
+class MarketEventService {
+  constructor(options = {}) {
+    this.cacheService = new CacheService();
+    this.alertService = options.alertService || new AlertService();
+
+    this.exchanges = (process.env.MARKET_EVENT_EXCHANGES || 'upbit,bithumb').split(',').map(e => e.trim()).filter(Boolean);
+    this.adapters = options.adapters || new Map(this.exchanges.map(exchange => [exchange, createAdapter(exchange)]));
+
+    this.snapshots = new Map(); // 거래소 → 직전 마켓 목록
+    this.snapshotTtl = 7 * 24 * 60 * 60; // 재시작 후 비교용 스냅샷 보관 (초)
+    this.maxDelistingsPerPoll = 10; // 한 번에 이보다 많이 사라지면 응답 이상으로 보고 건너뜀
+
+    this.eventWindowHours = 72; // 이 기간의 이벤트만 점수에 반영 (선형 감쇠)
+    this.signalCacheTtl = 60; // 점수 캐시 (초)
+  }
+
+  /**
+   * 모든 거래소 폴링 (첫 폴링은 기준 상태만 저장)
+   * @returns {Object} { events, baseline, failed } (baseline: 기준 상태만 저장한 거래소, failed: 폴링 또는 일부 이벤트 저장에 실패한 거래소)
+   */
+  async poll() {
+    const result = { events: [], baseline: [], failed: [] };
+
+    for (const [exchange, adapter] of this.adapters.entries()) {
+      try {
+        const markets = await adapter.getMarkets();
+        if (markets.length === 0) {
+          throw new Error('empty market list');
+        }
+
+        const previous = await this.loadSnapshot(exchange);
+        if (!previous) {
+          await this.saveSnapshot(exchange, markets);
+          result.baseline.push(exchange);
+          continue;
+        }
+
+        const events = this.diffMarkets(exchange, previous, markets);
+        const delistings = events.filter(event => event.type === 'DELISTING').length;
+        if (delistings > this.maxDelistingsPerPoll) {
+          throw new Error(`${delistings} markets missing at once, ignoring this poll`);
+        }
+
+        // 이벤트를 모두 저장한 뒤 스냅샷 갱신 (저장 실패한 코인은 직전 상태로 남겨 다음 폴링에서 다시 감지)
+        const unrecorded = new Set();
+        for (const event of events) {
+          try {
+            result.events.push(await this.recordEvent(event));
+          } catch (error) {
+            unrecorded.add(event.symbol);
+            logger.warning(`Failed to record market event ${exchange} ${event.symbol} ${event.type}: ${error.message}`);
+          }
+        }
+
+        await this.saveSnapshot(exchange, this.keepPrevious(previous, markets, unrecorded));
+        if (unrecorded.size > 0) {
+          result.failed.push(exchange);
+        }
+      } catch (error) {
+        result.failed.push(exchange);
+        logger.warning(`Market event poll failed for ${exchange}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 직전/현재 마켓 목록 비교
+   * @param {string} exchange - 거래소
+   * @param {Array} previous - 직전 마켓 목록 (createMarket)
+   * @param {Array} current - 현재 마켓 목록
+   * @returns {Array} 이벤트 [{ exchange, symbol, type, severity, name, reason }]
+   */
+  diffMarkets(exchange, previous, current) {
+    const before = new Map(previous.map(market => [market.symbol, market]));
+    const after = new Map(current.map(market => [market.symbol, market]));
+    const events = [];
+    const event = (market, type, reason = null) => ({
+      exchange,
+      symbol: market.symbol,
+      type,
+      severity: MarketEvent.TYPES[type],
+      name: market.name,
+      reason
+    });
+
+    after.forEach((market, symbol) => {
+      const old = before.get(symbol);
+      if (!old) {
+        events.push(event(market, 'LISTING'));
+        if (market.warning) events.push(event(market, 'WARNING_DESIGNATED'));
+        return;
+      }
+
+      if (market.warning !== old.warning) {
+        events.push(event(market, market.warning ? 'WARNING_DESIGNATED' : 'WARNING_RELEASED'));
+      }
+
+      market.cautions.filter(reason => !old.cautions.includes(reason))
+        .forEach(reason => events.push(event(market, 'CAUTION_DESIGNATED', reason)));
+      old.cautions.filter(reason => !market.cautions.includes(reason))
+        .forEach(reason => events.push(event(market, 'CAUTION_RELEASED', reason)));
+    });
+
+    before.forEach((market, symbol) => {
+      if (!after.has(symbol)) events.push(event(market, 'DELISTING'));
+    });
+
+    return events;
+  }
+
+  /**
+   * 이벤트 저장 + 알림
+   * @param {Object} event - diffMarkets 이벤트
+   * @returns {Object} 저장된 이벤트
+   */
+  async recordEvent(event) {
+    const coin = await Coin.findBySymbol(event.symbol).select('coinId').lean().catch(() => null);
+    const saved = { ...event, coinId: coin ? coin.coinId : null, detectedAt: new Date() };
+
+    await MarketEvent.create(saved);
+    logger.info(`Market event: ${saved.exchange} ${saved.symbol} ${saved.type}${saved.reason ? ` (${saved.reason})` : ''}`);
+
+    await this.alertService.processMarketEventAlert(saved);
+    return saved;
+  }
+
+  /**
+   * 현재 마켓 목록에서 지정한 심볼만 직전 상태로 되돌림
+   * @param {Array} previous - 직전 마켓 목록
+   * @param {Array} current - 현재 마켓 목록
+   * @param {Set} symbols - 직전 상태를 유지할 심볼
+   * @returns {Array} 저장할 마켓 목록
+   */
+  keepPrevious(previous, current, symbols) {
+    if (symbols.size === 0) return current;
+
+    const before = new Map(previous.map(market => [market.symbol, market]));
+    const markets = current
+      .filter(market => !symbols.has(market.symbol) || before.has(market.symbol))
+      .map(market => (symbols.has(market.symbol) ? before.get(market.symbol) : market));
+    const kept = new Set(markets.map(market => market.symbol));
+
+    symbols.forEach(symbol => {
+      if (before.has(symbol) && !kept.has(symbol)) markets.push(before.get(symbol));
+    });
+    return markets;
+  }
+
+  async loadSnapshot(exchange) {
+    if (this.snapshots.has(exchange)) return this.snapshots.get(exchange);
+
+    const cached = await this.cacheService.get(`market-events:snapshot:${exchange}`);
+    if (cached) this.snapshots.set(exchange, cached);
+    return cached;
+  }
+
+  async saveSnapshot(exchange, markets) {
+    this.snapshots.set(exchange, markets);
+    await this.cacheService.set(`market-events:snapshot:${exchange}`, markets, this.snapshotTtl);
+  }
+
+  /**
+   * 최근 이벤트 기반 점수
+   * @param {string} symbol - 코인 심볼
+   * @returns {Object|null} { score, signals, events } (기간 내 이벤트가 없으면 null)
+   */
+  async getSignal(symbol) {
+    const upperSymbol = symbol.toUpperCase();
+    const cacheKey = `market-events:signal:${upperSymbol}`;
+
+    const cached = await this.cacheService.get(cacheKey);
+    if (cached) return cached.events.length > 0 ? cached : null;
+
+    const events = await MarketEvent.search({
+      symbol: upperSymbol,
+      from: new Date(Date.now() - this.eventWindowHours * 60 * 60 * 1000)
+    });
+    const signal = { ...this.analyze(events), events };
+
+    await this.cacheService.set(cacheKey, signal, this.signalCacheTtl);
+    return events.length > 0 ? signal : null;
+  }
+
+  /**
+   * 이벤트 점수 (50 중립)
+   * 거래소별로 상장 상태, 투자유의, 주의 사유마다 가장 최근 이벤트만 반영하고 오래될수록 선형으로 약하게 본다.
+   * @param {Array} events - 이벤트 (순서 무관)
+   * @param {number} now - 기준 시각 (ms)
+   * @returns {Object} { score, signals }
+   */
+  analyze(events, now = Date.now()) {
+    const windowMs = this.eventWindowHours * 60 * 60 * 1000;
+    const latest = new Map();
+
+    events.slice()
+      .sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt))
+      .forEach(event => {
+        const category = event.type.startsWith('CAUTION')
+          ? `caution:${event.reason}`
+          : event.type.startsWith('WARNING') ? 'warning' : 'listing';
+        latest.set(`${event.exchange}:${category}`, event);
+      });
+
+    let adjustment = 0;
+    const signals = [];
+    latest.forEach(event => {
+      const decay = Math.max(0, 1 - (now - new Date(event.detectedAt).getTime()) / windowMs);
+      if (decay === 0) return;
+
+      adjustment += EVENT_IMPACT[event.type] * decay;
+      signals.push(`${event.exchange} ${event.type}${event.reason ? ` (${event.reason})` : ''}`);
+    });
+
+    return {
+      score: Math.round(Math.max(0, Math.min(100, 50 + adjustment)) * 100) / 100,
+      signals
+    };
+  }
+
+  async getEvents({ symbol = null, exchange = null, type = null, hours = 24 * 7, limit = 100 } = {}) {
+    return MarketEvent.search({ symbol, exchange, type, from: new Date(Date.now() - hours * 60 * 60 * 1000), limit });
+  }
+}
+
+module.exports = MarketEventService;
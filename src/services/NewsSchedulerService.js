@@ -3,10 +3,18 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const News = require('../models/News');
 const NewsService = require('./NewsService');
+const NewsStoryService = require('./NewsStoryService');
+const AlertService = require('./AlertService');
+const { createAdapter } = require('../adapters');
+const { classifyEvents } = require('../nlp/newsEvents');
 
 class NewsSchedulerService {
-  constructor() {
-    this.newsService = new NewsService();
+  constructor(options = {}) {
+    this.newsService = options.newsService || new NewsService();
+    this.storyService = options.storyService || new NewsStoryService();
+    this.alertService = options.alertService || new AlertService();
+    this.entityService = options.entityService || this.newsService.entityService;
+    this.bithumbAdapter = options.bithumbAdapter || createAdapter('bithumb'); // 마켓 한글명 (코인 엔티티 사전)
     this.isRunning = false;
     this.scheduledJobs = [];
     
@@ -82,6 +90,14 @@ class NewsSchedulerService {
       timezone: 'Asia/Seoul'
     });
 
+    // 1시간마다 스토리 미지정 뉴스 묶기 (수집 시 지정 실패분, 기존 뉴스)
+    const storyJob = cron.schedule('15 * * * *', async () => {
+      await this.storyService.assignPendingStories();
+    }, {
+      scheduled: false,
+      timezone: 'Asia/Seoul'
+    });
+
     // 24시간마다 빗썸 코인 목록 업데이트
     const coinUpdateJob = cron.schedule('0 0 * * *', async () => {
       await this.loadBithumbCoins();
@@ -90,7 +106,7 @@ class NewsSchedulerService {
       timezone: 'Asia/Seoul'
     });
 
-    this.scheduledJobs = [newsCollectionJob, cleanupJob, sentimentRetryJob, coinUpdateJob];
+    this.scheduledJobs = [newsCollectionJob, cleanupJob, sentimentRetryJob, storyJob, coinUpdateJob];
     
     // 모든 작업 시작
     this.scheduledJobs.forEach(job => job.start());
@@ -99,6 +115,7 @@ class NewsSchedulerService {
     logger.info('📅 뉴스 수집: 5분마다 (수집 완료 후 즉시 감정분석)');
     logger.info('🧹 정리 작업: 1시간마다');
     logger.info('🔄 감정분석 재시도: 30분마다 (실패한 뉴스만)');
+    logger.info('🧩 스토리 묶기: 1시간마다 (스토리 미지정 뉴스만)');
     logger.info('🪙 코인 목록 업데이트: 24시간마다 (빗썸 기준)');
   }
 
@@ -124,73 +141,36 @@ class NewsSchedulerService {
       let totalCollected = 0;
       const collectedNews = [];
 
-      // 1단계: 코인명 기반 뉴스 수집
-      logger.info('🪙 코인명 기반 뉴스 수집...');
-      for (const coinSymbol of this.targetCoins.slice(0, 20)) { // 상위 20개 코인만
-        try {
-          const newsArticles = await this.newsService.fetchNews(coinSymbol, 5);
-          
-          for (const article of newsArticles) {
-            const newsDoc = await this.processNewsArticle(article, coinSymbol, 'coin');
-            if (newsDoc) {
-              collectedNews.push(newsDoc);
-              totalCollected++;
-            }
-          }
+      // 1단계: 전체 피드를 한 번씩 수집 (바뀐 피드만 다시 받음)
+      const { articles, feeds, noData } = await this.newsService.collectFeeds();
 
-          await this.sleep(500); // API 호출 간격 조절
-          
-        } catch (error) {
-          logger.error(`코인 뉴스 수집 실패 (${coinSymbol}):`, error.message);
-        }
+      const failedFeeds = feeds.filter(feed => feed.status === 'error' || feed.status === 'skipped');
+      if (failedFeeds.length > 0) {
+        logger.warning(`뉴스 피드 실패 ${failedFeeds.length}/${feeds.length}: ${failedFeeds.map(feed => `${feed.name} (${feed.error})`).join(', ')}`);
       }
 
-      // 2단계: 키워드 기반 뉴스 수집 (한글)
-      logger.info('🔍 한글 키워드 기반 뉴스 수집...');
-      for (const keyword of this.cryptoKeywords.korean.slice(0, 10)) { // 상위 10개 키워드
-        try {
-          const newsArticles = await this.newsService.fetchNews(keyword, 3);
-          
-          for (const article of newsArticles) {
-            const newsDoc = await this.processNewsArticle(article, keyword, 'keyword');
-            if (newsDoc) {
-              collectedNews.push(newsDoc);
-              totalCollected++;
-            }
-          }
-
-          await this.sleep(500);
-          
-        } catch (error) {
-          logger.error(`키워드 뉴스 수집 실패 (${keyword}):`, error.message);
-        }
+      if (noData) {
+        logger.warning('📰 수집된 뉴스가 없습니다 (모든 피드 실패 또는 기사 없음)');
+        return { collected: 0, noData: true, feeds };
       }
 
-      // 3단계: 키워드 기반 뉴스 수집 (영문)
-      logger.info('🔍 영문 키워드 기반 뉴스 수집...');
-      for (const keyword of this.cryptoKeywords.english.slice(0, 10)) { // 상위 10개 키워드
-        try {
-          const newsArticles = await this.newsService.fetchNews(keyword, 3);
-          
-          for (const article of newsArticles) {
-            const newsDoc = await this.processNewsArticle(article, keyword, 'keyword');
-            if (newsDoc) {
-              collectedNews.push(newsDoc);
-              totalCollected++;
-            }
-          }
+      // 2단계: 코인명 → 한글/영문 키워드 순으로 매칭되는 기사만 저장
+      logger.info(`🔍 ${articles.length}개 기사에서 코인/키워드 매칭...`);
+      for (const article of articles) {
+        const match = this.matchSearchTerm(article);
+        if (!match) continue;
 
-          await this.sleep(500);
-          
-        } catch (error) {
-          logger.error(`키워드 뉴스 수집 실패 (${keyword}):`, error.message);
+        const newsDoc = await this.processNewsArticle(article, match.term, match.type);
+        if (newsDoc) {
+          collectedNews.push(newsDoc);
+          totalCollected++;
         }
       }
 
       const collectionTime = Date.now() - startTime;
       logger.success(`📰 뉴스 수집 완료: ${totalCollected}개 수집 (${collectionTime}ms)`);
 
-      // 2단계: 수집 완료 후 바로 감정분석 처리
+      // 3단계: 수집 완료 후 바로 감정분석 처리
       if (collectedNews.length > 0) {
         logger.info('📊 감정분석 시작...');
         const sentimentStartTime = Date.now();
@@ -217,12 +197,27 @@ class NewsSchedulerService {
 
       const totalTime = Date.now() - startTime;
       logger.success(`✅ 전체 처리 완료: ${totalCollected}개 수집 (${totalTime}ms)`);
+      return { collected: totalCollected, noData: false, feeds };
 
     } catch (error) {
       logger.error('뉴스 수집 중 오류:', error);
     }
   }
 
+  // 기사와 매칭되는 수집 기준 (상위 20개 코인 → 한글/영문 상위 10개 키워드, 없으면 null)
+  matchSearchTerm(article) {
+    const coin = this.targetCoins.slice(0, 20).find(symbol => this.newsService.isRelevantToCoin(article, symbol));
+    if (coin) {
+      return { term: coin, type: 'coin' };
+    }
+
+    const text = `${article.title} ${article.description || ''}`.toLowerCase();
+    const keyword = [...this.cryptoKeywords.korean.slice(0, 10), ...this.cryptoKeywords.english.slice(0, 10)]
+      .find(term => text.includes(term.toLowerCase()));
+
+    return keyword ? { term: keyword, type: 'keyword' } : null;
+  }
+
   // 실패한 뉴스 감정분석 재시도
   async retryFailedSentimentAnalysis() {
     try {
@@ -307,7 +302,7 @@ class NewsSchedulerService {
       }
 
       // 관련 코인 추출
-      const relatedCoins = this.extractRelatedCoins(article.title + ' ' + (article.description || ''));
+      const relatedCoins = this.extractRelatedCoins(article);
       
       // 뉴스 문서 생성
       const newsDoc = new News({
@@ -320,14 +315,32 @@ class NewsSchedulerService {
           symbol: searchTerm,
           relevanceScore: type === 'coin' ? 80 : 60
         }],
+        coins: relatedCoins.length > 0 ? relatedCoins.map(coin => coin.symbol) : (type === 'coin' ? [searchTerm] : []),
+        coinLinks: relatedCoins.map(({ symbol, coinId, confidence }) => ({ symbol, coinId, confidence })),
+        coinsLinkedAt: new Date(),
         publishedAt: article.publishedAt || article.pubDate || new Date(),
         weight: article.weight || 0.5,
+        events: article.events || classifyEvents(article),
         status: 'pending',
         searchTerm: searchTerm,
         searchType: type
       });
 
+      // 다른 매체의 같은 스토리와 묶기 (실패해도 저장은 진행, 이후 스토리 작업에서 재시도)
+      let story = null;
+      try {
+        story = await this.storyService.assignStory(newsDoc);
+      } catch (error) {
+        logger.warning(`스토리 지정 실패: ${article.title}`, error.message);
+        newsDoc.storyId = null;
+      }
+
       await newsDoc.save();
+
+      // 새 스토리의 이벤트만 알림 (재전송 기사마다 알림이 반복되지 않도록)
+      if (story && story.isNew) {
+        await this.notifyNewsEvents(newsDoc);
+      }
       return newsDoc;
       
     } catch (error) {
@@ -337,22 +350,38 @@ class NewsSchedulerService {
     }
   }
 
-  // 뉴스에서 관련 코인 추출
-  extractRelatedCoins(text) {
-    const relatedCoins = [];
-    const textUpper = text.toUpperCase();
-    
-    // 빗썸 코인 목록에서 매칭되는 코인 찾기
-    for (const coin of this.targetCoins) {
-      if (textUpper.includes(coin.toUpperCase())) {
-        relatedCoins.push({
-          symbol: coin,
-          relevanceScore: 90
+  // 뉴스 이벤트 알림 (관련 코인별, 이벤트 종류별)
+  async notifyNewsEvents(newsDoc) {
+    if (!newsDoc.events || newsDoc.events.length === 0 || newsDoc.coins.length === 0) {
+      return;
+    }
+
+    for (const event of newsDoc.events) {
+      try {
+        await this.alertService.processNewsEventAlert({
+          type: event.type,
+          severity: event.severity,
+          coins: newsDoc.coins,
+          coinLinks: (newsDoc.coinLinks || []).map(link => ({ symbol: link.symbol, coinId: link.coinId })),
+          title: newsDoc.title,
+          url: newsDoc.url,
+          source: newsDoc.source,
+          storyId: newsDoc.storyId
         });
+      } catch (error) {
+        logger.warning(`뉴스 이벤트 알림 실패: ${newsDoc.title}`, error.message);
       }
     }
-    
-    return relatedCoins;
+  }
+
+  // 뉴스에서 관련 코인 추출 (코인 엔티티 사전, 신뢰도 순)
+  extractRelatedCoins(article) {
+    return this.entityService.link(article).map(link => ({
+      symbol: link.symbol,
+      coinId: link.coinId,
+      confidence: link.confidence,
+      relevanceScore: Math.round(link.confidence * 100)
+    }));
   }
 
   // 언어 감지
@@ -453,6 +482,24 @@ class NewsSchedulerService {
       ];
       logger.warning('기본 코인 목록을 사용합니다');
     }
+
+    await this.loadCoinEntities();
+  }
+
+  // 코인 엔티티 사전 갱신 (CoinGecko 전체 목록 + 빗썸 마켓 한글명)
+  async loadCoinEntities() {
+    let markets = null;
+    try {
+      markets = await this.bithumbAdapter.getMarkets();
+    } catch (error) {
+      logger.warning('빗썸 마켓 한글명 로드 실패:', error.message);
+    }
+
+    try {
+      await this.entityService.refresh({ markets });
+    } catch (error) {
+      logger.warning('코인 엔티티 사전 갱신 실패:', error.message);
+    }
   }
 
   // 서버 시작 시 초기 뉴스 수집 확인
@@ -3,78 +3,32 @@ const cheerio = require('cheerio');
 const Sentiment = require('sentiment');
 const logger = require('../utils/logger');
 const CacheService = require('./CacheService');
+const koreanNlp = require('../nlp/korean');
+const NewsSource = require('../models/NewsSource');
+const NewsSourceService = require('./NewsSourceService');
+const NewsStoryService = require('./NewsStoryService');
+const CoinEntityService = require('./CoinEntityService');
+const { FeedFetcher } = require('../adapters/feeds');
+const { classifyEvents } = require('../nlp/newsEvents');
+
+// 피드 상태(ETag, 실패 이력)와 소스 목록 캐시는 요청마다 생성되는 인스턴스 간에 공유
+const sharedFeedFetcher = new FeedFetcher();
+const sharedSourceService = new NewsSourceService();
+const sharedEntityService = new CoinEntityService(); // 코인 사전은 스케줄러가 갱신하고 요청별 인스턴스가 공유
 
 class NewsService {
-  constructor() {
+  constructor(options = {}) {
     this.sentiment = new Sentiment();
     this.cacheService = new CacheService();
+    this.feedFetcher = options.feedFetcher || sharedFeedFetcher;
     
-    this.newsFeeds = [
-      // 글로벌 뉴스 소스
-      {
-        name: 'CoinDesk',
-        url: 'https://feeds.feedburner.com/CoinDesk',
-        weight: 1.0,
-        language: 'en'
-      },
-      {
-        name: 'CoinTelegraph',
-        url: 'https://cointelegraph.com/rss',
-        weight: 0.9,
-        language: 'en'
-      },
-      {
-        name: 'CryptoNews',
-        url: 'https://cryptonews.com/news/feed/',
-        weight: 0.8,
-        language: 'en'
-      },
-      {
-        name: 'Decrypt',
-        url: 'https://decrypt.co/feed',
-        weight: 0.7,
-        language: 'en'
-      },
-      {
-        name: 'Bitcoin Magazine',
-        url: 'https://bitcoinmagazine.com/rss',
-        weight: 0.6,
-        language: 'en'
-      },
-      // 한국어 뉴스 소스
-      {
-        name: '코인데스크 코리아',
-        url: 'https://www.coindeskkorea.com/rss',
-        weight: 0.9,
-        language: 'ko'
-      },
-      {
-        name: '디센터',
-        url: 'https://decenter.kr/rss',
-        weight: 0.8,
-        language: 'ko'
-      },
-      {
-        name: '블록미디어',
-        url: 'https://www.blockmedia.co.kr/rss',
-        weight: 0.8,
-        language: 'ko'
-      },
-      {
-        name: '코인리더스',
-        url: 'https://coinreaders.com/rss',
-        weight: 0.7,
-        language: 'ko'
-      },
-      {
-        name: '코인뉴스',
-        url: 'https://www.coinnews.kr/rss',
-        weight: 0.7,
-        language: 'ko'
-      }
-    ];
+    this.sourceService = options.sourceService || sharedSourceService;
+    this.entityService = options.entityService || sharedEntityService;
+    this.storyService = options.storyService || new NewsStoryService();
+
+    // 수집 소스 (DB 연결 전에는 기본 소스, 연결 후 loadSources()로 NewsSource 컬렉션 반영)
+    this.newsFeeds = NewsSource.DEFAULT_SOURCES.map(source => ({ ...source, weight: source.baseWeight, enabled: true }));
 
-    this.rss2jsonApiKey = process.env.RSS2JSON_API_KEY;
     this.setupSentiment();
   }
 
@@ -348,6 +302,27 @@ class NewsService {
     });
   }
 
+  // 사용 중인 수집 소스 반영 (DB를 쓸 수 없으면 현재 목록 유지)
+  async loadSources() {
+    const feeds = await this.sourceService.getFeeds();
+    if (feeds) {
+      this.newsFeeds = feeds;
+    }
+    return this.newsFeeds;
+  }
+
+  // 소스 신뢰도 가중치 (최신 소스 설정 우선, 없으면 기사에 기록된 가중치)
+  getSourceWeight(item) {
+    const feed = this.newsFeeds.find(f => f.name === item.source);
+    if (feed) return feed.weight;
+    return typeof item.weight === 'number' ? item.weight : 0.5;
+  }
+
+  // 소스 신뢰도 가중치 재학습 (기사 감정 방향 vs 이후 실제 가격 방향)
+  async updateSourceReliability(now = new Date()) {
+    return await this.sourceService.evaluateReliability(text => this.analyzeTextSentiment(text).score, now);
+  }
+
   // RSS 뉴스 수집 (최적화된 버전)
   async fetchNews(coinSymbol, limit = 50) {
     try {
@@ -359,6 +334,8 @@ class NewsService {
         return cachedNews.slice(0, limit);
       }
 
+      await this.loadSources();
+
       // 타임아웃 설정 (전체 뉴스 수집에 10초 제한)
       const newsPromise = this.fetchNewsWithTimeout(coinSymbol, limit);
       const timeoutPromise = new Promise((_, reject) => 
@@ -367,15 +344,16 @@ class NewsService {
 
       const allNews = await Promise.race([newsPromise, timeoutPromise]);
       
-      // 캐시에 저장 (30분)
-      await this.cacheService.setNewsData(coinSymbol, allNews);
+      // 캐시에 저장 (30분, 빈 결과는 다음 요청에서 다시 시도)
+      if (allNews.length > 0) {
+        await this.cacheService.setNewsData(coinSymbol, allNews);
+      }
       
       logger.success(`Fetched ${allNews.length} news articles for ${coinSymbol}`);
       return allNews.slice(0, limit);
     } catch (error) {
       logger.error(`Failed to fetch news for ${coinSymbol}:`, error.message);
-      // 실패 시 Mock 데이터 반환
-      return this.getMockNewsData({ name: 'Fallback' }, coinSymbol);
+      return [];
     }
   }
 
@@ -399,161 +377,102 @@ class NewsService {
 
     // 중복 제거 및 정렬
     const uniqueNews = this.removeDuplicates(allNews);
-    const sortedNews = this.sortNewsByRelevance(uniqueNews, coinSymbol);
+    const sortedNews = await this.sortNewsByRelevance(uniqueNews, coinSymbol);
     
     return sortedNews;
   }
 
-  // 개별 피드에서 뉴스 가져오기 (개선된 에러 핸들링)
-  async fetchFromFeed(feed, coinSymbol) {
-    try {
-      if (!this.rss2jsonApiKey) {
-        logger.warning('RSS2JSON API key not provided, returning mock news data');
-        return this.getMockNewsData(feed, coinSymbol);
-      }
+  // 개별 피드에서 뉴스 가져오기 (실패한 피드는 예외, 코인 심볼이 없거나 all이면 전체 기사)
+  async fetchFromFeed(feed, coinSymbol = null) {
+    const { status, articles, error } = await this.fetchFeedArticles(feed);
+    if (status === 'error' || status === 'skipped') {
+      throw new Error(`${feed.name} feed unavailable: ${error}`);
+    }
 
-      // 타임아웃과 재시도 로직 추가
-      const response = await this.fetchWithRetry('https://api.rss2json.com/v1/api.json', {
-        params: {
-          rss_url: feed.url,
-          api_key: this.rss2jsonApiKey,
-          count: 20
-        },
-        timeout: 15000, // 타임아웃 증가
-        headers: {
-          'User-Agent': 'GainDeuk-NewsBot/1.0'
-        }
-      });
+    if (!coinSymbol || coinSymbol === 'all') {
+      return articles;
+    }
 
-      if (response.data.status !== 'ok') {
-        throw new Error(`RSS2JSON API error: ${response.data.message}`);
-      }
+    const relevantNews = articles.filter(item => this.isRelevantToCoin(item, coinSymbol));
+    logger.info(`Fetched ${relevantNews.length} relevant news from ${feed.name}`);
+    return relevantNews;
+  }
 
-      const relevantNews = response.data.items
-        .filter(item => this.isRelevantToCoin(item, coinSymbol))
-        .map(item => this.processNewsItem(item, feed))
-        .filter(item => item !== null);
+  // 피드 수집 + 기사 정규화
+  async fetchFeedArticles(feed) {
+    const result = await this.feedFetcher.fetch(feed);
+    const articles = result.items
+      .map(item => this.processNewsItem(item, feed))
+      .filter(item => item !== null);
 
-      logger.info(`Fetched ${relevantNews.length} relevant news from ${feed.name}`);
-      return relevantNews;
-    } catch (error) {
-      logger.error(`Failed to fetch from ${feed.name}:`, error.message);
-      // 실패 시 Mock 데이터 반환
-      return this.getMockNewsData(feed, coinSymbol);
-    }
+    return { status: result.status, articles, error: result.error || null };
   }
 
-  // 재시도 로직이 포함된 HTTP 요청
-  async fetchWithRetry(url, config, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await axios.get(url, config);
-        return response;
-      } catch (error) {
-        if (attempt === maxRetries) {
-          throw error;
-        }
-        
-        // 지수 백오프로 재시도 간격 증가
-        const delay = Math.pow(2, attempt) * 1000;
-        logger.warning(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
-        await this.sleep(delay);
-      }
+  /**
+   * 전체 피드 한 번씩 수집 (스케줄러용)
+   * @param {Array} feeds - 수집할 피드 (기본: 사용 중인 전체 소스)
+   * @returns {Object} { articles, feeds: [{ name, status, count, error }], noData: 기사가 하나도 없으면 true }
+   */
+  async collectFeeds(feeds = null) {
+    if (!feeds) {
+      feeds = await this.loadSources();
     }
-  }
 
-  // 유틸리티: 대기 함수
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const results = await Promise.all(feeds.map(async feed => {
+      const { status, articles, error } = await this.fetchFeedArticles(feed);
+      return { name: feed.name, status, count: articles.length, error, articles };
+    }));
+
+    const articles = this.removeDuplicates(results.flatMap(result => result.articles));
+
+    return {
+      articles,
+      feeds: results.map(({ articles: feedArticles, ...result }) => result),
+      noData: articles.length === 0
+    };
   }
 
-  // 코인 관련 뉴스인지 확인
+  // 코인 관련 뉴스인지 확인 (코인 사전에 있으면 엔티티 연결, 없으면 심볼/별칭 단어 일치)
   isRelevantToCoin(item, coinSymbol) {
-    const text = `${item.title} ${item.description}`.toLowerCase();
-    const symbol = coinSymbol.toLowerCase();
-    
-    // 심볼이나 일반적인 코인명 포함 확인
-    const coinKeywords = [
-      symbol,
-      symbol.replace('usdt', '').replace('usd', ''),
-      this.getCoinNameVariations(symbol)
-    ].flat();
-
-    return coinKeywords.some(keyword => 
-      keyword && text.includes(keyword.toLowerCase())
-    );
-  }
+    const symbol = coinSymbol.toUpperCase().replace(/(.)USDT?$/, '$1');
 
-  // Mock 뉴스 데이터 생성 (API 키가 없을 때 사용)
-  getMockNewsData(feed, coinSymbol) {
-    const mockNews = [
-      {
-        title: `${coinSymbol.toUpperCase()} Market Analysis: Bullish Trends Continue`,
-        description: `Recent market analysis shows positive momentum for ${coinSymbol.toUpperCase()} with strong technical indicators pointing to continued growth.`,
-        url: `https://example.com/news/${coinSymbol}-bullish-${Date.now()}`,
-        publishedAt: new Date(Date.now() - Math.random() * 86400000).toISOString(),
-        source: feed.name,
-        sentiment: Math.random() > 0.5 ? 'positive' : 'neutral',
-        relevanceScore: 0.8 + Math.random() * 0.2
-      },
-      {
-        title: `${coinSymbol.toUpperCase()} Technical Analysis: Key Support Levels`,
-        description: `Technical analysts are watching key support levels for ${coinSymbol.toUpperCase()} as the market shows signs of consolidation.`,
-        url: `https://example.com/news/${coinSymbol}-technical-${Date.now()}`,
-        publishedAt: new Date(Date.now() - Math.random() * 172800000).toISOString(),
-        source: feed.name,
-        sentiment: 'neutral',
-        relevanceScore: 0.7 + Math.random() * 0.2
-      }
-    ];
-    
-    return mockNews.slice(0, Math.floor(Math.random() * 2) + 1);
+    if (this.entityService.hasSymbol(symbol)) {
+      return this.entityService.link(item).some(link => link.symbol === symbol);
+    }
+
+    const text = `${item.title} ${item.description || ''}`;
+    return this.getCoinNameVariations(symbol).some(keyword =>
+      new RegExp(`(^|[^A-Za-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^A-Za-z0-9])`, 'i').test(text)
+    );
   }
 
-  // 코인명 변형 생성
+  // 코인명 변형 (심볼, 영문명, 한글명)
   getCoinNameVariations(symbol) {
-    const variations = [];
-    const cleanSymbol = symbol.replace(/usdt?$/i, '');
-    
-    variations.push(cleanSymbol);
-    
-    // 일반적인 코인명 매핑
-    const coinNameMap = {
-      'btc': ['bitcoin'],
-      'eth': ['ethereum', 'ether'],
-      'ada': ['cardano'],
-      'dot': ['polkadot'],
-      'link': ['chainlink'],
-      'xrp': ['ripple'],
-      'ltc': ['litecoin'],
-      'bch': ['bitcoin cash'],
-      'eos': ['eos'],
-      'xlm': ['stellar'],
-      'trx': ['tron'],
-      'xmr': ['monero'],
-      'dash': ['dash'],
-      'neo': ['neo'],
-      'etc': ['ethereum classic']
-    };
-    
-    if (coinNameMap[cleanSymbol.toLowerCase()]) {
-      variations.push(...coinNameMap[cleanSymbol.toLowerCase()]);
-    }
-    
-    return variations;
+    return this.entityService.getAliases(symbol.replace(/(.)usdt?$/i, '$1'));
   }
 
-  // 뉴스 아이템 처리
+  // 뉴스 아이템 처리 (feedParser 기사 → 서비스 기사, 제목이나 링크가 없으면 제외)
   processNewsItem(item, feed) {
     try {
+      if (!item.title || !item.link) {
+        return null;
+      }
+
+      const pubDate = item.pubDate || new Date();
+      const description = this.cleanText(item.description);
       return {
         title: item.title,
-        description: this.cleanText(item.description),
+        description,
         link: item.link,
-        pubDate: new Date(item.pubDate),
+        pubDate,
+        publishedAt: pubDate,
         source: feed.name,
+        language: feed.language,
+        author: item.author,
+        categories: item.categories,
         weight: feed.weight,
-        guid: item.guid || item.link
+        guid: item.guid || item.link,
+        events: classifyEvents({ title: item.title, description })
       };
     } catch (error) {
       logger.error('Failed to process news item:', error);
@@ -576,7 +495,7 @@ class NewsService {
       .trim();
   }
 
-  // 중복 제거
+  // 중복 제거 (같은 guid/링크만, 매체가 다른 같은 스토리는 storyService.clusterArticles로 묶음)
   removeDuplicates(news) {
     const seen = new Set();
     return news.filter(item => {
@@ -590,7 +509,9 @@ class NewsService {
   }
 
   // 관련성에 따른 정렬
-  sortNewsByRelevance(news, coinSymbol) {
+  async sortNewsByRelevance(news, coinSymbol) {
+    await this.loadSources();
+
     return news.sort((a, b) => {
       const aRelevance = this.calculateRelevance(a, coinSymbol);
       const bRelevance = this.calculateRelevance(b, coinSymbol);
@@ -616,8 +537,8 @@ class NewsService {
       score += 5;
     }
     
-    // 피드 가중치 적용
-    score *= item.weight;
+    // 소스 신뢰도 가중치 적용
+    score *= this.getSourceWeight(item);
     
     // 최신 뉴스일수록 높은 점수
     const hoursAgo = (Date.now() - item.pubDate.getTime()) / (1000 * 60 * 60);
@@ -627,7 +548,7 @@ class NewsService {
   }
 
   // 감정분석 (한국어/영어 지원)
-  analyzeSentiment(text) {
+  analyzeTextSentiment(text) {
     try {
       if (!text || text.length < 10) {
         return { score: 50, comparative: 0, positive: 0, negative: 0, neutral: 0 };
@@ -667,59 +588,10 @@ class NewsService {
     }
   }
 
-  // 한국어 키워드 추가 분석
+  // 한국어 키워드 추가 분석 (부정/강조 표현을 반영한 공통 감정분석 점수를 -20 ~ +20 부스트로 변환)
   analyzeKoreanKeywords(text) {
-    const koreanKeywords = {
-      // 매우 긍정적
-      '급등': 15, '폭등': 15, '대폭상승': 15, '급상승': 12, '폭상승': 12,
-      '신고가': 15, '역대최고': 15, '최고점': 10, '돌파': 10, '돌파구': 10,
-      '호재': 12, '대호재': 15, '초호재': 15, '강력한호재': 15,
-      '매수세': 10, '매수세력': 10, '대량매수': 12, '폭발적매수': 15,
-      '거래량폭증': 12, '거래량급증': 10, '거래량증가': 8,
-      '열풍': 10, '붐': 10, '화제': 8, '인기': 8, '관심증가': 8,
-      '성공': 10, '승리': 10, '돌파구': 10, '전환점': 10,
-      
-      // 긍정적
-      '상승': 8, '반등': 8, '회복': 8, '성장': 8, '개선': 6,
-      '강세': 8, '상향': 6, '긍정': 6, '낙관': 6, '기대': 4,
-      '희망': 4, '기회': 4, '잠재력': 4, '혁신': 6, '기술': 4,
-      '발전': 6, '도입': 4, '채택': 6, '파트너십': 6, '협력': 4,
-      '지원': 4, '승인': 6, '허가': 6, '상장': 4, '거래소': 4,
-      '투자': 4, '매수': 6, '고래': 0, '대량거래': 6,
-      '관심': 4, '주목': 4, '집중': 4, '모멘텀': 4, '추세': 4,
-      '방향성': 4, '전망': 4, '예측': 4, '분석': 0, '전문가': 0,
-      '권위자': 0, '리더': 4, '선도': 4, '최고': 6, '최대': 4,
-      '기록': 4, '피크': 6, '고점': 6, '상단': 4,
-      
-      // 부정적
-      '하락': -8, '급락': -12, '폭락': -15, '대폭하락': -15, '급하락': -12,
-      '신저가': -15, '역대최저': -15, '최저점': -10, '바닥': -10,
-      '악재': -12, '대악재': -15, '초악재': -15, '강력한악재': -15,
-      '매도세': -10, '매도세력': -10, '대량매도': -12, '폭발적매도': -15,
-      '거래량급감': -10, '거래량감소': -8, '거래량부족': -6,
-      '관심감소': -6, '인기하락': -6, '화제사라짐': -6,
-      '트렌드끝': -6, '유행끝': -6, '붐끝': -6, '열풍끝': -6,
-      '실패': -10, '실망': -8, '좌절': -8, '절망': -12, '포기': -8,
-      '부정': -8, '비관': -8, '우려': -6, '걱정': -6, '불안': -8,
-      '공포': -10, '패닉': -15, '공황': -15, '혼란': -6, '불확실': -6,
-      '위험': -8, '위기': -12, '문제': -8, '이슈': -6, '논란': -6,
-      '스캔들': -15, '사기': -15, '피해': -10, '손실': -10, '손해': -10,
-      '매도': -8, '하단': -6, '저점': -6, '최악': -12, '최소': -6,
-      '기록깨짐': -6, '저항선깨짐': -8, '지지선깨짐': -8,
-      '돌파실패': -6, '이탈': -6, '이탈성공': -6
-    };
-
-    let boost = 0;
-    const textLower = text.toLowerCase();
-    
-    for (const [keyword, value] of Object.entries(koreanKeywords)) {
-      if (textLower.includes(keyword)) {
-        boost += value;
-      }
-    }
-    
-    // 부스트 값 정규화 (-20 ~ +20 범위로 제한)
-    return Math.max(-20, Math.min(20, boost));
+    const { score } = koreanNlp.analyzeSentiment(text);
+    return Math.max(-20, Math.min(20, (score - 50) * 0.4));
   }
 
   // 코인별 종합 감정점수 (최적화된 버전)
@@ -731,8 +603,11 @@ class NewsService {
         return cachedSentiment;
       }
 
-      // 뉴스 수집을 5개로 제한하여 속도 향상
-      const news = await this.fetchNews(coinSymbol, 5);
+      // 뉴스 캐시 적중 시에도 학습된 소스 가중치 반영
+      await this.loadSources();
+
+      // 관련성 상위 20개 (같은 스토리는 하나로 묶이므로 여유 있게 수집)
+      const news = await this.fetchNews(coinSymbol, 20);
       
       if (news.length === 0) {
         logger.warning(`No news found for ${coinSymbol}`);
@@ -740,6 +615,7 @@ class NewsService {
       }
 
       let totalSentiment = 0;
+      let totalWeight = 0;
       let validNews = 0;
       let sentimentBreakdown = {
         positive: 0,
@@ -747,37 +623,49 @@ class NewsService {
         neutral: 0
       };
 
-      // 병렬 처리로 감정분석 속도 향상
-      const sentimentPromises = news.map(async (article) => {
-        const text = `${article.title} ${article.description}`;
-        return this.analyzeSentiment(text);
-      });
+      // 스토리 단위 집계: 기사 점수는 스토리 안에서 소스 가중 평균,
+      // 스토리는 가장 신뢰도 높은 소스의 가중치로 한 번만 반영 (재전송 기사 중복 반영 방지)
+      const stories = this.storyService.clusterArticles(news);
+      stories.forEach(articles => {
+        let storySentiment = 0;
+        let storyWeight = 0;
+        let maxWeight = 0;
+
+        articles.forEach(article => {
+          const sentiment = this.analyzeTextSentiment(`${article.title} ${article.description}`);
+          if (sentiment.tokens > 3) {
+            const weight = this.getSourceWeight(article);
+            storySentiment += sentiment.score * weight;
+            storyWeight += weight;
+            maxWeight = Math.max(maxWeight, weight);
+            validNews++;
+          }
+        });
 
-      const sentiments = await Promise.allSettled(sentimentPromises);
-      
-      sentiments.forEach((result) => {
-        if (result.status === 'fulfilled' && result.value.tokens > 3) {
-          const sentiment = result.value;
-          totalSentiment += sentiment.score;
-          validNews++;
-          
-          // 감정 분류
-          if (sentiment.score > 60) sentimentBreakdown.positive++;
-          else if (sentiment.score < 40) sentimentBreakdown.negative++;
-          else sentimentBreakdown.neutral++;
-        }
+        if (storyWeight === 0) return;
+
+        const score = storySentiment / storyWeight;
+        totalSentiment += score * maxWeight;
+        totalWeight += maxWeight;
+
+        // 감정 분류
+        if (score > 60) sentimentBreakdown.positive++;
+        else if (score < 40) sentimentBreakdown.negative++;
+        else sentimentBreakdown.neutral++;
       });
 
-      const finalSentiment = validNews > 0 ? totalSentiment / validNews : 50;
+      const storiesAnalyzed = sentimentBreakdown.positive + sentimentBreakdown.negative + sentimentBreakdown.neutral;
+      const finalSentiment = totalWeight > 0 ? totalSentiment / totalWeight : 50;
       
       // 캐시에 저장 (30분)
       await this.cacheService.setSentiment(coinSymbol, finalSentiment);
       
-      logger.success(`Calculated sentiment for ${coinSymbol}: ${finalSentiment.toFixed(2)} (${validNews} articles)`);
+      logger.success(`Calculated sentiment for ${coinSymbol}: ${finalSentiment.toFixed(2)} (${storiesAnalyzed} stories, ${validNews} articles)`);
       
       return {
         score: Math.round(finalSentiment),
         breakdown: sentimentBreakdown,
+        storiesAnalyzed,
         articlesAnalyzed: validNews,
         totalArticles: news.length
       };
@@ -851,6 +739,7 @@ class NewsService {
   // 뉴스 통계
   async getNewsStats() {
     try {
+      await this.loadSources();
       const stats = {
         totalFeeds: this.newsFeeds.length,
         activeFeeds: 0,
@@ -886,6 +775,7 @@ class NewsService {
       }
 
       const allNews = [];
+      await this.loadSources();
       
       // 각 피드에서 뉴스 수집
       for (const feed of this.newsFeeds) {
@@ -1029,10 +919,10 @@ class NewsService {
     }
   }
 
-  // 뉴스 검색
-  async searchNews(query, limit = 20, category = 'all') {
+  // 뉴스 검색 (event: 이벤트 종류, 쉼표로 여러 개 - 검색어 없이 이벤트만으로도 검색)
+  async searchNews(query, limit = 20, category = 'all', event = null) {
     try {
-      const cacheKey = `news:search:${query}:${limit}:${category}`;
+      const cacheKey = `news:search:${query || ''}:${limit}:${category}:${event || ''}`;
       let cachedResults = await this.cacheService.get(cacheKey);
       
       if (cachedResults) {
@@ -1040,12 +930,17 @@ class NewsService {
       }
 
       const news = await this.getLatestNews(100, category);
-      const queryLower = query.toLowerCase();
+      const queryLower = (query || '').toLowerCase();
+      const eventTypes = event ? event.split(',').map(type => type.trim().toUpperCase()).filter(Boolean) : [];
       
       // 검색어와 매칭되는 뉴스 필터링
       const matchingNews = news.filter(article => {
         const title = article.title.toLowerCase();
         const description = article.description ? article.description.toLowerCase() : '';
+        const events = article.events || classifyEvents(article);
+        if (eventTypes.length > 0 && !events.some(e => eventTypes.includes(e.type))) {
+          return false;
+        }
         return title.includes(queryLower) || description.includes(queryLower);
       });
 
@@ -1055,8 +950,8 @@ class NewsService {
         const description = article.description ? article.description.toLowerCase() : '';
         
         let relevanceScore = 0;
-        if (title.includes(queryLower)) relevanceScore += 2;
-        if (description.includes(queryLower)) relevanceScore += 1;
+        if (queryLower && title.includes(queryLower)) relevanceScore += 2;
+        if (queryLower && description.includes(queryLower)) relevanceScore += 1;
         
         // 감정 점수 추가
         if (article.sentiment) {
@@ -1084,15 +979,18 @@ class NewsService {
     }
   }
 
-  // 뉴스 피드 목록
+  // 뉴스 피드 목록 (사용 중지된 소스 포함)
   async getNewsFeeds() {
     try {
-      const feeds = this.newsFeeds.map(feed => ({
-        name: feed.name,
-        url: feed.url,
-        weight: feed.weight,
-        status: 'active' // 실제로는 피드 상태를 확인해야 함
-      }));
+      const sources = await this.sourceService.getFeeds({ includeDisabled: true }) || this.newsFeeds;
+      const feeds = sources.map(feed => {
+        const health = this.feedFetcher.getHealth(feed.url);
+        return {
+          ...feed,
+          status: feed.enabled === false ? 'disabled' : health.status,
+          health
+        };
+      });
       
       return feeds;
     } catch (error) {
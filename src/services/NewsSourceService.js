@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const NewsSource = require('../models/NewsSource');
+const News = require('../models/News');
+const CandleService = require('./CandleService');
+
+// 수정 가능한 필드
+const EDITABLE_FIELDS = ['name', 'url', 'language', 'enabled', 'fetchIntervalMinutes', 'baseWeight'];
+
+class NewsSourceService {
+  constructor(options = {}) {
+    this.candleService = options.candleService || new CandleService();
+
+    // 메모리 캐시 (요청마다 생성되는 NewsService가 DB를 매번 조회하지 않도록)
+    this.sources = null;
+    this.loadedAt = null;
+    this.cacheExpiry = 5 * 60 * 1000; // 5분
+
+    // 신뢰도 학습 설정
+    this.reliability = {
+      windowDays: parseInt(process.env.NEWS_RELIABILITY_WINDOW_DAYS) || 30,
+      horizonHours: parseInt(process.env.NEWS_RELIABILITY_HORIZON_HOURS) || 24, // 기사 발행 후 가격 방향을 보는 시점
+      minSamples: 20, // 이보다 적으면 baseWeight 유지
+      priorSamples: 30, // 적중률을 50%(baseWeight 그대로) 쪽으로 당기는 가상 표본 수
+      minMove: 0.5, // 방향으로 인정하는 최소 가격 변화 (%)
+      positiveScore: 55, // 감정 점수(0-100) 이상이면 상승 예측
+      negativeScore: 45, // 이하면 하락 예측
+      minWeight: 0.1,
+      maxWeight: 2,
+      articlesPerSource: 1000
+    };
+  }
+
+  /**
+   * 수집용 피드 목록 (DB 연결 전에는 null → 호출 측 기본 목록 사용)
+   * @param {Object} options - { includeDisabled }
+   * @returns {Array|null} [{ id, name, url, language, enabled, fetchIntervalMinutes, baseWeight, weight, reliability }]
+   */
+  async getFeeds({ includeDisabled = false } = {}) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    try {
+      if (!this.sources || Date.now() - this.loadedAt > this.cacheExpiry) {
+        const seeded = await NewsSource.seedDefaults();
+        if (seeded > 0) {
+          logger.info(`Seeded ${seeded} default news sources`);
+        }
+
+        const sources = await NewsSource.find().sort({ createdAt: 1 }).lean();
+        this.sources = sources.map(source => this.toFeed(source));
+        this.loadedAt = Date.now();
+      }
+
+      return includeDisabled ? this.sources : this.sources.filter(source => source.enabled);
+    } catch (error) {
+      logger.warning('Failed to load news sources:', error.message);
+      return null;
+    }
+  }
+
+  // 저장 문서 → 피드 설정
+  toFeed(source) {
+    const reliability = source.reliability || {};
+    const learned = reliability.weight !== null && reliability.weight !== undefined;
+
+    return {
+      id: String(source._id),
+      name: source.name,
+      url: source.url,
+      language: source.language,
+      enabled: source.enabled,
+      fetchIntervalMinutes: source.fetchIntervalMinutes,
+      baseWeight: source.baseWeight,
+      weight: learned ? reliability.weight : source.baseWeight,
+      reliability: {
+        weight: learned ? reliability.weight : null,
+        samples: reliability.samples || 0,
+        hits: reliability.hits || 0,
+        hitRate: reliability.hitRate !== undefined ? reliability.hitRate : null,
+        evaluatedAt: reliability.evaluatedAt || null
+      }
+    };
+  }
+
+  invalidate() {
+    this.sources = null;
+    this.loadedAt = null;
+  }
+
+  // 수정 가능한 필드만 추출
+  pickFields(fields) {
+    const picked = {};
+    EDITABLE_FIELDS.forEach(key => {
+      if (fields[key] !== undefined) picked[key] = fields[key];
+    });
+    return picked;
+  }
+
+  async getSource(sourceId) {
+    const source = await NewsSource.findById(sourceId).lean();
+    return source ? this.toFeed(source) : null;
+  }
+
+  async createSource(fields) {
+    const source = await NewsSource.create(this.pickFields(fields));
+    this.invalidate();
+
+    logger.success(`News source created: ${source.name}`);
+    return this.toFeed(source.toObject());
+  }
+
+  // 소스 수정 (baseWeight가 바뀌면 학습 가중치도 새 기준으로 다시 계산)
+  async updateSource(sourceId, fields) {
+    const source = await NewsSource.findById(sourceId);
+    if (!source) {
+      return null;
+    }
+
+    source.set(this.pickFields(fields));
+    if (fields.baseWeight !== undefined && source.reliability.samples > 0) {
+      source.reliability.weight = this.calculateWeight(source.baseWeight, source.reliability.samples, source.reliability.hits);
+    }
+
+    await source.save();
+    this.invalidate();
+
+    logger.success(`News source updated: ${source.name}`);
+    return this.toFeed(source.toObject());
+  }
+
+  async deleteSource(sourceId) {
+    const source = await NewsSource.findByIdAndDelete(sourceId).lean();
+    if (!source) {
+      return null;
+    }
+
+    this.invalidate();
+    logger.success(`News source deleted: ${source.name}`);
+    return this.toFeed(source);
+  }
+
+  /**
+   * 적중 기록 → 신뢰도 가중치
+   * 적중률을 priorSamples만큼 50%로 당긴 뒤 baseWeight에 (2 × 적중률)을 곱한다.
+   * 적중률 50%(동전 던지기)면 baseWeight 그대로, 표본이 minSamples 미만이면 null.
+   */
+  calculateWeight(baseWeight, samples, hits) {
+    const { minSamples, priorSamples, minWeight, maxWeight } = this.reliability;
+    if (samples < minSamples) {
+      return null;
+    }
+
+    const smoothedRate = (hits + priorSamples * 0.5) / (samples + priorSamples);
+    const weight = Math.max(minWeight, Math.min(maxWeight, baseWeight * 2 * smoothedRate));
+    return Math.round(weight * 1000) / 1000;
+  }
+
+  // 감정 점수 → 예측 방향 (1: 상승, -1: 하락, 0: 중립)
+  getSentimentDirection(score) {
+    if (score >= this.reliability.positiveScore) return 1;
+    if (score <= this.reliability.negativeScore) return -1;
+    return 0;
+  }
+
+  // 시점 이전에 마감된 마지막 봉의 종가 (2봉 이상 비어 있으면 null)
+  findCloseAt(candles, time, intervalMs) {
+    let found = null;
+    for (const candle of candles) {
+      const closeTime = new Date(candle.closeTime).getTime();
+      if (closeTime > time) break;
+      found = { price: candle.close, closeTime };
+    }
+
+    return found && time - found.closeTime <= 2 * intervalMs ? found.price : null;
+  }
+
+  /**
+   * 기사 발행 후 가격 변화 (%)
+   * @param {Array} candles - 오래된 순 1시간봉
+   * @param {Date} publishedAt - 기사 발행 시각
+   * @returns {number|null} 변화율 (가격이 없으면 null)
+   */
+  measurePriceMove(candles, publishedAt) {
+    const intervalMs = 60 * 60 * 1000;
+    const start = new Date(publishedAt).getTime();
+    const entry = this.findCloseAt(candles, start, intervalMs);
+    const exit = this.findCloseAt(candles, start + this.reliability.horizonHours * intervalMs, intervalMs);
+
+    if (!entry || !exit) {
+      return null;
+    }
+    return ((exit - entry) / entry) * 100;
+  }
+
+  /**
+   * 소스별 감정 적중률 집계
+   * @param {Array} articles - [{ source, title, description, publishedAt, coins }]
+   * @param {Map} candlesBySymbol - 심볼 → 1시간봉
+   * @param {Function} scoreText - 텍스트 → 감정 점수 (0-100)
+   * @returns {Map} 소스명 → { samples, hits }
+   */
+  tallyHits(articles, candlesBySymbol, scoreText) {
+    const tally = new Map();
+
+    articles.forEach(article => {
+      const direction = this.getSentimentDirection(scoreText(`${article.title} ${article.description || ''}`));
+      if (direction === 0) return;
+
+      article.coins.forEach(symbol => {
+        const move = this.measurePriceMove(candlesBySymbol.get(symbol) || [], article.publishedAt);
+        if (move === null || Math.abs(move) < this.reliability.minMove) return;
+
+        if (!tally.has(article.source)) {
+          tally.set(article.source, { samples: 0, hits: 0 });
+        }
+        const entry = tally.get(article.source);
+        entry.samples++;
+        if (Math.sign(move) === direction) entry.hits++;
+      });
+    });
+
+    return tally;
+  }
+
+  /**
+   * 신뢰도 가중치 재학습
+   * 최근 windowDays 동안 코인이 연결된 기사의 감정 방향과 horizonHours 뒤 실제 가격 방향을 비교한다.
+   * @param {Function} scoreText - 텍스트 → 감정 점수 (0-100)
+   * @param {Date} now - 기준 시각
+   * @returns {Array} [{ name, samples, hits, hitRate, weight }]
+   */
+  async evaluateReliability(scoreText, now = new Date()) {
+    const { windowDays, horizonHours, articlesPerSource } = this.reliability;
+    const from = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+    const until = new Date(now.getTime() - horizonHours * 60 * 60 * 1000);
+
+    const sources = await NewsSource.find();
+    const articles = [];
+    for (const source of sources) {
+      const sourceArticles = await News.find({
+        source: source.name,
+        publishedAt: { $gte: from, $lte: until },
+        'coins.0': { $exists: true }
+      })
+        .sort({ publishedAt: -1 })
+        .limit(articlesPerSource)
+        .select('source title description publishedAt coins')
+        .lean();
+      articles.push(...sourceArticles);
+    }
+
+    // 심볼별 1시간봉 한 번씩 조회
+    const candlesBySymbol = new Map();
+    const symbols = [...new Set(articles.flatMap(article => article.coins))];
+    for (const symbol of symbols) {
+      try {
+        const { candles } = await this.candleService.getCandles(symbol, {
+          interval: '1h',
+          from: new Date(from.getTime() - 2 * 60 * 60 * 1000),
+          to: now,
+          limit: (windowDays + 1) * 24 + 2,
+          autoIngest: false
+        });
+        candlesBySymbol.set(symbol, candles);
+      } catch (error) {
+        logger.warning(`Candles unavailable for news reliability (${symbol}):`, error.message);
+      }
+    }
+
+    const tally = this.tallyHits(articles, candlesBySymbol, scoreText);
+    const results = [];
+
+    for (const source of sources) {
+      const { samples, hits } = tally.get(source.name) || { samples: 0, hits: 0 };
+      source.reliability = {
+        weight: this.calculateWeight(source.baseWeight, samples, hits),
+        samples,
+        hits,
+        hitRate: samples > 0 ? Math.round((hits / samples) * 10000) / 10000 : null,
+        evaluatedAt: now
+      };
+      await source.save();
+
+      results.push({ name: source.name, samples, hits, hitRate: source.reliability.hitRate, weight: source.weight });
+    }
+
+    this.invalidate();
+    return results;
+  }
+}
+
+module.exports = NewsSourceService;
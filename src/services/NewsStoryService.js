@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const News = require('../models/News');
+const minhash = require('../nlp/minhash');
+
+/**
+ * 뉴스 스토리 묶음
+ * 여러 매체가 같은 사건을 거의 같은 문장으로 전한 기사들을 하나의 스토리(storyId)로 묶어,
+ * 재전송 기사 수만큼 감정이 부풀려지지 않도록 한다.
+ */
+class NewsStoryService {
+  constructor() {
+    this.threshold = 0.45; // 같은 스토리로 보는 추정 Jaccard 유사도
+    this.windowHours = 72; // 이 시간 안에 보도된 기사끼리만 비교
+    this.descriptionLength = 300; // 서명에 쓰는 요약 길이 (본문 뒤쪽 매체별 문구 제외)
+    this.maxCandidates = 200;
+  }
+
+  // 서명 대상 텍스트 (제목 + 요약 앞부분)
+  getFingerprintText(article) {
+    return `${article.title || ''} ${(article.description || '').slice(0, this.descriptionLength)}`;
+  }
+
+  /**
+   * 기사 지문
+   * @param {Object} article - { title, description }
+   * @returns {Object} { signature, buckets }
+   */
+  fingerprint(article) {
+    const signature = minhash.signature(this.getFingerprintText(article));
+    return { signature: signature || [], buckets: minhash.bucketKeys(signature) };
+  }
+
+  /**
+   * 메모리 상 기사 묶기 (DB에 없는 피드 기사용)
+   * @param {Array} articles - [{ title, description, ... }]
+   * @returns {Array<Array>} 스토리별 기사 (첫 등장 순)
+   */
+  clusterArticles(articles) {
+    const signatures = articles.map(article => minhash.signature(this.getFingerprintText(article)));
+    const parent = articles.map((_, i) => i);
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    const buckets = new Map();
+    signatures.forEach((signature, i) => {
+      minhash.bucketKeys(signature).forEach(key => {
+        const members = buckets.get(key) || [];
+        members.forEach(j => {
+          if (find(i) !== find(j) && minhash.similarity(signature, signatures[j]) >= this.threshold) {
+            parent[find(i)] = find(j);
+          }
+        });
+        members.push(i);
+        buckets.set(key, members);
+      });
+    });
+
+    const clusters = new Map();
+    articles.forEach((article, i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(article);
+    });
+    return Array.from(clusters.values());
+  }
+
+  /**
+   * 저장 전 기사에 storyId 지정 (저장은 호출 측)
+   * 발행 시각 ±windowHours 안에서 버킷이 겹치는 기사 중 가장 비슷한 기사의 스토리를 따르고,
+   * 없으면 자기 _id로 새 스토리를 시작한다.
+   * @param {Object} newsDoc - News 문서
+   * @returns {Object} { storyId, similarity, isNew }
+   */
+  async assignStory(newsDoc) {
+    const { signature, buckets } = this.fingerprint(newsDoc);
+    newsDoc.fingerprint = { signature, buckets };
+
+    let best = null;
+    if (buckets.length > 0) {
+      const publishedAt = new Date(newsDoc.publishedAt || Date.now()).getTime();
+      const windowMs = this.windowHours * 60 * 60 * 1000;
+
+      const candidates = await News.find({
+        _id: { $ne: newsDoc._id },
+        storyId: { $ne: null },
+        'fingerprint.buckets': { $in: buckets },
+        publishedAt: { $gte: new Date(publishedAt - windowMs), $lte: new Date(publishedAt + windowMs) }
+      })
+        .limit(this.maxCandidates)
+        .select('storyId fingerprint.signature')
+        .lean();
+
+      candidates.forEach(candidate => {
+        const score = minhash.similarity(signature, candidate.fingerprint && candidate.fingerprint.signature);
+        if (score >= this.threshold && (!best || score > best.similarity)) {
+          best = { storyId: candidate.storyId, similarity: score };
+        }
+      });
+    }
+
+    newsDoc.storyId = best ? best.storyId : String(newsDoc._id);
+    return { storyId: newsDoc.storyId, similarity: best ? best.similarity : null, isNew: !best };
+  }
+
+  // storyId가 없는 저장 기사 묶기 (오래된 순)
+  async assignPendingStories(limit = 200) {
+    const result = { assigned: 0, merged: 0 };
+
+    try {
+      const pending = await News.find({ storyId: null }).sort({ publishedAt: 1 }).limit(limit);
+
+      for (const newsDoc of pending) {
+        const { isNew } = await this.assignStory(newsDoc);
+        await newsDoc.save();
+        result.assigned++;
+        if (!isNew) result.merged++;
+      }
+
+      if (result.assigned > 0) {
+        logger.success(`News stories assigned: ${result.assigned} articles (${result.merged} joined existing stories)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('News story assignment failed:', error);
+      return { ...result, error: error.message };
+    }
+  }
+
+  /**
+   * 스토리 목록
+   * @param {Object} options - { hours, coin, minOutlets, limit }
+   * @returns {Array} [{ storyId, title, url, firstSeenAt, lastSeenAt, outlets, outletCount, articleCount, coins, avgSentiment, articles }]
+   */
+  async getStories({ hours = 24, coin = null, minOutlets = 1, limit = 20 } = {}) {
+    const from = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const lookbackFrom = new Date(from.getTime() - this.windowHours * 60 * 60 * 1000);
+
+    return await News.getStories({ from, lookbackFrom, coin, minOutlets, limit });
+  }
+}
+
+module.exports = NewsStoryService;
@@ -5,6 +5,13 @@ const CoinGeckoService = require('./CoinGeckoService');
 const SignalCalculatorService = require('./SignalCalculatorService');
 const CacheService = require('./CacheService');
 const AlertService = require('./AlertService');
+const CandleService = require('./CandleService');
+const MarketDataProviderService = require('./MarketDataProviderService');
+const LiquidityService = require('./LiquidityService');
+const DerivativesService = require('./DerivativesService');
+const KoreanMarketService = require('./KoreanMarketService');
+const MarketEventService = require('./MarketEventService');
+const NewsService = require('./NewsService');
 
 class SchedulerService {
   constructor() {
@@ -12,6 +19,20 @@ class SchedulerService {
     this.signalCalculator = new SignalCalculatorService();
     this.cacheService = new CacheService();
     this.alertService = new AlertService();
+    this.candleService = new CandleService();
+    this.marketDataProvider = new MarketDataProviderService(); // CoinGecko 장애 시 캐시로 대체 + 거래소 가격 합의
+    this.liquidityService = new LiquidityService();
+    this.derivativesService = new DerivativesService();
+    this.koreanMarketService = new KoreanMarketService();
+    this.marketEventService = new MarketEventService({ alertService: this.alertService });
+    this.newsService = new NewsService();
+
+    // 김치프리미엄 이력 기록 대상
+    this.kimchiPremiumSymbols = (process.env.KIMCHI_PREMIUM_SYMBOLS || 'BTC,ETH,XRP,SOL,DOGE').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+
+    // 캔들 수집 대상 (시가총액 상위 N개, 간격 목록)
+    this.candleIngestTopN = parseInt(process.env.CANDLE_INGEST_TOP_N) || 50;
+    this.candleIngestIntervals = (process.env.CANDLE_INGEST_INTERVALS || '5m,1h,4h,1d').split(',').map(i => i.trim()).filter(Boolean);
     
     // Redis 연결 설정
     this.redisConnection = {
@@ -63,6 +84,66 @@ class SchedulerService {
         this.processAllCoins();
       });
 
+      // 신호 성과 평가 - 5분마다
+      this.scheduleJob('outcome-evaluation', '*/5 * * * *', () => {
+        this.evaluateSignalOutcomes();
+      });
+
+      // 점수 재캘리브레이션 - 매일 새벽 3시 30분
+      this.scheduleJob('score-calibration', '30 3 * * *', () => {
+        this.recalibrateScores();
+      });
+
+      // 캔들 수집 - 15분마다
+      this.scheduleJob('candle-ingestion', '*/15 * * * *', () => {
+        this.ingestCandles();
+      });
+
+      // 캔들 누락 구간 백필 - 매일 새벽 4시
+      this.scheduleJob('candle-backfill', '0 4 * * *', () => {
+        this.backfillCandles();
+      });
+
+      // 뉴스 소스 신뢰도 가중치 재학습 - 매일 새벽 4시 30분 (캔들 백필 이후)
+      this.scheduleJob('news-source-reliability', '30 4 * * *', () => {
+        this.updateNewsSourceReliability();
+      });
+
+      // 저장된 뉴스 관련 코인 재연결 (코인 사전 갱신분 반영) - 매일 새벽 4시 45분
+      this.scheduleJob('news-coin-relink', '45 4 * * *', () => {
+        this.relinkNewsCoins();
+      });
+
+      // 호가창 유동성 스냅샷 - 5분마다
+      this.scheduleJob('liquidity-snapshot', '*/5 * * * *', () => {
+        this.captureLiquidity();
+      });
+
+      // 파생상품 데이터 수집 - 15분마다
+      this.scheduleJob('derivatives-collection', '*/15 * * * *', () => {
+        this.collectDerivatives();
+      });
+
+      // 국내 거래소 상장/경고 이벤트 감시 - 1분마다
+      this.scheduleJob('market-event-watch', '* * * * *', () => {
+        this.watchMarketEvents();
+      });
+
+      // 원/달러 환율 수집 - 5분마다
+      this.scheduleJob('fx-rate-collection', '*/5 * * * *', () => {
+        this.collectFxRates();
+      });
+
+      // 김치프리미엄 이력 기록 - 5분마다
+      this.scheduleJob('kimchi-premium-history', '*/5 * * * *', () => {
+        this.recordKimchiPremiums();
+      });
+
+      // 국내 거래량 점유율 스냅샷 - 15분마다
+      this.scheduleJob('volume-share-snapshot', '*/15 * * * *', () => {
+        this.recordVolumeShare();
+      });
+
       // 캐시 정리 - 6시간마다
       this.scheduleJob('cache-cleanup', '0 */6 * * *', () => {
         this.cleanupCache();
@@ -207,8 +288,8 @@ class SchedulerService {
     try {
       logger.info('Processing high priority coins (top 100)');
       
-      // CoinGecko에서 상위 100개 코인 데이터 가져오기
-      const marketData = await this.coinGeckoService.getMarketDataBatch(1, 100);
+      // 상위 100개 코인 데이터 가져오기 (합의 가격)
+      const marketData = await this.marketDataProvider.getMarketDataBatch(1, 100);
       
       if (!marketData || marketData.length === 0) {
         logger.warning('No market data received for high priority coins');
@@ -235,7 +316,7 @@ class SchedulerService {
     try {
       logger.info('Processing medium priority coins (top 500)');
       
-      const marketData = await this.coinGeckoService.getMarketDataBatch(1, 500);
+      const marketData = await this.marketDataProvider.getMarketDataBatch(1, 500);
       
       if (!marketData || marketData.length === 0) {
         logger.warning('No market data received for medium priority coins');
@@ -268,7 +349,7 @@ class SchedulerService {
 
       for (let page = 1; page <= totalPages; page++) {
         try {
-          const marketData = await this.coinGeckoService.getMarketDataBatch(page, 250);
+          const marketData = await this.marketDataProvider.getMarketDataBatch(page, 250);
           
           if (marketData && marketData.length > 0) {
             const signalJobs = marketData.map(coin => ({
@@ -306,8 +387,10 @@ class SchedulerService {
         coinData
       );
 
-      // 데이터베이스에 저장
+      // 데이터베이스에 저장 (코인은 가격 출처와 함께)
       const Signal = require('../models/Signal');
+      const Coin = require('../models/Coin');
+      await Coin.updateOrCreate(coinData);
       await Signal.create(signal);
 
       // 캐시에 저장
@@ -485,6 +568,198 @@ class SchedulerService {
     }
   }
 
+  // 신호 성과 평가 (평가 시점이 지난 신호의 forward return 채우기)
+  async evaluateSignalOutcomes() {
+    try {
+      logger.info('Evaluating signal outcomes');
+      
+      const result = await this.signalCalculator.signalOutcomeService.evaluatePendingOutcomes();
+      
+      // 실제 성과로 동적 임계값 메트릭 갱신
+      if (result.evaluated > 0) {
+        await this.signalCalculator.syncPerformanceMetrics();
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error('Signal outcome evaluation failed:', error);
+    }
+  }
+
+  // 점수 재캘리브레이션 (실현된 성과로 finalScore → 확률 매핑 갱신)
+  async recalibrateScores() {
+    try {
+      logger.info('Recalibrating signal scores');
+      
+      const result = await this.signalCalculator.scoreCalibrationService.recalibrate();
+      
+      // 캘리브레이션이 바뀌면 캐시된 신호/곡선 무효화
+      if (result.saved.length > 0) {
+        await this.cacheService.clearPattern('signals:*');
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error('Score recalibration failed:', error);
+    }
+  }
+
+  // 캔들 수집 대상 코인 (시가총액 상위)
+  async getCandleTargets() {
+    const marketData = await this.marketDataProvider.getMarketDataBatch(1, this.candleIngestTopN);
+    return (marketData || []).map(coin => ({ coinId: coin.id, symbol: coin.symbol.toUpperCase() }));
+  }
+
+  // 상위 코인 캔들 수집 (오래된 경우에만 거래소 호출)
+  async ingestCandles() {
+    try {
+      logger.info('Ingesting candles for top coins');
+      
+      const targets = await this.getCandleTargets();
+      let ingested = 0;
+      
+      for (const { coinId, symbol } of targets) {
+        for (const interval of this.candleIngestIntervals) {
+          const { candles } = await this.candleService.getCandles(symbol, { interval, coinId, limit: 100 });
+          if (candles.length > 0) ingested++;
+        }
+        await this.sleep(200);
+      }
+      
+      logger.success(`Candle ingestion completed: ${ingested} series updated`);
+      return { targets: targets.length, ingested };
+    } catch (error) {
+      logger.error('Candle ingestion failed:', error);
+    }
+  }
+
+  // 최근 30일 캔들 누락 구간 백필
+  async backfillCandles() {
+    try {
+      logger.info('Backfilling candle gaps');
+      
+      const targets = await this.getCandleTargets();
+      const from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      let filled = 0;
+      
+      for (const { coinId, symbol } of targets) {
+        for (const interval of this.candleIngestIntervals) {
+          const result = await this.candleService.backfillGaps(symbol, { interval, from, coinId });
+          filled += result.filled;
+        }
+      }
+      
+      logger.success(`Candle backfill completed: ${filled} bars filled`);
+      return { targets: targets.length, filled };
+    } catch (error) {
+      logger.error('Candle backfill failed:', error);
+    }
+  }
+
+  // 상위 코인 호가창 유동성 스냅샷 (캔들 수집 대상과 동일)
+  async captureLiquidity() {
+    try {
+      const targets = await this.getCandleTargets();
+      const result = await this.liquidityService.captureTargets(targets);
+      
+      logger.success(`Liquidity snapshots captured: ${result.captured} (${result.failed} failed)`);
+      return result;
+    } catch (error) {
+      logger.error('Liquidity snapshot failed:', error);
+    }
+  }
+
+  // 상위 코인 파생상품 데이터 수집 (선물 마켓이 없는 코인은 건너뜀)
+  async collectDerivatives() {
+    try {
+      const targets = await this.getCandleTargets();
+      const result = await this.derivativesService.collectTargets(targets);
+      
+      logger.success(`Derivatives collected: ${result.collected} (${result.skipped} skipped, ${result.failed} failed)`);
+      return result;
+    } catch (error) {
+      logger.error('Derivatives collection failed:', error);
+    }
+  }
+
+  // 업비트/빗썸 마켓 목록 비교 → 상장/거래지원 종료/경고 지정 이벤트 저장 및 알림
+  async watchMarketEvents() {
+    try {
+      const result = await this.marketEventService.poll();
+      
+      if (result.events.length > 0) {
+        logger.success(`Market events detected: ${result.events.length} (${result.failed.length} exchanges failed)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Market event watch failed:', error);
+    }
+  }
+
+  // 환율 소스별 시세 수집 (이력 + 장애 시 대체용)
+  async collectFxRates() {
+    try {
+      const result = await this.koreanMarketService.fxRateService.collect();
+      
+      logger.success(`USD/KRW rates collected: ${result.collected} (${result.failed} failed)`);
+      return result;
+    } catch (error) {
+      logger.error('USD/KRW rate collection failed:', error);
+    }
+  }
+
+  // 김치프리미엄 계산 및 시계열 기록 (캐시를 건너뛰어 매 실행마다 기록)
+  async recordKimchiPremiums() {
+    try {
+      const result = await this.koreanMarketService.getMultipleKimchiPremiums(this.kimchiPremiumSymbols, { refresh: true });
+      const recorded = result ? Object.values(result.premiums).filter(Boolean).length : 0;
+      
+      logger.success(`Kimchi Premium recorded: ${recorded}/${this.kimchiPremiumSymbols.length} coins`);
+      return result;
+    } catch (error) {
+      logger.error('Kimchi Premium recording failed:', error);
+    }
+  }
+
+  // 국내 거래소 거래량 점유율 계산 및 시계열 기록 (급증/과열도 판단 이력)
+  async recordVolumeShare() {
+    try {
+      const result = await this.koreanMarketService.getVolumeShare({ refresh: true });
+      
+      logger.success(`Volume share recorded: ${result.coins.length} coins, KRW market share ${result.market.share !== null ? result.market.share.toFixed(2) : 'n/a'}%`);
+      return result;
+    } catch (error) {
+      logger.error('Volume share snapshot failed:', error);
+    }
+  }
+
+  // 뉴스 소스별 감정 적중률로 신뢰도 가중치 재학습
+  async updateNewsSourceReliability() {
+    try {
+      const results = await this.newsService.updateSourceReliability();
+      const learned = results.filter(result => result.samples > 0).length;
+      
+      logger.success(`News source reliability updated: ${learned}/${results.length} sources with samples`);
+      return results;
+    } catch (error) {
+      logger.error('News source reliability update failed:', error);
+    }
+  }
+
+  // 저장된 뉴스를 최신 코인 엔티티 사전으로 다시 연결
+  async relinkNewsCoins() {
+    try {
+      const result = await this.newsService.entityService.relinkStoredNews();
+      
+      if (result.skipped) {
+        logger.warning('News coin relink skipped: coin dictionary not loaded');
+      }
+      return result;
+    } catch (error) {
+      logger.error('News coin relink failed:', error);
+    }
+  }
+
   // 수동 작업 실행
   async runJob(jobName) {
     try {
@@ -510,6 +785,42 @@ class SchedulerService {
         case 'duplicate-cleanup':
           await this.cleanupDuplicateSignals();
           break;
+        case 'outcome-evaluation':
+          await this.evaluateSignalOutcomes();
+          break;
+        case 'score-calibration':
+          await this.recalibrateScores();
+          break;
+        case 'candle-ingestion':
+          await this.ingestCandles();
+          break;
+        case 'candle-backfill':
+          await this.backfillCandles();
+          break;
+        case 'liquidity-snapshot':
+          await this.captureLiquidity();
+          break;
+        case 'derivatives-collection':
+          await this.collectDerivatives();
+          break;
+        case 'market-event-watch':
+          await this.watchMarketEvents();
+          break;
+        case 'fx-rate-collection':
+          await this.collectFxRates();
+          break;
+        case 'kimchi-premium-history':
+          await this.recordKimchiPremiums();
+          break;
+        case 'volume-share-snapshot':
+          await this.recordVolumeShare();
+          break;
+        case 'news-source-reliability':
+          await this.updateNewsSourceReliability();
+          break;
+        case 'news-coin-relink':
+          await this.relinkNewsCoins();
+          break;
         default:
           throw new Error(`Unknown job: ${jobName}`);
       }
@@ -0,0 +1,283 @@
+const logger = require('../utils/logger');
+const ScoreCalibration = require('../models/ScoreCalibration');
+const SignalOutcome = require('../models/SignalOutcome');
+
+class ScoreCalibrationService {
+  constructor() {
+    // 캘리브레이션에 필요한 최소 표본 수
+    this.minSamples = parseInt(process.env.SCORE_CALIBRATION_MIN_SAMPLES) || 200;
+    this.windowDays = parseInt(process.env.SCORE_CALIBRATION_WINDOW_DAYS) || 90;
+
+    // 메모리 캐시 (스케줄러/라우트에서 DB 재조회 최소화)
+    this.calibrations = new Map();
+    this.loadedAt = null;
+    this.cacheExpiry = 30 * 60 * 1000; // 30분
+
+    // 상승 확률 → 추천 액션 (위에서부터 첫 번째로 만족하는 구간)
+    this.actionLevels = [
+      { key: 'STRONG_BUY', min: 0.70, action: 'STRONG_BUY', confidence: 'HIGH' },
+      { key: 'BUY_HIGH', min: 0.62, action: 'BUY', confidence: 'HIGH' },
+      { key: 'BUY_MEDIUM', min: 0.55, action: 'BUY', confidence: 'MEDIUM' },
+      { key: 'HOLD_MEDIUM', min: 0.50, action: 'HOLD', confidence: 'MEDIUM' },
+      { key: 'HOLD_LOW', min: 0.45, action: 'HOLD', confidence: 'LOW' },
+      { key: 'WEAK_SELL', min: 0.38, action: 'WEAK_SELL', confidence: 'MEDIUM' },
+      { key: 'SELL', min: 0.30, action: 'SELL', confidence: 'MEDIUM' },
+      { key: 'STRONG_SELL', min: 0, action: 'STRONG_SELL', confidence: 'HIGH' }
+    ];
+  }
+
+  // 실측 상승 확률 기반 추천 액션
+  getRecommendation(probability) {
+    const level = this.actionLevels.find(l => probability >= l.min);
+    return { action: level.action, confidence: level.confidence };
+  }
+
+  // Pool-Adjacent-Violators 알고리즘으로 단조 증가 확률 함수 추정
+  // points: [{ score, samples, ups }]
+  fitIsotonic(points) {
+    const sorted = [...points]
+      .filter(p => p.samples > 0)
+      .sort((a, b) => a.score - b.score);
+
+    const blocks = [];
+    sorted.forEach(point => {
+      blocks.push({
+        scoreMin: point.score,
+        scoreMax: point.score,
+        ups: point.ups,
+        samples: point.samples
+      });
+
+      // 직전 블록의 평균이 더 크면 병합 (단조성 위반 해소)
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const prev = blocks[blocks.length - 2];
+        if (prev.ups / prev.samples <= last.ups / last.samples) break;
+
+        blocks.splice(blocks.length - 2, 2, {
+          scoreMin: prev.scoreMin,
+          scoreMax: last.scoreMax,
+          ups: prev.ups + last.ups,
+          samples: prev.samples + last.samples
+        });
+      }
+    });
+
+    // 라플라스 보정으로 표본이 적은 블록의 0/1 확률 방지
+    return blocks.map(block => ({
+      scoreMin: block.scoreMin,
+      scoreMax: block.scoreMax,
+      probability: Math.round(((block.ups + 1) / (block.samples + 2)) * 10000) / 10000,
+      samples: block.samples
+    }));
+  }
+
+  // 캘리브레이션 함수로 점수 → 확률 변환 (블록 사이는 선형 보간)
+  predict(knots, score) {
+    if (!knots || knots.length === 0) return null;
+
+    if (score <= knots[0].scoreMin) return knots[0].probability;
+
+    const last = knots[knots.length - 1];
+    if (score >= last.scoreMax) return last.probability;
+
+    for (let i = 0; i < knots.length; i++) {
+      const knot = knots[i];
+      if (score >= knot.scoreMin && score <= knot.scoreMax) {
+        return knot.probability;
+      }
+
+      const next = knots[i + 1];
+      if (next && score > knot.scoreMax && score < next.scoreMin) {
+        const ratio = (score - knot.scoreMax) / (next.scoreMin - knot.scoreMax);
+        return Math.round((knot.probability + ratio * (next.probability - knot.probability)) * 10000) / 10000;
+      }
+    }
+
+    return last.probability;
+  }
+
+  // 액션별 최소 점수 (해당 확률 구간에 도달하는 가장 낮은 점수)
+  deriveThresholds(knots) {
+    const thresholds = {};
+
+    this.actionLevels.forEach(level => {
+      if (level.min === 0) return;
+
+      let threshold = null;
+      for (let score = 0; score <= 100; score++) {
+        if (this.predict(knots, score) >= level.min) {
+          threshold = score;
+          break;
+        }
+      }
+      thresholds[level.key] = threshold;
+    });
+
+    return thresholds;
+  }
+
+  // 신뢰도 곡선 (10점 구간별 실측 상승 비율 vs 원점수 / 캘리브레이션 확률)
+  buildReliabilityCurve(points, knots) {
+    const bins = new Map();
+
+    points.forEach(point => {
+      const bucket = Math.min(90, Math.floor(point.score / 10) * 10);
+      if (!bins.has(bucket)) {
+        bins.set(bucket, { samples: 0, ups: 0, scoreSum: 0, calibratedSum: 0 });
+      }
+      const bin = bins.get(bucket);
+      bin.samples += point.samples;
+      bin.ups += point.ups;
+      bin.scoreSum += point.score * point.samples;
+      bin.calibratedSum += this.predict(knots, point.score) * point.samples;
+    });
+
+    return Array.from(bins.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucket, bin]) => ({
+        bucket: `${bucket}-${bucket + 10}`,
+        samples: bin.samples,
+        meanScore: Math.round((bin.scoreSum / bin.samples) * 100) / 100,
+        observedRate: Math.round((bin.ups / bin.samples) * 10000) / 10000,
+        rawRate: Math.round((bin.scoreSum / bin.samples / 100) * 10000) / 10000,
+        calibratedRate: Math.round((bin.calibratedSum / bin.samples) * 10000) / 10000
+      }));
+  }
+
+  // 브라이어 점수 (낮을수록 좋음)
+  calculateBrierScore(points, probabilityFn) {
+    let total = 0;
+    let samples = 0;
+
+    points.forEach(point => {
+      const p = probabilityFn(point.score);
+      const downs = point.samples - point.ups;
+      total += point.ups * Math.pow(1 - p, 2) + downs * Math.pow(p, 2);
+      samples += point.samples;
+    });
+
+    return samples > 0 ? Math.round((total / samples) * 10000) / 10000 : null;
+  }
+
+  // 점수별 집계로부터 캘리브레이션 생성
+  buildCalibration(timeframe, points) {
+    const samples = points.reduce((sum, p) => sum + p.samples, 0);
+    const ups = points.reduce((sum, p) => sum + p.ups, 0);
+    const knots = this.fitIsotonic(points);
+
+    return {
+      timeframe,
+      method: 'isotonic',
+      windowDays: this.windowDays,
+      samples,
+      baseRate: samples > 0 ? Math.round((ups / samples) * 10000) / 10000 : null,
+      knots,
+      reliability: this.buildReliabilityCurve(points, knots),
+      thresholds: this.deriveThresholds(knots),
+      brierScore: {
+        raw: this.calculateBrierScore(points, score => score / 100),
+        calibrated: this.calculateBrierScore(points, score => this.predict(knots, score))
+      }
+    };
+  }
+
+  // 실현된 성과로 재캘리브레이션 (스케줄러에서 주기적으로 실행)
+  async recalibrate() {
+    try {
+      const since = new Date(Date.now() - this.windowDays * 24 * 60 * 60 * 1000);
+      const rows = await SignalOutcome.getScoreOutcomeCounts(since);
+
+      const grouped = { ALL: new Map() };
+      rows.forEach(row => {
+        const { timeframe, score } = row._id;
+        if (!grouped[timeframe]) grouped[timeframe] = new Map();
+
+        grouped[timeframe].set(score, { score, samples: row.samples, ups: row.ups });
+
+        const all = grouped.ALL.get(score) || { score, samples: 0, ups: 0 };
+        all.samples += row.samples;
+        all.ups += row.ups;
+        grouped.ALL.set(score, all);
+      });
+
+      const saved = [];
+      const skipped = [];
+
+      for (const [timeframe, pointMap] of Object.entries(grouped)) {
+        const points = Array.from(pointMap.values());
+        const samples = points.reduce((sum, p) => sum + p.samples, 0);
+
+        if (samples < this.minSamples) {
+          skipped.push({ timeframe, samples });
+          continue;
+        }
+
+        const calibration = await ScoreCalibration.create(this.buildCalibration(timeframe, points));
+        saved.push(calibration.toObject());
+      }
+
+      // 메모리 캐시 갱신
+      saved.forEach(calibration => this.calibrations.set(calibration.timeframe, calibration));
+      this.loadedAt = Date.now();
+
+      logger.success(`Score calibration completed: ${saved.length} saved, ${skipped.length} skipped (min ${this.minSamples} samples)`);
+      return { saved: saved.map(c => ({ timeframe: c.timeframe, samples: c.samples })), skipped };
+    } catch (error) {
+      logger.error('Score calibration failed:', error);
+      throw error;
+    }
+  }
+
+  // 저장된 최신 캘리브레이션 로드 (캐시 만료 시에만 DB 조회)
+  async loadCalibrations(force = false) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.cacheExpiry) {
+      return this.calibrations;
+    }
+
+    try {
+      const latest = await ScoreCalibration.getLatestAll();
+      this.calibrations = new Map(latest.map(calibration => [calibration.timeframe, calibration]));
+    } catch (error) {
+      logger.warning('Failed to load score calibrations:', error.message);
+    }
+
+    this.loadedAt = Date.now();
+    return this.calibrations;
+  }
+
+  // 메모리에 로드된 캘리브레이션 조회 (timeframe 전용 → 전체 순)
+  getLoadedCalibration(timeframe) {
+    return this.calibrations.get(timeframe) || this.calibrations.get('ALL') || null;
+  }
+
+  // 점수의 실측 상승 확률
+  async getCalibratedProbability(score, timeframe) {
+    await this.loadCalibrations();
+
+    const calibration = this.getLoadedCalibration(timeframe);
+    if (!calibration) return null;
+
+    return {
+      probability: this.predict(calibration.knots, score),
+      timeframe: calibration.timeframe,
+      samples: calibration.samples,
+      calibratedAt: calibration.createdAt
+    };
+  }
+
+  // 목표 확률에 도달하는 최소 점수
+  getScoreForProbability(timeframe, targetProbability) {
+    const calibration = this.getLoadedCalibration(timeframe);
+    if (!calibration) return null;
+
+    for (let score = 0; score <= 100; score++) {
+      if (this.predict(calibration.knots, score) >= targetProbability) {
+        return score;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ScoreCalibrationService;
@@ -6,6 +6,12 @@ const CacheService = require('./CacheService');
 const SocialMediaService = require('./SocialMediaService');
 const TradingStrategyService = require('../strategies/TradingStrategyService');
 const TechnicalAnalysisService = require('./TechnicalAnalysisService');
+const SignalOutcomeService = require('./SignalOutcomeService');
+const ScoreCalibrationService = require('./ScoreCalibrationService');
+const LiquidityService = require('./LiquidityService');
+const DerivativesService = require('./DerivativesService');
+const MarketEventService = require('./MarketEventService');
+const { createDefaultRegistry } = require('../factors');
 
 class SignalCalculatorService {
   constructor() {
@@ -15,6 +21,14 @@ class SignalCalculatorService {
     this.cacheService = new CacheService();
     this.tradingStrategyService = new TradingStrategyService();
     this.technicalAnalysisService = new TechnicalAnalysisService();
+    this.signalOutcomeService = new SignalOutcomeService();
+    this.scoreCalibrationService = new ScoreCalibrationService();
+    this.liquidityService = new LiquidityService();
+    this.derivativesService = new DerivativesService();
+    this.marketEventService = new MarketEventService();
+    
+    // 점수 요소 레지스트리 (새 요소는 registerFactor로 추가)
+    this.factorRegistry = createDefaultRegistry(this);
     
       // 동적 가중치 시스템 (시장 상황별 조정)
       this.baseWeights = {
@@ -73,6 +87,22 @@ class SignalCalculatorService {
       longTerm: { target: 0.55, current: 0.0, samples: 0 }      // 장기: 중간 성공률 목표
     };
     
+    // 신호 timeframe → 성과 메트릭 키
+    this.timeframeMetricKeys = {
+      SCALPING: 'scalping',
+      DAY_TRADING: 'dayTrading',
+      SWING_TRADING: 'swingTrading',
+      LONG_TERM: 'longTerm'
+    };
+    
+    // 신호 timeframe → 전략 시장 데이터에 쓸 캔들 간격
+    this.timeframeIntervals = {
+      SCALPING: '5m',
+      DAY_TRADING: '1h',
+      SWING_TRADING: '4h',
+      LONG_TERM: '1d'
+    };
+    
       // 동적 임계값 조정 계수 (최적화된 균형잡힌 임계값)
       this.dynamicThresholds = {
         scalping: { score: 55, risk: 80, liquidity: 'B+' },  // 스캘핑: 55점 이상 + 리스크 80 이하 + B+급 유동성
@@ -134,44 +164,45 @@ class SignalCalculatorService {
       // 거시경제 이벤트 분석
       const macroEvents = await this.analyzeMacroEvents();
 
-      // 각 구성 요소 점수 계산
-      const priceScore = this.calculatePriceScore(priceData);
-      const volumeScore = this.calculateVolumeScore(priceData);
-      const marketScore = this.calculateMarketScore(priceData);
-      const sentimentScore = await this.calculateSentimentScore(symbol); // DB에서 빠르게 조회
-      const whaleScore = await this.calculateWhaleScore(symbol);
-      const volatilityScore = this.calculateVolatilityScore(priceData);
-      
-      // 상관관계 보정 점수 계산
-      const correlationScore = this.calculateCorrelationScore(btcCorrelation, altcoinSeason, marketDominance, fearGreedIndex);
-      
-      // 거시경제 이벤트 보정 점수 계산
-      const macroScore = this.calculateMacroScore(macroEvents);
+      // 등록된 점수 요소 계산
+      const coinContext = {
+        coinId,
+        symbol,
+        name,
+        priceData,
+        marketCondition,
+        weights,
+        correlation: { btcCorrelation, altcoinSeason, marketDominance, fearGreedIndex },
+        macroEvents
+      };
+      const factorResults = await this.factorRegistry.computeAll(coinContext);
+      const scores = this.mapFactorResults(factorResults, 'score');
 
       // 동적 가중치로 최종 점수 계산
-      const finalScore = this.calculateFinalScoreWithDynamicWeights({
-        price: priceScore,
-        volume: volumeScore,
-        market: marketScore,
-        sentiment: sentimentScore,
-        whale: whaleScore,
-        volatility: volatilityScore, // 변동성 점수 추가
-        correlation: correlationScore, // 상관관계 보정 점수 추가
-        macro: macroScore // 거시경제 보정 점수 추가
-      }, weights);
+      const scoreComposition = this.composeFinalScore(
+        scores,
+        this.mapFactorResults(factorResults, 'weight'),
+        marketCondition
+      );
+      const finalScore = scoreComposition.finalScore;
 
       // 변동성 및 거래량 비율 계산
       const volatility = this.calculateVolatility(priceData);
       const volumeRatio = this.calculateVolumeRatio(priceData);
       
+      // 호가창 유동성 지표 (최근 스냅샷이 없으면 null)
+      const liquidity = await this.liquidityService.getLiquidity(symbol);
+      
       // 새로운 전략 분류 로직 사용 (priceData 포함)
-      const strategy = await this.determineStrategy(finalScore, volatility, volumeRatio, priceData);
+      const strategy = await this.determineStrategy(finalScore, volatility, volumeRatio, priceData, liquidity);
       
       // 디버깅을 위한 로그 추가
       logger.info(`Strategy determination for ${symbol}: finalScore=${finalScore}, volatility=${volatility}, volumeRatio=${volumeRatio}, timeframe=${strategy.timeframe}`);
       
       // 전략 시스템을 통한 거래 전략 분석
       const signalData = {
+        symbol: symbol.toUpperCase(),
+        exchange: liquidity && ['USD', 'USDT'].includes(liquidity.quote) ? liquidity.exchange : null, // 실시간 시세 조회 거래소 (원화 호가면 미지정)
         finalScore,
         volatility,
         volumeRatio,
@@ -179,22 +210,16 @@ class SignalCalculatorService {
         riskScore: strategy.riskScore || 50,
         liquidityGrade: strategy.liquidityGrade || 'C',
         timeframe: strategy.timeframe,
-        breakdown: {
-          price: priceScore,
-          volume: volumeScore,
-          market: marketScore,
-          sentiment: sentimentScore,
-          whale: whaleScore,
-          volatility: volatilityScore,
-          correlation: correlationScore,
-          macro: macroScore
-        }
+        breakdown: scores
       };
       
+      // 신호 타임프레임 캔들 기준 기술적 지표 (ATR 손절, 캔들/차트 패턴, 다이버전스)
+      const strategyTechnicals = await this.getStrategyTechnicals(symbol, priceData, strategy.timeframe);
+      
       const marketData = {
         currentPrice: priceData.current_price,
         volume: priceData.total_volume,
-        spread: 0.1, // 기본 스프레드
+        spread: liquidity ? liquidity.spread : 0.1, // 호가 스프레드 (없으면 기본값)
         volatility: volatility,
         support: null, // 나중에 계산
         resistance: null, // 나중에 계산
@@ -203,7 +228,9 @@ class SignalCalculatorService {
         macd: null, // 나중에 계산
         bollinger: null, // 나중에 계산
         movingAverages: null, // 나중에 계산
-        liquidityGrade: strategy.liquidityGrade || 'C'
+        liquidityGrade: strategy.liquidityGrade || 'C',
+        liquidity,
+        ...strategyTechnicals
       };
       
       const accountData = {
@@ -235,27 +262,34 @@ class SignalCalculatorService {
       // 디버깅: tradingStrategy 변수 확인
       logger.info(`Trading strategy for ${symbol}:`, JSON.stringify(tradingStrategy, null, 2));
       
+      // 실측 성과 기반 캘리브레이션 확률 (캘리브레이션 전에는 null)
+      const calibration = await this.scoreCalibrationService.getCalibratedProbability(finalScore, strategy.timeframe);
+      const calibratedProbability = calibration ? calibration.probability : null;
+      
       // 추천 액션 및 타임프레임 결정
-      const recommendation = this.getRecommendation(finalScore);
+      const recommendation = this.getRecommendation(finalScore, calibratedProbability);
       const timeframe = strategy.timeframe;
       const priority = strategy.priority;
+      
+      // 신호 근거 설명 (요소별 기여도, 보정 계수, 근거 자료)
+      const explanation = this.buildSignalExplanation({
+        coinContext,
+        factorResults,
+        scoreComposition,
+        recommendation,
+        calibratedProbability,
+        supportingItems: await this.getSupportingItems(symbol, finalScore)
+      });
 
       const signal = {
         coinId,
         symbol: symbol.toUpperCase(),
         name,
         finalScore: Math.round(finalScore),
-        breakdown: {
-          price: Math.round(priceScore),
-          volume: Math.round(volumeScore),
-          market: Math.round(marketScore),
-          sentiment: Math.round(sentimentScore),
-          whale: Math.round(whaleScore),
-          volatility: Math.round(volatilityScore), // 변동성 점수 추가
-          correlation: Math.round(correlationScore), // 상관관계 보정 점수 추가
-          macro: Math.round(macroScore) // 거시경제 보정 점수 추가
-        },
+        breakdown: this.mapFactorResults(factorResults, 'score', Math.round),
+        calibratedProbability,
         recommendation,
+        explanation,
         timeframe,
         priority,
         rank: 1, // 최소값 1로 설정
@@ -270,11 +304,17 @@ class SignalCalculatorService {
           },
           volumeRatio: volumeRatio,
           volatility: volatility,
-          whaleActivity: whaleScore,
+          whaleActivity: scores.whale !== undefined ? scores.whale : 50,
           newsCount: 0, // 나중에 설정
           lastUpdated: new Date(),
           calculationTime: Date.now() - startTime,
           dataQuality: this.assessDataQuality(priceData),
+          // 점수 캘리브레이션 정보
+          calibration: calibration ? {
+            timeframe: calibration.timeframe,
+            samples: calibration.samples,
+            calibratedAt: calibration.calibratedAt
+          } : null,
           // 상관관계 분석 데이터
           correlation: {
             btcCorrelation: btcCorrelation,
@@ -304,6 +344,9 @@ class SignalCalculatorService {
         }
       };
 
+      // 신호 히스토리 스냅샷 저장 (append-only)
+      await this.recordSignalSnapshot(signal);
+
       logger.success(`Signal calculated for ${symbol}: ${finalScore.toFixed(2)} (${recommendation.action})`);
       return signal;
     } catch (error) {
@@ -312,6 +355,140 @@ class SignalCalculatorService {
     }
   }
 
+  // 점수 요소 등록 (같은 이름이면 교체)
+  registerFactor(factor) {
+    this.factorRegistry.register(factor);
+    return this;
+  }
+
+  // 요소별 계산 결과에서 특정 필드만 추출 ({ price: 70, volume: 55, ... })
+  mapFactorResults(factorResults, field, transform = value => value) {
+    const mapped = {};
+    Object.entries(factorResults).forEach(([factor, result]) => {
+      mapped[factor] = transform(result[field]);
+    });
+    return mapped;
+  }
+
+  // 신호 설명 생성 (왜 이 점수/액션이 나왔는지)
+  buildSignalExplanation({ coinContext, factorResults, scoreComposition, recommendation, calibratedProbability = null, supportingItems = {} }) {
+    const round = (value, digits = 2) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    const dynamicWeights = coinContext.weights || {};
+    
+    const factors = Object.entries(factorResults)
+      .map(([factor, result]) => {
+        const contribution = result.score * result.weight;
+        return {
+          factor,
+          rawInput: result.evidence || {},
+          score: round(result.score),
+          weight: result.weight,
+          weightSource: dynamicWeights[factor] !== undefined ? 'market_condition' : 'factor_default',
+          contribution: round(contribution),
+          share: scoreComposition.weightedSum > 0 ? round(contribution / scoreComposition.weightedSum, 4) : 0
+        };
+      })
+      .sort((a, b) => b.contribution - a.contribution);
+    
+    return {
+      marketCondition: coinContext.marketCondition,
+      factors,
+      weightedSum: round(scoreComposition.weightedSum),
+      multipliers: {
+        weightNormalization: round(scoreComposition.weightNormalization, 4),
+        marketCorrection: scoreComposition.marketCorrection,
+        momentumPersistence: scoreComposition.momentumPersistence
+      },
+      finalScore: round(scoreComposition.finalScore),
+      calibratedProbability,
+      recommendation,
+      supportingItems: {
+        news: supportingItems.news || [],
+        social: supportingItems.social || [],
+        whale: supportingItems.whale || []
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  // 신호 방향을 뒷받침하는 상위 뉴스/소셜/고래 항목
+  async getSupportingItems(symbol, finalScore, limit = 3) {
+    // 50점 이상이면 긍정 근거, 미만이면 부정 근거를 우선
+    const direction = finalScore >= 50 ? 1 : -1;
+    const items = { news: [], social: [], whale: [] };
+    
+    try {
+      const News = require('../models/News');
+      const news = await News.findByCoin(symbol, 24, 50).lean();
+      
+      items.news = news
+        .filter(article => typeof article.sentiment?.score === 'number' && article.sentiment.score * direction > 0)
+        .sort((a, b) => (b.sentiment.score * direction * (b.relevanceScore || 1)) - (a.sentiment.score * direction * (a.relevanceScore || 1)))
+        .slice(0, limit)
+        .map(article => ({
+          title: article.title,
+          url: article.url,
+          source: article.source,
+          publishedAt: article.publishedAt,
+          sentiment: article.sentiment.label,
+          sentimentScore: article.sentiment.score
+        }));
+    } catch (error) {
+      logger.warning(`Failed to load supporting news for ${symbol}:`, error.message);
+    }
+    
+    try {
+      const SocialMediaService = require('./SocialMediaService');
+      const socialData = SocialMediaService.getSocialData();
+      const expected = direction > 0 ? 'positive' : 'negative';
+      const lowerSymbol = symbol.toLowerCase();
+      
+      items.social = Object.values(socialData || {})
+        .flatMap(platformData => platformData?.data || [])
+        .filter(post => post.sentiment === expected && (post.text || '').toLowerCase().includes(lowerSymbol))
+        .sort((a, b) => (b.relevance || 0) - (a.relevance || 0))
+        .slice(0, limit)
+        .map(post => ({
+          platform: post.platform,
+          author: post.author,
+          text: (post.text || '').slice(0, 280),
+          timestamp: post.timestamp,
+          sentiment: post.sentiment
+        }));
+    } catch (error) {
+      logger.warning(`Failed to load supporting social posts for ${symbol}:`, error.message);
+    }
+    
+    try {
+      // 고래 점수 계산 시 캐시된 데이터를 재사용 (추가 API 호출 없음)
+      const whaleData = await this.cacheService.getWhaleData(symbol.toLowerCase());
+      
+      items.whale = (whaleData?.transactions || [])
+        .map(tx => ({
+          hash: tx.hash || tx.txHash || null,
+          value: tx.total || tx.value || 0,
+          timestamp: tx.received || tx.timestamp || whaleData.timestamp || null
+        }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, limit);
+    } catch (error) {
+      logger.warning(`Failed to load supporting whale transactions for ${symbol}:`, error.message);
+    }
+    
+    return items;
+  }
+
+  // 신호 스냅샷 및 성과 추적 대상 저장 (실패해도 신호 계산은 계속 진행)
+  async recordSignalSnapshot(signal) {
+    try {
+      const SignalSnapshot = require('../models/SignalSnapshot');
+      const snapshot = await SignalSnapshot.recordFromSignal(signal);
+      await this.signalOutcomeService.recordEmission(signal, snapshot._id);
+    } catch (error) {
+      logger.warning(`Failed to record signal snapshot for ${signal.symbol}:`, error.message);
+    }
+  }
+
   // 가격 모멘텀 점수 계산 (더 극단적인 점수 생성)
   calculatePriceScore(priceData) {
     try {
@@ -599,8 +776,12 @@ class SignalCalculatorService {
     return Math.max(0, Math.min(100, finalScore));
   }
 
-  // 추천 액션 결정
-  getRecommendation(score) {
+  // 추천 액션 결정 (캘리브레이션 확률이 있으면 실측 확률 기준)
+  getRecommendation(score, calibratedProbability = null) {
+    if (calibratedProbability !== null && calibratedProbability !== undefined) {
+      return this.scoreCalibrationService.getRecommendation(calibratedProbability);
+    }
+    
     if (score >= 85) {
       return { action: 'STRONG_BUY', confidence: 'HIGH' };
     } else if (score >= 75) {
@@ -695,47 +876,54 @@ class SignalCalculatorService {
   }
   
   // 동적 가중치로 최종 점수 계산
-  calculateFinalScoreWithDynamicWeights(scores, weights) {
+  calculateFinalScoreWithDynamicWeights(scores, weights, marketCondition = null) {
     try {
-      let finalScore = 0;
-      
-      // 기본 점수들
-      finalScore += scores.price * weights.price;
-      finalScore += scores.volume * weights.volume;
-      finalScore += scores.market * weights.market;
-      finalScore += scores.sentiment * weights.sentiment;
-      finalScore += scores.whale * weights.whale;
-      
-      // 변동성 점수 (시장 상황에 따라)
-      if (weights.volatility) {
-        finalScore += scores.volatility * weights.volatility;
-      }
-      
-      // 상관관계 보정 점수
-      if (weights.correlation) {
-        finalScore += scores.correlation * weights.correlation;
-      }
-      
-      // 거시경제 보정 점수
-      if (weights.macro) {
-        finalScore += scores.macro * weights.macro;
-      }
-      
-      // 시장 상황 보정 계수
-      const marketCorrectionFactor = this.getMarketCorrectionFactor();
-      finalScore *= marketCorrectionFactor;
-      
-      // 모멘텀 지속성 계수
-      const momentumPersistenceFactor = this.getMomentumPersistenceFactor(scores);
-      finalScore *= momentumPersistenceFactor;
-      
-      return Math.max(0, Math.min(100, finalScore));
+      return this.composeFinalScore(scores, weights, marketCondition).finalScore;
     } catch (error) {
       logger.error('Dynamic final score calculation failed:', error);
       return 50;
     }
   }
   
+  // 최종 점수 구성 (가중합 + 정규화/보정 계수) - 설명(explanation)에도 그대로 사용
+  composeFinalScore(scores, weights, marketCondition = null) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+    
+    // 등록된 요소별 점수 × 가중치
+    Object.entries(scores).forEach(([factor, score]) => {
+      const weight = weights[factor] || 0;
+      weightedSum += score * weight;
+      totalWeight += weight;
+    });
+    
+    // 추가 요소로 가중치 합이 시장 상황별 기본 합을 넘으면 비율을 유지하며 정규화
+    let weightNormalization = 1;
+    if (marketCondition) {
+      const weightBudget = Object.values(this.getDynamicWeights(marketCondition)).reduce((sum, weight) => sum + weight, 0);
+      if (totalWeight > weightBudget) {
+        weightNormalization = weightBudget / totalWeight;
+      }
+    }
+    
+    // 시장 상황 보정 계수
+    const marketCorrection = this.getMarketCorrectionFactor();
+    
+    // 모멘텀 지속성 계수
+    const momentumPersistence = this.getMomentumPersistenceFactor(scores);
+    
+    const finalScore = weightedSum * weightNormalization * marketCorrection * momentumPersistence;
+    
+    return {
+      weightedSum,
+      totalWeight,
+      weightNormalization,
+      marketCorrection,
+      momentumPersistence,
+      finalScore: Math.max(0, Math.min(100, finalScore))
+    };
+  }
+  
   // 시장 상황 보정 계수
   getMarketCorrectionFactor() {
     const hour = new Date().getHours();
@@ -765,7 +953,7 @@ class SignalCalculatorService {
   }
 
   // 보편적인 전략 분류 로직 (변동성 + 거래량 + 시장 규모 + 점수 기반)
-  async determineStrategy(score, volatility, volumeRatio, priceData = {}) {
+  async determineStrategy(score, volatility, volumeRatio, priceData = {}, liquidity = null) {
     try {
       const marketCapRank = priceData.market_cap_rank || 999999;
       const absVolatility = Math.abs(volatility);
@@ -790,9 +978,11 @@ class SignalCalculatorService {
       
       // 리스크 점수 계산
       const riskScore = this.calculateRiskScore(priceData, volatility, volumeRatio);
-      const liquidityGrade = this.getLiquidityGrade(marketCapRank, volumeRatio);
+      // 호가창 지표가 있으면 호가 기준 등급, 없으면 시가총액/거래량 추정
+      const liquidityGrade = liquidity ? liquidity.grade : this.getLiquidityGrade(marketCapRank, volumeRatio);
       
-      // 동적 임계값 적용
+      // 동적 임계값 적용 (최신 점수 캘리브레이션 반영)
+      await this.scoreCalibrationService.loadCalibrations();
       const adjustedThresholds = this.getAdjustedThresholds();
       
       // 최적화된 변동성 및 거래량 조건
@@ -908,18 +1098,8 @@ class SignalCalculatorService {
   // 기술적 신호 강도 계산 (RSI, MACD, 볼린저 밴드, 지지/저항 등 종합)
   async calculateTechnicalStrength(symbol, priceData) {
     try {
-      // priceData 구조 안전하게 처리
-      const currentPrice = priceData?.current_price || priceData?.currentPrice || 0;
-      const priceChange24h = priceData?.price_change_percentage_24h || priceData?.change_24h || 0;
-      const marketCapRank = priceData?.market_cap_rank || priceData?.marketCapRank || 999999;
-      const volume24h = priceData?.total_volume || priceData?.volume24h || 0;
-      const marketCap = priceData?.market_cap || priceData?.marketCap || 0;
-      
-      // 과거 가격 데이터 생성 (실제로는 API에서 가져와야 함)
-      const historicalPrices = this.generateHistoricalPrices(currentPrice, priceChange24h);
-      
-      // 실제 기술적 분석 서비스 사용
-      const technicalAnalysis = await this.technicalAnalysisService.analyzeTechnicalIndicators(symbol, priceData);
+      // 저장된 실제 캔들로 멀티 타임프레임 분석 (컨플루언스 반영 점수)
+      const technicalAnalysis = await this.technicalAnalysisService.analyzeMultiTimeframe(symbol, priceData);
       const technicalStrength = technicalAnalysis.technicalScore;
       
       return Math.min(Math.max(technicalStrength, 0), 1); // 0-1 범위로 제한
@@ -929,27 +1109,28 @@ class SignalCalculatorService {
     }
   }
   
-  // 과거 가격 데이터 생성 (실제로는 API에서 가져와야 함)
-  generateHistoricalPrices(currentPrice, priceChange24h) {
+  // 전략 시장 데이터용 기술적 지표 (신호 타임프레임 간격의 저장 캔들 기준)
+  // ATR은 캔들 호가 통화와 무관하도록 비율로 받아 현재가(USD)에 적용
+  async getStrategyTechnicals(symbol, priceData, timeframe) {
+    const interval = this.timeframeIntervals[timeframe];
+    if (!interval) return {};
+
     try {
-      const prices = [];
-      const basePrice = currentPrice / (1 + priceChange24h / 100);
-      
-      // 30일간의 가격 데이터 생성 (실제로는 CoinGecko API에서 가져와야 함)
-      for (let i = 30; i >= 0; i--) {
-        const randomChange = (Math.random() - 0.5) * 0.1; // ±5% 랜덤 변동
-        const price = basePrice * (1 + randomChange);
-        prices.push(price);
-      }
-      
-      return prices;
+      const analysis = await this.technicalAnalysisService.analyzeTechnicalIndicators(symbol, priceData, { interval });
+      if (analysis.insufficientData) return {};
+
+      const atrPercent = analysis.atr ? analysis.atr.percent : null;
+      return {
+        atr: atrPercent !== null && priceData.current_price > 0 ? priceData.current_price * atrPercent / 100 : null,
+        patterns: analysis.patterns || null, // 스윙 진입 패턴 확인
+        divergences: analysis.divergences || [] // 스윙 모멘텀 청산
+      };
     } catch (error) {
-      logger.error('Historical prices generation failed:', error);
-      return [currentPrice]; // 기본값
+      logger.error(`Strategy technicals failed for ${symbol}:`, error);
+      return {};
     }
   }
   
-
   // 리스크 점수 계산
   calculateRiskScore(priceData, volatility, volumeRatio) {
     try {
@@ -1024,7 +1205,14 @@ class SignalCalculatorService {
   // 동적 임계값 조정 (백테스팅 성과 기반)
   getAdjustedThresholds() {
     try {
-      const adjusted = { ...this.dynamicThresholds };
+      const adjusted = {};
+      Object.entries(this.dynamicThresholds).forEach(([timeframe, thresholds]) => {
+        adjusted[timeframe] = { ...thresholds };
+      });
+      
+      const metricTimeframes = Object.fromEntries(
+        Object.entries(this.timeframeMetricKeys).map(([signalTimeframe, key]) => [key, signalTimeframe])
+      );
       
       // 각 타임프레임별 성과 기반 조정
       Object.keys(this.performanceMetrics).forEach(timeframe => {
@@ -1033,6 +1221,14 @@ class SignalCalculatorService {
         const current = metrics.current;
         const samples = metrics.samples;
         
+        // 캘리브레이션은 점수별 실측 상승 확률 P(up)이므로 BUY 적중률로만 해석할 수 있다 (SELL 적중률은 1 - P(up)).
+        // 목표 적중률에 도달하는 점수는 BUY 임계값(buyScore)에만 쓰고, 공통 임계값(score)은 성과 기반으로 조정한다.
+        const calibratedScore = this.scoreCalibrationService.getScoreForProbability(metricTimeframes[timeframe], target);
+        if (calibratedScore !== null) {
+          adjusted[timeframe].buyScore = calibratedScore;
+          adjusted[timeframe].calibrated = true;
+        }
+        
         // 충분한 샘플이 있을 때만 조정
         if (samples >= 10) {
           const performanceRatio = current / target;
@@ -1075,13 +1271,36 @@ class SignalCalculatorService {
     }
   }
   
+  // 실제 신호 성과(forward return)로 성과 메트릭 동기화
+  async syncPerformanceMetrics(days = 30) {
+    const outcomeReport = await this.signalOutcomeService.getPerformanceReport(days);
+    
+    Object.entries(this.timeframeMetricKeys).forEach(([timeframe, key]) => {
+      const stats = outcomeReport.byTimeframe[timeframe];
+      if (stats) {
+        this.performanceMetrics[key].current = stats.hitRate;
+        this.performanceMetrics[key].samples = stats.samples;
+      }
+    });
+    
+    return outcomeReport;
+  }
+  
   // 성과 리포트 생성
-  generatePerformanceReport() {
+  async generatePerformanceReport(days = 30) {
     try {
+      let outcomes = null;
+      try {
+        outcomes = await this.syncPerformanceMetrics(days);
+      } catch (error) {
+        logger.warning('Failed to load signal outcomes for performance report:', error.message);
+      }
+      
       const report = {
         timestamp: new Date().toISOString(),
         metrics: {},
-        recommendations: []
+        recommendations: [],
+        outcomes
       };
       
       Object.keys(this.performanceMetrics).forEach(timeframe => {
@@ -0,0 +1,257 @@
+const logger = require('../utils/logger');
+const SignalOutcome = require('../models/SignalOutcome');
+const SignalSnapshot = require('../models/SignalSnapshot');
+const Coin = require('../models/Coin');
+
+class SignalOutcomeService {
+  constructor() {
+    // timeframe별 평가 시점 (분)
+    this.horizons = {
+      SCALPING: 15,              // 15분
+      DAY_TRADING: 4 * 60,       // 4시간
+      SWING_TRADING: 3 * 24 * 60, // 3일
+      LONG_TERM: 14 * 24 * 60    // 2주
+    };
+
+    // 평가 시점 이후 가격을 찾을 수 있는 허용 범위 (분) - 넘으면 EXPIRED
+    this.priceTolerance = {
+      SCALPING: 10,
+      DAY_TRADING: 60,
+      SWING_TRADING: 6 * 60,
+      LONG_TERM: 24 * 60
+    };
+
+    // 적중으로 인정하는 최소 가격 변화 (%) - HOLD는 이 범위 안에 머물러야 적중
+    this.minMove = {
+      SCALPING: 0.2,
+      DAY_TRADING: 0.5,
+      SWING_TRADING: 1.5,
+      LONG_TERM: 3.0
+    };
+
+    this.buyActions = ['STRONG_BUY', 'BUY'];
+    this.sellActions = ['WEAK_SELL', 'SELL', 'STRONG_SELL'];
+  }
+
+  // 신호 발생 기록 (발생 시점 가격 저장)
+  async recordEmission(signal, snapshotId = null) {
+    const horizonMinutes = this.horizons[signal.timeframe];
+    if (!horizonMinutes || !signal.currentPrice || !signal.recommendation?.action) {
+      return null;
+    }
+
+    const emittedAt = signal.metadata?.lastUpdated ? new Date(signal.metadata.lastUpdated) : new Date();
+
+    return await SignalOutcome.create({
+      snapshotId,
+      coinId: signal.coinId,
+      symbol: signal.symbol,
+      finalScore: signal.finalScore,
+      scoreBucket: this.getScoreBucket(signal.finalScore),
+      action: signal.recommendation.action,
+      timeframe: signal.timeframe,
+      entryPrice: signal.currentPrice,
+      emittedAt,
+      horizonMinutes,
+      dueAt: new Date(emittedAt.getTime() + horizonMinutes * 60 * 1000)
+    });
+  }
+
+  // 점수 구간 (10점 단위, 100점은 90 구간에 포함)
+  getScoreBucket(score) {
+    return Math.min(90, Math.max(0, Math.floor(score / 10) * 10));
+  }
+
+  // 수익률 계산 (%)
+  calculateForwardReturn(entryPrice, exitPrice) {
+    if (!entryPrice || entryPrice <= 0) return 0;
+    return ((exitPrice - entryPrice) / entryPrice) * 100;
+  }
+
+  // 추천 액션 대비 적중 여부 판정
+  classifyOutcome(action, forwardReturn, timeframe) {
+    const minMove = this.minMove[timeframe] || 0;
+
+    if (this.buyActions.includes(action)) {
+      return forwardReturn >= minMove ? 'HIT' : 'MISS';
+    }
+
+    if (this.sellActions.includes(action)) {
+      return forwardReturn <= -minMove ? 'HIT' : 'MISS';
+    }
+
+    // HOLD: 의미 있는 움직임이 없어야 적중
+    return Math.abs(forwardReturn) < minMove ? 'HIT' : 'MISS';
+  }
+
+  // 평가 시점이 지난 신호들의 성과 채우기
+  async evaluatePendingOutcomes(now = new Date(), limit = 2000) {
+    const result = { evaluated: 0, hits: 0, misses: 0, expired: 0, pending: 0 };
+
+    try {
+      const dueOutcomes = await SignalOutcome.findDue(now, limit);
+
+      if (dueOutcomes.length === 0) {
+        return result;
+      }
+
+      // 코인별로 묶어서 가격 조회 횟수 최소화
+      const byCoin = new Map();
+      dueOutcomes.forEach(outcome => {
+        if (!byCoin.has(outcome.coinId)) {
+          byCoin.set(outcome.coinId, []);
+        }
+        byCoin.get(outcome.coinId).push(outcome);
+      });
+
+      for (const [coinId, outcomes] of byCoin.entries()) {
+        try {
+          const pricePoints = await this.loadPricePoints(coinId, outcomes);
+
+          for (const outcome of outcomes) {
+            const exit = this.findExitPrice(outcome, pricePoints);
+            const toleranceMs = (this.priceTolerance[outcome.timeframe] || 60) * 60 * 1000;
+
+            if (exit) {
+              outcome.exitPrice = exit.price;
+              outcome.exitPriceAt = exit.timestamp;
+              outcome.forwardReturn = Math.round(this.calculateForwardReturn(outcome.entryPrice, exit.price) * 10000) / 10000;
+              outcome.status = this.classifyOutcome(outcome.action, outcome.forwardReturn, outcome.timeframe);
+              outcome.evaluatedAt = now;
+              await outcome.save();
+
+              result.evaluated++;
+              if (outcome.status === 'HIT') result.hits++;
+              else result.misses++;
+            } else if (now.getTime() - outcome.dueAt.getTime() > toleranceMs) {
+              // 허용 범위 내 가격이 없으면 평가 불가
+              outcome.status = 'EXPIRED';
+              outcome.evaluatedAt = now;
+              await outcome.save();
+              result.expired++;
+            } else {
+              result.pending++;
+            }
+          }
+        } catch (error) {
+          logger.error(`Outcome evaluation failed for ${coinId}:`, error.message);
+        }
+      }
+
+      logger.success(`Signal outcomes evaluated: ${result.evaluated} (hit ${result.hits}, miss ${result.misses}, expired ${result.expired})`);
+      return result;
+    } catch (error) {
+      logger.error('Signal outcome evaluation failed:', error);
+      return { ...result, error: error.message };
+    }
+  }
+
+  // 평가 구간의 가격 포인트 조회 (신호 스냅샷 + 최신 코인 가격)
+  async loadPricePoints(coinId, outcomes) {
+    const earliestDue = new Date(Math.min(...outcomes.map(o => o.dueAt.getTime())));
+    const maxTolerance = Math.max(...outcomes.map(o => this.priceTolerance[o.timeframe] || 60));
+    const latest = new Date(Math.max(...outcomes.map(o => o.dueAt.getTime())) + maxTolerance * 60 * 1000);
+
+    const snapshots = await SignalSnapshot.find({
+      coinId,
+      createdAt: { $gte: earliestDue, $lte: latest },
+      currentPrice: { $gt: 0 }
+    })
+      .sort({ createdAt: 1 })
+      .select('currentPrice createdAt')
+      .lean();
+
+    const pricePoints = snapshots.map(snapshot => ({
+      price: snapshot.currentPrice,
+      timestamp: snapshot.createdAt
+    }));
+
+    const coin = await Coin.findOne({ coinId }).select('currentPrice lastUpdated').lean();
+    if (coin && coin.currentPrice > 0 && coin.lastUpdated) {
+      pricePoints.push({ price: coin.currentPrice, timestamp: coin.lastUpdated });
+      pricePoints.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    return pricePoints;
+  }
+
+  // 평가 시점 이후 허용 범위 내 첫 가격 선택
+  findExitPrice(outcome, pricePoints) {
+    const dueTime = new Date(outcome.dueAt).getTime();
+    const toleranceMs = (this.priceTolerance[outcome.timeframe] || 60) * 60 * 1000;
+
+    const point = pricePoints.find(p => {
+      const time = new Date(p.timestamp).getTime();
+      return time >= dueTime && time <= dueTime + toleranceMs;
+    });
+
+    return point ? { price: point.price, timestamp: new Date(point.timestamp) } : null;
+  }
+
+  // timeframe별 / 점수 구간별 적중률 리포트
+  async getPerformanceReport(days = 30) {
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+    const rows = await SignalOutcome.getHitRateStats(since);
+    const pending = await SignalOutcome.countDocuments({ status: 'PENDING' });
+
+    return {
+      since,
+      pending,
+      ...this.buildHitRateReport(rows)
+    };
+  }
+
+  // 집계 결과를 timeframe / 점수 구간 / 교차표 형태로 정리
+  buildHitRateReport(rows) {
+    const byTimeframe = {};
+    const byScoreBucket = {};
+    const matrix = [];
+
+    const accumulate = (target, key, row) => {
+      if (!target[key]) {
+        target[key] = { samples: 0, hits: 0, returnSum: 0 };
+      }
+      target[key].samples += row.samples;
+      target[key].hits += row.hits;
+      target[key].returnSum += (row.avgReturn || 0) * row.samples;
+    };
+
+    rows.forEach(row => {
+      const { timeframe, scoreBucket } = row._id;
+      const bucketLabel = `${scoreBucket}-${scoreBucket + 10}`;
+
+      accumulate(byTimeframe, timeframe, row);
+      accumulate(byScoreBucket, bucketLabel, row);
+
+      matrix.push({
+        timeframe,
+        scoreBucket: bucketLabel,
+        samples: row.samples,
+        hits: row.hits,
+        hitRate: row.samples > 0 ? Math.round((row.hits / row.samples) * 10000) / 10000 : 0,
+        avgReturn: Math.round((row.avgReturn || 0) * 10000) / 10000
+      });
+    });
+
+    const finalize = (groups) => {
+      const finalized = {};
+      Object.entries(groups).forEach(([key, group]) => {
+        finalized[key] = {
+          samples: group.samples,
+          hits: group.hits,
+          hitRate: group.samples > 0 ? Math.round((group.hits / group.samples) * 10000) / 10000 : 0,
+          avgReturn: group.samples > 0 ? Math.round((group.returnSum / group.samples) * 10000) / 10000 : 0
+        };
+      });
+      return finalized;
+    };
+
+    return {
+      byTimeframe: finalize(byTimeframe),
+      byScoreBucket: finalize(byScoreBucket),
+      matrix
+    };
+  }
+}
+
+module.exports = SignalOutcomeService;
@@ -1,24 +1,46 @@
 const logger = require('../utils/logger');
-const axios = require('axios');
+const CandleService = require('./CandleService');
+const { calculate, last, PatternDetector, DivergenceDetector } = require('../indicators');
 
 class TechnicalAnalysisService {
   constructor() {
-    this.coinGeckoService = null;
+    this.candleService = new CandleService();
+    this.patternDetector = new PatternDetector();
+    this.divergenceDetector = new DivergenceDetector();
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5분 캐시
+    this.minBars = 30; // MACD(26) + 여유분
+
+    // 멀티 타임프레임 기본 간격과 컨플루언스 가중치 (상위 타임프레임일수록 큼)
+    this.defaultIntervals = (process.env.TECHNICAL_INTERVALS || '5m,1h,4h,1d').split(',').map(i => i.trim()).filter(Boolean);
+    this.timeframeWeights = {
+      '1m': 0.5,
+      '5m': 0.75,
+      '15m': 1.0,
+      '30m': 1.0,
+      '1h': 1.25,
+      '4h': 1.5,
+      '1d': 2.0
+    };
   }
 
-  // 메인 기술적 분석 메서드
-  async analyzeTechnicalIndicators(symbol, priceData) {
+  // 메인 기술적 분석 메서드 (저장된 실제 캔들 기준)
+  async analyzeTechnicalIndicators(symbol, priceData = {}, options = {}) {
+    const interval = options.interval || '1d';
+
     try {
-      logger.info(`Starting technical analysis for ${symbol}`);
+      logger.info(`Starting technical analysis for ${symbol} (${interval})`);
       
-      // 과거 가격 데이터 가져오기 (최근 30일)
-      const historicalData = await this.getHistoricalPriceData(symbol, 30);
+      // 과거 캔들 가져오기
+      const { exchange, series: historicalData } = await this.getHistoricalPriceData(symbol, {
+        interval,
+        coinId: priceData.id || priceData.coinId,
+        limit: options.limit || 100
+      });
       
-      if (!historicalData || historicalData.length < 14) {
-        logger.warning(`Insufficient historical data for ${symbol}, using simplified analysis`);
-        return this.getSimplifiedTechnicalAnalysis(priceData);
+      if (!historicalData || historicalData.length < this.minBars) {
+        logger.warning(`Insufficient candle data for ${symbol} (${interval}), returning neutral analysis`);
+        return this.getNeutralTechnicalAnalysis(interval, historicalData ? historicalData.length : 0);
       }
 
       // 기술적 지표 계산
@@ -27,7 +49,10 @@ class TechnicalAnalysisService {
       const bollingerBands = this.calculateBollingerBands(historicalData);
       const movingAverages = this.calculateMovingAverages(historicalData);
       const supportResistance = this.calculateSupportResistance(historicalData);
-      const volumeAnalysis = this.analyzeVolume(historicalData, priceData);
+      const volumeAnalysis = this.analyzeVolume(historicalData);
+      const advanced = this.calculateAdvancedIndicators(historicalData, bollingerBands);
+      const patterns = this.detectPatterns(historicalData);
+      const divergences = this.detectDivergences(historicalData);
       
       // 종합 기술적 점수 계산
       const technicalScore = this.calculateTechnicalScore({
@@ -37,7 +62,7 @@ class TechnicalAnalysisService {
         movingAverages,
         supportResistance,
         volumeAnalysis,
-        currentPrice: priceData.current_price
+        currentPrice: historicalData[historicalData.length - 1].price
       });
 
       const analysis = {
@@ -47,6 +72,9 @@ class TechnicalAnalysisService {
         movingAverages,
         supportResistance,
         volumeAnalysis,
+        ...advanced,
+        patterns,
+        divergences,
         technicalScore,
         signals: this.generateTechnicalSignals({
           rsi,
@@ -54,8 +82,17 @@ class TechnicalAnalysisService {
           bollingerBands,
           movingAverages,
           supportResistance,
-          volumeAnalysis
+          volumeAnalysis,
+          ...advanced,
+          patterns,
+          divergences
         }),
+        source: {
+          exchange,
+          interval,
+          bars: historicalData.length,
+          lastCandle: new Date(historicalData[historicalData.length - 1].timestamp)
+        },
         timestamp: new Date()
       };
 
@@ -64,55 +101,110 @@ class TechnicalAnalysisService {
 
     } catch (error) {
       logger.error(`Technical analysis failed for ${symbol}:`, error);
-      return this.getSimplifiedTechnicalAnalysis(priceData);
+      return this.getNeutralTechnicalAnalysis(interval, 0);
+    }
+  }
+
+  // 멀티 타임프레임 분석 (간격별 지표 + 추세 컨플루언스)
+  async analyzeMultiTimeframe(symbol, priceData = {}, intervals = this.defaultIntervals) {
+    const analyses = await Promise.all(
+      intervals.map(interval => this.analyzeTechnicalIndicators(symbol, priceData, { interval }))
+    );
+
+    const timeframes = {};
+    intervals.forEach((interval, index) => {
+      timeframes[interval] = {
+        ...analyses[index],
+        trend: this.getTimeframeTrend(analyses[index])
+      };
+    });
+
+    const confluence = this.calculateConfluence(timeframes);
+
+    logger.info(`Multi-timeframe analysis for ${symbol}: ${confluence.trend} (agreement ${confluence.agreement.toFixed(2)})`);
+
+    return {
+      intervals,
+      timeframes,
+      confluence,
+      technicalScore: confluence.technicalScore,
+      timestamp: new Date()
+    };
+  }
+
+  // 간격별 추세 판정
+  getTimeframeTrend(analysis) {
+    if (analysis.insufficientData) return 'UNKNOWN';
+    if (analysis.technicalScore >= 0.55) return 'BULLISH';
+    if (analysis.technicalScore <= 0.45) return 'BEARISH';
+    return 'NEUTRAL';
+  }
+
+  // 컨플루언스 계산
+  // 간격별 방향(+1/0/-1)을 타임프레임 가중치로 평균해 일치도를 구하고,
+  // 종합 점수는 가중 평균 점수를 일치도만큼만 중립에서 벌림 (엇갈리면 0.5 쪽으로 수렴)
+  calculateConfluence(timeframes) {
+    const direction = { BULLISH: 1, NEUTRAL: 0, BEARISH: -1 };
+    const grouped = { bullish: [], bearish: [], neutral: [], unknown: [] };
+    let weightSum = 0;
+    let weightedDirection = 0;
+    let weightedScore = 0;
+
+    Object.entries(timeframes).forEach(([interval, analysis]) => {
+      grouped[analysis.trend.toLowerCase()].push(interval);
+      if (analysis.trend === 'UNKNOWN') return;
+
+      const weight = this.timeframeWeights[interval] || 1;
+      weightSum += weight;
+      weightedDirection += direction[analysis.trend] * weight;
+      weightedScore += analysis.technicalScore * weight;
+    });
+
+    if (weightSum === 0) {
+      return { trend: 'NEUTRAL', score: 0.5, agreement: 0, technicalScore: 0.5, ...grouped };
     }
+
+    const bias = weightedDirection / weightSum; // -1 ~ 1
+    const agreement = Math.abs(bias);
+    const meanScore = weightedScore / weightSum;
+    const technicalScore = 0.5 + (meanScore - 0.5) * (0.5 + 0.5 * agreement);
+
+    let trend = 'NEUTRAL';
+    if (bias >= 0.3) trend = 'BULLISH';
+    else if (bias <= -0.3) trend = 'BEARISH';
+
+    return {
+      trend,
+      score: Math.round(((bias + 1) / 2) * 1000) / 1000,
+      agreement: Math.round(agreement * 1000) / 1000,
+      technicalScore: Math.min(Math.max(technicalScore, 0), 1),
+      ...grouped
+    };
   }
 
-  // 과거 가격 데이터 가져오기
-  async getHistoricalPriceData(symbol, days = 30) {
+  // 과거 캔들 시계열 가져오기
+  async getHistoricalPriceData(symbol, { interval = '1d', coinId, limit = 100 } = {}) {
     try {
-      const cacheKey = `historical_${symbol}_${days}`;
+      const cacheKey = `historical_${symbol}_${interval}_${limit}`;
       const cached = this.cache.get(cacheKey);
       
       if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
         return cached.data;
       }
 
-      // CoinGecko API를 통해 과거 데이터 가져오기
-      const response = await axios.get(
-        `https://api.coingecko.com/api/v3/coins/${symbol}/market_chart`,
-        {
-          params: {
-            vs_currency: 'usd',
-            days: days,
-            interval: 'daily'
-          },
-          headers: {
-            'x-cg-demo-api-key': process.env.COINGECKO_API_KEY
-          },
-          timeout: 10000
-        }
-      );
-
-      const data = response.data;
-      const historicalData = data.prices.map((price, index) => ({
-        timestamp: price[0],
-        price: price[1],
-        volume: data.total_volumes[index] ? data.total_volumes[index][1] : 0,
-        marketCap: data.market_caps[index] ? data.market_caps[index][1] : 0
-      }));
+      const data = await this.candleService.getPriceSeries(symbol, { interval, coinId, limit });
 
       // 캐시에 저장
       this.cache.set(cacheKey, {
-        data: historicalData,
+        data,
         timestamp: Date.now()
       });
 
-      return historicalData;
+      return data;
 
     } catch (error) {
-      logger.error(`Failed to get historical data for ${symbol}:`, error);
-      return null;
+      logger.error(`Failed to get candle data for ${symbol}:`, error);
+      return { exchange: null, series: [] };
     }
   }
 
@@ -123,25 +215,7 @@ class TechnicalAnalysisService {
         return { value: 50, signal: 'NEUTRAL', strength: 0.5 };
       }
 
-      const gains = [];
-      const losses = [];
-
-      for (let i = 1; i < prices.length; i++) {
-        const change = prices[i].price - prices[i - 1].price;
-        gains.push(change > 0 ? change : 0);
-        losses.push(change < 0 ? Math.abs(change) : 0);
-      }
-
-      let avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
-      let avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
-
-      for (let i = period; i < gains.length; i++) {
-        avgGain = (avgGain * (period - 1) + gains[i]) / period;
-        avgLoss = (avgLoss * (period - 1) + losses[i]) / period;
-      }
-
-      const rs = avgGain / (avgLoss || 0.0001);
-      const rsi = 100 - (100 / (1 + rs));
+      const rsi = last(calculate.rsi(prices, period));
 
       let signal = 'NEUTRAL';
       let strength = 0.5;
@@ -179,21 +253,14 @@ class TechnicalAnalysisService {
         return { macd: 0, signal: 0, histogram: 0, trend: 'NEUTRAL', strength: 0.5 };
       }
 
-      const ema12 = this.calculateEMA(prices, fastPeriod);
-      const ema26 = this.calculateEMA(prices, slowPeriod);
-      
-      const macdLine = ema12 - ema26;
-      
-      // MACD 시그널 라인 계산 (MACD의 EMA)
-      const macdValues = [];
-      for (let i = slowPeriod - 1; i < prices.length; i++) {
-        const fastEMA = this.calculateEMA(prices.slice(0, i + 1), fastPeriod);
-        const slowEMA = this.calculateEMA(prices.slice(0, i + 1), slowPeriod);
-        macdValues.push(fastEMA - slowEMA);
+      const latest = last(calculate.macd(prices, fastPeriod, slowPeriod, signalPeriod));
+      if (!latest || latest.signal === null) {
+        return { macd: 0, signal: 0, histogram: 0, trend: 'NEUTRAL', strength: 0.5 };
       }
-      
-      const signalLine = this.calculateEMAFromValues(macdValues, signalPeriod);
-      const histogram = macdLine - signalLine;
+
+      const macdLine = latest.macd;
+      const signalLine = latest.signal;
+      const histogram = latest.histogram;
 
       let trend = 'NEUTRAL';
       let strength = 0.5;
@@ -222,30 +289,8 @@ class TechnicalAnalysisService {
 
   // EMA 계산
   calculateEMA(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1].price;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0].price;
-    
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i].price * multiplier) + (ema * (1 - multiplier));
-    }
-    
-    return ema;
-  }
-
-  // 값 배열에서 EMA 계산
-  calculateEMAFromValues(values, period) {
-    if (values.length < period) return values[values.length - 1] || 0;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = values[0];
-    
-    for (let i = 1; i < values.length; i++) {
-      ema = (values[i] * multiplier) + (ema * (1 - multiplier));
-    }
-    
-    return ema;
+    const ema = last(calculate.ema(prices, period));
+    return ema === null ? prices[prices.length - 1].price : ema;
   }
 
   // 볼린저 밴드 계산
@@ -262,14 +307,10 @@ class TechnicalAnalysisService {
         };
       }
 
-      const recentPrices = prices.slice(-period);
-      const sma = recentPrices.reduce((sum, p) => sum + p.price, 0) / period;
-      
-      const variance = recentPrices.reduce((sum, p) => sum + Math.pow(p.price - sma, 2), 0) / period;
-      const standardDeviation = Math.sqrt(variance);
-      
-      const upperBand = sma + (stdDev * standardDeviation);
-      const lowerBand = sma - (stdDev * standardDeviation);
+      const bands = last(calculate.bollinger(prices, period, stdDev));
+      const sma = bands.middle;
+      const upperBand = bands.upper;
+      const lowerBand = bands.lower;
       
       const currentPrice = prices[prices.length - 1].price;
       
@@ -374,10 +415,10 @@ class TechnicalAnalysisService {
       }
 
       const recentPrices = prices.slice(-20);
-      const highs = recentPrices.map(p => p.price);
-      const lows = recentPrices.map(p => p.price);
+      const highs = recentPrices.map(p => p.high ?? p.price);
+      const lows = recentPrices.map(p => p.low ?? p.price);
       
-      // 간단한 지지/저항 계산
+      // 최근 20봉 고가/저가 기준 지지/저항
       const resistance = Math.max(...highs);
       const support = Math.min(...lows);
       const currentPrice = prices[prices.length - 1].price;
@@ -408,18 +449,23 @@ class TechnicalAnalysisService {
     }
   }
 
-  // 거래량 분석
-  analyzeVolume(historicalData, currentData) {
+  // 거래량 분석 (마지막 봉 거래량 vs 직전 10봉 평균)
+  analyzeVolume(historicalData) {
     try {
-      if (historicalData.length < 10) {
+      if (historicalData.length < 11) {
         return { trend: 'NEUTRAL', strength: 0.5, ratio: 1 };
       }
 
-      const recentVolumes = historicalData.slice(-10).map(d => d.volume);
+      const recentVolumes = historicalData.slice(-11, -1).map(d => d.volume || 0);
       const avgVolume = recentVolumes.reduce((sum, v) => sum + v, 0) / recentVolumes.length;
-      const currentVolume = currentData.total_volume || 0;
+      const currentVolume = historicalData[historicalData.length - 1].volume || 0;
+
+      // 거래량을 제공하지 않는 소스 (CoinGecko OHLC)
+      if (avgVolume === 0) {
+        return { trend: 'NEUTRAL', strength: 0.5, ratio: 1 };
+      }
       
-      const volumeRatio = currentVolume / (avgVolume || 1);
+      const volumeRatio = currentVolume / avgVolume;
       
       let trend = 'NEUTRAL';
       let strength = 0.5;
@@ -447,6 +493,107 @@ class TechnicalAnalysisService {
     }
   }
 
+  // 확장 지표 (ATR, ADX/DMI, 스토캐스틱 RSI, OBV, VWAP, 일목균형표, 켈트너 채널)
+  calculateAdvancedIndicators(prices, bollingerBands = null) {
+    try {
+      const currentPrice = prices[prices.length - 1].price;
+
+      const atr = last(calculate.atr(prices));
+      const dmi = last(calculate.adx(prices));
+      const stoch = last(calculate.stochRsi(prices));
+      const obvSeries = calculate.obv(prices);
+      const vwap = last(calculate.vwap(prices));
+      const ichimoku = last(calculate.ichimoku(prices));
+      const keltner = last(calculate.keltner(prices));
+
+      // OBV 추세 (10봉 전 대비)
+      const obvNow = last(obvSeries);
+      const obvBefore = obvSeries.length > 10 ? obvSeries[obvSeries.length - 11] : obvSeries[0];
+      let obvTrend = 'FLAT';
+      if (obvNow > obvBefore) obvTrend = 'RISING';
+      else if (obvNow < obvBefore) obvTrend = 'FALLING';
+
+      let ichimokuPosition = null;
+      if (ichimoku && ichimoku.cloud) {
+        if (currentPrice > ichimoku.cloud.top) ichimokuPosition = 'ABOVE_CLOUD';
+        else if (currentPrice < ichimoku.cloud.bottom) ichimokuPosition = 'BELOW_CLOUD';
+        else ichimokuPosition = 'IN_CLOUD';
+      }
+
+      let keltnerPosition = null;
+      if (keltner) {
+        if (currentPrice > keltner.upper) keltnerPosition = 'ABOVE_UPPER';
+        else if (currentPrice < keltner.lower) keltnerPosition = 'BELOW_LOWER';
+        else keltnerPosition = 'INSIDE';
+      }
+
+      return {
+        atr: {
+          value: atr,
+          percent: atr !== null && currentPrice > 0 ? (atr / currentPrice) * 100 : null
+        },
+        adx: {
+          adx: dmi ? dmi.adx : null,
+          plusDI: dmi ? dmi.plusDI : null,
+          minusDI: dmi ? dmi.minusDI : null,
+          trend: dmi && dmi.adx !== null && dmi.adx >= 25
+            ? (dmi.plusDI > dmi.minusDI ? 'BULLISH' : 'BEARISH')
+            : 'RANGING'
+        },
+        stochRsi: {
+          k: stoch ? stoch.k : null,
+          d: stoch ? stoch.d : null,
+          signal: stoch && stoch.k !== null
+            ? (stoch.k <= 20 ? 'OVERSOLD' : stoch.k >= 80 ? 'OVERBOUGHT' : 'NEUTRAL')
+            : 'NEUTRAL'
+        },
+        obv: { value: obvNow, trend: obvTrend },
+        vwap: {
+          value: vwap,
+          position: vwap === null ? null : (currentPrice >= vwap ? 'ABOVE' : 'BELOW')
+        },
+        ichimoku: ichimoku ? { ...ichimoku, position: ichimokuPosition } : null,
+        keltner: keltner ? {
+          ...keltner,
+          position: keltnerPosition,
+          // 볼린저 밴드가 켈트너 채널 안으로 수축 (변동성 압축)
+          squeeze: Boolean(bollingerBands && bollingerBands.upper < keltner.upper && bollingerBands.lower > keltner.lower)
+        } : null
+      };
+
+    } catch (error) {
+      logger.error('Advanced indicator calculation failed:', error);
+      return {};
+    }
+  }
+
+  // 캔들/차트 패턴 탐지 (돌파 기준 레벨은 마지막 봉 이전 20봉의 지지/저항)
+  detectPatterns(prices) {
+    try {
+      const priorLevels = this.calculateSupportResistance(prices.slice(0, -1));
+      const supportResistance = priorLevels.support > 0 ? priorLevels : null;
+
+      return this.patternDetector.detect(prices, { supportResistance });
+    } catch (error) {
+      logger.error('Pattern detection failed:', error);
+      return { candlestick: [], chart: [] };
+    }
+  }
+
+  // 가격과 RSI/MACD/OBV 사이의 다이버전스 탐지 (MACD는 MACD선 기준)
+  detectDivergences(prices) {
+    try {
+      return this.divergenceDetector.detect(prices, {
+        RSI: calculate.rsi(prices),
+        MACD: calculate.macd(prices).map(value => (value ? value.macd : null)),
+        OBV: calculate.obv(prices)
+      });
+    } catch (error) {
+      logger.error('Divergence detection failed:', error);
+      return [];
+    }
+  }
+
   // 종합 기술적 점수 계산
   calculateTechnicalScore(indicators) {
     try {
@@ -586,198 +733,83 @@ class TechnicalAnalysisService {
       signals.push({ type: 'SELL', indicator: 'BOLLINGER', strength: indicators.bollingerBands.strength });
     }
 
-    return signals;
-  }
-
-  // 간소화된 기술적 분석 (데이터 부족 시)
-  getSimplifiedTechnicalAnalysis(priceData) {
-    try {
-      const priceChange24h = priceData.price_change_percentage_24h || 0;
-      const volumeRatio = this.calculateVolumeRatio(priceData);
-      
-      // 간단한 RSI 시뮬레이션
-      const rsi = this.simulateRSI(priceChange24h);
-      
-      // 간단한 MACD 시뮬레이션
-      const macd = this.simulateMACD(priceChange24h, volumeRatio);
-      
-      // 간단한 볼린저 밴드 시뮬레이션
-      const bollingerBands = this.simulateBollingerBands(priceData);
-      
-      // 간단한 이동평균 시뮬레이션
-      const movingAverages = this.simulateMovingAverages(priceData);
-      
-      // 간단한 지지/저항 시뮬레이션
-      const supportResistance = this.simulateSupportResistance(priceData);
-      
-      // 간단한 거래량 분석
-      const volumeAnalysis = this.simulateVolumeAnalysis(volumeRatio);
-      
-      const technicalScore = this.calculateTechnicalScore({
-        rsi,
-        macd,
-        bollingerBands,
-        movingAverages,
-        supportResistance,
-        volumeAnalysis,
-        currentPrice: priceData.current_price
+    // ADX 추세 신호 (추세 강도 25 이상)
+    if (indicators.adx && indicators.adx.trend !== 'RANGING') {
+      signals.push({
+        type: indicators.adx.trend === 'BULLISH' ? 'BUY' : 'SELL',
+        indicator: 'ADX',
+        strength: Math.min(indicators.adx.adx / 50, 1)
       });
-
-      return {
-        rsi,
-        macd,
-        bollingerBands,
-        movingAverages,
-        supportResistance,
-        volumeAnalysis,
-        technicalScore,
-        signals: this.generateTechnicalSignals({
-          rsi,
-          macd,
-          bollingerBands,
-          movingAverages,
-          supportResistance,
-          volumeAnalysis
-        }),
-        timestamp: new Date(),
-        simplified: true
-      };
-
-    } catch (error) {
-      logger.error('Simplified technical analysis failed:', error);
-      return {
-        rsi: { value: 50, signal: 'NEUTRAL', strength: 0.5 },
-        macd: { macd: 0, signal: 0, histogram: 0, trend: 'NEUTRAL', strength: 0.5 },
-        bollingerBands: { upper: 0, middle: 0, lower: 0, position: 'MIDDLE', strength: 0.5 },
-        movingAverages: { sma20: 0, sma50: 0, ema12: 0, ema26: 0, trend: 'NEUTRAL', strength: 0.5 },
-        supportResistance: { support: 0, resistance: 0, strength: 0.5 },
-        volumeAnalysis: { trend: 'NEUTRAL', strength: 0.5, ratio: 1 },
-        technicalScore: 0.5,
-        signals: [],
-        timestamp: new Date(),
-        simplified: true
-      };
     }
-  }
 
-  // 거래량 비율 계산
-  calculateVolumeRatio(priceData) {
-    try {
-      const marketCap = priceData.market_cap || 0;
-      const totalVolume = priceData.total_volume || 0;
-      
-      if (marketCap === 0) return 0;
-      
-      return totalVolume / marketCap;
-    } catch (error) {
-      return 0;
+    // 스토캐스틱 RSI 교차 신호
+    const stochRsi = indicators.stochRsi;
+    if (stochRsi && stochRsi.d !== null) {
+      if (stochRsi.signal === 'OVERSOLD' && stochRsi.k > stochRsi.d) {
+        signals.push({ type: 'BUY', indicator: 'STOCH_RSI', strength: (20 - stochRsi.k) / 20 });
+      } else if (stochRsi.signal === 'OVERBOUGHT' && stochRsi.k < stochRsi.d) {
+        signals.push({ type: 'SELL', indicator: 'STOCH_RSI', strength: (stochRsi.k - 80) / 20 });
+      }
     }
-  }
 
-  // RSI 시뮬레이션
-  simulateRSI(priceChange24h) {
-    const absChange = Math.abs(priceChange24h);
-    
-    if (priceChange24h > 0) {
-      if (absChange >= 15) return { value: 80, signal: 'OVERBOUGHT', strength: 0.8 };
-      if (absChange >= 10) return { value: 70, signal: 'BULLISH', strength: 0.6 };
-      if (absChange >= 5) return { value: 60, signal: 'BULLISH', strength: 0.4 };
-      return { value: 55, signal: 'BULLISH', strength: 0.2 };
-    } else {
-      if (absChange >= 15) return { value: 20, signal: 'OVERSOLD', strength: 0.8 };
-      if (absChange >= 10) return { value: 30, signal: 'BEARISH', strength: 0.6 };
-      if (absChange >= 5) return { value: 40, signal: 'BEARISH', strength: 0.4 };
-      return { value: 45, signal: 'BEARISH', strength: 0.2 };
+    // 일목균형표 신호 (구름 위/아래 + 전환선/기준선)
+    const ichimoku = indicators.ichimoku;
+    if (ichimoku && ichimoku.kijun !== null) {
+      if (ichimoku.position === 'ABOVE_CLOUD' && ichimoku.tenkan > ichimoku.kijun) {
+        signals.push({ type: 'BUY', indicator: 'ICHIMOKU', strength: 0.7 });
+      } else if (ichimoku.position === 'BELOW_CLOUD' && ichimoku.tenkan < ichimoku.kijun) {
+        signals.push({ type: 'SELL', indicator: 'ICHIMOKU', strength: 0.7 });
+      }
     }
-  }
 
-  // MACD 시뮬레이션
-  simulateMACD(priceChange24h, volumeRatio) {
-    const momentum = priceChange24h * volumeRatio;
-    
-    if (momentum > 10) {
-      return { macd: 0.01, signal: 0.005, histogram: 0.005, trend: 'BULLISH', strength: 0.7 };
-    } else if (momentum < -10) {
-      return { macd: -0.01, signal: -0.005, histogram: -0.005, trend: 'BEARISH', strength: 0.7 };
-    } else if (momentum > 0) {
-      return { macd: 0.005, signal: 0.002, histogram: 0.003, trend: 'BULLISH', strength: 0.4 };
-    } else {
-      return { macd: -0.005, signal: -0.002, histogram: -0.003, trend: 'BEARISH', strength: 0.4 };
+    // 캔들/차트 패턴 신호 (방향성 없는 패턴 제외)
+    if (indicators.patterns) {
+      [...indicators.patterns.candlestick, ...indicators.patterns.chart]
+        .filter(pattern => pattern.type !== 'NEUTRAL')
+        .forEach(pattern => {
+          signals.push({
+            type: pattern.type === 'BULLISH' ? 'BUY' : 'SELL',
+            indicator: 'PATTERN',
+            pattern: pattern.name,
+            strength: pattern.strength
+          });
+        });
     }
-  }
 
-  // 볼린저 밴드 시뮬레이션
-  simulateBollingerBands(priceData) {
-    const currentPrice = priceData.current_price || 0;
-    const volatility = Math.abs(priceData.price_change_percentage_24h || 0);
-    
-    const upper = currentPrice * (1 + volatility / 100 * 2);
-    const lower = currentPrice * (1 - volatility / 100 * 2);
-    const middle = currentPrice;
-    
-    let position = 'MIDDLE';
-    let strength = 0.5;
-    
-    if (currentPrice > upper * 0.95) {
-      position = 'ABOVE_UPPER';
-      strength = 0.8;
-    } else if (currentPrice < lower * 1.05) {
-      position = 'BELOW_LOWER';
-      strength = 0.8;
-    }
-    
-    return { upper, middle, lower, position, strength };
-  }
-
-  // 이동평균 시뮬레이션
-  simulateMovingAverages(priceData) {
-    const currentPrice = priceData.current_price || 0;
-    const priceChange24h = priceData.price_change_percentage_24h || 0;
-    
-    const sma20 = currentPrice * (1 - priceChange24h / 100 * 0.5);
-    const sma50 = currentPrice * (1 - priceChange24h / 100 * 0.3);
-    const ema12 = currentPrice * (1 - priceChange24h / 100 * 0.2);
-    const ema26 = currentPrice * (1 - priceChange24h / 100 * 0.1);
-    
-    let trend = 'NEUTRAL';
-    let strength = 0.5;
-    
-    if (ema12 > ema26 && currentPrice > sma20) {
-      trend = 'BULLISH';
-      strength = 0.6;
-    } else if (ema12 < ema26 && currentPrice < sma20) {
-      trend = 'BEARISH';
-      strength = 0.6;
+    // 다이버전스 신호 (추세 반전 = 일반, 추세 지속 = 히든)
+    if (indicators.divergences) {
+      indicators.divergences.forEach(divergence => {
+        signals.push({
+          type: divergence.type === 'BULLISH' ? 'BUY' : 'SELL',
+          indicator: 'DIVERGENCE',
+          source: divergence.indicator,
+          kind: divergence.kind,
+          strength: divergence.strength,
+          age: divergence.age
+        });
+      });
     }
-    
-    return { sma20, sma50, ema12, ema26, trend, strength };
-  }
 
-  // 지지/저항 시뮬레이션
-  simulateSupportResistance(priceData) {
-    const currentPrice = priceData.current_price || 0;
-    const volatility = Math.abs(priceData.price_change_percentage_24h || 0);
-    
-    const support = currentPrice * (1 - volatility / 100 * 1.5);
-    const resistance = currentPrice * (1 + volatility / 100 * 1.5);
-    
-    return { support, resistance, strength: 0.5 };
+    return signals;
   }
 
-  // 거래량 분석 시뮬레이션
-  simulateVolumeAnalysis(volumeRatio) {
-    let trend = 'NEUTRAL';
-    let strength = 0.5;
-    
-    if (volumeRatio > 2) {
-      trend = 'HIGH';
-      strength = Math.min((volumeRatio - 2) / 3, 1);
-    } else if (volumeRatio < 0.5) {
-      trend = 'LOW';
-      strength = Math.min((0.5 - volumeRatio) / 0.5, 1);
-    }
-    
-    return { trend, strength, ratio: volumeRatio };
+  // 캔들이 부족할 때의 중립 분석 (추정치로 지표를 만들지 않음)
+  getNeutralTechnicalAnalysis(interval, bars = 0) {
+    return {
+      rsi: { value: 50, signal: 'NEUTRAL', strength: 0.5 },
+      macd: { macd: 0, signal: 0, histogram: 0, trend: 'NEUTRAL', strength: 0.5 },
+      bollingerBands: { upper: 0, middle: 0, lower: 0, position: 'MIDDLE', strength: 0.5 },
+      movingAverages: { sma20: 0, sma50: 0, ema12: 0, ema26: 0, trend: 'NEUTRAL', strength: 0.5 },
+      supportResistance: { support: 0, resistance: 0, strength: 0.5 },
+      volumeAnalysis: { trend: 'NEUTRAL', strength: 0.5, ratio: 1 },
+      patterns: { candlestick: [], chart: [] },
+      divergences: [],
+      technicalScore: 0.5,
+      signals: [],
+      source: { exchange: null, interval, bars, lastCandle: null },
+      insufficientData: true,
+      timestamp: new Date()
+    };
   }
 }
 
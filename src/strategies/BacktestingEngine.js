@@ -1,3 +1,5 @@
+const { calculate, PatternDetector, DivergenceDetector } = require('../indicators');
+
 /**
  * 백테스팅 엔진
  * 전략별 성과 검증 및 최적화
@@ -9,6 +11,9 @@ class BacktestingEngine {
     this.initialBalance = 10000; // 초기 자본 10,000
     this.commission = 0.001; // 수수료 0.1%
     this.slippage = 0.0005; // 슬리피지 0.05%
+    this.atrStopMultiplier = 2; // ATR 손절 배수
+    this.patternDetector = new PatternDetector();
+    this.divergenceDetector = new DivergenceDetector();
     this.results = [];
   }
 
@@ -34,10 +39,13 @@ class BacktestingEngine {
     // 시간순으로 데이터 정렬
     const sortedData = historicalData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
+    // 지표 시계열을 한 번에 계산 (공용 지표 라이브러리)
+    const indicators = this.calculateIndicatorSeries(sortedData);
+    
     // 각 시점에서 전략 실행
     for (let i = 0; i < sortedData.length; i++) {
       const currentData = sortedData[i];
-      const marketData = this.prepareMarketData(currentData, sortedData, i);
+      const marketData = this.prepareMarketData(currentData, sortedData, i, indicators);
       
       // 기존 포지션 관리
       this.manageExistingPositions(portfolio, marketData, strategy);
@@ -74,14 +82,38 @@ class BacktestingEngine {
     this.results = [];
   }
 
+  /**
+   * 지표 시계열 계산
+   * @param {Array} data - 시간순 데이터
+   * @returns {Object} 지표별 시계열 (입력과 같은 길이)
+   */
+  calculateIndicatorSeries(data) {
+    return {
+      rsi: calculate.rsi(data),
+      macd: calculate.macd(data),
+      bollinger: calculate.bollinger(data),
+      atr: calculate.atr(data),
+      adx: calculate.adx(data),
+      stochRsi: calculate.stochRsi(data),
+      obv: calculate.obv(data),
+      vwap: calculate.vwap(data),
+      ichimoku: calculate.ichimoku(data),
+      keltner: calculate.keltner(data)
+    };
+  }
+
   /**
    * 시장 데이터 준비
    * @param {Object} currentData - 현재 데이터
    * @param {Array} allData - 전체 데이터
    * @param {number} index - 현재 인덱스
+   * @param {Object} indicators - 지표 시계열 (미지정 시 계산)
    * @returns {Object} 시장 데이터
    */
-  prepareMarketData(currentData, allData, index) {
+  prepareMarketData(currentData, allData, index, indicators = this.calculateIndicatorSeries(allData)) {
+    const macd = indicators.macd[index];
+    const bollinger = indicators.bollinger[index];
+    
     const marketData = {
       currentPrice: currentData.price,
       timestamp: currentData.timestamp,
@@ -91,15 +123,65 @@ class BacktestingEngine {
       support: this.calculateSupport(allData, index),
       resistance: this.calculateResistance(allData, index),
       trend: this.calculateTrend(allData, index),
-      rsi: this.calculateRSI(allData, index),
-      macd: this.calculateMACD(allData, index),
-      bollinger: this.calculateBollingerBands(allData, index),
-      movingAverages: this.calculateMovingAverages(allData, index)
+      rsi: indicators.rsi[index] ?? 50,
+      macd: macd
+        ? { macd: macd.macd, signal: macd.signal ?? macd.macd, histogram: macd.histogram ?? 0 }
+        : { macd: 0, signal: 0, histogram: 0 },
+      bollinger: bollinger
+        ? { upper: bollinger.upper, middle: bollinger.middle, lower: bollinger.lower, current: currentData.price }
+        : { upper: 0, middle: 0, lower: 0 },
+      movingAverages: this.calculateMovingAverages(allData, index),
+      atr: indicators.atr[index],
+      adx: indicators.adx[index],
+      stochRsi: indicators.stochRsi[index],
+      obv: indicators.obv[index],
+      vwap: indicators.vwap[index],
+      ichimoku: indicators.ichimoku[index],
+      keltner: indicators.keltner[index],
+      patterns: this.detectPatterns(allData, index),
+      divergences: this.detectDivergences(allData, index, indicators)
     };
     
     return marketData;
   }
 
+  /**
+   * 패턴 탐지 (현재 시점까지의 데이터만 사용)
+   * @param {Array} data - 데이터
+   * @param {number} index - 현재 인덱스
+   * @returns {Object} { candlestick, chart }
+   */
+  detectPatterns(data, index) {
+    const start = Math.max(0, index - this.patternDetector.chartLookback + 1);
+    const window = data.slice(start, index + 1);
+    
+    // 돌파 기준 레벨: 현재 봉 이전 20봉의 고가/저가
+    const prior = data.slice(Math.max(0, index - 20), index);
+    const supportResistance = prior.length >= 20 ? {
+      support: Math.min(...prior.map(d => d.low ?? d.price)),
+      resistance: Math.max(...prior.map(d => d.high ?? d.price))
+    } : null;
+    
+    return this.patternDetector.detect(window, { supportResistance });
+  }
+
+  /**
+   * 다이버전스 탐지 (현재 시점까지의 데이터와 지표만 사용)
+   * @param {Array} data - 데이터
+   * @param {number} index - 현재 인덱스
+   * @param {Object} indicators - 지표 시계열
+   * @returns {Array} 다이버전스 목록
+   */
+  detectDivergences(data, index, indicators) {
+    const start = Math.max(0, index - this.divergenceDetector.lookback + 1);
+    
+    return this.divergenceDetector.detect(data.slice(start, index + 1), {
+      RSI: indicators.rsi.slice(start, index + 1),
+      MACD: indicators.macd.slice(start, index + 1).map(value => (value ? value.macd : null)),
+      OBV: indicators.obv.slice(start, index + 1)
+    });
+  }
+
   /**
    * 기존 포지션 관리
    * @param {Object} portfolio - 포트폴리오
@@ -424,105 +506,6 @@ class BacktestingEngine {
     return { direction, strength };
   }
 
-  /**
-   * RSI 계산
-   * @param {Array} data - 데이터
-   * @param {number} index - 현재 인덱스
-   * @returns {number} RSI
-   */
-  calculateRSI(data, index) {
-    const period = 14;
-    const start = Math.max(0, index - period + 1);
-    const prices = data.slice(start, index + 1).map(d => d.price);
-    
-    if (prices.length < 2) return 50;
-    
-    let gains = 0;
-    let losses = 0;
-    
-    for (let i = 1; i < prices.length; i++) {
-      const change = prices[i] - prices[i-1];
-      if (change > 0) gains += change;
-      else losses += Math.abs(change);
-    }
-    
-    const avgGain = gains / (prices.length - 1);
-    const avgLoss = losses / (prices.length - 1);
-    
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    const rsi = 100 - (100 / (1 + rs));
-    
-    return rsi;
-  }
-
-  /**
-   * MACD 계산
-   * @param {Array} data - 데이터
-   * @param {number} index - 현재 인덱스
-   * @returns {Object} MACD 정보
-   */
-  calculateMACD(data, index) {
-    const ema12 = this.calculateEMA(data, index, 12);
-    const ema26 = this.calculateEMA(data, index, 26);
-    
-    const macd = ema12 - ema26;
-    const signal = this.calculateEMA(data, index, 9, macd);
-    const histogram = macd - signal;
-    
-    return { macd, signal, histogram };
-  }
-
-  /**
-   * EMA 계산
-   * @param {Array} data - 데이터
-   * @param {number} index - 현재 인덱스
-   * @param {number} period - 기간
-   * @param {number} value - 값 (선택사항)
-   * @returns {number} EMA
-   */
-  calculateEMA(data, index, period, value = null) {
-    const start = Math.max(0, index - period + 1);
-    const prices = data.slice(start, index + 1).map(d => value || d.price);
-    
-    if (prices.length === 0) return 0;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0];
-    
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-    }
-    
-    return ema;
-  }
-
-  /**
-   * 볼린저 밴드 계산
-   * @param {Array} data - 데이터
-   * @param {number} index - 현재 인덱스
-   * @returns {Object} 볼린저 밴드 정보
-   */
-  calculateBollingerBands(data, index) {
-    const period = 20;
-    const start = Math.max(0, index - period + 1);
-    const prices = data.slice(start, index + 1).map(d => d.price);
-    
-    if (prices.length < period) return { upper: 0, middle: 0, lower: 0 };
-    
-    const sma = prices.reduce((sum, price) => sum + price, 0) / prices.length;
-    const variance = prices.reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / prices.length;
-    const stdDev = Math.sqrt(variance);
-    
-    return {
-      upper: sma + (2 * stdDev),
-      middle: sma,
-      lower: sma - (2 * stdDev),
-      current: prices[prices.length - 1]
-    };
-  }
-
   /**
    * 이동평균 계산
    * @param {Array} data - 데이터
@@ -561,9 +544,12 @@ class BacktestingEngine {
    */
   calculateStopLoss(position, marketData) {
     const { entryPrice, direction } = position;
-    const { volatility } = marketData;
+    const { volatility, atr } = marketData;
     
-    const stopLossPercent = volatility * 0.5; // 변동성의 50%
+    // ATR이 있으면 ATR 배수, 없으면 변동성의 50%
+    const stopLossPercent = atr
+      ? (atr * this.atrStopMultiplier / entryPrice) * 100
+      : volatility * 0.5;
     
     const stopLossPrice = direction === 'BUY'
       ? entryPrice * (1 - stopLossPercent / 100)
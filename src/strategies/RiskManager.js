@@ -1,3 +1,7 @@
+const { calculate, last } = require('../indicators');
+
+const USD_QUOTES = ['USD', 'USDT'];
+
 /**
  * 리스크 관리 시스템
  * 포지션 사이징, 손절매, 익절매, 포트폴리오 리스크 관리
@@ -10,6 +14,10 @@ class RiskManager {
     this.maxDrawdown = 0.15; // 최대 드로우다운 15%
     this.riskFreeRate = 0.02; // 무위험 수익률 2%
     this.leverage = 1.0; // 레버리지 (기본 1배)
+    this.atrPeriod = 14; // ATR 기간
+    this.atrStopMultiplier = 2.0; // ATR 손절 배수
+    this.maxDepthShare = 0.1; // 포지션 금액은 ±1% 호가 깊이의 10% 이하
+    this.maxSlippage = 0.5; // 기준 금액 슬리피지 0.5% 초과 시 축소
   }
 
   /**
@@ -31,7 +39,7 @@ class RiskManager {
     const riskAdjustedSize = this.adjustForRisk(baseSize, signalData, accountData);
     
     // 유동성 조정
-    const liquidityAdjustedSize = this.adjustForLiquidity(riskAdjustedSize, marketData);
+    const liquidityAdjustedSize = this.adjustForLiquidity(riskAdjustedSize, marketData, accountData);
     
     // 상관관계 조정
     const correlationAdjustedSize = this.adjustForCorrelation(liquidityAdjustedSize, currentPositions, signalData);
@@ -124,12 +132,17 @@ class RiskManager {
 
   /**
    * 유동성 조정
+   * 호가창 지표(marketData.liquidity)가 있으면 등급/스프레드를 호가 기준으로 보고,
+   * 슬리피지와 ±1% 호가 깊이로 포지션 금액 상한을 둔다.
    * @param {number} size - 포지션 사이즈
    * @param {Object} marketData - 시장 데이터
+   * @param {Object} accountData - 계정 데이터 (잔고는 USD 기준)
    * @returns {number} 유동성 조정된 포지션 사이즈
    */
-  adjustForLiquidity(size, marketData) {
-    const { volume, spread, liquidityGrade } = marketData;
+  adjustForLiquidity(size, marketData, accountData = {}) {
+    const { volume, liquidity } = marketData;
+    const liquidityGrade = liquidity ? liquidity.grade : marketData.liquidityGrade;
+    const spread = liquidity ? liquidity.spread : marketData.spread;
     
     let adjustedSize = size;
     
@@ -167,9 +180,38 @@ class RiskManager {
     else if (volume && volume.ratio < 1.0) adjustedSize *= 0.7;
     else if (volume && volume.ratio < 1.5) adjustedSize *= 0.9;
     
+    if (liquidity) {
+      // 슬리피지 조정 (호가가 부족해 기준 금액을 못 채우면 null)
+      if (liquidity.referenceSlippage === null || liquidity.referenceSlippage > this.maxSlippage * 2) adjustedSize *= 0.5;
+      else if (liquidity.referenceSlippage > this.maxSlippage) adjustedSize *= 0.7;
+      
+      // 호가 깊이 상한 (얇은 쪽 기준)
+      const depth = this.getDepthInUsd(liquidity, marketData.currentPrice);
+      if (depth !== null && accountData.balance > 0) {
+        adjustedSize = Math.min(adjustedSize, (depth * this.maxDepthShare) / accountData.balance);
+      }
+    }
+    
     return adjustedSize;
   }
 
+  /**
+   * ±1% 호가 깊이 (얇은 쪽, USD 기준)
+   * 원화 등 USD(T)가 아닌 호가는 호가 중간가 대비 현재가(USD) 비율로 환산하고, 환산할 수 없으면 null
+   * @param {Object} liquidity - 호가창 유동성 지표
+   * @param {number} currentPrice - 현재가 (USD)
+   * @returns {number|null} 호가 깊이
+   */
+  getDepthInUsd(liquidity, currentPrice) {
+    if (!liquidity.depth1Pct) return null;
+
+    const depth = Math.min(liquidity.depth1Pct.bid, liquidity.depth1Pct.ask);
+    if (!liquidity.quote || USD_QUOTES.includes(liquidity.quote)) return depth;
+    if (!(liquidity.midPrice > 0) || !(currentPrice > 0)) return null;
+
+    return (depth / liquidity.midPrice) * currentPrice;
+  }
+
   /**
    * 상관관계 조정
    * @param {number} size - 포지션 사이즈
@@ -225,11 +267,14 @@ class RiskManager {
     const { volatility, riskScore } = signalData;
     const { currentPrice, support, resistance } = marketData;
     
-    // 기본 손절매 (변동성 기반)
-    const baseStopLoss = volatility * 0.5; // 변동성의 50%
+    // ATR 기반 손절 거리 (ATR이 없으면 변동성의 50%)
+    const atr = this.getATR(marketData);
+    const baseStopLoss = atr
+      ? (atr * this.atrStopMultiplier / entryPrice) * 100
+      : volatility * 0.5;
     
-    // 리스크 스코어 조정
-    const riskAdjustedStopLoss = baseStopLoss * (riskScore / 100);
+    // 리스크 스코어 조정 (ATR 손절은 노이즈 구간 안쪽으로 좁히지 않음)
+    const riskAdjustedStopLoss = atr ? baseStopLoss : baseStopLoss * (riskScore / 100);
     
     // 지지/저항 기반 손절매
     let supportResistanceStopLoss = null;
@@ -254,11 +299,29 @@ class RiskManager {
     return {
       price: finalStopLossPrice,
       percentage: Math.abs((finalStopLossPrice - entryPrice) / entryPrice) * 100,
-      type: supportResistanceStopLoss ? 'support_resistance' : 'volatility_based',
+      type: supportResistanceStopLoss ? 'support_resistance' : (atr ? 'atr_based' : 'volatility_based'),
+      atr,
       risk: Math.abs(finalStopLossPrice - entryPrice) * quantity
     };
   }
 
+  /**
+   * ATR 조회 (marketData.atr 또는 marketData.candles로 계산)
+   * @param {Object} marketData - 시장 데이터
+   * @returns {number|null} ATR
+   */
+  getATR(marketData) {
+    if (typeof marketData.atr === 'number' && marketData.atr > 0) {
+      return marketData.atr;
+    }
+    
+    if (Array.isArray(marketData.candles) && marketData.candles.length > this.atrPeriod) {
+      return last(calculate.atr(marketData.candles, this.atrPeriod));
+    }
+    
+    return null;
+  }
+
   /**
    * 익절매 가격 계산
    * @param {Object} position - 포지션 정보
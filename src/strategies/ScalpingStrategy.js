@@ -15,10 +15,15 @@ class ScalpingStrategy extends BaseStrategy {
     this.maxHoldTime = 300; // 5분 최대 보유
     this.minVolumeRatio = 2.0; // 최소 2배 거래량 증가
     this.minVolatility = 6; // 최소 6% 변동성
+    this.maxSlippage = 0.1; // 기준 금액 시장가 슬리피지 0.1% 이하
+    this.imbalanceThreshold = 0.3; // 호가 불균형 판단 기준 (±1% 깊이)
   }
 
   canExecute(signalData, marketData) {
-    const { finalScore, volatility, volumeRatio, liquidityGrade, technicalStrength } = signalData;
+    const { finalScore, volatility, volumeRatio, technicalStrength } = signalData;
+    const { liquidity } = marketData;
+    // 호가창 지표가 있으면 호가 기준 등급 우선
+    const liquidityGrade = liquidity ? liquidity.grade : signalData.liquidityGrade;
     
     return (
       finalScore >= 65 &&
@@ -26,7 +31,8 @@ class ScalpingStrategy extends BaseStrategy {
       volumeRatio >= this.minVolumeRatio &&
       (liquidityGrade === 'A+' || liquidityGrade === 'A' || liquidityGrade === 'B+') &&
       technicalStrength >= 0.55 &&
-      marketData.spread <= 0.1 // 스프레드 0.1% 이하
+      marketData.spread <= 0.1 && // 스프레드 0.1% 이하
+      (!liquidity || (liquidity.referenceSlippage !== null && liquidity.referenceSlippage <= this.maxSlippage))
     );
   }
 
@@ -64,7 +70,8 @@ class ScalpingStrategy extends BaseStrategy {
       stopLoss: profitLoss <= -this.stopLoss,
       timeLimit: holdTime >= this.maxHoldTime * 1000,
       volumeDrop: currentVolume < volume * 0.5, // 거래량 50% 감소
-      spreadWidening: marketData.spread > 0.2 // 스프레드 확대
+      spreadWidening: marketData.spread > 0.2, // 스프레드 확대
+      orderBookReversal: this.getBookPressure(marketData) <= -this.imbalanceThreshold // 매도 호가 우위 전환
     };
 
     const shouldExit = Object.values(quickExitConditions).some(condition => condition);
@@ -173,9 +180,20 @@ class ScalpingStrategy extends BaseStrategy {
     if (spread > 0.05) score -= 5;
     if (spread > 0.1) score -= 10;
     
+    // 호가 불균형 (진입 방향 쪽 호가가 두꺼우면 보너스)
+    const pressure = this.getBookPressure(marketData) * (finalScore >= 50 ? 1 : -1);
+    if (pressure >= this.imbalanceThreshold) score += 5;
+    else if (pressure <= -this.imbalanceThreshold) score -= 5;
+    
     return Math.min(score, 100);
   }
 
+  // ±1% 호가 불균형 (-1 매도 우위 ~ 1 매수 우위, 호가 데이터 없으면 0)
+  getBookPressure(marketData) {
+    const { liquidity } = marketData;
+    return liquidity && typeof liquidity.imbalance1Pct === 'number' ? liquidity.imbalance1Pct : 0;
+  }
+
   calculateEntryPrice(marketData) {
     const { bid, ask, currentPrice } = marketData;
     // 스캘핑은 시장가 주문이 일반적
@@ -195,6 +213,7 @@ class ScalpingStrategy extends BaseStrategy {
     if (volumeRatio >= 3) reasons.push('급증한 거래량');
     if (technicalStrength >= 0.7) reasons.push('강한 기술적 신호');
     if (marketData.spread <= 0.05) reasons.push('좁은 스프레드');
+    if (Math.abs(this.getBookPressure(marketData)) >= this.imbalanceThreshold) reasons.push('호가 불균형');
     
     return reasons.join(', ') || '스캘핑 조건 충족';
   }
@@ -234,6 +253,7 @@ class ScalpingStrategy extends BaseStrategy {
     if (conditions.timeLimit) return '시간 초과';
     if (conditions.volumeDrop) return '거래량 감소';
     if (conditions.spreadWidening) return '스프레드 확대';
+    if (conditions.orderBookReversal) return '매도 호가 우위';
     return '기타 조건';
   }
 
@@ -241,7 +261,7 @@ class ScalpingStrategy extends BaseStrategy {
     if (conditions.stopLoss || conditions.spreadWidening) return 1.0;
     if (conditions.profitTarget) return 0.8;
     if (conditions.timeLimit) return 0.6;
-    if (conditions.volumeDrop) return 0.4;
+    if (conditions.volumeDrop || conditions.orderBookReversal) return 0.4;
     return 0.2;
   }
 
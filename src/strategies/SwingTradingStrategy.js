@@ -16,6 +16,9 @@ class SwingTradingStrategy extends BaseStrategy {
     this.minVolumeRatio = 1.2; // 최소 1.2배 거래량 증가
     this.minVolatility = 3; // 최소 3% 변동성
     this.trendThreshold = 0.6; // 최소 추세 강도
+    this.requirePatternConfirmation = false; // true면 같은 방향의 캔들/차트 패턴이 있어야 진입
+    this.maxDivergenceAge = 10; // 청산 판단에 쓰는 다이버전스 최대 경과 봉 수
+    this.minDivergenceStrength = 0.4; // 청산 판단에 쓰는 다이버전스 최소 강도
   }
 
   canExecute(signalData, marketData) {
@@ -28,7 +31,9 @@ class SwingTradingStrategy extends BaseStrategy {
       (liquidityGrade === 'A+' || liquidityGrade === 'A' || liquidityGrade === 'B+' || 
        liquidityGrade === 'B' || liquidityGrade === 'C+') &&
       technicalStrength >= 0.3 &&
-      marketData.spread <= 0.5 // 스프레드 0.5% 이하
+      marketData.spread <= 0.5 && // 스프레드 0.5% 이하
+      (!this.requirePatternConfirmation ||
+        this.analyzePatterns(marketData, finalScore >= 50 ? 'BUY' : 'SELL').confirmed)
     );
   }
 
@@ -42,9 +47,10 @@ class SwingTradingStrategy extends BaseStrategy {
     const confidence = this.calculateConfidence(signalData, marketData);
     const trendAnalysis = this.analyzeTrend(marketData);
     const supportResistance = this.analyzeSupportResistance(marketData);
+    const action = finalScore >= 50 ? 'BUY' : 'SELL';
 
     return {
-      action: finalScore >= 50 ? 'BUY' : 'SELL',
+      action: action,
       entryPrice: entryPrice,
       confidence: confidence,
       entryScore: entryScore,
@@ -54,7 +60,8 @@ class SwingTradingStrategy extends BaseStrategy {
       riskReward: this.calculateRiskReward(signalData),
       trendAnalysis: trendAnalysis,
       supportResistance: supportResistance,
-      momentum: this.analyzeMomentum(marketData)
+      momentum: this.analyzeMomentum(marketData),
+      patterns: this.analyzePatterns(marketData, action)
     };
   }
 
@@ -73,7 +80,7 @@ class SwingTradingStrategy extends BaseStrategy {
       trendReversal: this.checkTrendReversal(position, marketData),
       supportBreak: this.checkSupportBreak(position, marketData),
       resistanceHit: this.checkResistanceHit(position, marketData),
-      momentumLoss: this.checkMomentumLoss(marketData),
+      momentumLoss: this.checkMomentumLoss(marketData, position),
       volumeDrop: currentVolume < volume * 0.2, // 거래량 80% 감소
       weeklyClose: this.isWeeklyClose(entryTime) // 주간 마감
     };
@@ -223,6 +230,9 @@ class SwingTradingStrategy extends BaseStrategy {
     if (spread > 0.3) score -= 3;
     if (spread > 0.5) score -= 5;
     
+    // 캔들/차트 패턴 보너스/페널티
+    score += this.analyzePatterns(marketData, finalScore >= 50 ? 'BUY' : 'SELL').scoreAdjustment;
+    
     return Math.min(score, 100);
   }
 
@@ -324,6 +334,10 @@ class SwingTradingStrategy extends BaseStrategy {
     if (supportResistance.supportDistance < 3) reasons.push('지지선 근처');
     if (supportResistance.resistanceDistance > 8) reasons.push('저항선까지 여유');
     
+    // 패턴 기반 이유
+    const patterns = this.analyzePatterns(marketData, signalData.finalScore >= 50 ? 'BUY' : 'SELL');
+    if (patterns.confirmed) reasons.push(`패턴 확인 (${patterns.confirming.join(', ')})`);
+    
     return reasons.join(', ') || '스윙트레이딩 조건 충족';
   }
 
@@ -390,9 +404,31 @@ class SwingTradingStrategy extends BaseStrategy {
     return marketData.currentPrice >= resistance * 0.98; // 2% 여유
   }
 
-  checkMomentumLoss(marketData) {
+  checkMomentumLoss(marketData, position = null) {
     const momentum = this.analyzeMomentum(marketData);
-    return momentum.overall < 0.3;
+    return momentum.overall < 0.3 || this.findExitDivergence(marketData, position) !== null;
+  }
+
+  /**
+   * 보유 방향과 반대인 최근 일반 다이버전스 찾기
+   * 매수 포지션은 약세, 매도 포지션은 강세 다이버전스가 추세 약화 신호
+   * @param {Object} marketData - 시장 데이터 (divergences)
+   * @param {Object} position - 포지션 (direction)
+   * @returns {Object|null} 가장 강한 다이버전스
+   */
+  findExitDivergence(marketData, position) {
+    if (!position || !Array.isArray(marketData.divergences)) return null;
+
+    const opposing = position.direction === 'SELL' ? 'BULLISH' : 'BEARISH';
+    const candidates = marketData.divergences.filter(divergence =>
+      divergence.kind === 'REGULAR' &&
+      divergence.type === opposing &&
+      divergence.age <= this.maxDivergenceAge &&
+      divergence.strength >= this.minDivergenceStrength
+    );
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, divergence) => (divergence.strength > best.strength ? divergence : best));
   }
 
   isWeeklyClose(entryTime) {
@@ -564,6 +600,37 @@ class SwingTradingStrategy extends BaseStrategy {
     return Math.min(strength, 1);
   }
 
+  /**
+   * 캔들/차트 패턴 분석
+   * @param {Object} marketData - 시장 데이터 (patterns: { candlestick, chart })
+   * @param {string} action - 진입 방향 (BUY/SELL)
+   * @returns {Object} 같은 방향/반대 방향 패턴과 진입 점수 조정값
+   */
+  analyzePatterns(marketData, action) {
+    const { patterns } = marketData;
+    
+    if (!patterns) {
+      return { confirming: [], opposing: [], confirmed: false, scoreAdjustment: 0 };
+    }
+    
+    const all = [...(patterns.candlestick || []), ...(patterns.chart || [])];
+    const wanted = action === 'BUY' ? 'BULLISH' : 'BEARISH';
+    const opposite = action === 'BUY' ? 'BEARISH' : 'BULLISH';
+    
+    const confirming = all.filter(pattern => pattern.type === wanted);
+    const opposing = all.filter(pattern => pattern.type === opposite);
+    
+    const adjustment = confirming.reduce((sum, p) => sum + p.strength, 0) * 5 -
+      opposing.reduce((sum, p) => sum + p.strength, 0) * 5;
+    
+    return {
+      confirming: confirming.map(pattern => pattern.name),
+      opposing: opposing.map(pattern => pattern.name),
+      confirmed: confirming.length > 0 && confirming.length >= opposing.length,
+      scoreAdjustment: Math.max(-10, Math.min(10, Math.round(adjustment)))
+    };
+  }
+
   checkBreakout(marketData) {
     const { currentPrice, support, resistance, volume } = marketData;
     
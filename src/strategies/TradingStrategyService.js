@@ -2,12 +2,16 @@ const StrategyFactory = require('./StrategyFactory');
 const RiskManager = require('./RiskManager');
 const BacktestingEngine = require('./BacktestingEngine');
 
+// 전략 가격 계산은 달러 기준이라 원화 호가 시세는 실시간 값으로 쓰지 않음
+const USD_QUOTES = ['USD', 'USDT'];
+
 /**
  * 거래 전략 서비스
  * SignalCalculatorService와 전략 시스템을 연결하는 통합 서비스
  */
 class TradingStrategyService {
-  constructor() {
+  constructor(options = {}) {
+    this.marketDataService = options.marketDataService || null; // 미지정 시 서버가 띄운 global.marketDataService 사용
     this.strategyFactory = new StrategyFactory();
     this.riskManager = new RiskManager();
     this.backtestingEngine = new BacktestingEngine();
@@ -25,6 +29,7 @@ class TradingStrategyService {
   executeTradingStrategy(signalData, marketData, accountData) {
     try {
       const { timeframe } = signalData;
+      marketData = this.withLiveMarketData(timeframe, signalData.symbol, marketData, signalData.exchange);
       
       // 전략 선택
       const strategy = this.strategyFactory.selectStrategy(timeframe, signalData, marketData);
@@ -86,6 +91,26 @@ class TradingStrategyService {
     }
   }
 
+  /**
+   * 스캘핑은 실시간 스트림 시세가 있으면 요청에 담긴 시세 대신 사용
+   * @param {string} timeframe - 타임프레임
+   * @param {string} symbol - 심볼
+   * @param {Object} marketData - 요청 시장 데이터
+   * @param {string} exchange - 거래소 (미지정 시 marketData.exchange, 없으면 설정 순서)
+   * @returns {Object} 시장 데이터
+   */
+  withLiveMarketData(timeframe, symbol, marketData, exchange = null) {
+    const marketDataService = this.marketDataService || global.marketDataService;
+    if (timeframe !== 'SCALPING' || !marketDataService || !symbol) return marketData;
+
+    const live = marketDataService.getLiveMarketData(symbol, exchange || marketData.exchange, { quotes: USD_QUOTES });
+    if (!live || !USD_QUOTES.includes(live.quote)) return marketData;
+
+    // 실시간 값이 없는 필드(스프레드 등)는 요청 값 유지
+    const fields = Object.fromEntries(Object.entries(live).filter(([, value]) => value !== null));
+    return { ...marketData, ...fields };
+  }
+
   /**
    * 포지션 관리
    * @param {string} positionId - 포지션 ID
@@ -99,6 +124,7 @@ class TradingStrategyService {
     }
     
     try {
+      marketData = this.withLiveMarketData(position.timeframe, position.symbol || (position.signalData && position.signalData.symbol), marketData);
       const strategy = this.strategyFactory.selectStrategy(position.timeframe, position.signalData, marketData);
       
       // 청산 분석
@@ -150,44 +150,36 @@ const options = {
             },
             breakdown: {
               type: 'object',
-              properties: {
-                price: {
-                  type: 'number',
-                  minimum: 0,
-                  maximum: 100,
-                  description: '가격 모멘텀 점수',
-                  example: 90
-                },
-                volume: {
-                  type: 'number',
-                  minimum: 0,
-                  maximum: 100,
-                  description: '거래량 점수',
-                  example: 75
-                },
-                market: {
-                  type: 'number',
-                  minimum: 0,
-                  maximum: 100,
-                  description: '시장 포지션 점수',
-                  example: 95
-                },
-                sentiment: {
-                  type: 'number',
-                  minimum: 0,
-                  maximum: 100,
-                  description: '감정분석 점수',
-                  example: 80
-                },
-                whale: {
-                  type: 'number',
-                  minimum: 0,
-                  maximum: 100,
-                  description: '고래 활동 점수',
-                  example: 60
-                }
+              description: '점수 요소별 점수 (기본 요소 + 레지스트리에 등록된 추가 요소)',
+              additionalProperties: {
+                type: 'number',
+                minimum: 0,
+                maximum: 100
+              },
+              example: {
+                price: 90,
+                volume: 75,
+                market: 95,
+                sentiment: 80,
+                whale: 60,
+                volatility: 60,
+                correlation: 55,
+                macro: 50
               }
             },
+            calibratedProbability: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              maximum: 1,
+              description: '실측 성과 기반 상승 확률 (캘리브레이션 전에는 null)',
+              example: 0.64
+            },
+            explanation: {
+              type: 'object',
+              nullable: true,
+              description: '신호 근거 설명 (GET /api/signals/coin/{coinId}/explain 참고)'
+            },
             recommendation: {
               type: 'object',
               properties: {
@@ -307,7 +299,7 @@ const options = {
             },
             alertType: {
               type: 'string',
-              enum: ['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'CUSTOM'],
+              enum: ['STRONG_SIGNAL', 'PRICE_TARGET', 'VOLUME_SPIKE', 'WHALE_MOVE', 'MARKET_EVENT', 'NEWS_EVENT', 'CUSTOM'],
               description: '알림 타입',
               example: 'STRONG_SIGNAL'
             },
@@ -637,6 +629,10 @@ const options = {
       {
         name: 'Alerts',
         description: '알림 관련 API'
+      },
+      {
+        name: 'Candles',
+        description: 'OHLCV 캔들 데이터 관련 API'
       }
     ]
   },
@@ -78,6 +78,29 @@ describe('Alerts API', () => {
       expect(response.body.data).to.have.property('alertType', 'WHALE_MOVE');
     });
 
+    it('should create market event alert limited to event types', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .send({
+          coinId: 'ripple',
+          symbol: 'XRP',
+          alertType: 'MARKET_EVENT',
+          settings: { eventTypes: ['LISTING', 'WARNING_DESIGNATED'] }
+        })
+        .expect(201);
+
+      expect(response.body.data.settings.eventTypes).to.deep.equal(['LISTING', 'WARNING_DESIGNATED']);
+    });
+
+    it('should validate market event types', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .send({ coinId: 'ripple', alertType: 'MARKET_EVENT', settings: { eventTypes: ['AIRDROP'] } })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+
     it('should validate required fields', async () => {
       const response = await request(app)
         .post('/api/alerts')
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../src/app');
+const Candle = require('../../src/models/Candle');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+describe('Candles API', () => {
+  beforeEach(async () => {
+    // 1시간봉 10개 중 4, 5번째 봉 누락
+    const candles = Array.from({ length: 10 }, (_, i) => ({
+      symbol: 'BTC',
+      exchange: 'binance',
+      interval: '1h',
+      quote: 'USDT',
+      openTime: new Date(START + i * HOUR),
+      closeTime: new Date(START + (i + 1) * HOUR - 1),
+      open: 100 + i,
+      high: 105 + i,
+      low: 95 + i,
+      close: 101 + i,
+      volume: 10
+    })).filter((_, i) => i !== 3 && i !== 4);
+
+    await Candle.upsertMany(candles);
+  });
+
+  afterEach(async () => {
+    await Candle.deleteMany({});
+  });
+
+  describe('GET /api/candles/:symbol', () => {
+    it('should return stored candles in ascending order', async () => {
+      const response = await request(app)
+        .get('/api/candles/btc')
+        .query({ exchange: 'binance', interval: '1h', from: new Date(START).toISOString(), to: new Date(START + 10 * HOUR).toISOString() })
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.symbol).to.equal('BTC');
+      expect(response.body.data.count).to.equal(8);
+      expect(response.body.data.candles[0].open).to.equal(100);
+      expect(response.body.data.candles[7].open).to.equal(109);
+    });
+
+    it('should reject unsupported intervals', async () => {
+      const response = await request(app)
+        .get('/api/candles/btc')
+        .query({ interval: '2h' })
+        .expect(400);
+
+      expect(response.body.success).to.be.false;
+    });
+  });
+
+  describe('GET /api/candles/:symbol/gaps', () => {
+    it('should report missing bars', async () => {
+      const response = await request(app)
+        .get('/api/candles/BTC/gaps')
+        .query({ exchange: 'binance', interval: '1h', from: new Date(START).toISOString(), to: new Date(START + 10 * HOUR).toISOString() })
+        .expect(200);
+
+      expect(response.body.data.stored).to.equal(8);
+      expect(response.body.data.missing).to.equal(2);
+      expect(response.body.data.gaps).to.have.length(1);
+    });
+
+    it('should require a start time', async () => {
+      await request(app)
+        .get('/api/candles/BTC/gaps')
+        .expect(400);
+    });
+  });
+});
@@ -211,4 +211,24 @@ describe('Coins API', () => {
       expect(response.body).to.have.property('error');
     });
   });
+
+  describe('GET /api/coins/:id/technicals', () => {
+    it('should reject unsupported intervals', async () => {
+      const response = await request(app)
+        .get(`/api/coins/${testCoinId}/technicals`)
+        .query({ intervals: '5m,2h' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+
+    it('should return 404 for non-existent coin technicals', async () => {
+      const response = await request(app)
+        .get('/api/coins/non-existent-coin/technicals')
+        .query({ intervals: '1h,1d' })
+        .expect(404);
+
+      expect(response.body).to.have.property('success', false);
+    });
+  });
 });
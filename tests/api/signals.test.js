@@ -150,6 +150,23 @@ describe('Signals API', () => {
       expect(response.body).to.have.property('success', true);
       expect(response.body).to.have.property('data');
       expect(response.body.data).to.have.property('coinId', coinId);
+      expect(response.body.data.breakdown).to.include({ price: 80, volume: 75, market: 85, sentiment: 90, whale: 70 });
+    });
+
+    it('should keep the factor breakdown in the cached signal', async () => {
+      const CacheService = require('../../src/services/CacheService');
+      const { getSignal, setSignal } = CacheService.prototype;
+      let cached = null;
+      CacheService.prototype.getSignal = async () => null;
+      CacheService.prototype.setSignal = async (coinId, data) => { cached = data; };
+
+      try {
+        await request(app).get('/api/signals/coin/bitcoin').expect(200);
+      } finally {
+        Object.assign(CacheService.prototype, { getSignal, setSignal });
+      }
+
+      expect(cached.breakdown).to.have.keys('price', 'volume', 'market', 'sentiment', 'whale');
     });
 
     it('should return 404 for non-existent coin', async () => {
@@ -171,6 +188,143 @@ describe('Signals API', () => {
     });
   });
 
+  describe('GET /api/signals/coin/:coinId/explain', () => {
+    it('should return the stored explanation for the latest signal', async () => {
+      const Signal = require('../../src/models/Signal');
+      await Signal.create({
+        coinId: 'ethereum',
+        symbol: 'ETH',
+        name: 'Ethereum',
+        timeframe: 'SWING_TRADING',
+        finalScore: 88,
+        recommendation: { action: 'STRONG_BUY', confidence: 'HIGH' },
+        priority: 'high_priority',
+        breakdown: { price: 90, volume: 80 },
+        explanation: {
+          marketCondition: 'normal',
+          factors: [
+            { factor: 'price', rawInput: { change_24h: 12 }, score: 90, weight: 0.3, contribution: 27, share: 0.6 },
+            { factor: 'volume', rawInput: { volumeRatio: 2.1 }, score: 80, weight: 0.25, contribution: 20, share: 0.4 }
+          ],
+          weightedSum: 47,
+          multipliers: { weightNormalization: 1, marketCorrection: 1.15, momentumPersistence: 1.15 },
+          finalScore: 88,
+          supportingItems: { news: [], social: [], whale: [] }
+        }
+      });
+
+      const response = await request(app)
+        .get('/api/signals/coin/ethereum/explain')
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data.recommendation.action).to.equal('STRONG_BUY');
+      expect(response.body.data.explanation.factors[0]).to.include({ factor: 'price', contribution: 27 });
+      expect(response.body.data.explanation.multipliers).to.have.property('marketCorrection', 1.15);
+    });
+
+    it('should return 404 when the signal has no explanation', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/explain')
+        .expect(404);
+
+      expect(response.body).to.have.property('success', false);
+    });
+
+    it('should return 404 for non-existent coin', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/non-existent-coin/explain')
+        .expect(404);
+
+      expect(response.body).to.have.property('success', false);
+    });
+  });
+
+  describe('GET /api/signals/coin/:coinId/history', () => {
+    beforeEach(async () => {
+      const SignalSnapshot = require('../../src/models/SignalSnapshot');
+      const now = Date.now();
+
+      await SignalSnapshot.insertMany([
+        { coinId: 'bitcoin', symbol: 'BTC', finalScore: 60, breakdown: { price: 60, volume: 50 }, action: 'HOLD', currentPrice: 49000, createdAt: new Date(now - 3 * 60 * 60 * 1000) },
+        { coinId: 'bitcoin', symbol: 'BTC', finalScore: 70, breakdown: { price: 70, volume: 60 }, action: 'BUY', currentPrice: 49500, createdAt: new Date(now - 2 * 60 * 60 * 1000) },
+        { coinId: 'bitcoin', symbol: 'BTC', finalScore: 85, breakdown: { price: 90, volume: 80 }, action: 'STRONG_BUY', currentPrice: 50000, createdAt: new Date(now - 60 * 60 * 1000) }
+      ]);
+    });
+
+    it('should return score history for specific coin', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ interval: 'raw' })
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data).to.have.property('coinId', 'bitcoin');
+      expect(response.body.data).to.have.property('interval', 'raw');
+      expect(response.body.data.points).to.have.length(3);
+      expect(response.body.data.points[2]).to.have.property('finalScore', 85);
+      expect(response.body.data.points[2].breakdown).to.have.property('price', 90);
+    });
+
+    it('should downsample history by interval', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ interval: '1d' })
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data.totalSnapshots).to.equal(3);
+      response.body.data.points.forEach(point => {
+        expect(point).to.have.property('samples');
+        expect(point.finalScore).to.be.within(60, 85);
+      });
+    });
+
+    it('should return 400 for invalid interval', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ interval: '2m' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+
+    it('should return 400 when a fine interval spans too many points', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ from: '2024-01-01T00:00:00Z', to: '2024-03-01T00:00:00Z', interval: '5m' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+      expect(response.body.error).to.include('3000');
+    });
+
+    it('should return 400 for raw history with too many snapshots', async () => {
+      const SignalSnapshot = require('../../src/models/SignalSnapshot');
+      const start = Date.now() - 24 * 60 * 60 * 1000;
+
+      await SignalSnapshot.insertMany(Array.from({ length: SignalSnapshot.MAX_HISTORY_POINTS }, (_, i) => ({
+        coinId: 'bitcoin', symbol: 'BTC', finalScore: 50, action: 'HOLD', createdAt: new Date(start + i * 1000)
+      })));
+
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ interval: 'raw' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+
+    it('should return 400 when from is after to', async () => {
+      const response = await request(app)
+        .get('/api/signals/coin/bitcoin/history')
+        .query({ from: '2024-02-01T00:00:00Z', to: '2024-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+  });
+
   describe('GET /api/signals/search', () => {
     it('should search signals by query', async () => {
       const response = await request(app)
@@ -231,6 +385,81 @@ describe('Signals API', () => {
     });
   });
 
+  describe('GET /api/signals/performance-report', () => {
+    it('should return hit rates from evaluated signal outcomes', async () => {
+      const SignalOutcome = require('../../src/models/SignalOutcome');
+      const emittedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+      await SignalOutcome.create({
+        coinId: 'bitcoin',
+        symbol: 'BTC',
+        finalScore: 85,
+        scoreBucket: 80,
+        action: 'STRONG_BUY',
+        timeframe: 'SCALPING',
+        entryPrice: 50000,
+        emittedAt,
+        horizonMinutes: 15,
+        dueAt: new Date(emittedAt.getTime() + 15 * 60 * 1000),
+        status: 'HIT',
+        exitPrice: 50500,
+        forwardReturn: 1
+      });
+
+      const response = await request(app)
+        .get('/api/signals/performance-report')
+        .query({ days: 7 })
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data.outcomes.byTimeframe.SCALPING).to.include({ samples: 1, hits: 1, hitRate: 1 });
+      expect(response.body.data.outcomes.byScoreBucket).to.have.property('80-90');
+      expect(response.body.data.metrics.scalping.samples).to.equal(1);
+    });
+
+    it('should return 400 for invalid days parameter', async () => {
+      const response = await request(app)
+        .get('/api/signals/performance-report')
+        .query({ days: 0 })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+  });
+
+  describe('GET /api/signals/reliability-curve', () => {
+    it('should return the latest calibration per timeframe', async () => {
+      const ScoreCalibration = require('../../src/models/ScoreCalibration');
+
+      await ScoreCalibration.create({
+        timeframe: 'ALL',
+        samples: 300,
+        baseRate: 0.5,
+        knots: [{ scoreMin: 30, scoreMax: 85, probability: 0.5, samples: 300 }],
+        reliability: [{ bucket: '80-90', samples: 100, meanScore: 85, observedRate: 0.55, rawRate: 0.85, calibratedRate: 0.5 }],
+        thresholds: { HOLD_MEDIUM: 0 }
+      });
+
+      const response = await request(app)
+        .get('/api/signals/reliability-curve')
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data.calibrations).to.have.length(1);
+      expect(response.body.data.calibrations[0].timeframe).to.equal('ALL');
+      expect(response.body.data.calibrations[0].reliability[0].bucket).to.equal('80-90');
+    });
+
+    it('should return 400 for invalid timeframe', async () => {
+      const response = await request(app)
+        .get('/api/signals/reliability-curve')
+        .query({ timeframe: 'INVALID' })
+        .expect(400);
+
+      expect(response.body).to.have.property('success', false);
+    });
+  });
+
   describe('GET /api/signals/stats', () => {
     it('should return signal statistics', async () => {
       const response = await request(app)
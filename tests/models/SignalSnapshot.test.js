@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const SignalSnapshot = require('../../src/models/SignalSnapshot');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('SignalSnapshot Model', () => {
+  const base = new Date('2024-01-01T00:00:00Z').getTime();
+
+  const snapshots = [
+    { finalScore: 60, breakdown: { price: 60, volume: 40 }, action: 'HOLD', currentPrice: 100, createdAt: new Date(base) },
+    { finalScore: 80, breakdown: { price: 80, volume: 60 }, action: 'BUY', currentPrice: 110, createdAt: new Date(base + 30 * 60 * 1000) },
+    { finalScore: 40, breakdown: { price: 30, volume: 50 }, action: 'WEAK_SELL', currentPrice: 90, createdAt: new Date(base + 90 * 60 * 1000) }
+  ];
+
+  describe('downsample', () => {
+    it('should average scores and breakdown within each bucket', () => {
+      const points = SignalSnapshot.downsample(snapshots, '1h');
+
+      expect(points).to.have.length(2);
+      expect(points[0].finalScore).to.equal(70);
+      expect(points[0].minScore).to.equal(60);
+      expect(points[0].maxScore).to.equal(80);
+      expect(points[0].breakdown).to.deep.equal({ price: 70, volume: 50 });
+      expect(points[0].action).to.equal('BUY');
+      expect(points[0].price).to.equal(110);
+      expect(points[0].samples).to.equal(2);
+      expect(points[1].finalScore).to.equal(40);
+    });
+
+    it('should keep every snapshot for raw interval', () => {
+      const points = SignalSnapshot.downsample(snapshots, 'raw');
+
+      expect(points).to.have.length(3);
+      expect(points[1].finalScore).to.equal(80);
+      expect(points[1].samples).to.equal(1);
+    });
+  });
+
+  describe('resolveInterval', () => {
+    it('should keep an explicit interval', () => {
+      const from = new Date(base);
+      const to = new Date(base + 24 * 60 * 60 * 1000);
+      expect(SignalSnapshot.resolveInterval('4h', from, to)).to.equal('4h');
+    });
+
+    it('should pick the finest interval within the point budget', () => {
+      const from = new Date(base);
+      expect(SignalSnapshot.resolveInterval('auto', from, new Date(base + 24 * 60 * 60 * 1000))).to.equal('5m');
+      expect(SignalSnapshot.resolveInterval('auto', from, new Date(base + 30 * 24 * 60 * 60 * 1000))).to.equal('4h');
+      expect(SignalSnapshot.resolveInterval(undefined, from, new Date(base + 2 * 365 * 24 * 60 * 60 * 1000))).to.equal('1d');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { createOrderBook, simulateMarketOrder } = require('../../src/adapters');
+const { mergeDeep } = require('../../src/config/arbitrageFees');
+const ArbitrageService = require('../../src/services/ArbitrageService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const USD_KRW = 1400;
+
+const book = (exchange, quote, bids, asks) => createOrderBook({ exchange, symbol: 'BTC', quote, bids, asks, timestamp: Date.now() });
+
+const feeTable = {
+  trading: { binance: 0.001, upbit: 0.0005 },
+  withdrawal: { binance: { BTC: 0.0002 }, upbit: { BTC: 0.0005 } },
+  transferMinutes: { BTC: 60, default: 30 },
+  transferRiskPerHour: 0.001,
+  fxSpread: 0.003
+};
+
+describe('Market order simulation', () => {
+  const asks = [{ price: 100, quantity: 1 }, { price: 110, quantity: 1 }];
+
+  it('should walk the book for a notional buy', () => {
+    const fill = simulateMarketOrder(asks, { notional: 155 });
+
+    expect(fill.filled).to.be.true;
+    expect(fill.quantity).to.be.closeTo(1.5, 1e-9);
+    expect(fill.averagePrice).to.be.closeTo(155 / 1.5, 1e-9);
+  });
+
+  it('should report a partial fill when the book is too thin', () => {
+    const fill = simulateMarketOrder(asks, { quantity: 3 });
+
+    expect(fill.filled).to.be.false;
+    expect(fill.quantity).to.equal(2);
+    expect(fill.notional).to.equal(210);
+  });
+});
+
+describe('ArbitrageService', () => {
+  let arbitrageService;
+  let orderBooks;
+
+  beforeEach(() => {
+    orderBooks = {
+      binance: book('binance', 'USDT', [[49990, 5]], [[50000, 5]]),
+      upbit: book('upbit', 'KRW', [[52000 * USD_KRW, 5]], [[52010 * USD_KRW, 5]])
+    };
+
+    const adapter = exchange => ({ getOrderBook: async () => orderBooks[exchange] });
+    arbitrageService = new ArbitrageService({
+      feeTable,
+      koreanMarketService: { adapters: {}, getUsdKrwRate: async () => ({ rate: USD_KRW, source: 'upbit-usdt', kind: 'implied', stale: false }) },
+      adapters: { binance: adapter('binance'), upbit: adapter('upbit') }
+    });
+    arbitrageService.cacheService = { get: async () => null, set: async () => {} };
+  });
+
+  it('should net out fees, fx spread and transfer risk from the raw premium', () => {
+    const result = arbitrageService.calculateRoute('BTC', orderBooks.binance, orderBooks.upbit, { size: 10000, usdKrwRate: USD_KRW });
+
+    // 0.2 BTC 매수 → 수수료 0.1% → 출금 0.0002 → 52,000 USDT에 매도 → 수수료 0.05% → 환전 0.3% → 1시간 위험 0.1%
+    const quantity = 0.2 * 0.999 - 0.0002;
+    const proceeds = quantity * 52000 * 0.9995;
+    const expected = proceeds * (1 - 0.003) - 10 - 10000;
+
+    expect(result.executable).to.be.true;
+    expect(result.route).to.equal('binance→upbit');
+    expect(result.rawPremium).to.be.closeTo(4, 0.05);
+    expect(result.netProfit).to.be.closeTo(expected, 1e-6);
+    expect(result.netPremium).to.be.lessThan(result.rawPremium);
+    expect(result.transferMinutes).to.equal(60);
+    expect(result.costs.transferRisk).to.be.closeTo(0.1, 1e-9);
+  });
+
+  it('should not be executable when the sell side cannot absorb the size', () => {
+    orderBooks.upbit = book('upbit', 'KRW', [[52000 * USD_KRW, 0.05]], [[52010 * USD_KRW, 5]]);
+
+    const result = arbitrageService.calculateRoute('BTC', orderBooks.binance, orderBooks.upbit, { size: 10000, usdKrwRate: USD_KRW });
+
+    expect(result.executable).to.be.false;
+    expect(result.reason).to.equal('매도 호가 부족');
+    expect(result.rawPremium).to.be.greaterThan(0);
+  });
+
+  it('should skip coins without a withdrawal fee entry', () => {
+    const result = arbitrageService.calculateRoute('ETH', orderBooks.binance, orderBooks.upbit, { size: 1000, usdKrwRate: USD_KRW });
+
+    expect(result.executable).to.be.false;
+    expect(result.reason).to.equal('출금 수수료 정보 없음');
+  });
+
+  it('should rank routes by net premium', async () => {
+    const result = await arbitrageService.getOpportunities(['BTC'], { size: 5000, routes: ['upbit-binance', 'binance-upbit'] });
+
+    expect(result.usdKrwRate).to.equal(USD_KRW);
+    expect(result.opportunities.map(o => o.route)).to.deep.equal(['binance→upbit', 'upbit→binance']);
+    expect(result.opportunities[1].netPremium).to.be.lessThan(-4);
+  });
+
+  it('should merge fee table overrides into the defaults', () => {
+    const merged = mergeDeep(feeTable, { trading: { upbit: 0.0025 }, fxSpread: 0.001 });
+
+    expect(merged.trading).to.deep.equal({ binance: 0.001, upbit: 0.0025 });
+    expect(merged.withdrawal).to.equal(feeTable.withdrawal);
+    expect(merged.fxSpread).to.equal(0.001);
+  });
+});
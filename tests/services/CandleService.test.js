@@ -0,0 +1,171 @@
+const { expect } = require('chai');
+const CandleService = require('../../src/services/CandleService');
+const TechnicalAnalysisService = require('../../src/services/TechnicalAnalysisService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const buildCandles = (count, interval, intervalMs, start = Date.UTC(2024, 0, 1)) => {
+  return Array.from({ length: count }, (_, i) => ({
+    symbol: 'BTC',
+    exchange: 'binance',
+    interval,
+    quote: 'USDT',
+    openTime: new Date(start + i * intervalMs),
+    closeTime: new Date(start + (i + 1) * intervalMs - 1),
+    open: 100 + i,
+    high: 105 + i,
+    low: 95 + i,
+    close: 101 + i,
+    volume: 10
+  }));
+};
+
+describe('CandleService', () => {
+  let candleService;
+
+  beforeEach(() => {
+    candleService = new CandleService();
+  });
+
+  describe('normalizers', () => {
+    it('should normalize Binance klines', () => {
+      const rows = [[1704067200000, '42000.1', '42500', '41800', '42300.5', '123.4', 1704070799999, '5200000.5']];
+
+      const [candle] = candleService.normalizeBinanceKlines(rows, 'btc', '1h');
+
+      expect(candle).to.include({ symbol: 'BTC', exchange: 'binance', interval: '1h', quote: 'USDT' });
+      expect(candle).to.include({ open: 42000.1, high: 42500, low: 41800, close: 42300.5, volume: 123.4 });
+      expect(candle.openTime.getTime()).to.equal(1704067200000);
+    });
+
+    it('should normalize Upbit candles into ascending order', () => {
+      const rows = [
+        { candle_date_time_utc: '2024-01-01T01:00:00', opening_price: 2, high_price: 3, low_price: 1, trade_price: 2.5, candle_acc_trade_volume: 10, candle_acc_trade_price: 25 },
+        { candle_date_time_utc: '2024-01-01T00:00:00', opening_price: 1, high_price: 2, low_price: 0.5, trade_price: 2, candle_acc_trade_volume: 5, candle_acc_trade_price: 10 }
+      ];
+
+      const candles = candleService.normalizeUpbitCandles(rows, 'XRP', '1h');
+
+      expect(candles.map(c => c.open)).to.deep.equal([1, 2]);
+      expect(candles[0].openTime.toISOString()).to.equal('2024-01-01T00:00:00.000Z');
+      expect(candles[0].quote).to.equal('KRW');
+    });
+
+    it('should map Bithumb open/close/high/low column order', () => {
+      const rows = [[1704067200000, '100', '110', '120', '90', '7']];
+
+      const [candle] = candleService.normalizeBithumbCandles(rows, 'ETH', '1h');
+
+      expect(candle).to.include({ open: 100, close: 110, high: 120, low: 90, volume: 7 });
+    });
+
+    it('should treat CoinGecko OHLC timestamps as candle close time', () => {
+      const closeTs = Date.UTC(2024, 0, 1, 4);
+
+      const [candle] = candleService.normalizeCoinGeckoOHLC([[closeTs, 1, 2, 0.5, 1.5]], 'BTC', '4h');
+
+      expect(candle.openTime.getTime()).to.equal(Date.UTC(2024, 0, 1, 0));
+      expect(candle.volume).to.be.null;
+    });
+  });
+
+  describe('aggregateCandles', () => {
+    it('should build complete daily candles from 4h candles', () => {
+      const candles = buildCandles(14, '4h', 4 * HOUR);
+
+      const daily = candleService.aggregateCandles(candles, '1d');
+
+      expect(daily).to.have.length(2);
+      expect(daily[0]).to.include({ interval: '1d', open: 100, high: 110, low: 95, close: 106, volume: 60 });
+    });
+  });
+
+  describe('detectGaps', () => {
+    it('should report missing bars between stored candles', () => {
+      const candles = buildCandles(10, '1h', HOUR).filter((_, i) => i !== 3 && i !== 4);
+
+      const gaps = candleService.detectGaps(candles, '1h');
+
+      expect(gaps).to.have.length(1);
+      expect(gaps[0].missing).to.equal(2);
+      expect(gaps[0].from.getTime()).to.equal(candles[2].openTime.getTime() + HOUR);
+    });
+
+    it('should report leading and trailing gaps inside the requested range', () => {
+      const start = Date.UTC(2024, 0, 1);
+      const candles = buildCandles(3, '1d', DAY, start + 2 * DAY);
+
+      const gaps = candleService.detectGaps(candles, '1d', { from: new Date(start), to: new Date(start + 8 * DAY) });
+
+      expect(gaps.map(g => g.missing)).to.deep.equal([2, 3]);
+    });
+
+    it('should return no gaps for a continuous series', () => {
+      expect(candleService.detectGaps(buildCandles(24, '1h', HOUR), '1h')).to.be.empty;
+    });
+  });
+
+  describe('backfillGaps', () => {
+    it('should page through stored candles instead of refetching older bars', async () => {
+      const Candle = require('../../src/models/Candle');
+      const start = Date.UTC(2024, 0, 1);
+      const stored = buildCandles(6000, '1m', MINUTE, start); // 저장 조회 한 페이지(5000개)보다 긴 구간
+      const { getRange } = Candle;
+      let fetched = 0;
+      candleService.fetchRange = async () => {
+        fetched++;
+        return [];
+      };
+      Candle.getRange = async (symbol, exchange, interval, { from, to, limit }) =>
+        stored.filter(c => c.openTime >= from && c.openTime <= to).slice(-limit);
+
+      let result;
+      try {
+        result = await candleService.backfillGaps('BTC', { interval: '1m', from: new Date(start), to: new Date(start + 6000 * MINUTE) });
+      } finally {
+        Candle.getRange = getRange;
+      }
+
+      expect(result).to.include({ gaps: 0, missing: 0 });
+      expect(fetched).to.equal(0);
+    });
+  });
+});
+
+describe('TechnicalAnalysisService with candles', () => {
+  it('should compute indicators from stored candles', async () => {
+    const technicalAnalysisService = new TechnicalAnalysisService();
+    const series = buildCandles(60, '1d', DAY).map(c => ({
+      timestamp: c.openTime.getTime(),
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      price: c.close,
+      volume: c.volume
+    }));
+    technicalAnalysisService.candleService.getPriceSeries = async () => ({ exchange: 'binance', series });
+
+    const analysis = await technicalAnalysisService.analyzeTechnicalIndicators('BTC', { id: 'bitcoin' });
+
+    expect(analysis.insufficientData).to.be.undefined;
+    expect(analysis.source).to.include({ exchange: 'binance', interval: '1d', bars: 60 });
+    expect(analysis.movingAverages.trend).to.equal('BULLISH');
+    expect(analysis.supportResistance.resistance).to.equal(164);
+  });
+
+  it('should return a neutral analysis when candles are insufficient', async () => {
+    const technicalAnalysisService = new TechnicalAnalysisService();
+    technicalAnalysisService.candleService.getPriceSeries = async () => ({ exchange: 'binance', series: [] });
+
+    const analysis = await technicalAnalysisService.analyzeTechnicalIndicators('NEW', {});
+
+    expect(analysis.insufficientData).to.be.true;
+    expect(analysis.technicalScore).to.equal(0.5);
+  });
+});
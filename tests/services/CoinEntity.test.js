@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const { buildDictionary, linkCoins, getAliases } = require('../../src/nlp/coinEntities');
+const CoinEntityService = require('../../src/services/CoinEntityService');
+const NewsService = require('../../src/services/NewsService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const COINS = [
+  { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' },
+  { id: 'bitcoin-cash', symbol: 'bch', name: 'Bitcoin Cash' },
+  { id: 'ethereum', symbol: 'eth', name: 'Ethereum' },
+  { id: 'ethereum-wormhole', symbol: 'eth', name: 'Ethereum (Wormhole)' },
+  { id: 'harmony', symbol: 'one', name: 'Harmony' },
+  { id: 'cosmos', symbol: 'atom', name: 'Cosmos Hub' },
+  { id: 'solana', symbol: 'sol', name: 'Solana' },
+  { id: 'pepe', symbol: 'pepe', name: 'Pepe' },
+  { id: 'near', symbol: 'near', name: 'NEAR Protocol' }
+];
+
+const MARKETS = [
+  { symbol: 'BTC', name: '비트코인', englishName: 'Bitcoin' },
+  { symbol: 'BCH', name: '비트코인캐시', englishName: 'Bitcoin Cash' },
+  { symbol: 'ETH', name: '이더리움', englishName: 'Ethereum' },
+  { symbol: 'ONE', name: '하모니', englishName: 'Harmony' },
+  { symbol: 'ATOM', name: '코스모스', englishName: 'Cosmos' },
+  { symbol: 'SOL', name: '솔라나', englishName: 'Solana' },
+  { symbol: 'NEAR', name: '니어프로토콜', englishName: 'NEAR Protocol' }
+];
+
+const symbols = links => links.map(link => link.symbol);
+
+describe('coinEntities', () => {
+  const dictionary = buildDictionary({ coins: COINS, markets: MARKETS });
+
+  it('should prefer the longest name and the original coin over bridged tokens', () => {
+    const links = linkCoins(dictionary, 'Bitcoin Cash jumps while Bitcoin and Ethereum hold');
+
+    expect(symbols(links)).to.have.members(['BCH', 'BTC', 'ETH']);
+    expect(links.find(link => link.symbol === 'ETH').coinId).to.equal('ethereum');
+  });
+
+  it('should not link symbols that are ordinary words without context', () => {
+    expect(linkCoins(dictionary, 'One of the biggest ATOM bombs in history')).to.deep.equal([]);
+    expect(linkCoins(dictionary, 'near the end of one quarter')).to.deep.equal([]);
+  });
+
+  it('should link ambiguous symbols with context at lower confidence', () => {
+    const [one] = linkCoins(dictionary, 'ONE price jumps 20% after listing');
+    const [btc] = linkCoins(dictionary, 'BTC holds steady');
+
+    expect(one).to.include({ symbol: 'ONE', coinId: 'harmony' });
+    expect(one.confidence).to.be.below(btc.confidence);
+  });
+
+  it('should link cashtags and trading pairs, including coins not listed in Korea', () => {
+    const links = linkCoins(dictionary, '$PEPE rallies as SOL/USDT and KRW-ATOM break out');
+
+    expect(symbols(links)).to.have.members(['PEPE', 'SOL', 'ATOM']);
+    links.forEach(link => expect(link.confidence).to.be.at.least(0.95));
+    expect(linkCoins(dictionary, 'Pepe the frog returns')).to.deep.equal([]);
+  });
+
+  it('should link Korean names with particles attached', () => {
+    const links = linkCoins(dictionary, { title: '비트코인캐시 급등, 비트코인은 보합', description: '솔라나가 상승했다' });
+
+    expect(symbols(links)).to.deep.equal(['BCH', 'BTC', 'SOL']);
+  });
+
+  it('should list aliases for a coin', () => {
+    expect(getAliases(dictionary, 'btc')).to.have.members(['BTC', '비트코인', 'bitcoin']);
+    expect(getAliases(dictionary, 'zzz')).to.deep.equal(['ZZZ']);
+  });
+});
+
+describe('CoinEntityService', () => {
+  it('should build the dictionary from the coin list and exchange markets', async () => {
+    const service = new CoinEntityService({
+      coinGeckoService: { getAllCoinsList: async () => COINS },
+      adapter: { getMarkets: async () => MARKETS }
+    });
+
+    expect(service.hasSymbol('PEPE')).to.be.false;
+
+    const result = await service.refresh();
+
+    expect(result).to.include({ coins: COINS.length, markets: MARKETS.length });
+    expect(service.hasSymbol('PEPE')).to.be.true;
+    expect(service.loadedAt).to.be.an.instanceof(Date);
+  });
+
+  it('should keep the seed dictionary and skip relinking when nothing loads', async () => {
+    const service = new CoinEntityService({
+      coinGeckoService: { getAllCoinsList: async () => { throw new Error('rate limited'); } },
+      adapter: { getMarkets: async () => { throw new Error('timeout'); } }
+    });
+
+    const result = await service.relinkStoredNews();
+
+    expect(result).to.include({ skipped: true, scanned: 0 });
+    expect(symbols(service.link('이더리움 급등'))).to.deep.equal(['ETH']);
+  });
+});
+
+describe('NewsService coin relevance', () => {
+  it('should use the entity dictionary instead of substring matches', async () => {
+    const entityService = new CoinEntityService({
+      coinGeckoService: { getAllCoinsList: async () => COINS },
+      adapter: { getMarkets: async () => MARKETS }
+    });
+    await entityService.refresh();
+    const service = new NewsService({ sourceService: { getFeeds: async () => null }, entityService });
+
+    expect(service.isRelevantToCoin({ title: 'Someone bought one house', description: '' }, 'ONE')).to.be.false;
+    expect(service.isRelevantToCoin({ title: '솔라나 현물 ETF 신청', description: '' }, 'SOLUSDT')).to.be.true;
+    expect(service.isRelevantToCoin({ title: 'XYZ token surges', description: '' }, 'XYZ')).to.be.true;
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const {
+  BinanceFuturesProvider,
+  FixtureDerivativesProvider,
+  createDerivativesProvider
+} = require('../../src/adapters/derivatives');
+const DerivativesService = require('../../src/services/DerivativesService');
+const DerivativesFactor = require('../../src/factors/DerivativesFactor');
+const SignalCalculatorService = require('../../src/services/SignalCalculatorService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('Derivatives providers', () => {
+  it('should read snapshots from the bundled fixture file', async () => {
+    const provider = createDerivativesProvider('fixture');
+
+    const snapshot = await provider.getSnapshot('eth');
+
+    expect(snapshot).to.include({ source: 'fixture', symbol: 'ETH', fundingRate: 0.00025, longShortRatio: 2.4 });
+    expect(snapshot.openInterestValue).to.equal(2100000 * 3200);
+    expect(await provider.getSnapshot('UNLISTED')).to.be.null;
+  });
+
+  it('should combine Binance premium index, open interest and long/short ratio', async () => {
+    const provider = new BinanceFuturesProvider();
+    const requests = [];
+    provider.request = async (path, params) => {
+      requests.push({ path, params });
+      if (path === '/fapi/v1/premiumIndex') return { markPrice: '65000.5', lastFundingRate: '0.00010000', nextFundingTime: 1700006400000, time: 1700000000000 };
+      if (path === '/fapi/v1/openInterest') return { openInterest: '80000.123', symbol: 'BTCUSDT', time: 1700000000000 };
+      return [{ longShortRatio: '1.2500', longAccount: '0.5556', shortAccount: '0.4444', timestamp: 1700000000000 }];
+    };
+
+    const snapshot = await provider.getSnapshot('BTC');
+
+    expect(requests[0].params).to.deep.equal({ symbol: 'BTCUSDT' });
+    expect(snapshot).to.include({ source: 'binance', fundingRate: 0.0001, openInterest: 80000.123, longShortRatio: 1.25 });
+    expect(snapshot.nextFundingTime.getTime()).to.equal(1700006400000);
+  });
+
+  it('should return null for symbols without a futures market', async () => {
+    const provider = new BinanceFuturesProvider();
+    provider.request = async () => {
+      const error = new Error('Invalid symbol');
+      error.response = { status: 400 };
+      throw error;
+    };
+
+    expect(await provider.getSnapshot('NOPE')).to.be.null;
+  });
+});
+
+describe('DerivativesService', () => {
+  let derivativesService;
+
+  beforeEach(() => {
+    derivativesService = new DerivativesService({ provider: new FixtureDerivativesProvider() });
+  });
+
+  it('should score neutral when positioning is balanced', () => {
+    const analysis = derivativesService.analyze({ fundingRate: 0, longShortRatio: 1, openInterestChange24h: 0 }, 0);
+
+    expect(analysis.score).to.equal(50);
+    expect(analysis.squeezeRisk).to.be.null;
+  });
+
+  it('should flag a short squeeze when shorts pay funding while open interest builds', () => {
+    const analysis = derivativesService.analyze({ fundingRate: -0.0005, longShortRatio: 0.7, openInterestChange24h: 12 }, -2);
+
+    expect(analysis.squeezeRisk).to.equal('SHORT_SQUEEZE');
+    expect(analysis.components.funding).to.equal(10);
+    expect(analysis.components.crowding).to.be.greaterThan(0);
+    expect(analysis.components.openInterest).to.equal(-15);
+  });
+
+  it('should lean bearish on crowded longs', () => {
+    const analysis = derivativesService.analyze({ fundingRate: 0.0015, longShortRatio: 3, openInterestChange24h: 5 }, 1);
+
+    expect(analysis.squeezeRisk).to.equal('LONG_SQUEEZE');
+    expect(analysis.score).to.be.lessThan(30);
+    expect(analysis.signals).to.include('극단적 양(+) 펀딩비');
+  });
+});
+
+describe('DerivativesFactor', () => {
+  it('should not weigh in without recent data', async () => {
+    const factor = new DerivativesFactor({ derivativesService: { getSummary: async () => null } });
+
+    const result = await factor.compute({ symbol: 'BTC', weights: {} });
+
+    expect(result).to.include({ score: 50, weight: 0 });
+  });
+
+  it('should use the derivatives score with its default weight', async () => {
+    const summary = { source: 'fixture', fundingRate: 0.0001, longShortRatio: 1.1, openInterestChange24h: 3, analysis: { score: 44, squeezeRisk: null } };
+    const factor = new DerivativesFactor({ derivativesService: { getSummary: async () => summary } });
+
+    const result = await factor.compute({ symbol: 'BTC', weights: {}, priceData: {} });
+
+    expect(result.score).to.equal(44);
+    expect(result.weight).to.equal(0.05);
+    expect(result.evidence).to.include({ available: true, fundingRate: 0.0001 });
+  });
+
+  it('should be registered on the signal calculator', () => {
+    expect(new SignalCalculatorService().factorRegistry.has('derivatives')).to.be.true;
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { DivergenceDetector, calculate } = require('../../src/indicators');
+const TechnicalAnalysisService = require('../../src/services/TechnicalAnalysisService');
+const SwingTradingStrategy = require('../../src/strategies/SwingTradingStrategy');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+// 꼭짓점을 잇는 직선 경로로 봉 생성 (고가/저가는 종가 ±0.5)
+const pathBars = (points, steps = 8) => {
+  const closes = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    for (let s = 1; s <= steps; s++) {
+      closes.push(points[i - 1] + (points[i] - points[i - 1]) * (s / steps));
+    }
+  }
+  return closes.map((close, i) => ({
+    open: i === 0 ? close : closes[i - 1],
+    close,
+    high: close + 0.5,
+    low: close - 0.5,
+    price: close,
+    volume: 10
+  }));
+};
+
+// 두 피벗 지점(16, 32)에만 지정한 값을 갖는 지표 시계열
+const pivotSeries = (length, first, second) => Array.from({ length }, (_, i) => {
+  if (i === 16) return first;
+  if (i === 32) return second;
+  return (first + second) / 2;
+});
+
+describe('DivergenceDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new DivergenceDetector();
+  });
+
+  it('should detect regular bullish RSI divergence on a lower price low', () => {
+    const bars = pathBars([130, 120, 100, 110, 97, 103]);
+    const [divergence] = detector.detect(bars, { RSI: calculate.rsi(bars) });
+
+    expect(divergence).to.include({ indicator: 'RSI', type: 'BULLISH', kind: 'REGULAR', age: 8 });
+    expect(divergence.to.price).to.be.below(divergence.from.price);
+    expect(divergence.to.value).to.be.above(divergence.from.value);
+  });
+
+  it('should detect regular bearish RSI divergence on a higher price high', () => {
+    const bars = pathBars([90, 100, 120, 110, 123, 118]);
+    const [divergence] = detector.detect(bars, { RSI: calculate.rsi(bars) });
+
+    expect(divergence).to.include({ type: 'BEARISH', kind: 'REGULAR' });
+    expect(divergence.strength).to.be.within(0, 1);
+  });
+
+  it('should classify hidden divergences', () => {
+    const higherLows = pathBars([100, 110, 104, 118, 112, 116]);
+    const lowerHighs = pathBars([120, 110, 116, 102, 108, 104]);
+
+    const bullish = detector.detect(higherLows, { MACD: pivotSeries(higherLows.length, 2, 1) });
+    const bearish = detector.detect(lowerHighs, { OBV: pivotSeries(lowerHighs.length, -100, 50) });
+
+    expect(bullish.find(d => d.type === 'BULLISH')).to.include({ indicator: 'MACD', kind: 'HIDDEN' });
+    expect(bearish.find(d => d.type === 'BEARISH')).to.include({ indicator: 'OBV', kind: 'HIDDEN' });
+  });
+
+  it('should ignore pivots where price and indicator agree', () => {
+    const bars = pathBars([130, 120, 100, 110, 97, 103]);
+    expect(detector.detect(bars, { MACD: pivotSeries(bars.length, 2, 1) })).to.deep.equal([]);
+  });
+
+  it('should ignore divergences older than maxAge', () => {
+    const bars = pathBars([130, 120, 100, 110, 97, 103]);
+    detector.maxAge = 5;
+
+    expect(detector.detect(bars, { RSI: calculate.rsi(bars) })).to.deep.equal([]);
+  });
+
+  describe('integration', () => {
+    it('should emit divergence signals from generateTechnicalSignals', () => {
+      const technicalAnalysisService = new TechnicalAnalysisService();
+      const neutral = technicalAnalysisService.getNeutralTechnicalAnalysis('1d');
+
+      const signals = technicalAnalysisService.generateTechnicalSignals({
+        ...neutral,
+        divergences: [{ indicator: 'RSI', type: 'BEARISH', kind: 'REGULAR', strength: 0.7, age: 4 }]
+      });
+
+      expect(signals).to.deep.equal([
+        { type: 'SELL', indicator: 'DIVERGENCE', source: 'RSI', kind: 'REGULAR', strength: 0.7, age: 4 }
+      ]);
+    });
+
+    it('should treat a recent opposing regular divergence as momentum loss', () => {
+      const strategy = new SwingTradingStrategy();
+      const marketData = {
+        rsi: 55,
+        macd: { macd: 1, signal: 0.5, histogram: 0.5 },
+        volume: 100,
+        divergences: [{ indicator: 'RSI', type: 'BEARISH', kind: 'REGULAR', strength: 0.7, age: 3 }]
+      };
+
+      expect(strategy.checkMomentumLoss({ ...marketData, divergences: [] }, { direction: 'BUY' })).to.be.false;
+      expect(strategy.checkMomentumLoss(marketData, { direction: 'BUY' })).to.be.true;
+      expect(strategy.findExitDivergence(marketData, { direction: 'SELL' })).to.be.null;
+      expect(strategy.findExitDivergence({ ...marketData, divergences: [{ ...marketData.divergences[0], age: 15 }] }, { direction: 'BUY' })).to.be.null;
+    });
+  });
+});
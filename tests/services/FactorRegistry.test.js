@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const { BaseFactor, FactorRegistry } = require('../../src/factors');
+const SignalCalculatorService = require('../../src/services/SignalCalculatorService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+class FixedFactor extends BaseFactor {
+  constructor(name, score, defaultWeight = 0.1) {
+    super(name, { defaultWeight });
+    this.score = score;
+  }
+
+  compute(coinContext) {
+    return this.buildResult(this.score, coinContext, { fixed: true });
+  }
+}
+
+class FailingFactor extends BaseFactor {
+  constructor() {
+    super('failing', { defaultWeight: 0.1 });
+  }
+
+  async compute() {
+    throw new Error('upstream unavailable');
+  }
+}
+
+describe('FactorRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new FactorRegistry();
+  });
+
+  describe('register', () => {
+    it('should register and replace factors by name', () => {
+      registry.register(new FixedFactor('fundingRate', 40));
+      registry.register(new FixedFactor('fundingRate', 70));
+
+      expect(registry.getNames()).to.deep.equal(['fundingRate']);
+      expect(registry.get('fundingRate').score).to.equal(70);
+    });
+
+    it('should reject objects that do not extend BaseFactor', () => {
+      expect(() => registry.register({ name: 'plain', compute: () => 50 })).to.throw('Factor must extend BaseFactor');
+    });
+
+    it('should unregister factors', () => {
+      registry.register(new FixedFactor('fundingRate', 40));
+
+      expect(registry.unregister('fundingRate')).to.be.true;
+      expect(registry.has('fundingRate')).to.be.false;
+    });
+  });
+
+  describe('computeAll', () => {
+    it('should return score, weight and evidence per factor', async () => {
+      registry.register(new FixedFactor('fundingRate', 40));
+
+      const results = await registry.computeAll({ symbol: 'BTC', weights: {} });
+
+      expect(results.fundingRate).to.deep.equal({ score: 40, weight: 0.1, evidence: { fixed: true } });
+    });
+
+    it('should prefer market condition weights over the default weight', async () => {
+      registry.register(new FixedFactor('price', 80, 0.4));
+
+      const results = await registry.computeAll({ symbol: 'BTC', weights: { price: 0.25 } });
+
+      expect(results.price.weight).to.equal(0.25);
+    });
+
+    it('should fall back to a neutral score when a factor fails', async () => {
+      registry.register(new FailingFactor());
+
+      const results = await registry.computeAll({ symbol: 'BTC', weights: {} });
+
+      expect(results.failing.score).to.equal(50);
+      expect(results.failing.evidence.error).to.equal('upstream unavailable');
+    });
+
+    it('should clamp scores to 0-100', async () => {
+      registry.register(new FixedFactor('overflow', 150));
+
+      const results = await registry.computeAll({ symbol: 'BTC', weights: {} });
+
+      expect(results.overflow.score).to.equal(100);
+    });
+  });
+
+  describe('SignalCalculatorService integration', () => {
+    it('should register the core factors by default', () => {
+      const signalCalculator = new SignalCalculatorService();
+
+      expect(signalCalculator.factorRegistry.getNames()).to.include.members([
+        'price', 'volume', 'market', 'sentiment', 'whale', 'volatility', 'correlation', 'macro'
+      ]);
+    });
+
+    it('should normalize weights when extra factors exceed the market condition budget', () => {
+      const signalCalculator = new SignalCalculatorService();
+      signalCalculator.getMarketCorrectionFactor = () => 1.0;
+
+      const weights = { ...signalCalculator.getDynamicWeights('normal'), fundingRate: 0.1 };
+      const scores = {};
+      Object.keys(weights).forEach(factor => { scores[factor] = 60; });
+
+      const finalScore = signalCalculator.calculateFinalScoreWithDynamicWeights(scores, weights, 'normal');
+      const budget = Object.values(signalCalculator.getDynamicWeights('normal')).reduce((sum, weight) => sum + weight, 0);
+
+      expect(finalScore).to.be.closeTo(60 * budget, 0.0001);
+    });
+  });
+});
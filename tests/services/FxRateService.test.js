@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const { FxRateSource, createFxQuote, createFxSource, OpenErApiFxSource } = require('../../src/adapters/fx');
+const FxRate = require('../../src/models/FxRate');
+const FxRateService = require('../../src/services/FxRateService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const HOUR = 60 * 60 * 1000;
+
+// 고정 시세를 돌려주는 테스트용 소스
+class StubSource extends FxRateSource {
+  constructor(name, kind, { rate, age = 0, error = null, maxAge } = {}) {
+    super(name, kind, maxAge ? { maxAge } : {});
+    this.rate = rate;
+    this.age = age;
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async getRate() {
+    this.calls++;
+    if (this.error) throw new Error(this.error);
+    return createFxQuote({ source: this.name, kind: this.kind, rate: this.rate, sourceTimestamp: Date.now() - this.age });
+  }
+}
+
+describe('FX sources', () => {
+  it('should reject non-positive rates', () => {
+    expect(() => createFxQuote({ source: 'x', kind: 'official', rate: 0 })).to.throw('Invalid USD/KRW rate');
+  });
+
+  it('should parse the open.er-api response', async () => {
+    const source = new OpenErApiFxSource();
+    source.request = async () => ({ result: 'success', time_last_update_unix: 1700000000, rates: { KRW: 1312.5 } });
+
+    const quote = await source.getRate();
+
+    expect(quote).to.include({ source: 'open-er-api', kind: 'official', rate: 1312.5 });
+    expect(quote.sourceTimestamp.getTime()).to.equal(1700000000000);
+  });
+
+  it('should fail on unknown source names', () => {
+    expect(() => createFxSource('bank')).to.throw('Unknown FX source');
+  });
+});
+
+describe('FxRateService', () => {
+  const createService = sources => {
+    const service = new FxRateService({ sources });
+    service.record = async () => {};
+    return service;
+  };
+
+  it('should use the first fresh source in order', async () => {
+    const service = createService([
+      new StubSource('dunamu', 'official', { rate: 1380 }),
+      new StubSource('upbit-usdt', 'implied', { rate: 1410 })
+    ]);
+
+    const fx = await service.getRate();
+
+    expect(fx).to.include({ rate: 1380, source: 'dunamu', stale: false, fallback: false });
+  });
+
+  it('should fall through failing and stale sources of the preferred kind', async () => {
+    const service = createService([
+      new StubSource('dunamu', 'official', { rate: 1380, age: 3 * HOUR }),
+      new StubSource('open-er-api', 'official', { rate: 1375, maxAge: 26 * HOUR, age: 5 * HOUR }),
+      new StubSource('upbit-usdt', 'implied', { rate: 1410 })
+    ]);
+
+    const fx = await service.getRate();
+
+    expect(fx).to.include({ source: 'open-er-api', stale: false, fallback: true });
+    expect(fx.failures[0].source).to.equal('dunamu');
+  });
+
+  it('should prefer a stale official rate over a fresh implied one', async () => {
+    const service = createService([
+      new StubSource('dunamu', 'official', { rate: 1380, age: 48 * HOUR }),
+      new StubSource('upbit-usdt', 'implied', { rate: 1410 })
+    ]);
+
+    const official = await service.getRate({ kind: 'official' });
+    const implied = await service.getRate({ kind: 'implied' });
+
+    expect(official).to.include({ source: 'dunamu', stale: true });
+    expect(implied).to.include({ source: 'upbit-usdt', stale: false });
+  });
+
+  it('should fall back to the other kind when the preferred kind is down', async () => {
+    const service = createService([
+      new StubSource('dunamu', 'official', { error: 'timeout' }),
+      new StubSource('upbit-usdt', 'implied', { rate: 1410 })
+    ]);
+
+    const fx = await service.getRate();
+
+    expect(fx).to.include({ source: 'upbit-usdt', kind: 'implied', fallback: true });
+  });
+
+  it('should use the last stored rate when every source fails', async () => {
+    const service = createService([new StubSource('dunamu', 'official', { error: 'timeout' })]);
+    const getLatest = FxRate.getLatest;
+    FxRate.getLatest = async () => ({ source: 'dunamu', kind: 'official', rate: 1377, timestamp: new Date(Date.now() - HOUR) });
+
+    try {
+      const fx = await service.getRate();
+
+      expect(fx).to.include({ rate: 1377, stale: true, fallback: true });
+    } finally {
+      FxRate.getLatest = getLatest;
+    }
+  });
+
+  it('should not refetch a source within the quote ttl', async () => {
+    const source = new StubSource('dunamu', 'official', { rate: 1380 });
+    const service = createService([source]);
+
+    await service.getRate();
+    await service.getRate();
+
+    expect(source.calls).to.equal(1);
+  });
+
+  it('should report the USDT premium over the official rate', async () => {
+    const service = createService([
+      new StubSource('dunamu', 'official', { rate: 1400 }),
+      new StubSource('upbit-usdt', 'implied', { rate: 1428 })
+    ]);
+
+    const overview = await service.getOverview();
+
+    expect(overview.usdtPremium).to.be.closeTo(2, 1e-9);
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const { calculate, last, RSI } = require('../../src/indicators');
+const RiskManager = require('../../src/strategies/RiskManager');
+const BacktestingEngine = require('../../src/strategies/BacktestingEngine');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+// 고가-저가 폭이 일정한 상승 추세 봉
+const trendingBars = (count, step = 1, range = 2) => Array.from({ length: count }, (_, i) => ({
+  timestamp: Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000,
+  price: 100 + i * step,
+  close: 100 + i * step,
+  high: 100 + i * step + range / 2,
+  low: 100 + i * step - range / 2,
+  volume: 10
+}));
+
+describe('Indicators', () => {
+  describe('moving averages', () => {
+    it('should calculate SMA with a warm-up period', () => {
+      expect(calculate.sma([1, 2, 3, 4, 5], 3)).to.deep.equal([null, null, 2, 3, 4]);
+    });
+
+    it('should seed EMA with the SMA of the first period', () => {
+      expect(calculate.ema([1, 2, 3, 4, 5], 3)).to.deep.equal([null, null, 2, 3, 4]);
+    });
+  });
+
+  describe('RSI', () => {
+    it('should return 100 for a strictly rising series', () => {
+      expect(last(calculate.rsi(trendingBars(30)))).to.equal(100);
+    });
+
+    it('should return 50 when gains and losses balance', () => {
+      const prices = Array.from({ length: 31 }, (_, i) => (i % 2 === 0 ? 100 : 101));
+      expect(last(calculate.rsi(prices))).to.be.closeTo(50, 5);
+    });
+
+    it('should produce the same value when streamed bar by bar', () => {
+      const prices = [44, 44.3, 44.1, 43.6, 44.3, 44.8, 45.1, 45.4, 45.8, 46.1, 45.9, 46.3, 46.2, 46.2, 46.0, 46.4];
+      const rsi = new RSI(14);
+      let streamed = null;
+      prices.forEach(price => { streamed = rsi.update(price); });
+
+      expect(streamed).to.equal(last(calculate.rsi(prices)));
+      expect(streamed).to.be.within(60, 80);
+    });
+  });
+
+  describe('volatility and trend', () => {
+    it('should calculate ATR as the average true range', () => {
+      const bars = Array.from({ length: 20 }, () => ({ high: 101, low: 99, close: 100 }));
+      expect(last(calculate.atr(bars))).to.equal(2);
+    });
+
+    it('should report a strong positive DMI for a rising market', () => {
+      const dmi = last(calculate.adx(trendingBars(60)));
+
+      expect(dmi.plusDI).to.be.above(dmi.minusDI);
+      expect(dmi.adx).to.be.above(25);
+    });
+
+    it('should build Keltner channels around the EMA', () => {
+      const bars = Array.from({ length: 30 }, () => ({ high: 101, low: 99, close: 100 }));
+      expect(last(calculate.keltner(bars))).to.deep.equal({ upper: 104, middle: 100, lower: 96 });
+    });
+
+    it('should keep StochRSI within 0-100', () => {
+      const bars = trendingBars(80).map((bar, i) => ({ ...bar, close: bar.close + (i % 5) * 3 }));
+      const stoch = last(calculate.stochRsi(bars));
+
+      expect(stoch.k).to.be.within(0, 100);
+      expect(stoch.d).to.be.within(0, 100);
+    });
+  });
+
+  describe('volume', () => {
+    it('should accumulate OBV by close direction', () => {
+      const bars = [1, 2, 1, 1].map(close => ({ close, volume: 10 }));
+      expect(calculate.obv(bars)).to.deep.equal([0, 10, 0, 0]);
+    });
+
+    it('should weight VWAP by volume and reset per session', () => {
+      const day = 24 * 60 * 60 * 1000;
+      const bars = [
+        { timestamp: 0, high: 10, low: 10, close: 10, volume: 1 },
+        { timestamp: 1000, high: 20, low: 20, close: 20, volume: 3 },
+        { timestamp: day, high: 30, low: 30, close: 30, volume: 1 }
+      ];
+
+      expect(calculate.vwap(bars, { sessionMs: day })).to.deep.equal([10, 17.5, 30]);
+    });
+  });
+
+  describe('Ichimoku', () => {
+    it('should project the cloud forward by the displacement', () => {
+      const series = calculate.ichimoku(trendingBars(100));
+
+      expect(series[7]).to.be.null;
+      expect(series[8].tenkan).to.equal(104);
+      expect(series[60].cloud).to.be.null;
+      expect(last(series).cloud.top).to.be.below(last(series).tenkan);
+    });
+  });
+});
+
+describe('ATR-based risk management', () => {
+  it('should place RiskManager stops at an ATR multiple', () => {
+    const riskManager = new RiskManager();
+
+    const stopLoss = riskManager.calculateStopLoss(
+      { entryPrice: 100, quantity: 1, direction: 'BUY' },
+      { volatility: 10, riskScore: 50 },
+      { currentPrice: 100, atr: 2 }
+    );
+
+    expect(stopLoss.price).to.equal(96);
+    expect(stopLoss.type).to.equal('atr_based');
+  });
+
+  it('should derive ATR from candles when not provided', () => {
+    const riskManager = new RiskManager();
+    const candles = Array.from({ length: 20 }, () => ({ high: 101, low: 99, close: 100 }));
+
+    const stopLoss = riskManager.calculateStopLoss(
+      { entryPrice: 100, quantity: 1, direction: 'SELL' },
+      { volatility: 10, riskScore: 50 },
+      { currentPrice: 100, candles }
+    );
+
+    expect(stopLoss.price).to.equal(104);
+  });
+
+  it('should expose shared indicators to backtest market data', () => {
+    const backtestingEngine = new BacktestingEngine();
+    const data = trendingBars(60);
+
+    const marketData = backtestingEngine.prepareMarketData(data[59], data, 59);
+
+    expect(marketData.rsi).to.equal(100);
+    expect(marketData.atr).to.be.closeTo(2, 0.01);
+    expect(marketData.adx.plusDI).to.be.above(marketData.adx.minusDI);
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { statistics } = require('../../src/indicators');
+const KoreanMarketService = require('../../src/services/KoreanMarketService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('Premium statistics', () => {
+  it('should place the current value within the past distribution', () => {
+    const summary = statistics.summarize([1, 2, 3, 4, 5], 7);
+
+    expect(summary.mean).to.equal(3);
+    expect(summary.std).to.be.closeTo(Math.sqrt(2), 1e-9);
+    expect(summary.zScore).to.be.closeTo(4 / Math.sqrt(2), 1e-9);
+    expect(summary.percentile).to.equal(100);
+    expect(summary).to.include({ samples: 5, min: 1, max: 5 });
+  });
+
+  it('should not report a z-score without enough history', () => {
+    expect(statistics.summarize([], 3).zScore).to.be.null;
+    expect(statistics.summarize([2], 3).zScore).to.be.null;
+    expect(statistics.summarize([2, 2, 2], 2).zScore).to.equal(0);
+  });
+
+  it('should compare each point only with the preceding window', () => {
+    const hour = 60 * 60 * 1000;
+    const points = [1, 1, 1, 1, 5].map((value, index) => ({ timestamp: new Date(index * hour), value }));
+    points[3].value = 3;
+
+    const rolling = statistics.rollingStatistics(points, 2 * hour, 2);
+
+    expect(rolling[0].zScore).to.be.null;
+    expect(rolling[1].zScore).to.be.null;
+    expect(rolling[3].samples).to.equal(2);
+    expect(rolling[3].mean).to.equal(1);
+    expect(rolling[4].mean).to.equal(2);
+    expect(rolling[4].zScore).to.equal(3);
+  });
+});
+
+describe('Korean market mean reversion', () => {
+  let koreanMarketService;
+  const baseSignal = { finalScore: 60, metadata: {} };
+  const premium = (value, stats) => ({
+    symbol: 'BTC',
+    premium: value,
+    isSignificant: Math.abs(value) >= 5,
+    isHigh: Math.abs(value) >= 10,
+    isExtreme: Math.abs(value) >= 20,
+    trend: value > 0 ? 'positive' : 'negative',
+    premiumTrend: 'stable',
+    statistics: stats
+  });
+
+  beforeEach(() => {
+    koreanMarketService = new KoreanMarketService();
+    koreanMarketService.getRetailHeat = async () => null;
+  });
+
+  it('should keep the premium sign in trend and report the history trend separately', async () => {
+    koreanMarketService.cacheService = { getKimchiPremium: async () => null, setKimchiPremium: async () => {} };
+    koreanMarketService.getUpbitPrice = async () => 142000000;
+    koreanMarketService.getBithumbPrice = async () => null;
+    koreanMarketService.getGlobalMarketPrice = async () => 100000;
+    koreanMarketService.getUsdKrwRate = async () => ({ rate: 1400, source: 'test', kind: 'official', stale: false });
+    koreanMarketService.getPremiumStatistics = async () => ({ samples: 300, reliable: true, zScore: 1, percentile: 80, trend: 'rising' });
+    koreanMarketService.recordKimchiPremium = async () => {};
+
+    const result = await koreanMarketService.calculateKimchiPremium('BTC');
+
+    expect(result.trend).to.equal('positive');
+    expect(result.premiumTrend).to.equal('rising');
+    expect(result).to.not.have.property('direction');
+  });
+
+  it('should record premium history only on scheduled refreshes', async () => {
+    const recorded = [];
+    koreanMarketService.cacheService = { getKimchiPremium: async () => null, setKimchiPremium: async () => {} };
+    koreanMarketService.getUpbitPrice = async () => 142000000;
+    koreanMarketService.getBithumbPrice = async () => null;
+    koreanMarketService.getGlobalMarketPrice = async () => 100000;
+    koreanMarketService.getUsdKrwRate = async () => ({ rate: 1400, source: 'test', kind: 'official', stale: false });
+    koreanMarketService.getPremiumStatistics = async () => null;
+    koreanMarketService.recordKimchiPremium = async data => recorded.push(data);
+
+    await koreanMarketService.calculateKimchiPremium('BTC');
+    expect(recorded).to.be.empty;
+
+    const refreshed = await koreanMarketService.calculateKimchiPremium('BTC', { refresh: true });
+    expect(recorded).to.deep.equal([refreshed]);
+  });
+
+  it('should penalize a premium far above its own history', async () => {
+    koreanMarketService.calculateKimchiPremium = async () =>
+      premium(4, { samples: 300, reliable: true, zScore: 2.4, percentile: 98 });
+
+    const signal = await koreanMarketService.calculateKoreanMarketSignal('BTC', baseSignal);
+
+    expect(signal.koreanMarket.adjustment).to.equal(-10);
+    expect(signal.koreanMarket.meanReversion).to.equal('OVERHEATED');
+    expect(signal.finalScore).to.equal(50);
+  });
+
+  it('should favor a premium at a discount to its usual level', async () => {
+    koreanMarketService.calculateKimchiPremium = async () =>
+      premium(-1, { samples: 300, reliable: true, zScore: -3.5, percentile: 0.5 });
+
+    const signal = await koreanMarketService.calculateKoreanMarketSignal('BTC', baseSignal);
+
+    expect(signal.koreanMarket.adjustment).to.equal(15);
+    expect(signal.koreanMarket.meanReversion).to.equal('DISCOUNTED');
+  });
+
+  it('should fall back to fixed thresholds while history is short', async () => {
+    koreanMarketService.calculateKimchiPremium = async () =>
+      premium(12, { samples: 10, reliable: false, zScore: 0.2, percentile: 60 });
+
+    const signal = await koreanMarketService.calculateKoreanMarketSignal('BTC', baseSignal);
+
+    expect(signal.koreanMarket.adjustment).to.equal(10);
+    expect(signal.koreanMarket.meanReversion).to.be.null;
+  });
+});
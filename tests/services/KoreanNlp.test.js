@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const { stem, tokenize, findTerms, analyzeSentiment } = require('../../src/nlp/korean');
+const KoreanCommunityService = require('../../src/services/KoreanCommunityService');
+const NewsService = require('../../src/services/NewsService');
+const fixtures = require('../fixtures/korean-sentiment.json');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('Korean tokenizer', () => {
+  it('should strip particles and verb endings', () => {
+    expect(stem('상승이')).to.equal('상승');
+    expect(stem('상승했다')).to.equal('상승');
+    expect(stem('하락하지')).to.equal('하락');
+    expect(stem('비트코인은')).to.equal('비트코인');
+  });
+
+  it('should split sentences and collapse repeated characters', () => {
+    const sentences = tokenize('가즈아아아아!! 오늘 떡상');
+
+    expect(sentences).to.have.length(2);
+    expect(sentences[0][0].surface).to.equal('가즈아아');
+    expect(sentences[1].map(token => token.surface)).to.deep.equal(['오늘', '떡상']);
+  });
+
+  it('should match the longest term and skip words that only contain one', () => {
+    expect(findTerms('상장폐지').map(t => t.term)).to.deep.equal(['상장폐지']);
+    expect(findTerms('분위기')).to.be.empty;
+    expect(findTerms('개떡상')[0]).to.include({ term: '떡상', intensity: 1.5 });
+  });
+});
+
+describe('Korean sentiment analysis', () => {
+  it('should treat a negated positive as negative', () => {
+    expect(analyzeSentiment('상승하지 못했다').sentiment).to.equal('negative');
+    expect(analyzeSentiment('호재가 없다').sentiment).to.equal('negative');
+    expect(analyzeSentiment('안 올랐다').sentiment).to.equal('negative');
+    expect(analyzeSentiment('상승하지않음').sentiment).to.equal('negative');
+  });
+
+  it('should treat a negated negative as positive', () => {
+    expect(analyzeSentiment('하락하지 않았다').sentiment).to.equal('positive');
+  });
+
+  it('should understand crypto slang', () => {
+    expect(analyzeSentiment('떡상 가즈아').sentiment).to.equal('positive');
+    expect(analyzeSentiment('존버 중').sentiment).to.equal('positive');
+    expect(analyzeSentiment('고점에 물렸다').sentiment).to.equal('negative');
+    expect(analyzeSentiment('떡락').sentiment).to.equal('negative');
+  });
+
+  it('should scale intensity with adverbs', () => {
+    const plain = analyzeSentiment('상승했다');
+    const strong = analyzeSentiment('정말 상승했다');
+    const weak = analyzeSentiment('살짝 상승했다');
+
+    expect(strong.score).to.be.above(plain.score);
+    expect(weak.score).to.be.below(plain.score);
+  });
+
+  it('should weigh the clause after a contrast more', () => {
+    expect(analyzeSentiment('반등했지만 결국 하락').sentiment).to.equal('negative');
+    expect(analyzeSentiment('하락했지만 결국 반등').sentiment).to.equal('positive');
+  });
+
+  it('should classify the labeled fixture set accurately', () => {
+    const correct = fixtures.filter(({ text, label }) => analyzeSentiment(text).sentiment === label).length;
+
+    expect(correct / fixtures.length).to.be.at.least(0.9);
+  });
+
+  it('should get every label right at least most of the time', () => {
+    ['positive', 'negative', 'neutral'].forEach(label => {
+      const samples = fixtures.filter(f => f.label === label);
+      const correct = samples.filter(({ text }) => analyzeSentiment(text).sentiment === label).length;
+
+      expect(correct / samples.length, label).to.be.at.least(0.8);
+    });
+  });
+});
+
+describe('Korean sentiment in services', () => {
+  it('should weigh community posts by lexicon category', () => {
+    const service = new KoreanCommunityService();
+
+    const result = service.analyzeTextSentiment('오늘 상승하지 못했다 ㅠㅠ');
+
+    expect(result.sentiment).to.equal('negative');
+    expect(result.matches.find(m => m.term === '상승').value).to.equal(2 * -0.7 * service.keywordWeights.price);
+  });
+
+  it('should turn the news keyword boost negative for negated good news', () => {
+    const service = new NewsService();
+
+    expect(service.analyzeKoreanKeywords('비트코인 상승하지 못했다')).to.be.below(0);
+    expect(service.analyzeKoreanKeywords('비트코인 급등 신고가')).to.be.above(0);
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const { createOrderBook, calculateLiquidityMetrics, estimateSlippage, gradeLiquidity } = require('../../src/adapters');
+const RiskManager = require('../../src/strategies/RiskManager');
+const ScalpingStrategy = require('../../src/strategies/ScalpingStrategy');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+// 중간가 100, 스프레드 0.02%, 매수 호가가 두꺼운 호가창
+const buildBook = () => createOrderBook({
+  exchange: 'binance',
+  symbol: 'BTC',
+  quote: 'USDT',
+  bids: [[99.99, 100], [99.5, 200], [98.5, 300], [97, 1000]],
+  asks: [[100.01, 50], [100.5, 100], [101.5, 100], [103, 1000]],
+  timestamp: new Date()
+});
+
+describe('Liquidity metrics', () => {
+  it('should compute spread, depth and imbalance around the mid price', () => {
+    const metrics = calculateLiquidityMetrics(buildBook());
+
+    expect(metrics.midPrice).to.equal(100);
+    expect(metrics.spread).to.be.closeTo(0.02, 1e-9);
+    expect(metrics.depth1Pct).to.deep.equal({ bid: 29899, ask: 15050.5 });
+    expect(metrics.depth2Pct.bid).to.equal(29899 + 29550);
+    expect(metrics.imbalance1Pct).to.be.greaterThan(0.3);
+  });
+
+  it('should estimate slippage by walking the book', () => {
+    const { asks } = buildBook();
+
+    expect(estimateSlippage(asks, 5000.5, 100)).to.be.closeTo(0.01, 1e-9);
+    expect(estimateSlippage(asks, 10000, 100)).to.be.greaterThan(0.01);
+    expect(estimateSlippage(asks, 1e9, 100)).to.be.null;
+  });
+
+  it('should grade by spread and reference slippage', () => {
+    expect(calculateLiquidityMetrics(buildBook()).grade).to.equal('B');
+    expect(gradeLiquidity(0.03, 0.05)).to.equal('A+');
+    expect(gradeLiquidity(0.03, null)).to.equal('D');
+  });
+
+  it('should return null for an empty book', () => {
+    expect(calculateLiquidityMetrics(createOrderBook({ exchange: 'upbit', symbol: 'XRP', quote: 'KRW', bids: [], asks: [] }))).to.be.null;
+  });
+});
+
+describe('Liquidity in risk and scalping', () => {
+  const liquidity = {
+    grade: 'A+',
+    spread: 0.02,
+    depth1Pct: { bid: 30000, ask: 15000 },
+    imbalance1Pct: 0.4,
+    referenceSlippage: 0.05
+  };
+
+  it('should cap the position by order book depth', () => {
+    const riskManager = new RiskManager();
+
+    const withBook = riskManager.adjustForLiquidity(0.5, { liquidityGrade: 'A+', spread: 0.01, liquidity }, { balance: 10000 });
+    const withoutBook = riskManager.adjustForLiquidity(0.5, { liquidityGrade: 'A+', spread: 0.01 }, { balance: 10000 });
+
+    expect(withoutBook).to.equal(0.5);
+    expect(withBook).to.be.closeTo(0.15, 1e-9); // 15000 * 10% / 10000
+  });
+
+  it('should convert KRW order book depth to USD before capping', () => {
+    const riskManager = new RiskManager();
+    // 원화 호가: 중간가 140,000,000원, 얇은 쪽 깊이 1.4억원(= 1 BTC)
+    const krwBook = { ...liquidity, quote: 'KRW', midPrice: 140000000, depth1Pct: { bid: 280000000, ask: 140000000 } };
+
+    const capped = riskManager.adjustForLiquidity(0.5, { currentPrice: 100000, liquidity: krwBook }, { balance: 100000 });
+    const unconvertible = riskManager.adjustForLiquidity(0.5, { liquidity: krwBook }, { balance: 100000 });
+
+    expect(capped).to.be.closeTo(0.1, 1e-9); // 1 BTC * $100,000 * 10% / $100,000
+    expect(unconvertible).to.equal(0.5);
+  });
+
+  it('should shrink positions when the book cannot absorb the reference notional', () => {
+    const riskManager = new RiskManager();
+    const thin = { ...liquidity, grade: 'D', referenceSlippage: null, depth1Pct: null };
+
+    expect(riskManager.adjustForLiquidity(0.5, { liquidity: thin }, { balance: 10000 })).to.be.closeTo(0.1, 1e-9);
+  });
+
+  it('should use order book liquidity for scalping entries and exits', () => {
+    const scalping = new ScalpingStrategy();
+    const signalData = { finalScore: 70, volatility: 8, volumeRatio: 3, liquidityGrade: 'C', technicalStrength: 0.6 };
+
+    expect(scalping.canExecute(signalData, { spread: 0.02, liquidity })).to.be.true;
+    expect(scalping.canExecute(signalData, { spread: 0.02, liquidity: { ...liquidity, referenceSlippage: 0.3 } })).to.be.false;
+    expect(scalping.calculateEntryScore(signalData, { spread: 0.02, liquidity }))
+      .to.equal(scalping.calculateEntryScore(signalData, { spread: 0.02 }) + 5);
+
+    const position = { entryPrice: 100, entryTime: Date.now(), volume: 10 };
+    const exit = scalping.analyzeExit(position, { currentPrice: 100.1, volume: 10, spread: 0.02, liquidity: { ...liquidity, imbalance1Pct: -0.5 } });
+
+    expect(exit.shouldExit).to.be.true;
+    expect(exit.exitReason).to.equal('매도 호가 우위');
+  });
+});
@@ -0,0 +1,261 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const {
+  BinanceAdapter,
+  UpbitAdapter,
+  BithumbAdapter,
+  createAdapter,
+  createOrderBook
+} = require('../../src/adapters');
+const MarketDataService = require('../../src/services/MarketDataService');
+const TradingStrategyService = require('../../src/strategies/TradingStrategyService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+// 연결만 흉내 내는 WebSocket (보낸 메시지 기록)
+class FakeSocket extends EventEmitter {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = 1;
+    this.emit('open');
+  }
+
+  send(message) {
+    this.sent.push(message);
+  }
+
+  close() {
+    this.readyState = 3;
+    this.emit('close');
+  }
+}
+FakeSocket.instances = [];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('MarketDataAdapter', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+  });
+
+  describe('normalized model', () => {
+    it('should sort order book levels and compute the spread', () => {
+      const book = createOrderBook({
+        exchange: 'binance',
+        symbol: 'btc',
+        quote: 'USDT',
+        bids: [['99', '1'], ['100', '2'], ['98', '0']],
+        asks: [['102', '1'], ['101', '3']]
+      });
+
+      expect(book.symbol).to.equal('BTC');
+      expect(book.bids.map(l => l.price)).to.deep.equal([100, 99]);
+      expect(book.bestAsk).to.equal(101);
+      expect(book.spread).to.be.closeTo(0.995, 0.001);
+    });
+
+    it('should create adapters by exchange name', () => {
+      expect(createAdapter('upbit')).to.be.instanceOf(UpbitAdapter);
+      expect(() => createAdapter('kraken')).to.throw('Unknown market data exchange');
+    });
+  });
+
+  describe('connection management', () => {
+    it('should send subscriptions on open and restore them after reconnecting', async () => {
+      const adapter = new BinanceAdapter({ WebSocket: FakeSocket, reconnectBaseDelay: 5 });
+      adapter.subscribe('trade', ['BTC', 'ETH']).connect();
+
+      FakeSocket.instances[0].open();
+      expect(JSON.parse(FakeSocket.instances[0].sent[0]).params).to.deep.equal(['btcusdt@trade', 'ethusdt@trade']);
+
+      FakeSocket.instances[0].close();
+      expect(adapter.status).to.equal('reconnecting');
+
+      await wait(20);
+      FakeSocket.instances[1].open();
+
+      expect(adapter.status).to.equal('connected');
+      expect(JSON.parse(FakeSocket.instances[1].sent[0]).params).to.have.length(2);
+      adapter.disconnect();
+    });
+
+    it('should back off exponentially up to the maximum delay', () => {
+      const adapter = new BinanceAdapter({ reconnectBaseDelay: 1000, reconnectMaxDelay: 5000 });
+      expect([0, 1, 2, 3].map(attempt => adapter.getReconnectDelay(attempt))).to.deep.equal([1000, 2000, 4000, 5000]);
+    });
+
+    it('should not reconnect after disconnect', () => {
+      const adapter = new UpbitAdapter({ WebSocket: FakeSocket });
+      adapter.connect();
+      FakeSocket.instances[0].open();
+      adapter.disconnect();
+
+      expect(adapter.status).to.equal('disconnected');
+      expect(adapter.reconnectTimer).to.be.null;
+    });
+  });
+
+  describe('Binance', () => {
+    it('should emit gaps and drop stale trades by trade id', () => {
+      const adapter = new BinanceAdapter();
+      const trades = [];
+      const gaps = [];
+      adapter.on('trade', trade => trades.push(trade));
+      adapter.on('gap', gap => gaps.push(gap));
+
+      const trade = t => ({ stream: 'btcusdt@trade', data: { e: 'trade', s: 'BTCUSDT', t, p: '100', q: '1', T: 1700000000000, m: false } });
+      [1, 2, 2, 5].forEach(t => adapter.handlePayload(trade(t)));
+
+      expect(trades.map(t => t.sequence)).to.deep.equal([1, 2, 5]);
+      expect(trades[0].side).to.equal('buy');
+      expect(gaps).to.deep.equal([{ exchange: 'binance', key: 'trade:BTC', expected: 3, received: 5 }]);
+    });
+
+    it('should build the order book from a snapshot and resync on an update id gap', async () => {
+      const adapter = new BinanceAdapter();
+      const books = [];
+      let snapshots = 0;
+      adapter.on('orderbook', book => books.push(book));
+      adapter.request = async () => {
+        snapshots++;
+        return snapshots === 1
+          ? { lastUpdateId: 10, bids: [['100', '1']], asks: [['101', '1']] }
+          : { lastUpdateId: 30, bids: [['99', '1']], asks: [['100.5', '1']] };
+      };
+
+      const depth = (U, u, bids, asks = []) => ({ data: { e: 'depthUpdate', E: 1700000000000, s: 'BTCUSDT', U, u, b: bids, a: asks } });
+
+      adapter.handlePayload(depth(9, 11, [['100', '2']]));
+      await wait(0);
+      adapter.handlePayload(depth(12, 12, [['100', '0'], ['99.5', '1']]));
+
+      expect(books).to.have.length(2);
+      expect(books[0].bids[0]).to.deep.equal({ price: 100, quantity: 2 });
+      expect(books[1].bestBid).to.equal(99.5);
+
+      adapter.handlePayload(depth(20, 21, [['98', '1']]));
+      await wait(0);
+
+      expect(snapshots).to.equal(2);
+      expect(adapter.stats.gaps).to.equal(1);
+      expect(books[books.length - 1].bestBid).to.equal(99);
+    });
+  });
+
+  describe('Upbit', () => {
+    it('should send every subscription in a single message', () => {
+      const adapter = new UpbitAdapter();
+      adapter.subscribe('ticker', ['BTC', 'ETH']).subscribe('candle', 'BTC', { interval: '1h' });
+
+      const [message] = adapter.buildSubscribeMessages();
+
+      expect(message[1]).to.deep.equal({ type: 'ticker', codes: ['KRW-BTC', 'KRW-ETH'], is_only_realtime: true });
+      expect(message[2].type).to.equal('candle.60m');
+      expect(message[3]).to.deep.equal({ format: 'DEFAULT' });
+    });
+
+    it('should normalize streamed trades and order books', () => {
+      const adapter = new UpbitAdapter();
+      const ticks = [];
+      adapter.on('tick', tick => ticks.push(tick));
+
+      adapter.handlePayload({ type: 'trade', code: 'KRW-XRP', trade_price: 800, trade_volume: 10, ask_bid: 'ASK', sequential_id: 1, trade_timestamp: 1700000000000 });
+      adapter.handlePayload({ type: 'trade', code: 'KRW-XRP', trade_price: 800, trade_volume: 10, ask_bid: 'ASK', sequential_id: 1, trade_timestamp: 1700000000000 });
+      adapter.handlePayload({
+        type: 'orderbook',
+        code: 'KRW-XRP',
+        timestamp: 1700000000000,
+        orderbook_units: [{ ask_price: 801, bid_price: 799, ask_size: 5, bid_size: 6 }]
+      });
+
+      expect(ticks.map(t => t.channel)).to.deep.equal(['trade', 'orderbook']);
+      expect(ticks[0].data).to.include({ symbol: 'XRP', side: 'sell', amount: 8000 });
+      expect(ticks[1].data.bestBid).to.equal(799);
+    });
+
+    it('should reject unsupported candle stream intervals', () => {
+      expect(() => new UpbitAdapter().subscribe('candle', 'BTC', { interval: '1d' })).to.throw('not streamed');
+    });
+  });
+
+  describe('Bithumb', () => {
+    it('should parse KST timestamps', () => {
+      expect(BithumbAdapter.parseKst('2024-01-01 09:00:00.123456').toISOString()).to.equal('2024-01-01T00:00:00.123Z');
+      expect(BithumbAdapter.parseKst('20240101', '090000').toISOString()).to.equal('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should normalize streamed transactions', () => {
+      const adapter = new BithumbAdapter();
+      const trades = [];
+      adapter.on('trade', trade => trades.push(trade));
+
+      adapter.handlePayload({
+        type: 'transaction',
+        content: { list: [{ symbol: 'BTC_KRW', buySellGb: '2', contPrice: '50000000', contQty: '0.1', contDtm: '2024-01-01 09:00:00.000000' }] }
+      });
+
+      expect(trades[0]).to.include({ symbol: 'BTC', quote: 'KRW', side: 'buy', price: 50000000 });
+    });
+
+    it('should not offer a candle stream', () => {
+      expect(() => new BithumbAdapter().subscribe('candle', 'BTC', { interval: '1m' })).to.throw('not supported');
+    });
+  });
+});
+
+describe('MarketDataService', () => {
+  const now = () => new Date();
+
+  it('should combine live ticks into strategy market data', () => {
+    const marketDataService = new MarketDataService({ exchanges: ['binance'], symbols: ['BTC'] });
+
+    marketDataService.handleTick(createOrderBook({ exchange: 'binance', symbol: 'BTC', quote: 'USDT', bids: [[99.9, 1]], asks: [[100.1, 1]], timestamp: now() }));
+    marketDataService.handleTick({ type: 'trade', exchange: 'binance', symbol: 'BTC', quote: 'USDT', price: 100, quantity: 3, side: 'buy', timestamp: now() });
+    marketDataService.handleTick({ type: 'trade', exchange: 'binance', symbol: 'BTC', quote: 'USDT', price: 100.05, quantity: 1, side: 'sell', timestamp: now() });
+
+    const live = marketDataService.getLiveMarketData('btc');
+
+    expect(live).to.include({ exchange: 'binance', currentPrice: 100.05, bid: 99.9, ask: 100.1, volume: 4, buyRatio: 0.75, live: true });
+    expect(live.spread).to.be.closeTo(0.2, 0.001);
+  });
+
+  it('should ignore stale data', () => {
+    const marketDataService = new MarketDataService({ exchanges: ['upbit'], symbols: ['BTC'] });
+    marketDataService.handleTick({ type: 'ticker', exchange: 'upbit', symbol: 'BTC', quote: 'KRW', price: 1, timestamp: new Date(Date.now() - 60 * 1000) });
+
+    expect(marketDataService.getLiveMarketData('BTC')).to.be.null;
+  });
+
+  it('should feed live data into scalping only', () => {
+    const marketDataService = { getLiveMarketData: () => ({ quote: 'USDT', currentPrice: 101, spread: 0.05, bid: null, live: true }) };
+    const tradingStrategyService = new TradingStrategyService({ marketDataService });
+    const marketData = { currentPrice: 100, spread: 0.3, bid: 99 };
+
+    expect(tradingStrategyService.withLiveMarketData('SCALPING', 'BTC', marketData)).to.deep.equal({ quote: 'USDT', currentPrice: 101, spread: 0.05, bid: 99, live: true });
+    expect(tradingStrategyService.withLiveMarketData('SWING_TRADING', 'BTC', marketData)).to.equal(marketData);
+  });
+
+  it('should not merge KRW-quoted live data into USD market data', () => {
+    const marketDataService = new MarketDataService({ exchanges: ['binance', 'upbit'], symbols: ['BTC'] });
+    marketDataService.handleTick({ type: 'ticker', exchange: 'binance', symbol: 'BTC', quote: 'USDT', price: 100, timestamp: new Date(Date.now() - 60 * 1000) });
+    marketDataService.handleTick(createOrderBook({ exchange: 'upbit', symbol: 'BTC', quote: 'KRW', bids: [[139900, 1]], asks: [[140100, 1]], timestamp: now() }));
+    marketDataService.handleTick({ type: 'trade', exchange: 'upbit', symbol: 'BTC', quote: 'KRW', price: 140000, quantity: 1, side: 'buy', timestamp: now() });
+
+    const tradingStrategyService = new TradingStrategyService({ marketDataService });
+    const marketData = { currentPrice: 100, spread: 0.3, bid: 99.9, ask: 100.1 };
+
+    expect(marketDataService.getLiveMarketData('BTC')).to.include({ exchange: 'upbit', quote: 'KRW' });
+    expect(marketDataService.getLiveMarketData('BTC', null, { quotes: ['USD', 'USDT'] })).to.be.null;
+    expect(tradingStrategyService.withLiveMarketData('SCALPING', 'BTC', marketData)).to.equal(marketData);
+    expect(new TradingStrategyService({ marketDataService: { getLiveMarketData: () => ({ quote: 'KRW', currentPrice: 140000, live: true }) } })
+      .withLiveMarketData('SCALPING', 'BTC', marketData)).to.equal(marketData);
+  });
+});
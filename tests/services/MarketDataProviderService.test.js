@@ -0,0 +1,160 @@
+const { expect } = require('chai');
+const MarketDataProviderService = require('../../src/services/MarketDataProviderService');
+const Coin = require('../../src/models/Coin');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const tickers = entries => new Map(entries.map(([symbol, price]) => [symbol, { symbol, price }]));
+
+describe('MarketDataProviderService', () => {
+  let provider;
+  let cache;
+
+  beforeEach(() => {
+    provider = new MarketDataProviderService();
+    cache = new Map();
+    provider.cacheService = {
+      get: async key => cache.get(key) || null,
+      set: async (key, value) => cache.set(key, value)
+    };
+    provider.adapters = new Map([
+      ['binance', { quote: 'USDT', getTickers: async () => tickers([['BTC', 50000], ['ETH', 3000]]) }],
+      ['upbit', { quote: 'KRW', getTickers: async () => tickers([['USDT', 1300], ['BTC', 65390000], ['ETH', 3900000]]) }],
+      ['bithumb', { quote: 'KRW', getTickers: async () => { throw new Error('maintenance'); } }]
+    ]);
+  });
+
+  describe('calculateConsensus', () => {
+    it('should take the median and reject outliers', () => {
+      const consensus = provider.calculateConsensus([
+        { source: 'coingecko', price: 100 },
+        { source: 'binance', price: 100.4 },
+        { source: 'upbit', price: 101 },
+        { source: 'bithumb', price: 120 }
+      ]);
+
+      expect(consensus.price).to.be.closeTo(100.4, 1e-9);
+      expect(consensus.sources.find(s => s.source === 'bithumb').rejected).to.be.true;
+      expect(consensus.sources.filter(s => s.rejected)).to.have.length(1);
+      expect(consensus.disagreement).to.be.true;
+    });
+
+    it('should not flag sources that agree', () => {
+      const consensus = provider.calculateConsensus([
+        { source: 'coingecko', price: 100 },
+        { source: 'binance', price: 100.5 }
+      ]);
+
+      expect(consensus.price).to.equal(100.25);
+      expect(consensus.disagreement).to.be.false;
+    });
+
+    it('should reject sources far from the anchor price', () => {
+      const consensus = provider.calculateConsensus([
+        { source: 'coingecko', price: 2 },
+        { source: 'binance', price: 150 },
+        { source: 'upbit', price: 151 }
+      ], { price: 2, threshold: 0.05 });
+
+      expect(consensus.price).to.equal(2);
+      expect(consensus.disagreement).to.be.false;
+      expect(consensus.sources.filter(s => s.rejected).map(s => s.source)).to.deep.equal(['binance', 'upbit']);
+    });
+
+    it('should return no price without sources', () => {
+      expect(provider.calculateConsensus([{ source: 'binance', price: 0 }]).price).to.be.null;
+    });
+  });
+
+  describe('getMarketDataBatch', () => {
+    it('should apply the consensus price with provenance and skip failing exchanges', async () => {
+      provider.coinGeckoService = { getMarketDataBatch: async () => [{ id: 'bitcoin', symbol: 'btc', current_price: 50100 }] };
+
+      const [coin] = await provider.getMarketDataBatch(1, 1);
+
+      expect(coin.current_price).to.equal(50100);
+      expect(coin.price_provenance).to.include({ primary: 'coingecko', stale: false, disagreement: false });
+      expect(coin.price_provenance.sources.map(s => s.source)).to.deep.equal(['coingecko', 'binance', 'upbit']);
+      expect(coin.price_provenance.sources[2].price).to.be.closeTo(50300, 1e-6);
+      expect(provider.isCoolingDown('bithumb')).to.be.true;
+    });
+
+    it('should fall back to the last good batch when CoinGecko fails', async () => {
+      provider.coinGeckoService = { getMarketDataBatch: async () => [{ id: 'ethereum', symbol: 'eth', current_price: 3000 }] };
+      await provider.getMarketDataBatch(1, 1);
+
+      let calls = 0;
+      provider.coinGeckoService = { getMarketDataBatch: async () => { calls++; throw new Error('429 Too Many Requests'); } };
+
+      const [coin] = await provider.getMarketDataBatch(1, 1);
+      await provider.getMarketDataBatch(1, 1);
+
+      expect(calls).to.equal(1); // 실패 후 대기 시간 동안 재호출하지 않음
+      expect(coin.price_provenance).to.include({ primary: 'cache', stale: true });
+      expect(coin.price_provenance.sources.map(s => s.source)).to.deep.equal(['binance', 'upbit']);
+      expect(coin.current_price).to.equal(3000);
+    });
+
+    it('should keep the CoinGecko price when an exchange ticker belongs to another coin', async () => {
+      // 거래소의 ETH 티커가 CoinGecko의 다른 'eth' 코인과 겹치는 경우
+      provider.coinGeckoService = { getMarketDataBatch: async () => [{ id: 'ethos', symbol: 'eth', current_price: 0.8 }] };
+
+      const [coin] = await provider.getMarketDataBatch(1, 1);
+
+      expect(coin.current_price).to.equal(0.8);
+      expect(coin.price_provenance.disagreement).to.be.false;
+      expect(coin.price_provenance.sources.filter(s => s.rejected).map(s => s.source)).to.deep.equal(['binance', 'upbit']);
+    });
+
+    it('should build market data from exchange quotes when CoinGecko is down and the cache is empty', async () => {
+      provider.coinGeckoService = { getMarketDataBatch: async () => { throw new Error('429 Too Many Requests'); } };
+
+      const originalFind = Coin.find;
+      let query;
+      Coin.find = filter => {
+        query = { filter };
+        const chain = {
+          sort: sort => { query.sort = sort; return chain; },
+          skip: skip => { query.skip = skip; return chain; },
+          limit: limit => { query.limit = limit; return chain; },
+          lean: async () => [
+            { coinId: 'bitcoin', symbol: 'BTC', name: 'Bitcoin', marketCapRank: 1 },
+            { coinId: 'ethereum', symbol: 'ETH', name: 'Ethereum', marketCapRank: 2 }
+          ]
+        };
+        return chain;
+      };
+
+      try {
+        const coins = await provider.getMarketDataBatch(2, 10);
+
+        expect(query.filter.symbol.$in).to.have.members(['BTC', 'ETH']);
+        expect(query).to.include({ skip: 10, limit: 10 });
+        expect(coins.map(c => c.id)).to.deep.equal(['bitcoin', 'ethereum']);
+        expect(coins[0]).to.include({ symbol: 'btc', name: 'Bitcoin', market_cap_rank: 1 });
+        expect(coins[0].current_price).to.be.closeTo(50150, 1e-6);
+        expect(coins[0].price_provenance).to.include({ primary: 'exchange', stale: false });
+        expect(coins[0].price_provenance.sources.map(s => s.source)).to.deep.equal(['binance', 'upbit']);
+      } finally {
+        Coin.find = originalFind;
+      }
+    });
+
+    it('should throw when no source, no cache and no exchange quote is available', async () => {
+      provider.coinGeckoService = { getMarketDataBatch: async () => { throw new Error('down'); } };
+      provider.adapters = new Map([
+        ['binance', { quote: 'USDT', getTickers: async () => { throw new Error('down'); } }]
+      ]);
+
+      let error;
+      try {
+        await provider.getMarketDataBatch(2, 10);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.include('No market data available');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require('chai');
+const { UpbitAdapter, createMarket } = require('../../src/adapters');
+const MarketEventService = require('../../src/services/MarketEventService');
+const AlertService = require('../../src/services/AlertService');
+const ListingFactor = require('../../src/factors/ListingFactor');
+const SignalCalculatorService = require('../../src/services/SignalCalculatorService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const HOUR = 60 * 60 * 1000;
+const market = (symbol, fields = {}) => createMarket({ exchange: 'upbit', symbol, quote: 'KRW', name: symbol, ...fields });
+
+describe('Upbit market list', () => {
+  it('should normalize warning and caution flags for KRW markets only', async () => {
+    const adapter = new UpbitAdapter();
+    adapter.request = async () => [
+      { market: 'KRW-BTC', korean_name: '비트코인', english_name: 'Bitcoin', market_event: { warning: false, caution: { PRICE_FLUCTUATIONS: false } } },
+      { market: 'KRW-XYZ', korean_name: '엑스', english_name: 'Xyz', market_event: { warning: true, caution: { TRADING_VOLUME_SOARING: true, PRICE_FLUCTUATIONS: true } } },
+      { market: 'BTC-ETH', korean_name: '이더리움', english_name: 'Ethereum', market_warning: 'NONE' }
+    ];
+
+    const markets = await adapter.getMarkets();
+
+    expect(markets.map(m => m.symbol)).to.deep.equal(['BTC', 'XYZ']);
+    expect(markets[0]).to.include({ warning: false, name: '비트코인' });
+    expect(markets[1].warning).to.be.true;
+    expect(markets[1].cautions).to.deep.equal(['PRICE_FLUCTUATIONS', 'TRADING_VOLUME_SOARING']);
+  });
+});
+
+describe('MarketEventService', () => {
+  let marketEventService;
+  let markets;
+  let recorded;
+
+  beforeEach(() => {
+    markets = [market('BTC'), market('ETH'), market('XRP')];
+    recorded = [];
+
+    marketEventService = new MarketEventService({
+      alertService: { processMarketEventAlert: async () => ({ processed: 0, sent: 0 }) },
+      adapters: new Map([['upbit', { getMarkets: async () => markets }]])
+    });
+    marketEventService.cacheService = { get: async () => null, set: async () => {} };
+    marketEventService.recordEvent = async event => {
+      recorded.push(event);
+      return event;
+    };
+  });
+
+  it('should detect listings, delistings and warning changes', () => {
+    const events = marketEventService.diffMarkets('upbit',
+      [market('BTC'), market('ETH', { cautions: ['PRICE_FLUCTUATIONS'] }), market('OLD')],
+      [market('BTC', { warning: true }), market('ETH', { cautions: ['TRADING_VOLUME_SOARING'] }), market('NEW')]
+    );
+
+    expect(events.map(e => `${e.symbol}:${e.type}${e.reason ? `:${e.reason}` : ''}`)).to.have.members([
+      'BTC:WARNING_DESIGNATED',
+      'ETH:CAUTION_DESIGNATED:TRADING_VOLUME_SOARING',
+      'ETH:CAUTION_RELEASED:PRICE_FLUCTUATIONS',
+      'NEW:LISTING',
+      'OLD:DELISTING'
+    ]);
+    expect(events.find(e => e.type === 'LISTING').severity).to.equal('high');
+  });
+
+  it('should only record a baseline on the first poll', async () => {
+    const first = await marketEventService.poll();
+
+    markets = [...markets, market('SOL')];
+    const second = await marketEventService.poll();
+
+    expect(first.baseline).to.deep.equal(['upbit']);
+    expect(first.events).to.be.empty;
+    expect(second.events.map(e => e.type)).to.deep.equal(['LISTING']);
+    expect(recorded).to.have.length(1);
+  });
+
+  it('should ignore a poll where too many markets vanish at once', async () => {
+    markets = Array.from({ length: 20 }, (_, i) => market(`C${i}`));
+    await marketEventService.poll();
+
+    markets = markets.slice(0, 5);
+    const result = await marketEventService.poll();
+
+    expect(result.failed).to.deep.equal(['upbit']);
+    expect(recorded).to.be.empty;
+  });
+
+  it('should keep unrecorded events for the next poll when saving fails', async () => {
+    await marketEventService.poll();
+
+    let failing = true;
+    marketEventService.recordEvent = async event => {
+      if (failing && event.symbol === 'SOL') throw new Error('write conflict');
+      recorded.push(event);
+      return event;
+    };
+
+    markets = [market('BTC'), market('ETH'), market('SOL'), market('ADA')];
+    const failed = await marketEventService.poll();
+
+    expect(failed.failed).to.deep.equal(['upbit']);
+    expect(recorded.map(e => `${e.symbol}:${e.type}`)).to.have.members(['ADA:LISTING', 'XRP:DELISTING']);
+
+    failing = false;
+    recorded = [];
+    const retried = await marketEventService.poll();
+
+    expect(retried.failed).to.be.empty;
+    expect(recorded.map(e => `${e.symbol}:${e.type}`)).to.deep.equal(['SOL:LISTING']);
+  });
+
+  it('should score a fresh listing bullish and decay it over the window', () => {
+    const now = Date.now();
+
+    const fresh = marketEventService.analyze([{ exchange: 'upbit', type: 'LISTING', detectedAt: new Date(now) }], now);
+    const old = marketEventService.analyze([{ exchange: 'upbit', type: 'LISTING', detectedAt: new Date(now - 36 * HOUR) }], now);
+
+    expect(fresh.score).to.equal(75);
+    expect(old.score).to.equal(62.5);
+  });
+
+  it('should only count the latest warning state per exchange', () => {
+    const now = Date.now();
+    const events = [
+      { exchange: 'upbit', type: 'WARNING_RELEASED', detectedAt: new Date(now) },
+      { exchange: 'upbit', type: 'WARNING_DESIGNATED', detectedAt: new Date(now - HOUR) },
+      { exchange: 'bithumb', type: 'WARNING_DESIGNATED', detectedAt: new Date(now) }
+    ];
+
+    const analysis = marketEventService.analyze(events, now);
+
+    expect(analysis.score).to.equal(30);
+    expect(analysis.signals).to.have.members(['upbit WARNING_RELEASED', 'bithumb WARNING_DESIGNATED']);
+  });
+});
+
+describe('Market event alerts and factor', () => {
+  it('should filter alerts by configured event types', () => {
+    const alertService = new AlertService();
+    const event = { symbol: 'XYZ', type: 'LISTING' };
+
+    expect(alertService.shouldTriggerMarketEventAlert({ settings: {} }, event)).to.be.true;
+    expect(alertService.shouldTriggerMarketEventAlert({ settings: { eventTypes: ['DELISTING'] } }, event)).to.be.false;
+  });
+
+  it('should not weigh in without recent events', async () => {
+    const factor = new ListingFactor({ marketEventService: { getSignal: async () => null } });
+
+    const result = await factor.compute({ symbol: 'BTC', weights: {} });
+
+    expect(result).to.include({ score: 50, weight: 0 });
+  });
+
+  it('should be registered on the signal calculator', () => {
+    expect(new SignalCalculatorService().factorRegistry.has('listing')).to.be.true;
+  });
+});
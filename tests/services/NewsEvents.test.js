@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const { classifyEvents, meetsSeverity } = require('../../src/nlp/newsEvents');
+const AlertService = require('../../src/services/AlertService');
+const NewsService = require('../../src/services/NewsService');
+const FirebaseNotificationService = require('../../src/services/FirebaseNotificationService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const types = events => events.map(event => event.type);
+
+describe('classifyEvents', () => {
+  it('should tag a bridge exploit with a large amount as a critical hack', () => {
+    const [event] = classifyEvents({ title: 'Hackers drain $150 million from cross-chain bridge', description: '' });
+
+    expect(event).to.include({ type: 'HACK', severity: 'critical' });
+    expect(event.confidence).to.be.at.least(0.7);
+  });
+
+  it('should ignore articles that deny the event', () => {
+    expect(classifyEvents('Exchange denies hack rumors, says funds are safe')).to.deep.equal([]);
+    expect(classifyEvents('거래소 해킹설은 사실무근')).to.deep.equal([]);
+  });
+
+  it('should recognise Korean exchange listings but not listed companies', () => {
+    const [listing] = classifyEvents({ title: '업비트, 신규 코인 원화마켓 상장', description: '' });
+
+    expect(listing).to.include({ type: 'LISTING', severity: 'high' });
+    expect(classifyEvents('국내 상장사 실적 발표')).to.deep.equal([]);
+  });
+
+  it('should not report a listing for a delisting article', () => {
+    const events = classifyEvents({ title: '빗썸, 3개 코인 상장폐지 결정', description: '거래지원 종료 예정' });
+
+    expect(types(events)).to.deep.equal(['DELISTING']);
+  });
+
+  it('should escalate ETF decisions and keep description-only matches less confident', () => {
+    const events = classifyEvents({ title: 'SEC approves spot Ether ETFs', description: '' });
+    const approval = events.find(event => event.type === 'ETF');
+    const [mention] = classifyEvents({ title: 'Ether price steady', description: 'Analysts discuss ETF flows' });
+
+    expect(types(events)).to.include.members(['ETF', 'REGULATION']);
+    expect(approval).to.include({ type: 'ETF', severity: 'high' });
+    expect(mention).to.include({ type: 'ETF', severity: 'medium' });
+    expect(mention.confidence).to.be.below(approval.confidence);
+  });
+
+  it('should compare severities', () => {
+    expect(meetsSeverity('high', 'medium')).to.be.true;
+    expect(meetsSeverity('low', 'high')).to.be.false;
+    expect(meetsSeverity('low', undefined)).to.be.true;
+  });
+});
+
+describe('AlertService news event alerts', () => {
+  const alertService = new AlertService();
+  const event = { type: 'HACK', severity: 'high', coins: ['ETH'], title: 'Bridge hacked' };
+
+  it('should filter by event type and minimum severity', () => {
+    expect(alertService.shouldTriggerNewsEventAlert({ settings: {} }, event)).to.be.true;
+    expect(alertService.shouldTriggerNewsEventAlert({ settings: { newsEventTypes: ['LISTING'] } }, event)).to.be.false;
+    expect(alertService.shouldTriggerNewsEventAlert({ settings: { newsEventTypes: ['HACK'], minSeverity: 'critical' } }, event)).to.be.false;
+    expect(alertService.shouldTriggerNewsEventAlert({ settings: { newsEventTypes: ['HACK'], minSeverity: 'medium' } }, event)).to.be.true;
+  });
+
+  it('should match alerts created with only a coinId', async () => {
+    const Alert = require('../../src/models/Alert');
+    const service = new AlertService();
+    const find = Alert.find;
+    let query = null;
+    service.init = async () => {};
+    Alert.find = async q => {
+      query = q;
+      return [];
+    };
+
+    try {
+      await service.processNewsEventAlert({ ...event, coinLinks: [{ symbol: 'ETH', coinId: 'ethereum' }, { symbol: 'KRWONLY', coinId: null }] });
+    } finally {
+      Alert.find = find;
+    }
+
+    expect(query.$or).to.deep.equal([{ symbol: { $in: ['ETH'] } }, { coinId: { $in: ['ethereum'] } }]);
+  });
+
+  it('should build a notification for the watched coin', () => {
+    const notification = new FirebaseNotificationService().createNewsEventNotification({ ...event, symbol: 'ETH', source: 'CoinDesk' });
+
+    expect(notification.title).to.include('ETH');
+    expect(notification.data).to.include({ coinSymbol: 'ETH', eventType: 'HACK', severity: 'high' });
+  });
+});
+
+describe('NewsService event search', () => {
+  const createService = () => {
+    const service = new NewsService({ sourceService: { getFeeds: async () => null } });
+    service.cacheService = { get: async () => null, set: async () => {} };
+    service.getLatestNews = async () => [
+      { title: 'Exchange hacked, ETH stolen', description: '' },
+      { title: 'Coinbase lists new token', description: '' },
+      { title: 'ETH staking update', description: '' }
+    ].map(article => ({ ...article, events: classifyEvents(article) }));
+    return service;
+  };
+
+  it('should filter by event type without a keyword', async () => {
+    const results = await createService().searchNews(undefined, 20, 'all', 'hack,listing');
+
+    expect(results.map(article => article.title)).to.have.members(['Exchange hacked, ETH stolen', 'Coinbase lists new token']);
+  });
+
+  it('should combine the keyword with the event filter', async () => {
+    const results = await createService().searchNews('eth', 20, 'all', 'HACK');
+
+    expect(results.map(article => article.title)).to.deep.equal(['Exchange hacked, ETH stolen']);
+  });
+});
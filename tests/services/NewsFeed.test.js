@@ -0,0 +1,223 @@
+const { expect } = require('chai');
+const { FeedFetcher, decodeFeedBody, parseFeed } = require('../../src/adapters/feeds');
+const NewsService = require('../../src/services/NewsService');
+const NewsSchedulerService = require('../../src/services/NewsSchedulerService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Crypto Daily</title>
+    <item>
+      <title><![CDATA[Bitcoin <b>breaks</b> $100k &amp; more]]></title>
+      <link>https://example.com/btc</link>
+      <description><![CDATA[<p>BTC rallied overnight.</p>]]></description>
+      <pubDate>Tue, 14 Oct 2025 09:00:00 GMT</pubDate>
+      <dc:creator>Kim</dc:creator>
+      <category>Markets</category>
+    </item>
+    <item>
+      <title>Ethereum upgrade scheduled</title>
+      <link>https://example.com/eth</link>
+      <content:encoded><![CDATA[<div>ETH devs set a date.</div>]]></content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Chain News</title>
+  <entry>
+    <title type="html">Solana &lt;i&gt;outage&lt;/i&gt; resolved</title>
+    <link rel="self" href="https://example.com/self"/>
+    <link rel="alternate" href="https://example.com/sol"/>
+    <id>tag:example.com,2025:sol</id>
+    <updated>2025-10-14T10:00:00Z</updated>
+    <summary>Validators restarted.</summary>
+    <author><name>Lee</name></author>
+    <category term="Solana"/>
+  </entry>
+</feed>`;
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'JSON News',
+  items: [{ id: '1', url: 'https://example.com/xrp', title: 'XRP lawsuit update', content_text: 'Court ruling expected.', date_published: '2025-10-14T11:00:00Z', tags: ['XRP'] }]
+});
+
+// 비트코인 급등 (EUC-KR)
+const EUC_KR_TITLE = Buffer.from('baf1c6aec4dac0ce20b1deb5ee', 'hex');
+const eucKrFeed = () => Buffer.concat([
+  Buffer.from('<?xml version="1.0" encoding="EUC-KR"?><rss version="2.0"><channel><title>K</title><item><title>'),
+  EUC_KR_TITLE,
+  Buffer.from('</title><link>https://example.kr/1</link></item></channel></rss>')
+]);
+
+// 응답을 순서대로 돌려주는 수집기
+const stubFetcher = (responses, options = {}) => {
+  const fetcher = new FeedFetcher({ minInterval: 0, ...options });
+  fetcher.calls = [];
+  fetcher.request = async (url, headers) => {
+    fetcher.calls.push(headers);
+    const response = responses.shift();
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return fetcher;
+};
+
+describe('Feed parser', () => {
+  it('should parse RSS 2.0 with CDATA, HTML and namespaced fields', () => {
+    const feed = parseFeed(RSS);
+
+    expect(feed).to.include({ format: 'rss', title: 'Crypto Daily' });
+    expect(feed.items[0]).to.include({ title: 'Bitcoin breaks $100k & more', description: 'BTC rallied overnight.', link: 'https://example.com/btc', author: 'Kim' });
+    expect(feed.items[0].pubDate.toISOString()).to.equal('2025-10-14T09:00:00.000Z');
+    expect(feed.items[0].categories).to.deep.equal(['Markets']);
+    expect(feed.items[1]).to.include({ description: 'ETH devs set a date.', guid: 'https://example.com/eth', pubDate: null });
+  });
+
+  it('should parse Atom entries using the alternate link', () => {
+    const [entry] = parseFeed(ATOM).items;
+
+    expect(entry).to.include({ title: 'Solana outage resolved', link: 'https://example.com/sol', guid: 'tag:example.com,2025:sol', author: 'Lee' });
+    expect(entry.categories).to.deep.equal(['Solana']);
+  });
+
+  it('should parse JSON Feed', () => {
+    const feed = parseFeed(JSON_FEED, 'application/feed+json');
+
+    expect(feed.format).to.equal('json');
+    expect(feed.items[0]).to.include({ title: 'XRP lawsuit update', description: 'Court ruling expected.', link: 'https://example.com/xrp' });
+  });
+
+  it('should decode EUC-KR feeds from the XML declaration or the Content-Type charset', () => {
+    expect(parseFeed(decodeFeedBody(eucKrFeed())).items[0].title).to.equal('비트코인 급등');
+
+    const undeclared = Buffer.concat([Buffer.from('<rss><channel><item><title>'), EUC_KR_TITLE, Buffer.from('</title></item></channel></rss>')]);
+    expect(parseFeed(decodeFeedBody(undeclared, 'text/xml; charset=euc-kr')).items[0].title).to.equal('비트코인 급등');
+  });
+
+  it('should reject documents that are not feeds', () => {
+    expect(() => parseFeed('<html><body>Not found</body></html>')).to.throw('Unrecognized feed format');
+  });
+});
+
+describe('FeedFetcher', () => {
+  const feed = { name: 'Crypto Daily', url: 'https://example.com/rss' };
+
+  it('should send conditional headers and reuse items on 304', async () => {
+    const fetcher = stubFetcher([
+      { status: 200, headers: { etag: '"v1"', 'last-modified': 'Tue, 14 Oct 2025 09:00:00 GMT' }, data: Buffer.from(RSS) },
+      { status: 304, headers: {}, data: Buffer.alloc(0) }
+    ]);
+
+    const first = await fetcher.fetch(feed);
+    const second = await fetcher.fetch(feed);
+
+    expect(first.status).to.equal('ok');
+    expect(fetcher.calls[1]).to.deep.equal({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Tue, 14 Oct 2025 09:00:00 GMT' });
+    expect(second.status).to.equal('not-modified');
+    expect(second.items).to.have.length(2);
+    expect(fetcher.getHealth(feed.url)).to.include({ status: 'healthy', fetches: 2, lastItemCount: 2 });
+  });
+
+  it('should track failures and back off after repeated errors', async () => {
+    const fetcher = stubFetcher([new Error('ECONNRESET'), new Error('ECONNRESET'), new Error('timeout')], { failureThreshold: 3 });
+
+    await fetcher.fetch(feed);
+    expect(fetcher.getHealth(feed.url)).to.include({ status: 'degraded', consecutiveFailures: 1, lastError: 'ECONNRESET' });
+
+    await fetcher.fetch(feed);
+    await fetcher.fetch(feed);
+    const skipped = await fetcher.fetch(feed);
+
+    expect(fetcher.getHealth(feed.url).status).to.equal('down');
+    expect(skipped).to.include({ status: 'skipped', error: 'timeout' });
+    expect(fetcher.calls).to.have.length(3);
+  });
+
+  it('should count an unparseable or empty response as a failure', async () => {
+    const fetcher = stubFetcher([{ status: 200, headers: {}, data: Buffer.from('<html></html>') }]);
+
+    const result = await fetcher.fetch(feed);
+
+    expect(result).to.include({ status: 'error', error: 'Unrecognized feed format' });
+    expect(result.items).to.be.empty;
+  });
+
+  it('should share one request between concurrent callers', async () => {
+    const fetcher = stubFetcher([{ status: 200, headers: {}, data: Buffer.from(RSS) }]);
+
+    const [a, b] = await Promise.all([fetcher.fetch(feed), fetcher.fetch(feed)]);
+
+    expect(fetcher.calls).to.have.length(1);
+    expect(a).to.equal(b);
+  });
+});
+
+describe('NewsService feed ingestion', () => {
+  const createService = responses => {
+    const service = new NewsService({ feedFetcher: stubFetcher(responses), sourceService: { getFeeds: async () => null } });
+    service.cacheService = { get: async () => null, set: async () => {}, getNewsData: async () => null, setNewsData: async () => {} };
+    service.newsFeeds = [
+      { name: 'Crypto Daily', url: 'https://example.com/rss', weight: 1, language: 'en' },
+      { name: 'Chain News', url: 'https://example.com/atom', weight: 0.8, language: 'en' }
+    ];
+    return service;
+  };
+
+  it('should return no articles instead of mock data when feeds fail', async () => {
+    const service = createService([new Error('offline'), new Error('offline')]);
+
+    const news = await service.fetchNews('BTC');
+
+    expect(news).to.deep.equal([]);
+    expect(service.getMockNewsData).to.be.undefined;
+  });
+
+  it('should collect every feed once and report a no-data state', async () => {
+    const service = createService([{ status: 200, headers: {}, data: Buffer.from(RSS) }, new Error('HTTP 503')]);
+
+    const result = await service.collectFeeds();
+
+    expect(result.noData).to.be.false;
+    expect(result.articles.map(a => a.link)).to.deep.equal(['https://example.com/btc', 'https://example.com/eth']);
+    expect(result.articles[0]).to.include({ source: 'Crypto Daily', language: 'en' });
+    expect(result.feeds.map(f => `${f.name}:${f.status}`)).to.deep.equal(['Crypto Daily:ok', 'Chain News:error']);
+
+    const empty = await createService([new Error('offline'), new Error('offline')]).collectFeeds();
+    expect(empty.noData).to.be.true;
+  });
+
+  it('should expose per-feed health', async () => {
+    const service = createService([{ status: 200, headers: {}, data: Buffer.from(RSS) }, new Error('offline')]);
+    await service.collectFeeds();
+
+    const feeds = await service.getNewsFeeds();
+
+    expect(feeds.map(f => f.status)).to.deep.equal(['healthy', 'degraded']);
+  });
+});
+
+describe('NewsSchedulerService collection', () => {
+  it('should stop with a no-data result when every feed fails', async () => {
+    const scheduler = new NewsSchedulerService();
+    scheduler.newsService = { collectFeeds: async () => ({ articles: [], feeds: [{ name: 'A', status: 'error', error: 'offline' }], noData: true }) };
+
+    const result = await scheduler.collectAndProcessNews();
+
+    expect(result).to.include({ collected: 0, noData: true });
+  });
+
+  it('should match articles to coins before keywords', () => {
+    const scheduler = new NewsSchedulerService();
+    scheduler.targetCoins = ['BTC', 'ETH'];
+
+    expect(scheduler.matchSearchTerm({ title: 'Ethereum upgrade scheduled', description: '' })).to.deep.equal({ term: 'ETH', type: 'coin' });
+    expect(scheduler.matchSearchTerm({ title: '블록체인 업계 동향', description: '' })).to.deep.equal({ term: '블록체인', type: 'keyword' });
+    expect(scheduler.matchSearchTerm({ title: 'Weather today', description: '' })).to.be.null;
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require('chai');
+const NewsSourceService = require('../../src/services/NewsSourceService');
+const NewsService = require('../../src/services/NewsService');
+const NewsSource = require('../../src/models/NewsSource');
+const { FeedFetcher } = require('../../src/adapters/feeds');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2025, 9, 1);
+
+// 1시간봉 (closes[i]가 i번째 봉 종가)
+const hourlyCandles = closes => closes.map((close, i) => ({
+  openTime: new Date(START + i * HOUR),
+  closeTime: new Date(START + (i + 1) * HOUR - 1),
+  close
+}));
+
+describe('NewsSourceService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new NewsSourceService({ candleService: {} });
+  });
+
+  describe('calculateWeight', () => {
+    it('should keep the base weight until there are enough samples', () => {
+      expect(service.calculateWeight(0.8, 5, 5)).to.be.null;
+    });
+
+    it('should leave a coin-flip source at its base weight', () => {
+      expect(service.calculateWeight(0.8, 100, 50)).to.equal(0.8);
+    });
+
+    it('should raise accurate sources and cut misleading ones, shrunk toward 50%', () => {
+      const accurate = service.calculateWeight(0.8, 100, 80);
+      const misleading = service.calculateWeight(0.8, 100, 20);
+
+      expect(accurate).to.be.above(0.8);
+      expect(accurate).to.be.below(0.8 * 2 * 0.8);
+      expect(misleading).to.be.below(0.8);
+      expect(service.calculateWeight(0.8, 1000, 0)).to.equal(service.reliability.minWeight);
+    });
+  });
+
+  describe('measurePriceMove', () => {
+    it('should compare the last close before publication with the close after the horizon', () => {
+      const closes = Array.from({ length: 30 }, (_, i) => (i < 2 ? 100 : 110));
+      const publishedAt = new Date(START + 2 * HOUR + 10 * 60 * 1000);
+
+      expect(service.measurePriceMove(hourlyCandles(closes), publishedAt)).to.be.closeTo(10, 1e-9);
+    });
+
+    it('should return null when candles are missing around the horizon', () => {
+      const publishedAt = new Date(START + 2 * HOUR);
+
+      expect(service.measurePriceMove(hourlyCandles([100, 100, 100, 100]), publishedAt)).to.be.null;
+    });
+  });
+
+  describe('tallyHits', () => {
+    it('should count how often sentiment direction matched the later price direction', () => {
+      const rising = hourlyCandles(Array.from({ length: 40 }, (_, i) => 100 + i));
+      const publishedAt = new Date(START + 3 * HOUR);
+      const articles = [
+        { source: 'A', title: 'up', publishedAt, coins: ['BTC'] },
+        { source: 'A', title: 'down', publishedAt, coins: ['BTC'] },
+        { source: 'A', title: 'flat', publishedAt, coins: ['BTC'] },
+        { source: 'B', title: 'up', publishedAt, coins: ['BTC', 'ETH'] }
+      ];
+      const scores = { up: 80, down: 20, flat: 50 };
+
+      const tally = service.tallyHits(articles, new Map([['BTC', rising]]), text => scores[text.trim()]);
+
+      expect(tally.get('A')).to.deep.equal({ samples: 2, hits: 1 });
+      expect(tally.get('B')).to.deep.equal({ samples: 1, hits: 1 });
+    });
+  });
+
+  it('should fall back to the base weight when nothing has been learned', () => {
+    const feed = service.toFeed({ _id: 'abc', name: 'X', url: 'https://x/rss', language: 'en', enabled: true, fetchIntervalMinutes: 15, baseWeight: 0.7, reliability: { weight: null, samples: 3, hits: 2 } });
+
+    expect(feed).to.include({ id: 'abc', weight: 0.7 });
+    expect(feed.reliability).to.include({ weight: null, samples: 3 });
+
+    const learned = service.toFeed({ _id: 'abc', name: 'X', url: 'https://x/rss', baseWeight: 0.7, reliability: { weight: 1.1, samples: 50, hits: 35, hitRate: 0.7 } });
+    expect(learned.weight).to.equal(1.1);
+  });
+
+  it('should seed defaults from the model list', () => {
+    expect(NewsSource.DEFAULT_SOURCES.length).to.be.at.least(10);
+    expect(new NewsSource({ name: 'X', url: 'https://x/rss', baseWeight: 0.6 }).weight).to.equal(0.6);
+  });
+});
+
+describe('NewsService source weighting', () => {
+  const createService = feeds => {
+    const service = new NewsService({ sourceService: { getFeeds: async () => feeds } });
+    service.cacheService = { get: async () => null, set: async () => {}, getNewsData: async () => null, setNewsData: async () => {}, getSentiment: async () => null, setSentiment: async () => {} };
+    return service;
+  };
+
+  it('should use the configured sources and their learned weights', async () => {
+    const service = createService([
+      { name: 'Trusted', url: 'https://trusted/rss', weight: 1.5, enabled: true },
+      { name: 'Noisy', url: 'https://noisy/rss', weight: 0.2, enabled: true }
+    ]);
+    await service.loadSources();
+
+    const article = { title: 'BTC rallies', description: 'BTC up', pubDate: new Date(Date.now() - 20 * HOUR) };
+    const trusted = service.calculateRelevance({ ...article, source: 'Trusted', weight: 1 }, 'BTC');
+    const noisy = service.calculateRelevance({ ...article, source: 'Noisy', weight: 1 }, 'BTC');
+
+    expect(trusted).to.equal(15 * 1.5);
+    expect(noisy).to.equal(15 * 0.2);
+  });
+
+  it('should keep the default sources when the source collection is unavailable', async () => {
+    const service = createService(null);
+
+    const feeds = await service.loadSources();
+
+    expect(feeds.map(f => f.name)).to.deep.equal(NewsSource.DEFAULT_SOURCES.map(s => s.name));
+  });
+
+  it('should weight coin sentiment by source reliability', async () => {
+    const service = createService([
+      { name: 'Trusted', url: 'https://trusted/rss', weight: 1.8, enabled: true },
+      { name: 'Noisy', url: 'https://noisy/rss', weight: 0.2, enabled: true }
+    ]);
+    await service.loadSources();
+    service.fetchNews = async () => [
+      { title: 'Bitcoin surges to record high on strong gains', description: '', source: 'Trusted' },
+      { title: 'Bitcoin crashes in terrible panic selloff losses', description: '', source: 'Noisy' }
+    ];
+
+    const result = await service.getCoinSentiment('BTC');
+    const [up, down] = [
+      service.analyzeTextSentiment('Bitcoin surges to record high on strong gains ').score,
+      service.analyzeTextSentiment('Bitcoin crashes in terrible panic selloff losses ').score
+    ];
+
+    expect(result.articlesAnalyzed).to.equal(2);
+    expect(result.score).to.equal(Math.round((up * 1.8 + down * 0.2) / 2));
+  });
+
+  it('should apply learned weights when news comes from the cache', async () => {
+    const service = createService([
+      { name: 'Trusted', url: 'https://trusted/rss', weight: 1.8, enabled: true },
+      { name: 'Noisy', url: 'https://noisy/rss', weight: 0.2, enabled: true }
+    ]);
+    service.cacheService.getNewsData = async () => [
+      { title: 'Bitcoin surges to record high on strong gains', description: '', source: 'Trusted', weight: 1 },
+      { title: 'Bitcoin crashes in terrible panic selloff losses', description: '', source: 'Noisy', weight: 1 }
+    ];
+
+    const result = await service.getCoinSentiment('BTC');
+    const [up, down] = [
+      service.analyzeTextSentiment('Bitcoin surges to record high on strong gains ').score,
+      service.analyzeTextSentiment('Bitcoin crashes in terrible panic selloff losses ').score
+    ];
+
+    expect(result.score).to.equal(Math.round((up * 1.8 + down * 0.2) / 2));
+  });
+
+  it('should load learned weights before sorting by relevance', async () => {
+    const service = createService([
+      { name: 'Trusted', url: 'https://trusted/rss', weight: 1.5, enabled: true },
+      { name: 'Noisy', url: 'https://noisy/rss', weight: 0.2, enabled: true }
+    ]);
+    const article = { title: 'BTC rallies', description: 'BTC up', pubDate: new Date(Date.now() - 20 * HOUR), weight: 1 };
+
+    const sorted = await service.sortNewsByRelevance([{ ...article, source: 'Noisy' }, { ...article, source: 'Trusted' }], 'BTC');
+
+    expect(sorted.map(item => item.source)).to.deep.equal(['Trusted', 'Noisy']);
+  });
+});
+
+describe('FeedFetcher per-source interval', () => {
+  it('should reuse the last result within the source fetch interval', async () => {
+    const fetcher = new FeedFetcher({ minInterval: 0 });
+    let calls = 0;
+    fetcher.request = async () => {
+      calls++;
+      return { status: 200, headers: {}, data: Buffer.from('<rss><channel><item><title>A</title><link>https://a</link></item></channel></rss>') };
+    };
+
+    await fetcher.fetch({ name: 'A', url: 'https://a/rss', fetchIntervalMinutes: 30 });
+    const second = await fetcher.fetch({ name: 'A', url: 'https://a/rss', fetchIntervalMinutes: 30 });
+
+    expect(calls).to.equal(1);
+    expect(second.status).to.equal('cached');
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const minhash = require('../../src/nlp/minhash');
+const NewsStoryService = require('../../src/services/NewsStoryService');
+const NewsService = require('../../src/services/NewsService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const SEC_STORY = [
+  { title: 'SEC approves spot Ether ETFs in landmark decision', description: 'The U.S. Securities and Exchange Commission approved applications for spot Ether exchange-traded funds on Thursday.', source: 'CoinDesk' },
+  { title: 'SEC Approves Spot Ether ETFs in Landmark Decision', description: 'The US Securities and Exchange Commission approved applications for spot Ether exchange-traded funds Thursday.', source: 'Decrypt' },
+  { title: 'SEC approves spot Ether ETFs in a landmark decision', description: 'The U.S. Securities and Exchange Commission has approved applications for spot Ether exchange traded funds on Thursday', source: 'CryptoNews' }
+];
+
+const KOREAN_STORY = [
+  { title: '업비트, 신규 코인 원화마켓 상장 발표', description: '업비트가 오늘 오후 신규 코인의 원화마켓 상장을 발표했다.', source: '블록미디어' },
+  { title: '업비트 신규 코인 원화마켓 상장 발표', description: '업비트는 오늘 오후 신규 코인의 원화 마켓 상장을 발표했다', source: '코인리더스' }
+];
+
+const UNRELATED = { title: 'Bitcoin miners face rising energy costs in Texas', description: 'Hashrate dipped as power prices spiked during the heat wave.', source: 'CoinTelegraph' };
+
+describe('MinHash', () => {
+  it('should estimate high similarity for near-identical text and low for unrelated text', () => {
+    const [a, b] = SEC_STORY.map(article => minhash.signature(`${article.title} ${article.description}`));
+    const other = minhash.signature(`${UNRELATED.title} ${UNRELATED.description}`);
+
+    expect(a).to.have.length(minhash.NUM_HASHES);
+    expect(minhash.similarity(a, b)).to.be.above(0.6);
+    expect(minhash.similarity(a, other)).to.be.below(0.2);
+  });
+
+  it('should be deterministic so stored signatures stay comparable', () => {
+    expect(minhash.signature('같은 문장')).to.deep.equal(minhash.signature('같은 문장'));
+    expect(minhash.bucketKeys(minhash.signature('같은 문장'))).to.have.length(20);
+  });
+
+  it('should return no signature for empty text', () => {
+    expect(minhash.signature('  ...  ')).to.be.null;
+    expect(minhash.bucketKeys(null)).to.deep.equal([]);
+  });
+});
+
+describe('NewsStoryService', () => {
+  const service = new NewsStoryService();
+
+  it('should cluster the same story syndicated across outlets', () => {
+    const clusters = service.clusterArticles([SEC_STORY[0], UNRELATED, ...KOREAN_STORY, SEC_STORY[1], SEC_STORY[2]]);
+
+    expect(clusters.map(cluster => cluster.map(article => article.source))).to.deep.equal([
+      ['CoinDesk', 'Decrypt', 'CryptoNews'],
+      ['CoinTelegraph'],
+      ['블록미디어', '코인리더스']
+    ]);
+  });
+
+  it('should fingerprint articles with signature and LSH buckets', () => {
+    const { signature, buckets } = service.fingerprint(SEC_STORY[0]);
+
+    expect(signature).to.have.length(minhash.NUM_HASHES);
+    expect(buckets).to.have.length(20);
+    expect(service.fingerprint({ title: '' })).to.deep.equal({ signature: [], buckets: [] });
+  });
+
+  it('should keep fingerprints out of news queries unless selected', () => {
+    const News = require('../../src/models/News');
+    const projection = query => {
+      query._applyPaths();
+      return query._fields;
+    };
+
+    expect(projection(News.find())).to.deep.equal({ 'fingerprint.signature': 0, 'fingerprint.buckets': 0 });
+    expect(projection(News.find().select('storyId fingerprint.signature'))).to.deep.equal({ storyId: 1, 'fingerprint.signature': 1 });
+  });
+});
+
+describe('NewsService story-level sentiment', () => {
+  it('should count a syndicated story once instead of once per outlet', async () => {
+    const service = new NewsService({ sourceService: { getFeeds: async () => null } });
+    service.cacheService = { getSentiment: async () => null, setSentiment: async () => {} };
+    service.newsFeeds = ['CoinDesk', 'Decrypt', 'CryptoNews', 'CoinTelegraph'].map(name => ({ name, weight: 1 }));
+
+    const positive = SEC_STORY.map(article => ({ ...article, title: `${article.title} great bullish gains` }));
+    const negative = { ...UNRELATED, title: `${UNRELATED.title} terrible crash losses` };
+    service.fetchNews = async () => [...positive, negative];
+
+    const result = await service.getCoinSentiment('ETH');
+
+    const positiveScores = positive.map(article => service.analyzeTextSentiment(`${article.title} ${article.description}`).score);
+    const storyScore = positiveScores.reduce((sum, score) => sum + score, 0) / positiveScores.length;
+    const negativeScore = service.analyzeTextSentiment(`${negative.title} ${negative.description}`).score;
+
+    expect(result.storiesAnalyzed).to.equal(2);
+    expect(result.articlesAnalyzed).to.equal(4);
+    expect(result.score).to.equal(Math.round((storyScore + negativeScore) / 2));
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const { PatternDetector } = require('../../src/indicators');
+const TechnicalAnalysisService = require('../../src/services/TechnicalAnalysisService');
+const SwingTradingStrategy = require('../../src/strategies/SwingTradingStrategy');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const bar = (open, close, high, low, volume = 10) => ({ open, close, high, low, volume });
+
+// 꼭짓점을 잇는 직선 경로로 봉 생성 (고가/저가는 종가 ±0.5)
+const pathBars = (points, steps = 6) => {
+  const closes = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    for (let s = 1; s <= steps; s++) {
+      closes.push(points[i - 1] + (points[i] - points[i - 1]) * (s / steps));
+    }
+  }
+  return closes.map((close, i) => bar(i === 0 ? close : closes[i - 1], close, close + 0.5, close - 0.5));
+};
+
+const downtrend = [110, 108, 106, 104, 102].map(close => bar(close + 1, close, close + 1.5, close - 0.5));
+const uptrend = [100, 102, 104, 106, 108].map(close => bar(close - 1, close, close + 0.5, close - 1.5));
+
+const names = patterns => patterns.map(p => p.name);
+
+describe('PatternDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new PatternDetector();
+  });
+
+  describe('candlestick patterns', () => {
+    it('should detect a hammer after a downtrend', () => {
+      const patterns = detector.detect([...downtrend, bar(100, 101, 101.2, 97)]).candlestick;
+      expect(names(patterns)).to.include('HAMMER');
+    });
+
+    it('should not call a hammer shape in an uptrend a hammer', () => {
+      const patterns = detector.detect([...uptrend, bar(108, 109, 109.2, 105)]).candlestick;
+      expect(names(patterns)).to.not.include('HAMMER');
+    });
+
+    it('should detect a shooting star after an uptrend', () => {
+      const patterns = detector.detect([...uptrend, bar(109, 108, 112, 107.8)]).candlestick;
+      expect(names(patterns)).to.include('SHOOTING_STAR');
+    });
+
+    it('should detect bullish and bearish engulfing', () => {
+      const bullish = detector.detect([...downtrend, bar(102, 100, 102.5, 99.5), bar(99.5, 103, 103.5, 99)]).candlestick;
+      const bearish = detector.detect([...uptrend, bar(106, 108, 108.5, 105.5), bar(108.5, 105, 109, 104.5)]).candlestick;
+
+      expect(names(bullish)).to.include('BULLISH_ENGULFING');
+      expect(names(bearish)).to.include('BEARISH_ENGULFING');
+    });
+
+    it('should detect a doji', () => {
+      const patterns = detector.detect([...uptrend, bar(100, 100.05, 102, 98)]).candlestick;
+      expect(patterns.find(p => p.name === 'DOJI').type).to.equal('NEUTRAL');
+    });
+
+    it('should detect morning and evening stars', () => {
+      const morning = detector.detect([...downtrend, bar(110, 100, 110.5, 99.5), bar(99, 99.5, 100, 98.5), bar(100, 108, 108.5, 99.5)]).candlestick;
+      const evening = detector.detect([...uptrend, bar(100, 110, 110.5, 99.5), bar(111, 110.5, 111.5, 110), bar(110, 102, 110.5, 101.5)]).candlestick;
+
+      expect(names(morning)).to.include('MORNING_STAR');
+      expect(names(evening)).to.include('EVENING_STAR');
+    });
+  });
+
+  describe('chart patterns', () => {
+    it('should detect a confirmed double top', () => {
+      const chart = detector.detect(pathBars([100, 120, 105, 120.5, 100])).chart;
+      const doubleTop = chart.find(p => p.name === 'DOUBLE_TOP');
+
+      expect(doubleTop.type).to.equal('BEARISH');
+      expect(doubleTop.confirmed).to.be.true;
+      expect(doubleTop.neckline).to.equal(104.5);
+    });
+
+    it('should detect a double bottom', () => {
+      const chart = detector.detect(pathBars([120, 100, 115, 100.5, 118])).chart;
+      expect(names(chart)).to.include('DOUBLE_BOTTOM');
+    });
+
+    it('should detect head and shoulders', () => {
+      const chart = detector.detect(pathBars([100, 115, 105, 125, 105, 115.5, 98])).chart;
+      const pattern = chart.find(p => p.name === 'HEAD_AND_SHOULDERS');
+
+      expect(pattern.confirmed).to.be.true;
+      expect(names(chart)).to.not.include('DOUBLE_TOP');
+    });
+
+    it('should detect an ascending triangle', () => {
+      const chart = detector.detect(pathBars([100, 120, 105, 120, 110, 120, 115])).chart;
+      expect(chart.find(p => p.name === 'ASCENDING_TRIANGLE').type).to.equal('BULLISH');
+    });
+
+    it('should detect a volume-confirmed resistance breakout', () => {
+      const bars = Array.from({ length: 25 }, (_, i) => bar(100, i % 2 ? 100.5 : 99.5, 101, 99));
+      bars.push(bar(100.5, 105, 105.5, 100.4, 30));
+
+      const chart = detector.detect(bars, { supportResistance: { support: 99, resistance: 101 } }).chart;
+      const breakout = chart.find(p => p.name === 'RESISTANCE_BREAKOUT');
+
+      expect(breakout.volumeConfirmed).to.be.true;
+    });
+  });
+
+  describe('integration', () => {
+    it('should emit pattern signals from generateTechnicalSignals', () => {
+      const technicalAnalysisService = new TechnicalAnalysisService();
+      const neutral = technicalAnalysisService.getNeutralTechnicalAnalysis('1d');
+
+      const signals = technicalAnalysisService.generateTechnicalSignals({
+        ...neutral,
+        patterns: {
+          candlestick: [{ name: 'HAMMER', type: 'BULLISH', strength: 0.6 }, { name: 'DOJI', type: 'NEUTRAL', strength: 0.4 }],
+          chart: [{ name: 'DOUBLE_TOP', type: 'BEARISH', strength: 0.8 }]
+        }
+      });
+
+      expect(signals).to.deep.equal([
+        { type: 'BUY', indicator: 'PATTERN', pattern: 'HAMMER', strength: 0.6 },
+        { type: 'SELL', indicator: 'PATTERN', pattern: 'DOUBLE_TOP', strength: 0.8 }
+      ]);
+    });
+
+    it('should use confirming patterns as swing entry conditions', () => {
+      const strategy = new SwingTradingStrategy();
+      strategy.requirePatternConfirmation = true;
+
+      const signalData = { finalScore: 70, volatility: 5, volumeRatio: 1.5, liquidityGrade: 'A', technicalStrength: 0.6 };
+      const marketData = { currentPrice: 100, spread: 0.1 };
+      const bullish = { ...marketData, patterns: { candlestick: [{ name: 'BULLISH_ENGULFING', type: 'BULLISH', strength: 0.7 }], chart: [] } };
+
+      expect(strategy.canExecute(signalData, marketData)).to.be.false;
+      expect(strategy.canExecute(signalData, bullish)).to.be.true;
+
+      const entry = strategy.analyzeEntry(signalData, bullish);
+      expect(entry.patterns.confirming).to.deep.equal(['BULLISH_ENGULFING']);
+      expect(entry.entryScore).to.be.above(strategy.analyzeEntry(signalData, marketData).entryScore);
+    });
+  });
+});
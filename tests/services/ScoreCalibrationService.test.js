@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const ScoreCalibrationService = require('../../src/services/ScoreCalibrationService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('ScoreCalibrationService', () => {
+  let calibrationService;
+
+  beforeEach(() => {
+    calibrationService = new ScoreCalibrationService();
+  });
+
+  describe('fitIsotonic', () => {
+    it('should produce monotonically non-decreasing probabilities', () => {
+      const knots = calibrationService.fitIsotonic([
+        { score: 20, samples: 50, ups: 10 },
+        { score: 40, samples: 50, ups: 30 },
+        { score: 50, samples: 50, ups: 20 },
+        { score: 80, samples: 50, ups: 40 }
+      ]);
+
+      for (let i = 1; i < knots.length; i++) {
+        expect(knots[i].probability).to.be.at.least(knots[i - 1].probability);
+      }
+    });
+
+    it('should pool adjacent scores that violate monotonicity', () => {
+      const knots = calibrationService.fitIsotonic([
+        { score: 40, samples: 50, ups: 30 },
+        { score: 50, samples: 50, ups: 20 }
+      ]);
+
+      expect(knots).to.have.length(1);
+      expect(knots[0].scoreMin).to.equal(40);
+      expect(knots[0].scoreMax).to.equal(50);
+      expect(knots[0].samples).to.equal(100);
+    });
+
+    it('should smooth blocks so probabilities never reach 0 or 1', () => {
+      const knots = calibrationService.fitIsotonic([
+        { score: 10, samples: 5, ups: 0 },
+        { score: 90, samples: 5, ups: 5 }
+      ]);
+
+      expect(knots[0].probability).to.be.above(0);
+      expect(knots[1].probability).to.be.below(1);
+    });
+  });
+
+  describe('predict', () => {
+    const knots = [
+      { scoreMin: 20, scoreMax: 30, probability: 0.3, samples: 100 },
+      { scoreMin: 70, scoreMax: 80, probability: 0.7, samples: 100 }
+    ];
+
+    it('should return the block probability inside a block', () => {
+      expect(calibrationService.predict(knots, 25)).to.equal(0.3);
+    });
+
+    it('should interpolate between blocks', () => {
+      expect(calibrationService.predict(knots, 50)).to.be.closeTo(0.5, 0.0001);
+    });
+
+    it('should clamp outside the fitted range', () => {
+      expect(calibrationService.predict(knots, 0)).to.equal(0.3);
+      expect(calibrationService.predict(knots, 100)).to.equal(0.7);
+    });
+
+    it('should return null without a calibration', () => {
+      expect(calibrationService.predict([], 50)).to.be.null;
+    });
+  });
+
+  describe('deriveThresholds', () => {
+    it('should find the lowest score reaching each probability level', () => {
+      const knots = [
+        { scoreMin: 0, scoreMax: 49, probability: 0.4, samples: 100 },
+        { scoreMin: 50, scoreMax: 100, probability: 0.65, samples: 100 }
+      ];
+      const thresholds = calibrationService.deriveThresholds(knots);
+
+      expect(thresholds.BUY_HIGH).to.equal(50);
+      expect(thresholds.WEAK_SELL).to.equal(0);
+      expect(thresholds.STRONG_BUY).to.be.null;
+    });
+  });
+
+  describe('getRecommendation', () => {
+    it('should map probabilities to actions', () => {
+      expect(calibrationService.getRecommendation(0.75).action).to.equal('STRONG_BUY');
+      expect(calibrationService.getRecommendation(0.56)).to.deep.equal({ action: 'BUY', confidence: 'MEDIUM' });
+      expect(calibrationService.getRecommendation(0.5).action).to.equal('HOLD');
+      expect(calibrationService.getRecommendation(0.1).action).to.equal('STRONG_SELL');
+    });
+  });
+
+  describe('buildCalibration', () => {
+    it('should report reliability buckets and improve the brier score', () => {
+      const points = [
+        { score: 85, samples: 100, ups: 55 },
+        { score: 60, samples: 100, ups: 50 },
+        { score: 30, samples: 100, ups: 45 }
+      ];
+      const calibration = calibrationService.buildCalibration('ALL', points);
+
+      expect(calibration.samples).to.equal(300);
+      expect(calibration.baseRate).to.equal(0.5);
+      expect(calibration.reliability.map(r => r.bucket)).to.deep.equal(['30-40', '60-70', '80-90']);
+      expect(calibration.reliability[2].observedRate).to.equal(0.55);
+      expect(calibration.brierScore.calibrated).to.be.below(calibration.brierScore.raw);
+    });
+  });
+
+  describe('getScoreForProbability', () => {
+    it('should fall back to the ALL calibration', () => {
+      calibrationService.calibrations.set('ALL', {
+        timeframe: 'ALL',
+        knots: [{ scoreMin: 0, scoreMax: 100, probability: 0.6, samples: 500 }]
+      });
+
+      expect(calibrationService.getScoreForProbability('SCALPING', 0.55)).to.equal(0);
+      expect(calibrationService.getScoreForProbability('SCALPING', 0.7)).to.be.null;
+    });
+
+    it('should return null without calibrations', () => {
+      expect(calibrationService.getScoreForProbability('SCALPING', 0.5)).to.be.null;
+    });
+  });
+});
@@ -159,6 +159,154 @@ describe('SignalCalculatorService', () => {
     });
   });
 
+  describe('buildSignalExplanation', () => {
+    it('should report factor contributions sorted by impact with applied multipliers', () => {
+      signalCalculator.getMarketCorrectionFactor = () => 1.0;
+
+      const factorResults = {
+        price: { score: 80, weight: 0.3, evidence: { change_24h: 10 } },
+        volume: { score: 60, weight: 0.25, evidence: { volumeRatio: 1.5 } },
+        fundingRate: { score: 40, weight: 0.05, evidence: { rate: 0.01 } }
+      };
+      const scores = { price: 80, volume: 60, fundingRate: 40 };
+      const weights = { price: 0.3, volume: 0.25, fundingRate: 0.05 };
+      const scoreComposition = signalCalculator.composeFinalScore(scores, weights, 'normal');
+
+      const explanation = signalCalculator.buildSignalExplanation({
+        coinContext: { marketCondition: 'normal', weights: { price: 0.3, volume: 0.25 } },
+        factorResults,
+        scoreComposition,
+        recommendation: { action: 'HOLD', confidence: 'LOW' }
+      });
+
+      expect(explanation.factors.map(f => f.factor)).to.deep.equal(['price', 'volume', 'fundingRate']);
+      expect(explanation.factors[0]).to.include({ score: 80, weight: 0.3, contribution: 24, weightSource: 'market_condition' });
+      expect(explanation.factors[2].weightSource).to.equal('factor_default');
+      expect(explanation.factors[0].rawInput).to.deep.equal({ change_24h: 10 });
+      expect(explanation.weightedSum).to.equal(41);
+      expect(explanation.multipliers).to.deep.equal({ weightNormalization: 1, marketCorrection: 1.0, momentumPersistence: 1.0 });
+      expect(explanation.finalScore).to.equal(41);
+      expect(explanation.supportingItems).to.deep.equal({ news: [], social: [], whale: [] });
+    });
+  });
+
+  describe('calculateSignal live market data', () => {
+    it('should use the live stream price and spread for scalping signals', async () => {
+      const calls = [];
+      Object.assign(signalCalculator, {
+        analyzeBTCCorrelation: async () => 0.5,
+        analyzeMarketDominance: async () => 50,
+        analyzeFearGreedIndex: async () => 50,
+        analyzeMacroEvents: async () => ({}),
+        determineStrategy: async () => ({ timeframe: 'SCALPING', priority: 'high_priority', liquidityGrade: 'A', riskScore: 30, technicalStrength: 0.6 }),
+        getStrategyTechnicals: async () => ({}),
+        getSupportingItems: async () => ({ news: [], social: [], whale: [] }),
+        recordSignalSnapshot: async () => {},
+        getMarketCorrectionFactor: () => 1.0,
+        calculateVolatility: () => 8,
+        calculateVolumeRatio: () => 3
+      });
+      signalCalculator.factorRegistry.computeAll = async () => ({ price: { score: 80, weight: 1, evidence: {} } });
+      signalCalculator.liquidityService.getLiquidity = async () => ({ exchange: 'binance', quote: 'USDT', grade: 'A', spread: 0.2, referenceSlippage: 0.05 });
+      signalCalculator.scoreCalibrationService.getCalibratedProbability = async () => null;
+      signalCalculator.tradingStrategyService.marketDataService = {
+        getLiveMarketData: (symbol, exchange) => {
+          calls.push({ symbol, exchange });
+          return { exchange: 'binance', quote: 'USDT', currentPrice: 50123, bid: 50120, ask: 50126, spread: 0.012, live: true };
+        }
+      };
+
+      const signal = await signalCalculator.calculateSignal('bitcoin', 'btc', 'Bitcoin', {
+        current_price: 50000,
+        total_volume: 1000000000,
+        market_cap: 1000000000000,
+        market_cap_rank: 1,
+        price_change_percentage_24h: 8
+      });
+      const { tradingStrategy } = signal.metadata.strategy;
+
+      expect(calls).to.deep.equal([{ symbol: 'BTC', exchange: 'binance' }]);
+      // 요청 시세(스프레드 0.2%)라면 스캘핑 조건(0.1% 이하)을 통과하지 못함
+      expect(tradingStrategy.error).to.be.undefined;
+      expect(tradingStrategy.entryAnalysis.entryPrice).to.equal(50123);
+    });
+  });
+
+  describe('getStrategyTechnicals', () => {
+    it('should feed ATR from the signal timeframe candles into the ATR stop', async () => {
+      const intervals = [];
+      signalCalculator.technicalAnalysisService.analyzeTechnicalIndicators = async (symbol, priceData, { interval }) => {
+        intervals.push(interval);
+        return { atr: { value: 2800000, percent: 2 } }; // 원화 캔들이어도 비율로 적용
+      };
+
+      const priceData = { current_price: 2000 };
+      const marketData = { currentPrice: 2000, ...(await signalCalculator.getStrategyTechnicals('ETH', priceData, 'DAY_TRADING')) };
+      const stopLoss = signalCalculator.tradingStrategyService.riskManager.calculateStopLoss(
+        { entryPrice: 2000, quantity: 1, direction: 'BUY' },
+        { volatility: 10, riskScore: 50 },
+        marketData
+      );
+
+      expect(intervals).to.deep.equal(['1h']);
+      expect(marketData.atr).to.equal(40);
+      expect(stopLoss).to.include({ type: 'atr_based', atr: 40 });
+    });
+
+    it('should feed detected patterns into swing entry confirmation', async () => {
+      const patterns = { candlestick: [{ name: 'BULLISH_ENGULFING', type: 'BULLISH', strength: 0.7 }], chart: [] };
+      signalCalculator.technicalAnalysisService.analyzeTechnicalIndicators = async () => ({ atr: { value: 40, percent: 2 }, patterns });
+
+      const marketData = { currentPrice: 2000, spread: 0.1, ...(await signalCalculator.getStrategyTechnicals('ETH', { current_price: 2000 }, 'SWING_TRADING')) };
+      const strategy = signalCalculator.tradingStrategyService.strategyFactory.createStrategy('SWING_TRADING');
+      const entry = strategy.analyzeEntry({ finalScore: 70, volatility: 5, volumeRatio: 1.5, liquidityGrade: 'A', technicalStrength: 0.6 }, marketData);
+
+      expect(marketData.patterns).to.equal(patterns);
+      expect(entry.patterns).to.include({ confirmed: true });
+      expect(entry.patterns.confirming).to.deep.equal(['BULLISH_ENGULFING']);
+    });
+
+    it('should feed detected divergences into swing momentum exits', async () => {
+      const divergences = [{ indicator: 'RSI', type: 'BEARISH', kind: 'REGULAR', strength: 0.7, age: 3 }];
+      signalCalculator.technicalAnalysisService.analyzeTechnicalIndicators = async () => ({ atr: { value: 40, percent: 2 }, divergences });
+
+      const marketData = { currentPrice: 2000, rsi: 55, macd: { macd: 1, signal: 0.5, histogram: 0.5 }, volume: 100, ...(await signalCalculator.getStrategyTechnicals('ETH', { current_price: 2000 }, 'SWING_TRADING')) };
+      const strategy = signalCalculator.tradingStrategyService.strategyFactory.createStrategy('SWING_TRADING');
+
+      expect(marketData.divergences).to.equal(divergences);
+      expect(strategy.checkMomentumLoss(marketData, { direction: 'BUY' })).to.be.true;
+    });
+
+    it('should leave ATR unset when candles are insufficient', async () => {
+      signalCalculator.technicalAnalysisService.analyzeTechnicalIndicators = async () => ({ insufficientData: true });
+
+      expect(await signalCalculator.getStrategyTechnicals('ETH', { current_price: 2000 }, 'SWING_TRADING')).to.deep.equal({});
+      expect(await signalCalculator.getStrategyTechnicals('ETH', { current_price: 2000 }, 'REJECT')).to.deep.equal({});
+    });
+  });
+
+  describe('getAdjustedThresholds', () => {
+    it('should apply calibrated scores to the BUY threshold only', () => {
+      signalCalculator.scoreCalibrationService.getScoreForProbability = (timeframe, target) =>
+        (timeframe === 'SCALPING' ? Math.round(target * 100) : null);
+
+      const thresholds = signalCalculator.getAdjustedThresholds();
+
+      expect(thresholds.scalping).to.include({ score: 55, buyScore: 70, calibrated: true });
+      expect(thresholds.dayTrading).to.not.have.property('buyScore');
+    });
+
+    it('should keep adjusting the shared threshold from performance when calibrated', () => {
+      signalCalculator.scoreCalibrationService.getScoreForProbability = () => 70;
+      signalCalculator.performanceMetrics.scalping = { target: 0.70, current: 0.4, samples: 20 };
+
+      const thresholds = signalCalculator.getAdjustedThresholds();
+
+      expect(thresholds.scalping.score).to.be.closeTo(60.5, 1e-9);
+      expect(thresholds.scalping.buyScore).to.equal(70);
+    });
+  });
+
   describe('getRecommendation', () => {
     it('should return STRONG_BUY for high scores', () => {
       const recommendation = signalCalculator.getRecommendation(90);
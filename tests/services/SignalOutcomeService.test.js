@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const SignalOutcomeService = require('../../src/services/SignalOutcomeService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('SignalOutcomeService', () => {
+  let outcomeService;
+
+  beforeEach(() => {
+    outcomeService = new SignalOutcomeService();
+  });
+
+  describe('getScoreBucket', () => {
+    it('should group scores into 10-point buckets', () => {
+      expect(outcomeService.getScoreBucket(0)).to.equal(0);
+      expect(outcomeService.getScoreBucket(47)).to.equal(40);
+      expect(outcomeService.getScoreBucket(85)).to.equal(80);
+    });
+
+    it('should put a perfect score into the top bucket', () => {
+      expect(outcomeService.getScoreBucket(100)).to.equal(90);
+    });
+  });
+
+  describe('classifyOutcome', () => {
+    it('should mark buy signals as hit when price rises beyond the minimum move', () => {
+      expect(outcomeService.classifyOutcome('STRONG_BUY', 1.2, 'DAY_TRADING')).to.equal('HIT');
+      expect(outcomeService.classifyOutcome('BUY', 0.1, 'DAY_TRADING')).to.equal('MISS');
+      expect(outcomeService.classifyOutcome('BUY', -2, 'DAY_TRADING')).to.equal('MISS');
+    });
+
+    it('should mark sell signals as hit when price falls', () => {
+      expect(outcomeService.classifyOutcome('SELL', -0.5, 'SCALPING')).to.equal('HIT');
+      expect(outcomeService.classifyOutcome('WEAK_SELL', 0.5, 'SCALPING')).to.equal('MISS');
+    });
+
+    it('should mark hold signals as hit only when price stays flat', () => {
+      expect(outcomeService.classifyOutcome('HOLD', 1.0, 'SWING_TRADING')).to.equal('HIT');
+      expect(outcomeService.classifyOutcome('HOLD', -4.0, 'SWING_TRADING')).to.equal('MISS');
+    });
+  });
+
+  describe('calculateForwardReturn', () => {
+    it('should calculate percentage return', () => {
+      expect(outcomeService.calculateForwardReturn(100, 110)).to.be.closeTo(10, 0.0001);
+      expect(outcomeService.calculateForwardReturn(100, 95)).to.be.closeTo(-5, 0.0001);
+    });
+
+    it('should return 0 for invalid entry price', () => {
+      expect(outcomeService.calculateForwardReturn(0, 110)).to.equal(0);
+    });
+  });
+
+  describe('findExitPrice', () => {
+    const dueAt = new Date('2024-01-01T00:15:00Z');
+    const outcome = { timeframe: 'SCALPING', dueAt };
+
+    it('should pick the first price at or after the horizon within tolerance', () => {
+      const pricePoints = [
+        { price: 99, timestamp: new Date('2024-01-01T00:10:00Z') },
+        { price: 101, timestamp: new Date('2024-01-01T00:20:00Z') },
+        { price: 102, timestamp: new Date('2024-01-01T00:24:00Z') }
+      ];
+
+      const exit = outcomeService.findExitPrice(outcome, pricePoints);
+      expect(exit.price).to.equal(101);
+    });
+
+    it('should return null when no price falls within tolerance', () => {
+      const pricePoints = [
+        { price: 105, timestamp: new Date('2024-01-01T01:00:00Z') }
+      ];
+
+      expect(outcomeService.findExitPrice(outcome, pricePoints)).to.be.null;
+    });
+  });
+
+  describe('buildHitRateReport', () => {
+    it('should aggregate hit rates by timeframe and score bucket', () => {
+      const rows = [
+        { _id: { timeframe: 'SCALPING', scoreBucket: 80 }, samples: 10, hits: 7, avgReturn: 0.5 },
+        { _id: { timeframe: 'SCALPING', scoreBucket: 40 }, samples: 10, hits: 3, avgReturn: -0.1 },
+        { _id: { timeframe: 'DAY_TRADING', scoreBucket: 80 }, samples: 30, hits: 15, avgReturn: 1.0 }
+      ];
+
+      const report = outcomeService.buildHitRateReport(rows);
+
+      expect(report.byTimeframe.SCALPING.samples).to.equal(20);
+      expect(report.byTimeframe.SCALPING.hitRate).to.equal(0.5);
+      expect(report.byTimeframe.SCALPING.avgReturn).to.be.closeTo(0.2, 0.0001);
+      expect(report.byScoreBucket['80-90'].samples).to.equal(40);
+      expect(report.byScoreBucket['80-90'].hitRate).to.equal(0.55);
+      expect(report.matrix).to.have.length(3);
+      expect(report.matrix[0]).to.include({ timeframe: 'SCALPING', scoreBucket: '80-90', hitRate: 0.7 });
+    });
+
+    it('should return empty groups when there are no outcomes', () => {
+      const report = outcomeService.buildHitRateReport([]);
+
+      expect(report.byTimeframe).to.deep.equal({});
+      expect(report.byScoreBucket).to.deep.equal({});
+      expect(report.matrix).to.be.an('array').that.is.empty;
+    });
+  });
+});
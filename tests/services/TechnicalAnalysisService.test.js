@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const TechnicalAnalysisService = require('../../src/services/TechnicalAnalysisService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+describe('TechnicalAnalysisService', () => {
+  let technicalAnalysisService;
+
+  const stubTimeframes = (scores) => {
+    technicalAnalysisService.analyzeTechnicalIndicators = async (symbol, priceData, { interval }) => {
+      if (scores[interval] === null) {
+        return technicalAnalysisService.getNeutralTechnicalAnalysis(interval, 0);
+      }
+      return { technicalScore: scores[interval], signals: [], source: { interval } };
+    };
+  };
+
+  beforeEach(() => {
+    technicalAnalysisService = new TechnicalAnalysisService();
+  });
+
+  describe('analyzeMultiTimeframe', () => {
+    it('should report a bullish confluence when all timeframes agree', async () => {
+      stubTimeframes({ '5m': 0.7, '1h': 0.65, '4h': 0.7, '1d': 0.75 });
+
+      const analysis = await technicalAnalysisService.analyzeMultiTimeframe('BTC', {}, ['5m', '1h', '4h', '1d']);
+
+      expect(analysis.confluence.trend).to.equal('BULLISH');
+      expect(analysis.confluence.agreement).to.equal(1);
+      expect(analysis.confluence.bullish).to.deep.equal(['5m', '1h', '4h', '1d']);
+      expect(analysis.technicalScore).to.be.above(0.65);
+      expect(analysis.timeframes['1d'].trend).to.equal('BULLISH');
+    });
+
+    it('should pull the score toward neutral when timeframes conflict', async () => {
+      stubTimeframes({ '5m': 0.8, '1h': 0.7, '4h': 0.3, '1d': 0.35 });
+
+      const analysis = await technicalAnalysisService.analyzeMultiTimeframe('BTC', {}, ['5m', '1h', '4h', '1d']);
+
+      expect(analysis.confluence.trend).to.equal('NEUTRAL');
+      expect(analysis.confluence.agreement).to.be.below(0.3);
+      expect(analysis.technicalScore).to.be.closeTo(0.5, 0.05);
+    });
+
+    it('should weight higher timeframes more heavily', () => {
+      const confluence = technicalAnalysisService.calculateConfluence({
+        '5m': { trend: 'BEARISH', technicalScore: 0.3 },
+        '1d': { trend: 'BULLISH', technicalScore: 0.7 }
+      });
+
+      expect(confluence.score).to.be.above(0.5);
+    });
+
+    it('should ignore timeframes without enough candles', async () => {
+      stubTimeframes({ '1m': null, '1d': 0.3 });
+
+      const analysis = await technicalAnalysisService.analyzeMultiTimeframe('BTC', {}, ['1m', '1d']);
+
+      expect(analysis.confluence.unknown).to.deep.equal(['1m']);
+      expect(analysis.confluence.trend).to.equal('BEARISH');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const { createTicker } = require('../../src/adapters');
+const KoreanMarketService = require('../../src/services/KoreanMarketService');
+
+// 테스트 설정 파일 import
+require('../setup');
+
+const HOUR = 60 * 60 * 1000;
+const ticker = (exchange, symbol, quoteVolume24h) => createTicker({ exchange, symbol, quote: 'KRW', price: 1000, quoteVolume24h });
+
+// 일정한 과거 기록 (15분 간격)
+const flatHistory = (symbol, koreanVolumeUsd, share, count = 30) => Array.from({ length: count }, (_, i) => ({
+  symbol,
+  koreanVolumeUsd: koreanVolumeUsd * (1 + (i % 2 ? 0.05 : -0.05)),
+  share: share * (1 + (i % 2 ? 0.05 : -0.05)),
+  timestamp: new Date(Date.now() - (count - i) * HOUR / 4)
+}));
+
+describe('KoreanMarketService volume share', () => {
+  let service;
+  let history;
+  let recorded;
+
+  beforeEach(() => {
+    history = new Map();
+    recorded = null;
+
+    service = new KoreanMarketService({
+      fxRateService: { getRate: async () => ({ rate: 1000, source: 'dunamu', kind: 'official', stale: false }) },
+      coinGeckoService: {
+        getMarketDataBatch: async () => [
+          { symbol: 'btc', total_volume: 20000000 },
+          { symbol: 'xrp', total_volume: 1000000 },
+          { symbol: 'xrp', total_volume: 5 } // 같은 심볼의 소형 코인
+        ],
+        getGlobalData: async () => ({ data: { total_volume: { usd: 100000000 } } })
+      }
+    });
+    service.cacheService = { get: async () => null, set: async () => {} };
+    service.adapters = {
+      upbit: { getTickers: async () => new Map([['BTC', ticker('upbit', 'BTC', 1000000000)], ['XRP', ticker('upbit', 'XRP', 300000000)]]) },
+      bithumb: { getTickers: async () => new Map([['BTC', ticker('bithumb', 'BTC', 500000000)], ['NEW', ticker('bithumb', 'NEW', 10000000)]]) }
+    };
+    service.getVolumeShareHistory = async () => history;
+    service.recordVolumeShare = async result => {
+      recorded = result;
+    };
+  });
+
+  it('should compute per-coin and market-wide share of global volume', async () => {
+    const result = await service.getVolumeShare();
+
+    const btc = result.coins.find(c => c.symbol === 'BTC');
+    expect(btc).to.include({ upbitVolumeUsd: 1000000, bithumbVolumeUsd: 500000, koreanVolumeUsd: 1500000 });
+    expect(btc.share).to.be.closeTo(7.5, 1e-9);
+    expect(btc.exchanges.upbit).to.be.closeTo(5, 1e-9);
+
+    // 동명 심볼은 시가총액이 큰 코인 기준
+    expect(result.coins.find(c => c.symbol === 'XRP').share).to.be.closeTo(30, 1e-9);
+    expect(result.coins.find(c => c.symbol === 'NEW').share).to.be.null;
+
+    expect(result.market.koreanVolumeUsd).to.equal(1810000);
+    expect(result.market.share).to.be.closeTo(1.81, 1e-9);
+    expect(result.coins.map(c => c.symbol)).to.deep.equal(['BTC', 'XRP', 'NEW']);
+  });
+
+  it('should record history only on scheduled refreshes', async () => {
+    await service.getVolumeShare();
+    expect(recorded).to.be.null;
+
+    const result = await service.getVolumeShare({ refresh: true });
+    expect(recorded).to.equal(result);
+  });
+
+  it('should keep working when one exchange is down', async () => {
+    service.adapters.bithumb.getTickers = async () => {
+      throw new Error('timeout');
+    };
+
+    const result = await service.getVolumeShare();
+
+    expect(result.coins.map(c => c.symbol)).to.deep.equal(['BTC', 'XRP']);
+  });
+
+  it('should flag KRW volume spikes only with enough history', async () => {
+    history.set('XRP', flatHistory('XRP', 60000, 6));
+
+    const withHistory = await service.getVolumeShare();
+    const xrp = withHistory.coins.find(c => c.symbol === 'XRP');
+    expect(xrp.volumeSpike.isSpike).to.be.true;
+    expect(xrp.volumeSpike.ratio).to.be.closeTo(5, 0.01);
+
+    history.set('XRP', flatHistory('XRP', 60000, 6, 5));
+    const thinHistory = await service.getVolumeShare();
+    expect(thinHistory.coins.find(c => c.symbol === 'XRP').volumeSpike.isSpike).to.be.false;
+  });
+
+  it('should rate retail heat from share and volume deviations', async () => {
+    history.set('XRP', flatHistory('XRP', 60000, 6));
+    history.set('BTC', flatHistory('BTC', 1500000, 7.5));
+
+    const hot = await service.getRetailHeat('XRP');
+    const normal = await service.getRetailHeat('btc');
+    const missing = await service.getRetailHeat('NEW');
+
+    expect(hot).to.include({ score: 100, level: 'HOT', volumeSpike: true });
+    expect(normal.level).to.equal('NEUTRAL');
+    expect(missing).to.be.null;
+  });
+
+  it('should apply retail heat contrarian to the Korean market signal', async () => {
+    service.calculateKimchiPremium = async () => ({ premium: 1, statistics: null });
+    service.getRetailHeat = async () => ({ score: 90, level: 'HOT' });
+
+    const signal = await service.calculateKoreanMarketSignal('XRP', { finalScore: 60, metadata: {} });
+
+    expect(signal.finalScore).to.equal(55);
+    expect(signal.koreanMarket.retailHeat.level).to.equal('HOT');
+  });
+});